@@ -12,6 +12,7 @@ import ChaosWave from '../manifold/ChaosWave.jsx';
 import FlipPropagationWave from '../manifold/FlipPropagationWave.jsx';
 import { vibrate } from '../utils/audio.js';
 import { updateSharedTime } from './TileStyleMaterials.jsx';
+import { forEachCubie } from '../game/cubeState.js';
 
 // Reusable axis vectors and quaternion (allocated once, never recreated)
 const _axisCol = new THREE.Vector3(1, 0, 0);
@@ -41,7 +42,8 @@ const CubeAssembly = React.memo(({
   cursor, showCursor, flipMode, onSelectTile, onClearTileSelection, flipWaveOrigins, onFlipWaveComplete,
   faceColors, faceTextures, manifoldStyles, solveHighlights,
   onFaceRotationMode,
-  handsMode
+  handsMode,
+  readOnly
 }) => {
   const cubieRefs = useRef([]);
   const controlsRef = useRef();
@@ -132,9 +134,12 @@ const CubeAssembly = React.memo(({
   onClearTileSelectionRef.current = onClearTileSelection;
   const handsModeRef = useRef(handsMode);
   handsModeRef.current = handsMode;
+  const readOnlyRef = useRef(readOnly);
+  readOnlyRef.current = readOnly;
 
   const onPointerDown = useCallback(({ pos, worldPos, event }) => {
-    if (animStateRef.current) return;
+    // Read-only (replay playback): the camera still orbits, the cube can't be played
+    if (animStateRef.current || readOnlyRef.current) return;
 
     // Get the native event - R3F wraps it
     const nativeEvent = event.nativeEvent || event;
@@ -448,7 +453,7 @@ const CubeAssembly = React.memo(({
     const isHands = handsModeRef.current;
     gsapAnimRef.current = gsap.to(animProgressRef.current, {
       value: 1,
-      duration: isHands ? 0.12 : 0.35,
+      duration: animState.duration ?? (isHands ? 0.12 : 0.35), // Replays set their own speed
       ease: isHands ? "power2.out" : "back.out(1.4)",
       onComplete: () => {
         gsapAnimRef.current = null;
@@ -553,14 +558,16 @@ const CubeAssembly = React.memo(({
     return cache;
   }, [size, k]);
 
+  // Only surface cubies are allocated; keys stay the linear x/y/z index so
+  // cubieRefs lines up with the slice-index math above.
   const items = useMemo(() => {
     // Guard against size/cubies mismatch during size transitions
     if (cubies.length !== size) return [];
-    const arr = []; let i = 0;
-    for (let x = 0; x < size; x++) for (let y = 0; y < size; y++) for (let z = 0; z < size; z++) {
-      arr.push({ key: i, pos: positionCache[i], cubie: cubies[x][y][z] });
-      i++;
-    }
+    const arr = [];
+    forEachCubie(cubies, (cubie, x, y, z) => {
+      const i = (x * size + y) * size + z;
+      arr.push({ key: i, pos: positionCache[i], cubie });
+    });
     return arr;
   }, [cubies, size, positionCache]);
 
@@ -573,8 +580,8 @@ const CubeAssembly = React.memo(({
       // Reduce explosion distance by 15% for larger cubes (4x4, 5x5)
       const explosionMultiplier = size >= 4 ? 1.53 : 1.8;
       const expansionFactor = 1 + explosionFactor * explosionMultiplier;
-      items.forEach((it, idx) => {
-        const g = cubieRefs.current[idx];
+      items.forEach((it) => {
+        const g = cubieRefs.current[it.key];
         if (g) {
           g.position.set(
             it.pos[0] * expansionFactor,
@@ -612,10 +619,10 @@ const CubeAssembly = React.memo(({
           onComplete={onFlipWaveComplete}
         />
       )}
-      {items.map((it, idx) => (
+      {items.map((it) => (
         <Cubie
           key={it.key}
-          ref={cubieRefCallbacks[idx]}
+          ref={cubieRefCallbacks[it.key]}
           position={it.pos}
           cubie={it.cubie}
           size={size}
@@ -648,7 +655,7 @@ const CubeAssembly = React.memo(({
         noZoom={handsMode ? true : false}
         noRotate={handsMode ? true : false}
         minDistance={5}
-        maxDistance={28}
+        maxDistance={Math.max(28, size * 6)}
         enabled={!handsMode && !animState && !dragStart && controlsEnabledRef.current}
         staticMoving={false}
         dynamicDampingFactor={isTouchDevice ? 0.15 : 0.08}
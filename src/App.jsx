@@ -12,11 +12,23 @@ import { Environment, Html } from '@react-three/drei';
 import './App.css';
 
 // Utils
-import { completeLevel } from './utils/levels.js';
+import { progressManager } from './utils/levels.js';
 import { keyToMove } from './game/handsInput.js';
 import { makeCubies } from './game/cubeState.js';
-import { rotateSliceCubies } from './game/cubeRotation.js';
 import { buildManifoldGridMap, flipStickerPair } from './game/manifoldLogic.js';
+import { rngFor, randomInt, pick, parseSeed } from './game/seededRandom.js';
+import { generateScramble, wormFlipCount } from './game/scrambler.js';
+import { buildPreset } from './game/statePresets.js';
+import { checkReachability, explainReachability } from './game/reachability.js';
+import { buildPattern } from './game/patterns.js';
+import { exportReplay, parseReplay, replayFileName } from './game/replay.js';
+import { clearRefractory, markFlipped } from './game/refractoryMap.js';
+import { levelBudget } from './levels/rules.js';
+import { buildLevelStart } from './levels/startState.js';
+import { exportLevelPack, packFileName } from './levels/packFile.js';
+import { encodeCubeState, tryDecodeCubeState } from './engine/stateCodec.js';
+import { buildShareUrl, readSharedState, readSeedParam, clearSharedStateFromUrl } from './utils/shareLink.js';
+import { downloadText } from './utils/download.js';
 
 // Hooks
 import {
@@ -30,7 +42,16 @@ import {
   useSettings,
   useHandsMode,
   useUndo,
+  useReplayPlayer,
+  useLevelEditor,
+  usePackLibrary,
+  useAchievements,
+  useDailyChallenge,
+  useSaveBackup,
+  useAttemptLog,
   useParityDecay,
+  usePatternPlayer,
+  useLevelPar,
 } from './hooks/index.js';
 
 // 3D components
@@ -79,12 +100,24 @@ import HelpMenu from './components/menus/HelpMenu.jsx';
 import MobileControls from './components/menus/MobileControls.jsx';
 import WelcomeScreen from './components/screens/WelcomeScreen.jsx';
 import VictoryScreen from './components/screens/VictoryScreen.jsx';
+import DefeatScreen from './components/screens/DefeatScreen.jsx';
 import Tutorial from './components/screens/Tutorial.jsx';
 import FirstFlipTutorial from './components/screens/FirstFlipTutorial.jsx';
 import LevelSelectScreen from './components/screens/LevelSelectScreen.jsx';
+import AchievementsScreen from './components/screens/AchievementsScreen.jsx';
+import StatsScreen from './components/screens/StatsScreen.jsx';
+import ExperimentScreen from './components/screens/ExperimentScreen.jsx';
+import PatternLibraryScreen from './components/screens/PatternLibraryScreen.jsx';
 import Level10Cutscene from './components/screens/Level10Cutscene.jsx';
 import LevelTutorial from './components/screens/LevelTutorial.jsx';
 import RotationPreview from './components/overlays/RotationPreview.jsx';
+import HistoryPanel from './components/overlays/HistoryPanel.jsx';
+import ReplayPanel from './components/overlays/ReplayPanel.jsx';
+import LevelEditorPanel from './components/overlays/LevelEditorPanel.jsx';
+import PackReport from './components/overlays/PackReport.jsx';
+import AchievementToast from './components/overlays/AchievementToast.jsx';
+import DailyResultCard from './components/overlays/DailyResultCard.jsx';
+import ScrambleText from './components/overlays/ScrambleText.jsx';
 import FaceRotationButtons from './components/overlays/FaceRotationButtons.jsx';
 import TileRotationSelector from './components/overlays/TileRotationSelector.jsx';
 import HandsOverlay from './components/overlays/HandsOverlay.jsx';
@@ -97,6 +130,7 @@ import LayerHighlight from './teach/LayerHighlight.jsx';
 import AntipodalVisualization from './3d/AntipodalVisualization.jsx';
 import AntipodalModeEffects from './3d/AntipodalModeEffects.jsx';
 import AntipodalHUD from './components/overlays/AntipodalHUD.jsx';
+import SubgroupPanel from './components/overlays/SubgroupPanel.jsx';
 import AntipodalModeHUD from './components/overlays/AntipodalModeHUD.jsx';
 import EchoRotationIndicator from './components/overlays/EchoRotationIndicator.jsx';
 import { useAntipodalIntegrity } from './hooks/useAntipodalIntegrity.js';
@@ -110,6 +144,12 @@ const isMobile = typeof window !== 'undefined' && (
   navigator.maxTouchPoints > 0
 );
 
+// Tell the player when a preset or loaded state can't be solved
+const warnIfUnreachable = (cubies, size, flips) => {
+  const explanation = explainReachability(checkReachability(cubies, size, { flips }));
+  if (explanation) alert(explanation);
+};
+
 // Simple Error Boundary for 3D components
 class ErrorBoundary extends React.Component {
   constructor(props) {
@@ -161,11 +201,22 @@ export default function WORM3() {
   const setShowSettings = useGameStore((state) => state.setShowSettings);
   const showMainMenu = useGameStore((state) => state.showMainMenu);
   const showLevelSelect = useGameStore((state) => state.showLevelSelect);
+  const showStatsScreen = useGameStore((state) => state.showStatsScreen);
+  const showExperimentScreen = useGameStore((state) => state.showExperimentScreen);
+  const showPatternLibrary = useGameStore((state) => state.showPatternLibrary);
+  const patternGoal = useGameStore((state) => state.patternGoal);
   const setShowLevelSelect = useGameStore((state) => state.setShowLevelSelect);
   const showCutscene = useGameStore((state) => state.showCutscene);
   const showLevelTutorial = useGameStore((state) => state.showLevelTutorial);
+  const levelPar = useGameStore((state) => state.levelPar);
   const showNetPanel = useGameStore((state) => state.showNetPanel);
   const setShowNetPanel = useGameStore((state) => state.setShowNetPanel);
+  const showHistoryPanel = useGameStore((state) => state.showHistoryPanel);
+  const setShowHistoryPanel = useGameStore((state) => state.setShowHistoryPanel);
+  const showReplayPanel = useGameStore((state) => state.showReplayPanel);
+  const setShowReplayPanel = useGameStore((state) => state.setShowReplayPanel);
+  const seed = useGameStore((state) => state.seed);
+  const scrambleText = useGameStore((state) => state.scrambleText);
   const showMobileTouchHint = useGameStore((state) => state.showMobileTouchHint);
   const markMobileHintShown = useGameStore((state) => state.markMobileHintShown);
   const markIntroSeen = useGameStore((state) => state.markIntroSeen);
@@ -210,7 +261,7 @@ export default function WORM3() {
     setCubies, changeSize, shuffle, reset, flipSticker
   } = useCubeState();
 
-  const { moves, gameTime, victory, achievedWins: _achievedWins, setVictory } = useGameSession();
+  const { moves, gameTime, victory, defeat, achievedWins: _achievedWins, setVictory, setDefeat } = useGameSession();
 
   const {
     animState, startAnimation, handleAnimComplete, onMove
@@ -225,10 +276,11 @@ export default function WORM3() {
   const { cursor, showCursor, setShowCursor, moveCursor, cursorToCubePos, cubePosToCursor, getRotationParams } = useCursor();
 
   const {
-    currentLevel, currentLevelData, handleLevelSelect,
+    currentLevel, currentLevelData, handleLevelSelect, handlePackLevelSelect,
     handleCutsceneComplete, handleTutorialClose: levelTutorialClose,
-    handleBackToMainMenu, handleNextLevel: levelHandleNextLevel
+    handleBackToMainMenu, handleLeaveLevel, handleNextLevel: levelHandleNextLevel
   } = useLevelSystem();
+  const flipsEnabled = !currentLevelData || currentLevelData.features.flips;
 
   const { settings, faceImages, faceTextures, handleFaceImage, setSettings } = useSettings();
 
@@ -238,7 +290,22 @@ export default function WORM3() {
   } = useHandsMode();
   const handsMoveTimestamps = useRef([]);
 
-  const { moveHistory, undo, canUndo } = useUndo();
+  const { moveHistory, historyTree, undo, redo, jumpTo, canUndo, canRedo } = useUndo();
+
+  const replayPlayer = useReplayPlayer();
+  const { play: playPattern, stop: stopPattern } = usePatternPlayer();
+  const { computePar } = useLevelPar();
+  const {
+    replay: viewedReplay, open: openReplay, close: closeReplay,
+    togglePlay: toggleReplayPlay, step: stepReplay
+  } = replayPlayer;
+
+  const levelEditor = useLevelEditor();
+  const packLibrary = usePackLibrary();
+  const achievements = useAchievements();
+  const daily = useDailyChallenge();
+  const saveBackup = useSaveBackup();
+  useAttemptLog();
 
   // Teach Mode — step-by-step algorithm teaching
   const teachMode = useTeachMode();
@@ -314,6 +381,45 @@ export default function WORM3() {
     setShowLevelSelect(true);
   }, [setShowLevelSelect]);
 
+  const handleMenuStats = useCallback(() => {
+    useGameStore.getState().setShowMainMenu(false);
+    useGameStore.getState().setShowStatsScreen(true);
+  }, []);
+
+  const handleStatsBack = useCallback(() => {
+    useGameStore.getState().setShowStatsScreen(false);
+    useGameStore.getState().setShowMainMenu(true);
+  }, []);
+
+  const handleMenuPatterns = useCallback(() => {
+    useGameStore.getState().setShowMainMenu(false);
+    useGameStore.getState().setShowPatternLibrary(true);
+  }, []);
+
+  const handlePatternsBack = useCallback(() => {
+    useGameStore.getState().setShowPatternLibrary(false);
+    useGameStore.getState().setShowMainMenu(true);
+  }, []);
+
+  // Build the pattern on the cube from solved, move by move
+  const handleShowPattern = useCallback((pattern) => {
+    useGameStore.getState().setShowPatternLibrary(false);
+    playPattern(pattern);
+  }, [playPattern]);
+
+  // Free play from solved, won by matching the pattern instead of solving
+  const handleMatchPattern = useCallback((pattern) => {
+    const store = useGameStore.getState();
+    stopPattern();
+    store.setShowPatternLibrary(false);
+    store.clearLevel();
+    store.startRun();
+    setCubies(makeCubies(size));
+    store.resetGame();
+    store.setHasShuffled(true);
+    store.setPatternGoal({ id: pattern.id, name: pattern.name, size, target: buildPattern(pattern, size) });
+  }, [stopPattern, setCubies, size]);
+
   const handleMenuFreeplay = useCallback(() => {
     useGameStore.getState().setShowMainMenu(false);
     useGameStore.getState().clearLevel();
@@ -327,9 +433,10 @@ export default function WORM3() {
   const handleMenuCoop = useCallback(() => {
     useGameStore.getState().setShowMainMenu(false);
     useGameStore.getState().clearLevel();
-    shuffle();
+    // Flip scramble: the crawler needs parity zones to avoid
+    shuffle(undefined, { flips: wormFlipCount(size) });
     setCoopMode(true);
-  }, [shuffle]);
+  }, [size, shuffle]);
 
   const handleMenuTeach = useCallback(() => {
     useGameStore.getState().setShowMainMenu(false);
@@ -457,21 +564,23 @@ export default function WORM3() {
     setShowCursor(true);
   }, [cursor, cursorToCubePos, onTapFlip, setShowCursor]);
 
-  // Level-specific shuffle
-  const shuffleForLevel = useCallback(() => {
-    const levelSize = currentLevelData?.cubeSize || size;
-    let state = makeCubies(levelSize);
-    const shuffleCount = currentLevelData ? Math.min(25, 10 + currentLevel * 2) : 25;
-    for (let i = 0; i < shuffleCount; i++) {
-      const ax = ['row', 'col', 'depth'][Math.floor(Math.random() * 3)];
-      const slice = Math.floor(Math.random() * levelSize);
-      const dir = Math.random() > 0.5 ? 1 : -1;
-      state = rotateSliceCubies(state, levelSize, ax, slice, dir);
-    }
-    setCubies(state);
+  // Level-specific shuffle (seeded like shuffle): the level's authored start,
+  // or a random-move scramble that grows with the level. A level with its own
+  // run seed (the daily challenge) always plays on it.
+  const shuffleForLevel = useCallback((runSeed) => {
+    useGameStore.getState().startRun(runSeed ?? currentLevelData?.seed);
+    const rng = rngFor('scramble');
+    const start = currentLevelData
+      ? buildLevelStart(currentLevelData, { rng })
+      : { ...generateScramble(size, { rng, length: 25 }), refractory: [] };
+    setCubies(start.cubies);
     useGameStore.getState().resetGame();
+    clearRefractory();
+    start.refractory.forEach(({ pos, dirKey }) => markFlipped(pos.x, pos.y, pos.z, dirKey));
     useGameStore.getState().setHasShuffled(true);
-  }, [currentLevelData, currentLevel, size, setCubies]);
+    useGameStore.getState().setScrambleText(currentLevelData ? start.scrambleText : start.text);
+    computePar(start, currentLevelData);
+  }, [currentLevelData, size, setCubies, computePar]);
 
   // Tutorial close handler
   const handleTutorialClose = useCallback(() => {
@@ -479,67 +588,84 @@ export default function WORM3() {
     shuffleForLevel();
   }, [levelTutorialClose, shuffleForLevel]);
 
+  // Record a won level: story levels by number, pack levels under their pack.
+  // Editor playtests have no pack and record nothing; daily challenges are
+  // recorded by useDailyChallenge.
+  const recordLevelWin = useCallback(() => {
+    const stats = { time: gameTime, moves, par: levelPar?.par ?? null };
+    if (currentLevel) progressManager.completeLevel(currentLevel, stats);
+    else if (currentLevelData?.packId) progressManager.completeLevel(currentLevelData.id, stats, currentLevelData.packId);
+  }, [currentLevel, currentLevelData, gameTime, moves, levelPar]);
+
   // Victory handlers
   const handleVictoryContinue = useCallback(() => {
-    if (currentLevel) completeLevel(currentLevel);
+    recordLevelWin();
     setVictory(null);
-  }, [currentLevel, setVictory]);
+  }, [recordLevelWin, setVictory]);
 
   const handleVictoryNewGame = useCallback(() => {
-    if (currentLevel) completeLevel(currentLevel);
+    recordLevelWin();
     setVictory(null);
     if (currentLevelData) shuffleForLevel();
     else shuffle();
-  }, [currentLevel, currentLevelData, setVictory, shuffleForLevel, shuffle]);
+  }, [recordLevelWin, currentLevelData, setVictory, shuffleForLevel, shuffle]);
+
+  // Defeat handlers: retry replays the same scramble (same seed)
+  const handleDefeatRetry = useCallback(() => {
+    shuffleForLevel(seed);
+  }, [shuffleForLevel, seed]);
+
+  const handleDefeatLevels = useCallback(() => {
+    setDefeat(null);
+    if (levelEditor.levelPlaytest) levelEditor.stopPlaytest();
+    else handleLeaveLevel();
+  }, [setDefeat, handleLeaveLevel, levelEditor]);
+
+  // Daily challenge results card handlers
+  const handleDailyPlayAgain = useCallback(() => {
+    daily.dismiss();
+    setVictory(null);
+    shuffleForLevel();
+  }, [daily, setVictory, shuffleForLevel]);
+
+  const handleDailyMainMenu = useCallback(() => {
+    daily.dismiss();
+    setVictory(null);
+    useGameStore.getState().clearLevel();
+    useGameStore.getState().setShowMainMenu(true);
+  }, [daily, setVictory]);
 
   const handleNextLevel = useCallback(() => {
-    if (currentLevel) completeLevel(currentLevel);
+    recordLevelWin();
     levelHandleNextLevel();
     setVictory(null);
-  }, [currentLevel, levelHandleNextLevel, setVictory]);
+  }, [recordLevelWin, levelHandleNextLevel, setVictory]);
 
   // Dev console handlers
   const handlePreset = useCallback((presetId) => {
-    let state = makeCubies(size);
-    let moveCount = 0;
-
-    const applyRandomMoves = (count) => {
-      for (let i = 0; i < count; i++) {
-        const ax = ['row', 'col', 'depth'][Math.floor(Math.random() * 3)];
-        const slice = Math.floor(Math.random() * size);
-        const dir = Math.random() > 0.5 ? 1 : -1;
-        state = rotateSliceCubies(state, size, ax, slice, dir);
-      }
-      return count;
-    };
-
-    switch (presetId) {
-      case 'solved': break;
-      case 'near-solved': moveCount = applyRandomMoves(3); break;
-      case 'scrambled-10': moveCount = applyRandomMoves(10); break;
-      case 'scrambled-25': moveCount = applyRandomMoves(25); break;
-      case 'scrambled-50': moveCount = applyRandomMoves(50); break;
-      default: break;
-    }
+    useGameStore.getState().startRun();
+    const preset = buildPreset(presetId, size, rngFor('scramble'));
 
-    setCubies(state);
-    useGameStore.getState().setMoves(moveCount);
+    setCubies(preset.cubies);
+    useGameStore.getState().setMoves(preset.moves);
     useGameStore.getState().clearHistory();
     useGameStore.getState().setHasShuffled(true);
-  }, [size, setCubies]);
+    useGameStore.getState().setScrambleText(preset.text);
+    warnIfUnreachable(preset.cubies, size, flipsEnabled);
+  }, [size, setCubies, flipsEnabled]);
 
   const handleInstantChaos = useCallback((targetDisparity) => {
     const totalStickers = size * size * 6;
     const targetFlips = Math.floor((totalStickers * targetDisparity) / 100);
     let state = cubies;
     let flippedCount = 0;
+    const rng = rngFor('chaos');
 
     while (flippedCount < targetFlips) {
-      const x = Math.floor(Math.random() * size);
-      const y = Math.floor(Math.random() * size);
-      const z = Math.floor(Math.random() * size);
-      const dirs = ['PX', 'NX', 'PY', 'NY', 'PZ', 'NZ'];
-      const dirKey = dirs[Math.floor(Math.random() * dirs.length)];
+      const x = randomInt(rng, size);
+      const y = randomInt(rng, size);
+      const z = randomInt(rng, size);
+      const dirKey = pick(rng, ['PX', 'NX', 'PY', 'NY', 'PZ', 'NZ']);
       const onEdge =
         (dirKey === 'PX' && x === size - 1) || (dirKey === 'NX' && x === 0) ||
         (dirKey === 'PY' && y === size - 1) || (dirKey === 'NY' && y === 0) ||
@@ -557,7 +683,7 @@ export default function WORM3() {
 
   const handleSaveState = useCallback(() => {
     setSavedCubeState({
-      cubies: JSON.parse(JSON.stringify(cubies)),
+      code: encodeCubeState(cubies, size),
       moves,
       size,
       timestamp: Date.now()
@@ -571,10 +697,124 @@ export default function WORM3() {
       alert(`Saved state is for ${savedCubeState.size}×${savedCubeState.size} cube.`);
       return;
     }
-    setCubies(savedCubeState.cubies);
+    const decoded = tryDecodeCubeState(savedCubeState.code);
+    if (!decoded.ok) {
+      alert(`Saved state could not be loaded: ${decoded.error}`);
+      return;
+    }
+    setCubies(decoded.cubies);
     useGameStore.getState().setMoves(savedCubeState.moves);
     useGameStore.getState().clearHistory();
-  }, [savedCubeState, size, setCubies]);
+    useGameStore.getState().setScrambleText(null);
+    warnIfUnreachable(decoded.cubies, size, flipsEnabled);
+  }, [savedCubeState, size, setCubies, flipsEnabled]);
+
+  // Start a new run from a player-entered seed, e.g. to race a friend on the
+  // same scramble or reproduce a reported run
+  const handlePlaySeed = useCallback(() => {
+    const input = window.prompt('Play a seed (same seed, same scramble and chaos):', seed);
+    const runSeed = parseSeed(input);
+    if (!runSeed) return;
+    if (currentLevelData) shuffleForLevel(runSeed);
+    else shuffle(runSeed);
+  }, [seed, currentLevelData, shuffleForLevel, shuffle]);
+
+  const handleCopyShareLink = useCallback(async () => {
+    const url = buildShareUrl(cubies, size);
+    try {
+      await navigator.clipboard.writeText(url);
+      alert('Share link copied to clipboard!');
+    } catch {
+      window.prompt('Copy this share link:', url);
+    }
+  }, [cubies, size]);
+
+  // Replay viewer: opens on this session's recording; closing it puts the
+  // live cube back
+  const toggleReplayPanel = useCallback(() => {
+    if (showReplayPanel) {
+      closeReplay();
+      setShowReplayPanel(false);
+    } else if (openReplay(useGameStore.getState().replay)) {
+      setShowReplayPanel(true);
+    }
+  }, [showReplayPanel, openReplay, closeReplay, setShowReplayPanel]);
+
+  const handleExportReplay = useCallback(() => {
+    downloadText(exportReplay(viewedReplay), replayFileName(viewedReplay));
+  }, [viewedReplay]);
+
+  const handleImportReplay = useCallback(async (file) => {
+    const parsed = parseReplay(await file.text());
+    if (!parsed.ok) {
+      alert(`Couldn't load replay: ${parsed.error}`);
+      return;
+    }
+    openReplay(parsed.replay);
+  }, [openReplay]);
+
+  // Level editor pack files: export needs a valid pack, import installs the
+  // pack (see usePackLibrary) and opens it for editing
+  const handleExportPack = useCallback(() => {
+    downloadText(exportLevelPack(levelEditor.pack), packFileName(levelEditor.pack));
+  }, [levelEditor.pack]);
+
+  const handleImportPack = useCallback(async (file) => {
+    const result = await packLibrary.loadPackFile(file);
+    if (result.ok) levelEditor.loadPack(result.pack);
+  }, [packLibrary, levelEditor]);
+
+  // Save files: import merges into the current progress and reports what it
+  // added; a file that fails its checks changes nothing
+  const handleImportSave = useCallback(async (file) => {
+    const result = await saveBackup.importSave(file);
+    if (!result.ok) {
+      alert(`Couldn't import save file: ${result.error}`);
+      return;
+    }
+    packLibrary.refresh();
+    const { added, packs } = result;
+    const lines = [
+      `Save file imported${result.exportedAt ? ` (exported ${new Date(result.exportedAt).toLocaleString()})` : ''}.`,
+      `New: ${added.levels} completed level(s), ${added.achievements} achievement(s), ${added.dailies} daily result(s), ${packs.installed.length} level pack(s).`,
+    ];
+    if (packs.failed.length) lines.push(`Skipped packs: ${packs.failed.map(f => `${f.id} (${f.error})`).join(', ')}`);
+    alert(lines.join('\n'));
+  }, [saveBackup, packLibrary]);
+
+  // Load a cube state shared via URL (#state=… or ?state=…) once on startup
+  useEffect(() => {
+    const shared = readSharedState();
+    if (!shared) return;
+    clearSharedStateFromUrl();
+    if (!shared.ok) {
+      alert(`Couldn't load shared cube: ${shared.error}`);
+      return;
+    }
+    const store = useGameStore.getState();
+    store.clearLevel();
+    store.setSize(shared.size);
+    store.setCubies(shared.cubies);
+    store.resetGame();
+    store.setHasShuffled(true);
+    store.setShowWelcome(false);
+    store.setShowMainMenu(false);
+    // Shared links open in free play, where flips are on
+    warnIfUnreachable(shared.cubies, shared.size, true);
+  }, []);
+
+  // Start a run from a seed link (#seed=… or ?seed=…) once on startup
+  useEffect(() => {
+    const linkSeed = parseSeed(readSeedParam());
+    if (!linkSeed) return;
+    clearSharedStateFromUrl();
+    const store = useGameStore.getState();
+    store.clearLevel();
+    shuffle(linkSeed);
+    store.setShowWelcome(false);
+    store.setShowMainMenu(false);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
 
   // ========================================================================
   // KEYBOARD HANDLER
@@ -583,7 +823,7 @@ export default function WORM3() {
     if (coopMode) return; // Co-op mode handles its own input
 
     const handleKeyDown = (e) => {
-      if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return;
+      if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA' || e.target.tagName === 'SELECT') return;
 
       if (showLevelTutorial && (e.key === ' ' || e.key === 'Enter')) {
         e.preventDefault();
@@ -593,6 +833,17 @@ export default function WORM3() {
 
       const key = e.key.toLowerCase();
 
+      // Replay viewer: transport keys only
+      if (showReplayPanel) {
+        if (key === ' ') toggleReplayPlay();
+        else if (key === 'arrowright') stepReplay(1);
+        else if (key === 'arrowleft') stepReplay(-1);
+        else if (key === 'k' || key === 'escape') toggleReplayPanel();
+        else return;
+        e.preventDefault();
+        return;
+      }
+
       // Hands mode keyboard handler
       if (handsMode) {
         if (!['escape', 'h', '?', '`', 'r', 'z', 'v', 'x', 't', 'c', 'p', 'b'].includes(key) && !e.ctrlKey && !e.metaKey) {
@@ -629,10 +880,16 @@ export default function WORM3() {
         return;
       }
 
-      // Z - undo
+      // Z - undo, Shift+Z / Y - redo
       if (key === 'z' && !e.ctrlKey && !e.metaKey) {
         e.preventDefault();
-        undo();
+        if (e.shiftKey) redo();
+        else undo();
+        return;
+      }
+      if (key === 'y' && !e.ctrlKey && !e.metaKey) {
+        e.preventDefault();
+        redo();
         return;
       }
 
@@ -680,6 +937,8 @@ export default function WORM3() {
       // Other shortcuts
       switch (key) {
         case 'h': case '?': setShowHelp(h => !h); break;
+        case 'b': setShowHistoryPanel(p => !p); break;
+        case 'k': toggleReplayPanel(); break;
         case 'g': if (!currentLevelData || currentLevelData.features.flips) setFlipMode(f => !f); break;
         case 't': if (!currentLevelData || currentLevelData.features.tunnels) setShowTunnels(t => !t); break;
         case 'x': if (!currentLevelData || currentLevelData.features.explode) setExploded(ex => !ex); break;
@@ -713,18 +972,22 @@ export default function WORM3() {
     return () => window.removeEventListener('keydown', handleKeyDown);
   }, [
     coopMode, cursor, animState, flipMode, showLevelTutorial, currentLevelData, handsMode,
-    moveCursor, performCursorRotation, performCursorFlip, undo, executeHandsMove,
+    moveCursor, performCursorRotation, performCursorFlip, undo, redo, executeHandsMove,
     handleSaveState, handleLoadState, handleLevelSelect, handleTutorialClose,
     reset, shuffle, showDevConsole, setShowDevConsole, setShowHelp, setFlipMode,
-    setShowTunnels, setExploded, setShowNetPanel, setVisualMode, setChaosLevel,
+    setShowTunnels, setExploded, setShowNetPanel, setShowHistoryPanel, setVisualMode, setChaosLevel,
     setHandsMode, setHandsMoveHistory, setHandsMoveQueue, setHandsTps, setShowCursor, setShowSettings,
-    antipodalIntegrityMode, setAntipodalIntegrityMode, toggleHollowMode
+    antipodalIntegrityMode, setAntipodalIntegrityMode, toggleHollowMode,
+    showReplayPanel, toggleReplayPanel, toggleReplayPlay, stepReplay
   ]);
 
   // ========================================================================
   // RENDER
   // ========================================================================
-  const cameraZ = { 2: 10, 3: 14, 4: 20, 5: 26 }[size] || 14;
+  const cameraZ = { 2: 10, 3: 14, 4: 20, 5: 26 }[size] || size * 5 + 2;
+
+  // Level countdowns for the badge (null fields when the level has no limit)
+  const levelBudgetView = currentLevelData ? levelBudget(currentLevelData, { moves, elapsed: gameTime }) : null;
 
   if (showWelcome) {
     return <WelcomeScreen onEnter={handleWelcomeComplete} />;
@@ -827,6 +1090,7 @@ export default function WORM3() {
               solveHighlights={solveModeActive ? solveHighlights : teachMode.active ? solveHighlights : []}
               onFaceRotationMode={handleFaceRotationMode}
               handsMode={handsMode}
+              readOnly={showReplayPanel}
             />
             {teachMode.active && teachMode.layerHighlight && (
               <LayerHighlight
@@ -859,30 +1123,92 @@ export default function WORM3() {
           cubies={cubies}
           onShowSettings={() => setShowSettings(true)}
           currentLevelData={currentLevelData}
+          seed={seed}
+          onSeedClick={handlePlaySeed}
         />
 
-        {/* Undo Indicator - desktop only (mobile uses MobileControls) */}
-        {moveHistory.length > 0 && !isMobile && (
-          <div
-            style={{
-              position: 'fixed', bottom: '20px', left: '20px',
-              background: 'rgba(0, 217, 255, 0.15)', border: '2px solid rgba(0, 217, 255, 0.4)',
-              borderRadius: '8px', padding: '8px 16px', color: '#00d9ff',
-              fontFamily: "'Courier New', monospace", fontSize: '14px', fontWeight: 'bold',
-              zIndex: 100, backdropFilter: 'blur(10px)', cursor: 'pointer',
-            }}
-            onClick={undo}
-            title="Click or press Z to undo"
-          >
-            Z: Undo ({moveHistory.length})
+        {/* Undo/Redo Indicator - desktop only (mobile uses MobileControls) */}
+        {(moveHistory.length > 0 || canRedo) && !isMobile && !showReplayPanel && (
+          <div style={{ position: 'fixed', bottom: '20px', left: '20px', display: 'flex', gap: '8px', zIndex: 100 }}>
+            {[
+              moveHistory.length > 0 && { label: `Z: Undo (${moveHistory.length})`, onClick: undo, title: 'Click or press Z to undo' },
+              canRedo && { label: 'Y: Redo', onClick: redo, title: 'Click or press Y to redo' },
+              { label: 'B: History', onClick: () => setShowHistoryPanel(p => !p), title: 'Click or press B to browse the move history' },
+              { label: 'K: Replay', onClick: toggleReplayPanel, title: 'Click or press K to watch this session back' },
+            ].filter(Boolean).map(({ label, onClick, title }) => (
+              <div
+                key={label}
+                style={{
+                  background: 'rgba(0, 217, 255, 0.15)', border: '2px solid rgba(0, 217, 255, 0.4)',
+                  borderRadius: '8px', padding: '8px 16px', color: '#00d9ff',
+                  fontFamily: "'Courier New', monospace", fontSize: '14px', fontWeight: 'bold',
+                  backdropFilter: 'blur(10px)', cursor: 'pointer',
+                }}
+                onClick={onClick}
+                title={title}
+              >
+                {label}
+              </div>
+            ))}
           </div>
         )}
 
+        {showHistoryPanel && (
+          <HistoryPanel historyTree={historyTree} size={size} onJump={jumpTo} onUndo={undo} onRedo={redo}
+            canUndo={canUndo} canRedo={canRedo} onClose={() => setShowHistoryPanel(false)} />
+        )}
+
+        {showReplayPanel && viewedReplay && (
+          <ReplayPanel
+            replay={viewedReplay}
+            index={replayPlayer.index}
+            playing={replayPlayer.playing}
+            speed={replayPlayer.speed}
+            onTogglePlay={toggleReplayPlay}
+            onStep={stepReplay}
+            onSeek={replayPlayer.seek}
+            onSpeed={replayPlayer.setSpeed}
+            onExport={handleExportReplay}
+            onImport={handleImportReplay}
+            onClose={toggleReplayPanel}
+          />
+        )}
+
+        {levelEditor.showLevelEditor && (
+          <LevelEditorPanel
+            pack={levelEditor.pack}
+            selected={levelEditor.selected}
+            level={levelEditor.level}
+            levelResult={levelEditor.levelResult}
+            packResult={levelEditor.packResult}
+            onUpdatePack={levelEditor.updatePack}
+            onUpdateLevel={levelEditor.updateLevel}
+            onSelectLevel={levelEditor.selectLevel}
+            onAddLevel={levelEditor.addLevel}
+            onRemoveLevel={levelEditor.removeLevel}
+            onCaptureStart={levelEditor.captureStart}
+            onClearStart={levelEditor.clearStart}
+            onPlaytest={levelEditor.playtest}
+            onExport={handleExportPack}
+            onImport={handleImportPack}
+            onClose={levelEditor.close}
+          />
+        )}
+
+        {levelEditor.levelPlaytest && !victory && !defeat && (
+          <button className="playtest-stop" onClick={levelEditor.stopPlaytest} title="Back to the level editor">
+            ■ Stop playtest
+          </button>
+        )}
+
         {/* Auto-rotate Preview */}
         {autoRotateEnabled && chaosMode && (
           <RotationPreview upcomingRotation={upcomingRotation} countdown={rotationCountdown} maxCountdown={10000} size={size} />
         )}
 
+        {/* Scramble notation above the cube */}
+        {!teachMode.active && <ScrambleText text={scrambleText} moves={moves} />}
+
         {/* Floating HUD — auto-fade parity/chaos notifications */}
         <FloatingHUD metrics={metrics} chaosLevel={chaosLevel} chaosMode={chaosMode} />
 
@@ -943,11 +1269,29 @@ export default function WORM3() {
         onFreeplay={() => { useGameStore.getState().clearLevel(); setSheetOpen(false); }}
       />
 
+      {/* Pattern goal badge */}
+      {patternGoal && !showMainMenu && !victory && (
+        <div className="level-badge">
+          <span className="level-badge-number">◇</span>
+          <span className="level-badge-name">Match: {patternGoal.name}</span>
+        </div>
+      )}
+
       {/* Level Badge */}
-      {currentLevelData && !showMainMenu && !showLevelSelect && !victory && (
+      {currentLevelData && !showMainMenu && !showLevelSelect && !victory && !defeat && (
         <div className="level-badge">
-          <span className="level-badge-number">{currentLevel}</span>
+          <span className="level-badge-number">{currentLevel ?? (levelEditor.levelPlaytest ? '✎' : currentLevelData.daily ? '☀' : currentLevelData.id)}</span>
           <span className="level-badge-name">{currentLevelData.name}</span>
+          {levelBudgetView && levelBudgetView.timeLeft !== null && (
+            <span className={`level-badge-budget${levelBudgetView.timeLeft <= 10 ? ' low' : ''}`} title="Time left">
+              ⏱ {Math.floor(levelBudgetView.timeLeft / 60)}:{String(levelBudgetView.timeLeft % 60).padStart(2, '0')}
+            </span>
+          )}
+          {levelBudgetView && levelBudgetView.movesLeft !== null && (
+            <span className={`level-badge-budget${levelBudgetView.movesLeft <= 5 ? ' low' : ''}`} title="Moves left">
+              ↻ {levelBudgetView.movesLeft}
+            </span>
+          )}
         </div>
       )}
 
@@ -955,21 +1299,44 @@ export default function WORM3() {
         <MainMenu
           onPlay={handleMenuPlay}
           onLevels={handleMenuLevels}
+          onDaily={daily.start}
+          dailyStreak={progressManager.getDailyStreak().current}
+          dailyDone={!!progressManager.getDailyResult()}
+          onAchievements={achievements.openGallery}
+          onStats={handleMenuStats}
+          onPatterns={handleMenuPatterns}
           onFreeplay={handleMenuFreeplay}
           onCoop={handleMenuCoop}
           onTeach={handleMenuTeach}
+          onEditor={levelEditor.open}
           onSettings={handleMenuSettings}
           onHelp={handleMenuHelp}
         />
       )}
-      {showLevelSelect && <LevelSelectScreen onSelectLevel={handleLevelSelect} onBack={handleBackToMainMenu} />}
-      {showSettings && <SettingsMenu onClose={() => setShowSettings(false)} settings={settings} onSettingsChange={setSettings} faceImages={faceImages} onFaceImage={handleFaceImage} />}
+      {showLevelSelect && (
+        <LevelSelectScreen onSelectLevel={handleLevelSelect} onBack={handleBackToMainMenu}
+          packs={packLibrary.packs} onSelectPackLevel={handlePackLevelSelect}
+          onLoadPack={packLibrary.loadPackFile} onRemovePack={packLibrary.removePack} />
+      )}
+      {achievements.showAchievements && <AchievementsScreen onBack={achievements.closeGallery} />}
+      {showStatsScreen && <StatsScreen onBack={handleStatsBack} />}
+      {showPatternLibrary && (
+        <PatternLibraryScreen size={size} onShow={handleShowPattern} onMatch={handleMatchPattern} onBack={handlePatternsBack} />
+      )}
+      {showExperimentScreen && <ExperimentScreen onBack={() => useGameStore.getState().setShowExperimentScreen(false)} />}
+      <AchievementToast achievements={achievements.recent} onDismiss={achievements.dismissRecent} />
+      {packLibrary.report && (
+        <PackReport fileName={packLibrary.report.fileName} result={packLibrary.report.result} onClose={packLibrary.dismissReport} />
+      )}
+      {showSettings && <SettingsMenu onClose={() => setShowSettings(false)} settings={settings} onSettingsChange={setSettings} faceImages={faceImages} onFaceImage={handleFaceImage}
+        onExportSave={saveBackup.exportSave} onImportSave={handleImportSave} />}
       {showHelp && <HelpMenu onClose={() => setShowHelp(false)} />}
       {showFirstFlipTutorial && <FirstFlipTutorial onClose={() => setShowFirstFlipTutorial(false)} />}
 
       {solveModeActive && (
         <SolveMode cubies={cubies} size={size} onClose={() => { setSolveModeActive(false); setSolveHighlights([]); }}
-          onHighlightChange={setSolveHighlights} focusedStep={solveFocusedStep} onFocusStep={setSolveFocusedStep} />
+          onHighlightChange={setSolveHighlights} focusedStep={solveFocusedStep} onFocusStep={setSolveFocusedStep}
+          onPlayMove={(m) => (m.type === 'flip' ? flipSticker(m.pos, m.dirKey) : startAnimation(m.axis, m.dir, m.sliceIndex))} canPlayMove={!animState} />
       )}
 
       {teachMode.active && (
@@ -996,15 +1363,29 @@ export default function WORM3() {
           onResetAlgorithm={teachMode.resetAlgorithm}
           onAnswerQuiz={teachMode.answerQuiz}
           onRetryQuiz={teachMode.retryQuiz}
+          solver={teachMode.solver}
+          onFindSolution={teachMode.findSolution}
           onClose={teachMode.exitTeachMode}
         />
       )}
 
-      {victory && (
-        <VictoryScreen winType={victory} moves={moves} time={gameTime}
+      {defeat && (
+        <DefeatScreen reason={defeat} moves={moves} time={gameTime}
+          currentLevel={currentLevel} levelData={currentLevelData}
+          onRetry={handleDefeatRetry} onLevels={handleDefeatLevels} />
+      )}
+
+      {victory && daily.solved && (
+        <DailyResultCard dailyKey={daily.solved.key} result={daily.solved.result} streak={daily.solved.streak}
+          isFirst={daily.solved.isFirst} onPlayAgain={handleDailyPlayAgain} onMainMenu={handleDailyMainMenu} />
+      )}
+
+      {victory && !currentLevelData?.daily && (
+        <VictoryScreen winType={victory} moves={moves} time={gameTime} par={levelPar?.par ?? null}
           onContinue={handleVictoryContinue} onNewGame={handleVictoryNewGame}
           currentLevel={currentLevel} levelData={currentLevelData}
-          onNextLevel={handleNextLevel} hasNextLevel={currentLevel && currentLevel < 10} />
+          onNextLevel={handleNextLevel} hasNextLevel={currentLevel && currentLevel < 10}
+          patternName={patternGoal?.name ?? null} />
       )}
 
       {showCutscene && currentLevel === 10 && <Level10Cutscene onComplete={handleCutsceneComplete} onSkip={handleCutsceneComplete} />}
@@ -1019,6 +1400,8 @@ export default function WORM3() {
           showNetPanel={showNetPanel} onToggleNet={() => setShowNetPanel(!showNetPanel)}
           onRotateCW={() => performCursorRotation('cw')} onRotateCCW={() => performCursorRotation('ccw')}
           onUndo={undo} canUndo={canUndo} undoCount={moveHistory.length}
+          onRedo={redo} canRedo={canRedo} onShowHistory={() => setShowHistoryPanel(p => !p)}
+          onShowReplay={toggleReplayPanel}
           teachModeActive={teachMode.active}
           onToggleTeachMode={() => { if (teachMode.active) teachMode.exitTeachMode(); else teachMode.enterTeachMode(); }}
           cubeSize={size} />
@@ -1041,9 +1424,10 @@ export default function WORM3() {
           onClose={() => setAntipodalIntegrityMode(false)}
         />
       )}
+      {antipodalIntegrityMode && <SubgroupPanel />}
       <AntipodalModeHUD />
       <EchoRotationIndicator />
-      {showDevConsole && <DevConsole onClose={() => setShowDevConsole(false)} onPreset={handlePreset} onSaveState={handleSaveState} onLoadState={handleLoadState} hasSavedState={!!savedCubeState} size={size} onJumpToLevel={handleLevelSelect} onInstantChaos={handleInstantChaos} moveHistory={moveHistory} />}
+      {showDevConsole && <DevConsole onClose={() => setShowDevConsole(false)} onPreset={handlePreset} onSaveState={handleSaveState} onLoadState={handleLoadState} onCopyShareLink={handleCopyShareLink} hasSavedState={!!savedCubeState} size={size} cubies={cubies} onJumpToLevel={handleLevelSelect} onInstantChaos={handleInstantChaos} onOpenExperiment={() => useGameStore.getState().setShowExperimentScreen(true)} moveHistory={moveHistory} />}
     </div>
   );
 }
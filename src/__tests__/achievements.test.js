@@ -0,0 +1,90 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  ACHIEVEMENTS, ACHIEVEMENT_EVENTS, applyAchievementEvent, achievementStatus, getAchievement,
+} from '../levels/achievements.js';
+import { ProgressManager } from '../levels/ProgressManager.js';
+import { K_STAR } from '../game/antipodalIntegrity.js';
+
+const empty = () => ({ unlocked: [], counters: {} });
+
+describe('achievement definitions', () => {
+  it('have unique ids and either a test or a goal with a counter', () => {
+    const ids = ACHIEVEMENTS.map(a => a.id);
+    expect(new Set(ids).size).toBe(ids.length);
+    for (const a of ACHIEVEMENTS) {
+      expect(Object.values(ACHIEVEMENT_EVENTS)).toContain(a.event);
+      if (a.goal === undefined) expect(typeof a.test).toBe('function');
+      else expect(typeof (a.count || a.best)).toBe('function');
+    }
+  });
+});
+
+describe('applyAchievementEvent', () => {
+  it('unlocks one-off achievements from the payload', () => {
+    const result = applyAchievementEvent(ACHIEVEMENT_EVENTS.INTEGRITY, { integrity: K_STAR - 0.1 }, empty());
+    expect(result.unlocked).toEqual(['entropy_regime']);
+    expect(applyAchievementEvent(ACHIEVEMENT_EVENTS.INTEGRITY, { integrity: 1 }, empty()).unlocked).toEqual([]);
+  });
+
+  it('counts up to a goal', () => {
+    let progress = empty();
+    for (let i = 0; i < 499; i++) {
+      const result = applyAchievementEvent(ACHIEVEMENT_EVENTS.FLIP, {}, progress);
+      progress = { ...progress, counters: result.counters };
+      expect(result.unlocked).toEqual([]);
+    }
+    expect(progress.counters.antipodal_adept).toBe(499);
+    expect(applyAchievementEvent(ACHIEVEMENT_EVENTS.FLIP, {}, progress).unlocked).toEqual(['antipodal_adept']);
+  });
+
+  it('keeps the best value for best-of achievements', () => {
+    const run = (orbs) => ({ mode: 'crawler', orbs, health: 0, time: 60, result: 'gameover' });
+    let { counters } = applyAchievementEvent(ACHIEVEMENT_EVENTS.WORM_RUN, run(7), empty());
+    ({ counters } = applyAchievementEvent(ACHIEVEMENT_EVENTS.WORM_RUN, run(5), { unlocked: [], counters }));
+    expect(counters.full_harvest).toBe(7);
+    expect(counters.orb_glutton).toBe(12);
+  });
+
+  it('leaves the counters alone when nothing moved and skips unlocked achievements', () => {
+    const progress = { unlocked: ['star_pupil'], counters: { star_pupil: 25 } };
+    const result = applyAchievementEvent(ACHIEVEMENT_EVENTS.QUIZ_ANSWER, { correct: true }, progress);
+    expect(result.counters).toBe(progress.counters);
+    expect(result.unlocked).toEqual([]);
+  });
+});
+
+describe('achievementStatus', () => {
+  it('reports locked, in-progress and unlocked states', () => {
+    const status = achievementStatus(['first_steps'], { antipodal_adept: 40, storm_chaser: 0 });
+    const byId = Object.fromEntries(status.map(a => [a.id, a]));
+    expect(byId.first_steps).toMatchObject({ state: 'unlocked', progress: null });
+    expect(byId.antipodal_adept).toMatchObject({ state: 'in-progress', progress: 40, goal: 500 });
+    expect(byId.storm_chaser).toMatchObject({ state: 'locked', progress: 0 });
+    expect(byId.speed_demon.state).toBe('locked');
+  });
+});
+
+describe('ProgressManager achievements', () => {
+  let progress;
+
+  beforeEach(() => {
+    localStorage.clear();
+    progress = new ProgressManager({ testMode: false });
+  });
+
+  it('saves counters and unlocks, and emits unlocks', () => {
+    const heard = [];
+    progress.on('achievements-unlocked', ({ achievements }) => heard.push(...achievements));
+    for (let i = 0; i < 25; i++) progress.recordEvent(ACHIEVEMENT_EVENTS.QUIZ_ANSWER, { correct: true });
+    expect(heard).toEqual(['star_pupil']);
+    expect(new ProgressManager().loadAchievements()).toEqual(['star_pupil']);
+    expect(new ProgressManager().loadAchievementProgress().star_pupil).toBe(25);
+  });
+
+  it('awards level achievements from the story campaign', () => {
+    const { newAchievements } = progress.completeLevel(1, { time: 30, moves: 5 });
+    expect(newAchievements).toEqual(expect.arrayContaining(['first_steps', 'speed_demon', 'perfectionist']));
+    expect(newAchievements).not.toContain('topology_master');
+    expect(getAchievement('first_steps').name).toBe('First Steps');
+  });
+});
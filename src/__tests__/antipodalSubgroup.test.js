@@ -0,0 +1,110 @@
+import { describe, it, expect } from 'vitest';
+import {
+  identityPermutation, compose, invert, stabilizerChain, chainOrder, chainContains, groupOrder, centralizer,
+} from '../utils/permutationGroup.js';
+import {
+  classifyMoves, preservingSuffixes, mirrorRotations, permutationCommutatorNorm,
+  preservingGenerators, exploreAntipodalSubgroup, PRESERVING_GENERATORS,
+} from '../game/antipodalSubgroup.js';
+import { sequencePermutation } from '../game/cubeGroup.js';
+import { notationToRotations } from '../game/notation.js';
+
+// Symmetric group generators on n points: a transposition and an n-cycle
+const symmetricGenerators = (n) => [
+  [1, 0, ...identityPermutation(n).slice(2)],
+  identityPermutation(n).map(i => (i + 1) % n),
+];
+
+describe('permutation groups', () => {
+  it('composes and inverts', () => {
+    const p = [1, 2, 0];
+    expect(compose(p, invert(p))).toEqual([0, 1, 2]);
+    expect(compose(p, p)).toEqual([2, 0, 1]);
+  });
+
+  it('computes orders with Schreier–Sims', () => {
+    expect(groupOrder(symmetricGenerators(6))).toBe(720n);
+    expect(groupOrder([identityPermutation(5).map(i => (i + 1) % 5)])).toBe(5n);
+    expect(groupOrder(symmetricGenerators(6), [5, 3, 1, 0, 2, 4])).toBe(720n);
+    expect(() => stabilizerChain(symmetricGenerators(4), [0, 1, 2])).toThrow(RangeError);
+  });
+
+  it('tests membership', () => {
+    const cyclic = stabilizerChain([[1, 2, 3, 0]]);
+    expect(chainContains(cyclic, [2, 3, 0, 1])).toBe(true);
+    expect(chainContains(cyclic, [1, 0, 2, 3])).toBe(false);
+    expect(chainOrder(cyclic)).toBe(4n);
+  });
+
+  it('finds centralizers', () => {
+    // In S4, a transposition commutes with itself and the disjoint one: order 4
+    expect(centralizer(symmetricGenerators(4), [1, 0, 2, 3]).order).toBe(4n);
+    // A 4-cycle's centralizer in S4 is the cyclic group it generates
+    const { order, generators } = centralizer(symmetricGenerators(4), [1, 2, 3, 0]);
+    expect(order).toBe(4n);
+    for (const g of generators) expect(compose(g, [1, 2, 3, 0])).toEqual(compose([1, 2, 3, 0], g));
+  });
+});
+
+describe('classifyMoves', () => {
+  it('puts rotations and middle slices inside G_A and face turns outside', () => {
+    expect(classifyMoves('x y z', 3).preserving).toBe(true);
+    expect(classifyMoves('M E2 S\'', 3).preserving).toBe(true);
+    expect(classifyMoves('R', 3).preserving).toBe(false);
+    // Half turns too: central inversion sends R2 to L2
+    expect(classifyMoves('R2', 3).preserving).toBe(false);
+    expect(classifyMoves('R2 L2', 3).preserving).toBe(true);
+    expect(classifyMoves('R L\'', 2).preserving).toBe(true);
+  });
+
+  it('accepts a sequence followed by its antipodal mirror', () => {
+    const { rotations } = notationToRotations("R' F R' B2 R F' R' B2 R2", 3);
+    expect(classifyMoves(rotations, 3).preserving).toBe(false);
+    expect(classifyMoves([...rotations, ...mirrorRotations(rotations, 3)], 3).preserving).toBe(true);
+  });
+
+  it('counts the stickers that break commutation and skips flips', () => {
+    const turn = { type: 'rotation', axis: 'col', sliceIndex: 0, dir: 1 };
+    const flip = { type: 'flip', dirKey: 'PZ', pos: { x: 0, y: 0, z: 2 } };
+    const result = classifyMoves([turn, flip], 3);
+    expect(result.turns).toBe(1);
+    expect(result.commutatorNorm).toBeGreaterThan(0);
+    expect(result.commutatorNorm).toBe(permutationCommutatorNorm(sequencePermutation([turn], 3), 3));
+    expect(classifyMoves([], 3)).toEqual({ preserving: true, commutatorNorm: 0, turns: 0, errors: [] });
+  });
+
+  it('marks where a sequence last entered the subgroup', () => {
+    // Half turns are two engine rotations each
+    const { rotations } = notationToRotations('R U R2 L2 M', 3);
+    expect(preservingSuffixes(rotations, 3)).toEqual([false, false, true, false, false, false, true]);
+  });
+});
+
+describe('exploreAntipodalSubgroup', () => {
+  it('generates the whole 2×2 subgroup', () => {
+    const result = exploreAntipodalSubgroup(2);
+    expect(result.order).toBe(31104n);
+    expect(result.groupOrder).toBe(88179840n);
+    expect(result.index).toBe(2835n);
+    expect(result.maximal).toBe(true);
+  });
+
+  it('generates the whole 3×3 subgroup', () => {
+    const result = exploreAntipodalSubgroup(3);
+    expect(result.order).toBe(1100753141760n);
+    // The Rubik's group with slice turns: 4.3 × 10^19 times the 24 orientations
+    expect(result.groupOrder).toBe(43252003274489856000n * 24n);
+    expect(result.maximal).toBe(true);
+    expect(result.generators.map(gen => gen.id)).toContain('edge-pair-flip');
+  });
+
+  it('only lists generators that preserve antipodality', () => {
+    for (const size of [2, 3]) {
+      for (const gen of preservingGenerators(size)) {
+        expect(permutationCommutatorNorm(gen.permutation, size), gen.id).toBe(0);
+      }
+    }
+    expect(PRESERVING_GENERATORS.every(gen => gen.sizes.every(s => s === 2 || s === 3))).toBe(true);
+    expect(() => preservingGenerators(4)).toThrow(RangeError);
+  });
+});
@@ -0,0 +1,97 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  MAX_ATTEMPTS_PER_LEVEL, averageOf, bestOf, meanOf, personalBests, distribution, summarizeAttempts,
+} from '../levels/attemptStats.js';
+import { emptyProgress, mergeProgress } from '../levels/saveFile.js';
+import { ProgressManager } from '../levels/ProgressManager.js';
+
+const attempt = (time, overrides = {}) => ({
+  at: `2026-10-19T10:00:${String(time % 60).padStart(2, '0')}.000Z`,
+  result: 'win',
+  time,
+  moves: 40,
+  flips: 2,
+  undos: 0,
+  cascades: 0,
+  integrity: 0.9,
+  mode: 'classic',
+  size: 3,
+  ...overrides,
+});
+const dnf = (time) => attempt(time, { result: 'defeat' });
+
+describe('attempt averages', () => {
+  it('drops the best and worst of the last n attempts', () => {
+    const attempts = [attempt(90), attempt(30), attempt(40), attempt(50), attempt(60), attempt(10)];
+    expect(averageOf(attempts, 5)).toBe(40);
+    expect(averageOf(attempts, 12)).toBe(null);
+  });
+
+  it('counts one DNF as the worst, and two as a DNF average', () => {
+    expect(averageOf([attempt(30), dnf(5), attempt(40), attempt(50), attempt(60)], 5)).toBe(50);
+    expect(averageOf([attempt(30), dnf(5), dnf(40), attempt(50), attempt(60)], 5)).toBe(Infinity);
+  });
+
+  it('treats higher as better where it is', () => {
+    const attempts = [0.5, 0.9, 0.7, 0.6, 0.8].map((integrity, i) => attempt(i, { integrity }));
+    expect(bestOf(attempts, 'integrity')).toBe(0.9);
+    expect(averageOf(attempts, 5, 'integrity')).toBeCloseTo(0.7);
+    expect(averageOf([...attempts.slice(1), dnf(9)], 5, 'integrity')).toBeCloseTo(0.7);
+  });
+
+  it('ignores lost attempts in bests and means', () => {
+    expect(bestOf([dnf(5), attempt(30)])).toBe(30);
+    expect(bestOf([dnf(5)])).toBe(null);
+    expect(meanOf([attempt(30), dnf(5), attempt(50)])).toBe(40);
+    expect(() => meanOf([], 'luck')).toThrow(RangeError);
+  });
+});
+
+describe('attempt series', () => {
+  it('lists each new personal best', () => {
+    const attempts = [attempt(60), attempt(70), dnf(5), attempt(45), attempt(50), attempt(40)];
+    expect(personalBests(attempts).map(pb => [pb.index, pb.value])).toEqual([[0, 60], [3, 45], [5, 40]]);
+  });
+
+  it('bins solves across their range', () => {
+    const bins = distribution([attempt(10), attempt(12), attempt(20), attempt(30), dnf(1)], 'time', 4);
+    expect(bins.map(b => b.count)).toEqual([2, 0, 1, 1]);
+    expect(bins[0].from).toBe(10);
+    expect(bins[3].to).toBe(30);
+    expect(distribution([attempt(10), attempt(10)], 'time', 4).map(b => b.count)).toEqual([2, 0, 0, 0]);
+    expect(distribution([dnf(10)])).toEqual([]);
+  });
+
+  it('summarizes a log', () => {
+    const summary = summarizeAttempts([attempt(30), dnf(5), attempt(50)]);
+    expect(summary).toEqual({ attempts: 3, solves: 2, best: 30, mean: 40, ao5: null, ao12: null });
+  });
+});
+
+describe('ProgressManager attempt log', () => {
+  beforeEach(() => localStorage.clear());
+
+  it('logs attempts per level and mode, keeping the latest', () => {
+    const progress = new ProgressManager();
+    for (let i = 0; i < MAX_ATTEMPTS_PER_LEVEL + 5; i++) progress.recordAttempt(1, attempt(i));
+    progress.recordAttempt(1, attempt(20, { mode: 'ultimate' }), 'alpha');
+
+    const reloaded = new ProgressManager();
+    expect(reloaded.getAttempts(1)).toHaveLength(MAX_ATTEMPTS_PER_LEVEL);
+    expect(reloaded.getAttempts(1)[0].time).toBe(5);
+    expect(reloaded.getAttempts(1, 'alpha')).toHaveLength(1);
+    expect(reloaded.getAttemptsByMode('ultimate').map(a => a.time)).toEqual([20]);
+
+    reloaded.resetLevelStats(1);
+    expect(reloaded.getAttempts(1)).toEqual([]);
+  });
+
+  it('merges attempt logs from a save without duplicates', () => {
+    const local = { ...emptyProgress(), attempts: { 1: [attempt(30), attempt(40)] } };
+    const incoming = { ...emptyProgress(), attempts: { 1: [attempt(40), attempt(20)], 2: [attempt(50)] } };
+    const merged = mergeProgress(local, incoming);
+    expect(merged.attempts[1].map(a => a.time)).toEqual([20, 30, 40]);
+    expect(merged.attempts[2]).toHaveLength(1);
+    expect(mergeProgress(merged, incoming)).toEqual(merged);
+  });
+});
@@ -0,0 +1,147 @@
+import { describe, it, expect, vi } from 'vitest';
+import { CubeEngine, applyMove, invertMove, computeMetrics, isValidCubies } from '../engine/index.js';
+import { makeCubies } from '../game/cubeState.js';
+
+describe('CubeEngine construction', () => {
+  it('starts solved at the requested size', () => {
+    const engine = new CubeEngine(4);
+    expect(engine.size).toBe(4);
+    expect(engine.cubies.length).toBe(4);
+    expect(engine.isSolved()).toBe(true);
+    expect(engine.moves).toBe(0);
+  });
+
+  it('rejects invalid sizes and states', () => {
+    expect(() => new CubeEngine(1)).toThrow(RangeError);
+    expect(() => new CubeEngine(3, { cubies: makeCubies(4) })).toThrow(TypeError);
+  });
+
+  it('copies a provided starting state', () => {
+    const cubies = makeCubies(3);
+    const engine = new CubeEngine(3, { cubies });
+    engine.rotate('row', 2, 1);
+    expect(cubies[0][2][0].stickers.PY.origPos).toEqual({ x: 0, y: 2, z: 0 });
+  });
+});
+
+describe('CubeEngine moves', () => {
+  it('rotations unsolve and inverse rotations resolve', () => {
+    const engine = new CubeEngine(3);
+    engine.rotate('col', 2, -1);
+    expect(engine.isSolved()).toBe(false);
+    engine.rotate('col', 2, 1);
+    expect(engine.isSolved()).toBe(true);
+    expect(engine.moves).toBe(2);
+  });
+
+  it('applies notation strings', () => {
+    const engine = new CubeEngine(3);
+    const errors = engine.applyNotation("(R U R' U')6");
+    expect(errors).toEqual([]);
+    expect(engine.moves).toBe(24);
+    expect(engine.isSolved()).toBe(true);
+  });
+
+  it('flips a sticker and its antipodal partner', () => {
+    const engine = new CubeEngine(3);
+    engine.flip({ x: 1, y: 1, z: 2 }, 'PZ');
+    expect(engine.cubies[1][1][2].stickers.PZ.curr).toBe(4);
+    expect(engine.cubies[1][1][0].stickers.NZ.curr).toBe(1);
+    expect(engine.getMetrics().flips).toBe(2);
+  });
+
+  it('throws on malformed moves', () => {
+    const engine = new CubeEngine(3);
+    expect(() => engine.apply({ type: 'rotation', axis: 'col', dir: 2, sliceIndex: 0 })).toThrow(TypeError);
+    expect(() => engine.flip({ x: 5, y: 0, z: 0 }, 'PX')).toThrow(TypeError);
+  });
+});
+
+describe('CubeEngine undo/redo', () => {
+  it('undoes and redoes rotations and flips', () => {
+    const engine = new CubeEngine(3);
+    engine.rotate('row', 2, -1).flip({ x: 0, y: 0, z: 0 }, 'NX');
+    const scrambled = engine.serialize();
+
+    expect(engine.undo().type).toBe('flip');
+    expect(engine.undo().type).toBe('rotation');
+    expect(engine.isSolved()).toBe(true);
+    expect(engine.getMetrics().flips).toBe(0);
+    expect(engine.canUndo).toBe(false);
+
+    engine.redo();
+    engine.redo();
+    expect(engine.canRedo).toBe(false);
+    expect(JSON.parse(engine.serialize()).cubies).toEqual(JSON.parse(scrambled).cubies);
+  });
+
+  it('a new move clears the redo stack', () => {
+    const engine = new CubeEngine(3);
+    engine.rotate('row', 2, -1);
+    engine.undo();
+    engine.rotate('col', 0, 1);
+    expect(engine.canRedo).toBe(false);
+  });
+
+  it('returns null when there is nothing to undo or redo', () => {
+    const engine = new CubeEngine(2);
+    expect(engine.undo()).toBeNull();
+    expect(engine.redo()).toBeNull();
+  });
+});
+
+describe('CubeEngine serialization', () => {
+  it('round-trips through JSON', () => {
+    const engine = new CubeEngine(3);
+    engine.applyNotation("R U F'");
+    engine.flip({ x: 2, y: 2, z: 2 }, 'PY');
+    engine.undo();
+
+    const copy = CubeEngine.fromJSON(engine.serialize());
+    expect(copy.size).toBe(3);
+    expect(copy.moves).toBe(engine.moves);
+    expect(copy.history).toEqual(engine.history);
+    expect(copy.canRedo).toBe(true);
+    expect(copy.cubies).toEqual(engine.cubies);
+  });
+
+  it('rejects unknown versions and corrupt histories', () => {
+    const data = new CubeEngine(3).toJSON();
+    expect(() => CubeEngine.fromJSON({ ...data, version: 99 })).toThrow(TypeError);
+    expect(() => CubeEngine.fromJSON({ ...data, history: [{ type: 'warp' }] })).toThrow(TypeError);
+  });
+});
+
+describe('CubeEngine events', () => {
+  it('emits change events with their source', () => {
+    const engine = new CubeEngine(3);
+    const listener = vi.fn();
+    const off = engine.on('change', listener);
+    engine.rotate('row', 0, 1);
+    engine.undo();
+    off();
+    engine.redo();
+    expect(listener.mock.calls.map(([e]) => e.source)).toEqual(['move', 'undo']);
+  });
+});
+
+describe('engine helpers', () => {
+  it('invertMove reverses rotations and flips back the same pair', () => {
+    expect(invertMove({ type: 'rotation', axis: 'row', dir: 1, sliceIndex: 0 }).dir).toBe(-1);
+    const flip = { type: 'flip', pos: { x: 0, y: 0, z: 0 }, dirKey: 'NX' };
+    expect(invertMove(flip)).toEqual({ ...flip, undo: true });
+    expect(invertMove(invertMove(flip))).toEqual({ ...flip, undo: false });
+  });
+
+  it('applyMove does not mutate its input', () => {
+    const cubies = makeCubies(3);
+    applyMove(cubies, 3, { type: 'flip', pos: { x: 0, y: 0, z: 0 }, dirKey: 'NX' });
+    expect(computeMetrics(cubies).flips).toBe(0);
+  });
+
+  it('isValidCubies checks shape', () => {
+    expect(isValidCubies(makeCubies(3), 3)).toBe(true);
+    expect(isValidCubies([[[]]], 3)).toBe(false);
+    expect(isValidCubies(null, 3)).toBe(false);
+  });
+});
@@ -0,0 +1,134 @@
+import { describe, it, expect } from 'vitest';
+import {
+  cycles, cycleType, permutationOrder, commutator, conjugate, compose, invert,
+} from '../utils/permutationGroup.js';
+import {
+  analyzeSequence, commutatorSequence, conjugateSequence, sequencePermutation, invertRotations, stateInvariants,
+} from '../game/cubeGroup.js';
+import { makeCubies, clone3D } from '../game/cubeState.js';
+import { applyMove } from '../engine/CubeEngine.js';
+import { notationToRotations } from '../game/notation.js';
+import { createRng, randomInt } from '../game/seededRandom.js';
+
+const turn = (cubies, size, text) => notationToRotations(text, size).rotations
+  .reduce((state, { axis, sliceIndex, dir }) => applyMove(state, size, { type: 'rotation', axis, sliceIndex, dir }), cubies);
+
+// Replace the colors of one piece, listed by direction
+const recolor = (cubies, [x, y, z], colors) => {
+  const next = clone3D(cubies);
+  for (const [dir, curr] of Object.entries(colors)) next[x][y][z].stickers[dir].curr = curr;
+  return next;
+};
+
+describe('permutation helpers', () => {
+  it('lists cycles and their type', () => {
+    const p = [1, 2, 0, 4, 3, 5];
+    expect(cycles(p)).toEqual([[0, 1, 2], [3, 4]]);
+    expect(cycleType(p)).toEqual({ 2: 1, 3: 1 });
+    expect(permutationOrder(p)).toBe(6);
+    expect(permutationOrder([0, 1, 2])).toBe(1);
+  });
+
+  it('builds commutators and conjugates', () => {
+    const p = [1, 2, 0, 3];
+    const q = [0, 1, 3, 2];
+    expect(commutator(p, q)).toEqual(compose(compose(compose(p, q), invert(p)), invert(q)));
+    expect(conjugate(p, q)).toEqual(compose(compose(p, q), invert(p)));
+    // Disjoint permutations commute
+    expect(commutator([1, 0, 2, 3], q)).toEqual([0, 1, 2, 3]);
+  });
+});
+
+describe('analyzeSequence', () => {
+  it('finds the order of a sequence', () => {
+    expect(analyzeSequence('R', 3).order).toBe(4);
+    expect(analyzeSequence("R U R' U'", 3).order).toBe(6);
+    expect(analyzeSequence('R U', 3).order).toBe(105);
+    expect(analyzeSequence("R U2 D' B D'", 3).order).toBe(1260);
+    expect(analyzeSequence('', 3)).toMatchObject({ order: 1, moved: 0, cycleType: {}, parity: 0 });
+  });
+
+  it('describes the cycle structure', () => {
+    // A quarter turn: five 4-cycles of stickers on a 3×3 (the center stays)
+    expect(analyzeSequence('R', 3)).toMatchObject({ cycleType: { 4: 5 }, moved: 20, parity: 1 });
+    // T perm: two corners and two edges swap, each sticker in a 2-cycle
+    const tPerm = analyzeSequence("R U R' U' R' F R2 U' R' U' R U R' F'", 3);
+    expect(tPerm.order).toBe(2);
+    expect(tPerm.cycleType).toEqual({ 2: 5 });
+    expect(tPerm.parity).toBe(1);
+  });
+
+  it('skips flips and reports notation errors', () => {
+    const flip = { type: 'flip', dirKey: 'PZ', pos: { x: 0, y: 0, z: 2 } };
+    const r = { type: 'rotation', axis: 'col', sliceIndex: 2, dir: 1 };
+    expect(analyzeSequence([r, flip], 3).turns).toBe(1);
+    expect(analyzeSequence('R Q', 3).errors.length).toBeGreaterThan(0);
+  });
+});
+
+describe('commutators and conjugates of sequences', () => {
+  it('matches writing them out', () => {
+    expect(sequencePermutation(commutatorSequence('R', 'U', 3).rotations, 3))
+      .toEqual(sequencePermutation(notationToRotations("R U R' U'", 3).rotations, 3));
+    expect(sequencePermutation(conjugateSequence("R U'", 'D', 3).rotations, 3))
+      .toEqual(sequencePermutation(notationToRotations("R U' D U R'", 3).rotations, 3));
+  });
+
+  it('gives the identity for turns that commute', () => {
+    expect(analyzeSequence(commutatorSequence('R', 'L', 3).rotations, 3).moved).toBe(0);
+    const { rotations } = notationToRotations("R U F'", 3);
+    expect(analyzeSequence([...rotations, ...invertRotations(rotations)], 3).order).toBe(1);
+  });
+});
+
+describe('stateInvariants', () => {
+  it('accepts any state turns reach, in any orientation', () => {
+    const rng = createRng('invariants');
+    for (const size of [2, 3, 4, 5]) {
+      expect(stateInvariants(makeCubies(size), size)).toMatchObject({ solvable: true, complete: size <= 3, violations: [] });
+      for (let trial = 0; trial < 5; trial++) {
+        let cubies = turn(makeCubies(size), size, 'x y');
+        for (let i = 0; i < 30; i++) {
+          cubies = applyMove(cubies, size, {
+            type: 'rotation', axis: ['row', 'col', 'depth'][randomInt(rng, 3)], sliceIndex: randomInt(rng, size), dir: randomInt(rng, 2) ? 1 : -1,
+          });
+        }
+        expect(stateInvariants(cubies, size).solvable).toBe(true);
+      }
+    }
+  });
+
+  it('catches a twisted corner', () => {
+    // Front-right-up corner: white on top, red front, blue right, turned once
+    const cubies = recolor(makeCubies(3), [2, 2, 2], { PY: 1, PZ: 5, PX: 3 });
+    const result = stateInvariants(cubies, 3);
+    expect(result.solvable).toBe(false);
+    expect(result.cornerTwist).not.toBe(0);
+    expect(result.violations.map(v => v.invariant)).toEqual(['corner-twist']);
+  });
+
+  it('catches a flipped edge', () => {
+    const cubies = recolor(makeCubies(3), [1, 2, 2], { PY: 1, PZ: 3 });
+    const result = stateInvariants(cubies, 3);
+    expect(result.edgeFlip).toBe(1);
+    expect(result.violations.map(v => v.invariant)).toEqual(['edge-flip']);
+  });
+
+  it('catches two swapped edges', () => {
+    // Up-front and up-back edges trade places
+    const cubies = recolor(recolor(makeCubies(3), [1, 2, 2], { PY: 3, PZ: 4 }), [1, 2, 0], { PY: 3, NZ: 1 });
+    const result = stateInvariants(turn(cubies, 3, 'R U'), 3);
+    expect(result.cornerParity).not.toBe(result.edgeParity);
+    expect(result.violations.map(v => v.invariant)).toEqual(['parity']);
+  });
+
+  it('catches pieces no cube has', () => {
+    // A corner with two white stickers
+    const corner = stateInvariants(recolor(makeCubies(2), [1, 1, 1], { PZ: 3 }), 2);
+    expect(corner.violations.map(v => v.invariant)).toContain('pieces');
+    // Two centers swapped: no orientation puts every center home
+    const centers = recolor(makeCubies(3), [1, 1, 2], { PZ: 4 });
+    const swapped = recolor(centers, [1, 1, 0], { NZ: 1 });
+    expect(stateInvariants(swapped, 3).violations.map(v => v.invariant)).toEqual(['orientation']);
+  });
+});
@@ -175,4 +175,20 @@ describe('rotateSliceCubies', () => {
 
     expect(JSON.stringify(cubies)).toBe(originalStr);
   });
+
+  it('shares cubies outside the turned slice with the previous state', () => {
+    const original = makeCubies(4);
+    const rotated = rotateSliceCubies(original, 4, 'col', 3, -1);
+    expect(rotated[0]).toBe(original[0]);
+    expect(rotated[3][0][0]).not.toBe(original[3][0][0]);
+    expect(original[3][3][3].stickers.PY.origPos).toEqual({ x: 3, y: 3, z: 3 });
+  });
+
+  it('turns inner slices of a 10×10 without touching the interior', () => {
+    let cubies = makeCubies(10);
+    const original = JSON.stringify(cubies);
+    for (let i = 0; i < 4; i++) cubies = rotateSliceCubies(cubies, 10, 'depth', 4, 1);
+    expect(cubies[5][5][4]).toBeNull();
+    expect(JSON.stringify(cubies)).toBe(original);
+  });
 });
@@ -4,7 +4,7 @@
 // npm install -D vitest @vitest/ui
 
 import { describe, it, expect } from 'vitest';
-import { makeCubies, clone3D } from '../game/cubeState.js';
+import { makeCubies, clone3D, surfacePositions, forEachCubie, isSurfacePosition } from '../game/cubeState.js';
 
 describe('makeCubies', () => {
   it('should create a 3x3x3 cube with correct dimensions', () => {
@@ -36,7 +36,7 @@ describe('makeCubies', () => {
     for (let x = 0; x < 3; x++) {
       for (let y = 0; y < 3; y++) {
         for (let z = 0; z < 3; z++) {
-          Object.values(cubies[x][y][z].stickers).forEach(sticker => {
+          Object.values(cubies[x][y][z]?.stickers ?? {}).forEach(sticker => {
             allStickers.push(sticker);
           });
         }
@@ -67,6 +67,28 @@ describe('makeCubies', () => {
   });
 });
 
+describe('surface-only layout', () => {
+  it('does not allocate interior cubies', () => {
+    const cubies = makeCubies(4);
+    expect(cubies[1][2][1]).toBeNull();
+    expect(cubies[0][2][1]).not.toBeNull();
+  });
+
+  it('lists every shell position once', () => {
+    for (const size of [2, 3, 10]) {
+      const positions = surfacePositions(size);
+      expect(positions.length).toBe(size ** 3 - Math.max(0, size - 2) ** 3);
+      expect(positions.every(([x, y, z]) => isSurfacePosition(x, y, z, size))).toBe(true);
+    }
+  });
+
+  it('forEachCubie visits all 6·n² stickers', () => {
+    let stickers = 0;
+    forEachCubie(makeCubies(10), (c) => { stickers += Object.keys(c.stickers).length; });
+    expect(stickers).toBe(600);
+  });
+});
+
 describe('clone3D', () => {
   it('should create a deep copy of the cube state', () => {
     const original = makeCubies(3);
@@ -0,0 +1,98 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  dailyKey, shiftDailyKey, dailySeed, createDailyLevel, dailyStreak, formatDailyResult, DAILY_RULES,
+} from '../levels/daily.js';
+import { validateLevel } from '../levels/validation.js';
+import { buildLevelStart } from '../levels/startState.js';
+import { ProgressManager } from '../levels/ProgressManager.js';
+
+const result = (overrides = {}) => ({ time: 95, moves: 42, flips: 3, integrity: 0.8125, ...overrides });
+
+describe('daily challenge levels', () => {
+  it('writes local dates as YYYY-MM-DD and steps across month ends', () => {
+    expect(dailyKey(new Date(2026, 0, 5))).toBe('2026-01-05');
+    expect(shiftDailyKey('2026-03-01', -1)).toBe('2026-02-28');
+    expect(shiftDailyKey('2026-12-31', 1)).toBe('2027-01-01');
+    expect(() => shiftDailyKey('yesterday', 1)).toThrow(RangeError);
+  });
+
+  it('gives everyone the same puzzle for a day', () => {
+    const a = createDailyLevel('2026-10-19');
+    const b = createDailyLevel('2026-10-19');
+    expect(a).toEqual(b);
+    expect(a.daily).toBe('2026-10-19');
+    expect(a.seed).toBe(dailySeed('2026-10-19'));
+    expect(buildLevelStart(a).cubies).toEqual(buildLevelStart(b).cubies);
+  });
+
+  it('builds valid levels within the daily rules', () => {
+    const keys = Array.from({ length: 20 }, (_, i) => shiftDailyKey('2026-01-01', i));
+    const levels = keys.map(key => createDailyLevel(key));
+
+    for (const level of levels) {
+      expect(validateLevel(level).valid).toBe(true);
+      expect(DAILY_RULES.sizes).toContain(level.cubeSize);
+      expect(level.features.chaos).toBe(level.chaosLevel > 0);
+      if (!level.features.flips) expect(level.start.flips).toEqual([]);
+    }
+    expect(new Set(levels.map(l => `${l.cubeSize}${l.mode}${l.chaosLevel}`)).size).toBeGreaterThan(1);
+  });
+});
+
+describe('daily streaks', () => {
+  it('counts back from today, or from yesterday before today is played', () => {
+    const history = { '2026-10-16': result(), '2026-10-17': result(), '2026-10-18': result() };
+    expect(dailyStreak(history, '2026-10-18')).toEqual({ current: 3, best: 3 });
+    expect(dailyStreak(history, '2026-10-19')).toEqual({ current: 3, best: 3 });
+    expect(dailyStreak(history, '2026-10-20')).toEqual({ current: 0, best: 3 });
+  });
+
+  it('keeps the longest run separately from the current one', () => {
+    const history = {
+      '2026-09-28': result(), '2026-09-29': result(), '2026-09-30': result(), '2026-10-01': result(),
+      '2026-10-18': result(),
+    };
+    expect(dailyStreak(history, '2026-10-18')).toEqual({ current: 1, best: 4 });
+  });
+
+  it('formats a shareable result', () => {
+    const text = formatDailyResult('2026-10-19', result(), { current: 4, best: 9 });
+    expect(text).toContain('WORM³ Daily 2026-10-19');
+    expect(text).toContain(createDailyLevel('2026-10-19').description);
+    expect(text).toContain('1:35 · 42 moves · 3 flips');
+    expect(text).toContain('I(T) 0.813');
+    expect(text).toContain('4-day streak');
+  });
+});
+
+describe('ProgressManager daily history', () => {
+  let progress;
+
+  beforeEach(() => {
+    localStorage.clear();
+    progress = new ProgressManager();
+  });
+
+  it('keeps the first solve of a day and persists it', () => {
+    const first = progress.recordDailyResult('2026-10-18', result());
+    expect(first.isFirst).toBe(true);
+    expect(first.streak).toEqual({ current: 1, best: 1 });
+
+    const replay = progress.recordDailyResult('2026-10-18', result({ moves: 10 }));
+    expect(replay.isFirst).toBe(false);
+    expect(replay.result.moves).toBe(42);
+
+    progress.recordDailyResult('2026-10-19', result());
+    const reloaded = new ProgressManager();
+    expect(reloaded.getDailyResult('2026-10-18').moves).toBe(42);
+    expect(reloaded.getDailyStreak('2026-10-19')).toEqual({ current: 2, best: 2 });
+    expect(reloaded.getDailyResult('2026-10-20')).toBe(null);
+  });
+
+  it('forgets daily history on a full reset', () => {
+    progress.recordDailyResult('2026-10-19', result());
+    progress.resetAllProgress(true);
+    expect(progress.getDailyStreak('2026-10-19')).toEqual({ current: 0, best: 0 });
+    expect(new ProgressManager().getDailyResult('2026-10-19')).toBe(null);
+  });
+});
@@ -0,0 +1,96 @@
+import { describe, it, expect } from 'vitest';
+import { solveWithFlips, flipsToFinish, isQuotientSolved } from '../game/flipSolver.js';
+import { CubeEngine, applyMove } from '../engine/CubeEngine.js';
+import { makeCubies } from '../game/cubeState.js';
+import { detectWinConditions } from '../game/winDetection.js';
+import { WIN_CONDITIONS } from '../levels/schema.js';
+
+// Flip a few pairs, then scramble
+const prepare = (size, notation, flips = 0) => {
+  const engine = new CubeEngine(size);
+  const s = size - 1;
+  const targets = [[{ x: 0, y: 0, z: 0 }, 'NX'], [{ x: s, y: s, z: s }, 'PY'], [{ x: 1, y: s, z: s }, 'PZ']];
+  for (const [pos, dirKey] of targets.slice(0, flips)) engine.flip(pos, dirKey);
+  if (notation) engine.applyNotation(notation);
+  return engine.cubies;
+};
+
+const play = (cubies, size, steps) => steps.reduce((state, move) => applyMove(state, size, move), cubies);
+
+describe('flipsToFinish / isQuotientSolved', () => {
+  it('counts flipped pairs on an otherwise solved cube', () => {
+    expect(flipsToFinish(makeCubies(3), 3)).toBe(0);
+    expect(flipsToFinish(prepare(3, '', 3), 3)).toBe(3);
+  });
+
+  it('returns null while rotations are still needed', () => {
+    expect(flipsToFinish(prepare(3, 'R', 1), 3)).toBeNull();
+  });
+
+  it('treats antipodal faces as equal in the quotient', () => {
+    expect(isQuotientSolved(prepare(3, 'R2'))).toBe(true);
+    expect(isQuotientSolved(prepare(3, 'R'))).toBe(false);
+  });
+});
+
+describe('solveWithFlips', () => {
+  it('returns an empty solution for a solved cube', () => {
+    const result = solveWithFlips(makeCubies(3), 3);
+    expect(result).toMatchObject({ ok: true, length: 0, optimal: true });
+  });
+
+  it('finds optimal combined solutions', () => {
+    for (const [size, notation, flips, length] of [[3, '', 3, 3], [3, 'R U', 2, 4], [4, "R U'", 1, 3], [5, 'R', 2, 3]]) {
+      const cubies = prepare(size, notation, flips);
+      const result = solveWithFlips(cubies, size);
+      expect(result.ok).toBe(true);
+      expect(result.optimal).toBe(true);
+      expect(result.length).toBe(length);
+      expect(result.flipCount).toBe(flips);
+      expect(detectWinConditions(play(cubies, size, result.steps), size).rubiks).toBe(true);
+    }
+  });
+
+  it('labels steps with notation and manifold ids', () => {
+    const result = solveWithFlips(prepare(3, 'R U', 1), 3);
+    expect(result.moves).toEqual([expect.stringMatching(/^⇅M\d-\d{3}$/), "U'", "R'"]);
+  });
+
+  it('flips through the twin tile when a tile is cooling down', () => {
+    const cubies = prepare(3, '', 1);
+    const free = solveWithFlips(cubies, 3).steps[0];
+    const blocked = (x, y, z, dirKey) => x === free.pos.x && y === free.pos.y && z === free.pos.z && dirKey === free.dirKey;
+    const result = solveWithFlips(cubies, 3, { isBlocked: blocked });
+    expect(result.steps[0].pos).not.toEqual(free.pos);
+    expect(detectWinConditions(play(cubies, 3, result.steps), 3).rubiks).toBe(true);
+  });
+
+  it('ignores colors for the Sudokube goal', () => {
+    const result = solveWithFlips(prepare(4, '', 2), 4, { goal: WIN_CONDITIONS.SUDOKUBE });
+    expect(result.length).toBe(0);
+  });
+
+  it('falls back to the two-phase solver for deep 3×3 scrambles', () => {
+    const cubies = prepare(3, "R U F' L2 D B' R2 U F L' D2 B", 2);
+    const result = solveWithFlips(cubies, 3, { timeBudgetMs: 50 });
+    expect(result.ok).toBe(true);
+    expect(result.optimal).toBe(false);
+    expect(result.flipCount).toBe(2);
+    expect(detectWinConditions(play(cubies, 3, result.steps), 3).rubiks).toBe(true);
+  }, 30000);
+
+  it('solves deep 2×2 scrambles with the <U, R, F> solver', () => {
+    const cubies = prepare(2, "L D' B2 R U' F D L' B U2 R' F2 D", 2);
+    const result = solveWithFlips(cubies, 2, { timeBudgetMs: 50 });
+    expect(result.ok).toBe(true);
+    expect(result.flipCount).toBe(2);
+    expect(detectWinConditions(play(cubies, 2, result.steps), 2).rubiks).toBe(true);
+  }, 30000);
+
+  it('reports how deep it searched when a big cube is out of reach', () => {
+    const result = solveWithFlips(prepare(4, "R U F' Lw D2 Bw' R2 Uw"), 4, { timeBudgetMs: 50 });
+    expect(result.ok).toBe(false);
+    expect(result.searchedTurns).toBeGreaterThanOrEqual(1);
+    expect(result.error).toBe(`Hints on a 4×4 only reach cubes a few turns from solved; this one needs more than ${result.searchedTurns}`);
+  });
+});
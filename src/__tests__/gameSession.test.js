@@ -0,0 +1,72 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { renderHook, act } from './renderHook.js';
+import { useGameSession } from '../hooks/useGameSession.js';
+import { useGameStore } from '../hooks/useGameStore.js';
+import { useLevelSystem } from '../hooks/useLevelSystem.js';
+import { createLevel } from '../levels/schema.js';
+import { makeCubies } from '../game/cubeState.js';
+
+const initialState = useGameStore.getInitialState();
+
+describe('useGameSession timer', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+    useGameStore.setState({ ...initialState, gameStartTime: Date.now() }, true);
+  });
+  afterEach(() => vi.useRealTimers());
+
+  it('stops while a replay is viewed and resumes where it stopped', () => {
+    const { unmount } = renderHook(() => useGameSession());
+    act(() => vi.advanceTimersByTime(3000));
+    expect(useGameStore.getState().gameTime).toBe(3);
+
+    act(() => useGameStore.getState().setReplayViewing(true));
+    act(() => vi.advanceTimersByTime(60000));
+    expect(useGameStore.getState().gameTime).toBe(3);
+
+    act(() => useGameStore.getState().setReplayViewing(false));
+    act(() => vi.advanceTimersByTime(2000));
+    expect(useGameStore.getState().gameTime).toBe(5);
+    unmount();
+  });
+});
+
+describe('useGameSession level limits', () => {
+  const level = createLevel({ id: 1, cubeSize: 3, moveLimit: 5 });
+
+  // A scrambled 3×3 attempt at `level` that has used up its moves
+  const outOfMoves = () => {
+    const scrambled = makeCubies(3);
+    scrambled[2][2][2].stickers.PZ.curr = 4;
+    useGameStore.setState({
+      ...initialState,
+      size: 3,
+      cubies: scrambled,
+      currentLevelData: level,
+      hasShuffled: true,
+      showMainMenu: false,
+      moves: 6,
+    }, true);
+  };
+
+  it('leaves a failed attempt for level select without failing it again', () => {
+    outOfMoves();
+    const { result, unmount } = renderHook(() => ({ session: useGameSession(), levels: useLevelSystem() }));
+    expect(useGameStore.getState().defeat).toBe('moves');
+
+    act(() => result.current.levels.handleLeaveLevel());
+    const state = useGameStore.getState();
+    expect(state.defeat).toBeNull();
+    expect(state.currentLevelData).toBeNull();
+    expect(state.showLevelSelect).toBe(true);
+    unmount();
+  });
+
+  it('does not fail an attempt while a menu covers the cube', () => {
+    outOfMoves();
+    useGameStore.setState({ showLevelSelect: true });
+    const { unmount } = renderHook(() => useGameSession());
+    expect(useGameStore.getState().defeat).toBeNull();
+    unmount();
+  });
+});
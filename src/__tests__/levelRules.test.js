@@ -0,0 +1,46 @@
+import { describe, it, expect } from 'vitest';
+import { createLevel, WIN_CONDITIONS } from '../levels/schema.js';
+import { DEFEAT_REASONS, levelVictory, levelBudget, levelDefeat } from '../levels/rules.js';
+
+const NO_WINS = { rubiks: false, sudokube: false, ultimate: false, worm: false };
+
+describe('levelVictory', () => {
+  it('only accepts the level\'s own win condition', () => {
+    const sudokube = createLevel({ id: 1, winCondition: WIN_CONDITIONS.SUDOKUBE });
+    expect(levelVictory(sudokube, { ...NO_WINS, rubiks: true })).toBeNull();
+    expect(levelVictory(sudokube, { ...NO_WINS, sudokube: true })).toBe('sudokube');
+  });
+
+  it('maps classic levels to a rubiks victory', () => {
+    const classic = createLevel({ id: 1 });
+    expect(levelVictory(classic, { ...NO_WINS, rubiks: true })).toBe('rubiks');
+    expect(levelVictory(classic, NO_WINS)).toBeNull();
+  });
+
+  it('ultimate levels need both constraints', () => {
+    const ultimate = createLevel({ id: 1, winCondition: WIN_CONDITIONS.ULTIMATE });
+    expect(levelVictory(ultimate, { ...NO_WINS, rubiks: true, sudokube: true })).toBeNull();
+    expect(levelVictory(ultimate, { rubiks: true, sudokube: true, ultimate: true, worm: false })).toBe('ultimate');
+  });
+});
+
+describe('levelBudget / levelDefeat', () => {
+  it('has no limits by default', () => {
+    const level = createLevel({ id: 1 });
+    expect(levelBudget(level, { moves: 999, elapsed: 9999 })).toEqual({ timeLeft: null, movesLeft: null });
+    expect(levelDefeat(level, { moves: 999, elapsed: 9999 })).toBeNull();
+  });
+
+  it('counts down time and moves', () => {
+    const level = createLevel({ id: 1, timeLimit: 60, moveLimit: 20 });
+    expect(levelBudget(level, { moves: 5, elapsed: 15 })).toEqual({ timeLeft: 45, movesLeft: 15 });
+    expect(levelBudget(level, { moves: 30, elapsed: 90 })).toEqual({ timeLeft: 0, movesLeft: 0 });
+  });
+
+  it('fails when either limit runs out', () => {
+    const level = createLevel({ id: 1, timeLimit: 60, moveLimit: 20 });
+    expect(levelDefeat(level, { moves: 19, elapsed: 59 })).toBeNull();
+    expect(levelDefeat(level, { moves: 3, elapsed: 60 })).toBe(DEFEAT_REASONS.TIME);
+    expect(levelDefeat(level, { moves: 20, elapsed: 10 })).toBe(DEFEAT_REASONS.MOVES);
+  });
+});
@@ -0,0 +1,74 @@
+import { describe, it, expect } from 'vitest';
+import { createLevel } from '../levels/schema.js';
+import { validateLevel } from '../levels/validation.js';
+import { defaultScrambleLength, validateLevelStart, buildLevelStart } from '../levels/startState.js';
+import { createRng } from '../game/seededRandom.js';
+import { makeCubies } from '../game/cubeState.js';
+import { applyMove } from '../engine/CubeEngine.js';
+import { encodeCubeState } from '../engine/stateCodec.js';
+
+const code = (cubies) => encodeCubeState(cubies, 3);
+const R = { type: 'rotation', axis: 'col', dir: -1, sliceIndex: 2 };
+const corner = { pos: { x: 0, y: 0, z: 0 }, dirKey: 'NX' };
+
+describe('buildLevelStart', () => {
+  it('gives levels without a start a seeded scramble that grows with the level', () => {
+    const level = createLevel({ id: 2, cubeSize: 3 });
+    const a = buildLevelStart(level, { rng: createRng('K7QM2XPA') });
+    const b = buildLevelStart(level, { rng: createRng('K7QM2XPA') });
+    expect(code(a.cubies)).toBe(code(b.cubies));
+    expect(a.scrambleText.split(' ')).toHaveLength(defaultScrambleLength(level));
+    expect(defaultScrambleLength(level)).toBe(14);
+    expect(defaultScrambleLength(createLevel({ id: 10 }))).toBe(25);
+    expect(a.undoLength).toBeGreaterThanOrEqual(defaultScrambleLength(level));
+  });
+
+  it('applies the authored scramble and flips, and labels them', () => {
+    const level = createLevel({ id: 1, cubeSize: 3, start: { scramble: 'R', flips: [corner] } });
+    const built = buildLevelStart(level);
+    const expected = applyMove(applyMove(makeCubies(3), 3, R), 3, { type: 'flip', ...corner });
+    expect(code(built.cubies)).toBe(code(expected));
+    expect(built.scrambleText).toMatch(/^R ⇅M\d-\d+$/);
+    expect(built.refractory).toEqual([]);
+    expect(built.undoLength).toBe(2);
+    expect(buildLevelStart(createLevel({ id: 1, cubeSize: 3, start: { scramble: 'R2 U' } })).undoLength).toBe(3);
+  });
+
+  it('starts from a state code and presets flip counts and refractory tiles', () => {
+    const state = code(applyMove(makeCubies(3), 3, R));
+    const level = createLevel({
+      id: 1,
+      cubeSize: 3,
+      start: { state, flipCounts: [{ ...corner, flips: 4 }], refractory: [corner] },
+    });
+    const built = buildLevelStart(level);
+    expect(built.cubies[0][0][0].stickers.NX.flips).toBe(4);
+    expect(built.cubies[2][2][2].stickers.PX).toEqual(applyMove(makeCubies(3), 3, R)[2][2][2].stickers.PX);
+    expect(built.scrambleText).toBeNull();
+    expect(built.refractory).toEqual([corner]);
+    expect(built.undoLength).toBeNull();
+  });
+});
+
+describe('validateLevelStart', () => {
+  it('accepts no start and a well-formed one', () => {
+    expect(validateLevelStart(null, 3)).toEqual([]);
+    expect(validateLevelStart({ scramble: "R U R' U'", flips: [corner] }, 3)).toEqual([]);
+  });
+
+  it('reports bad states, notation and sticker refs', () => {
+    const wrongSize = encodeCubeState(makeCubies(2), 2);
+    expect(validateLevelStart({ state: wrongSize }, 3)[0]).toMatch(/2×2/);
+    expect(validateLevelStart({ state: 'nope' }, 3)).toHaveLength(1);
+    expect(validateLevelStart({ scramble: 'R Q' }, 3)[0]).toMatch(/^Start scramble/);
+    expect(validateLevelStart({ flips: [{ pos: { x: 1, y: 1, z: 1 }, dirKey: 'PX' }] }, 3)[0]).toMatch(/not a sticker/);
+    expect(validateLevelStart({ flipCounts: [{ ...corner, flips: -1 }] }, 3)[0]).toMatch(/flips count/);
+    expect(validateLevelStart({ refractory: 'all' }, 3)).toEqual(['Start refractory must be an array']);
+  });
+
+  it('is part of level validation and blocks building', () => {
+    const level = createLevel({ id: 1, name: 'Bad', cubeSize: 3, start: { scramble: 'R Q' } });
+    expect(validateLevel(level).valid).toBe(false);
+    expect(() => buildLevelStart(level)).toThrow(TypeError);
+  });
+});
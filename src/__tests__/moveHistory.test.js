@@ -0,0 +1,120 @@
+import { describe, it, expect } from 'vitest';
+import {
+  HISTORY_ROOT, createHistory, recordMove, movesTo, undoTarget, redoTarget,
+  branchTip, pathBetween, moveTo, timeline,
+} from '../game/moveHistory.js';
+import { applyMove, invertMove } from '../engine/CubeEngine.js';
+import { makeCubies } from '../game/cubeState.js';
+import { useGameStore } from '../hooks/useGameStore.js';
+
+const R = { type: 'rotation', axis: 'col', dir: -1, sliceIndex: 2 };
+const U = { type: 'rotation', axis: 'row', dir: 1, sliceIndex: 2 };
+const F = { type: 'rotation', axis: 'depth', dir: 1, sliceIndex: 2 };
+const flip = { type: 'flip', pos: { x: 0, y: 0, z: 0 }, dirKey: 'NX' };
+const echo = (m) => ({ ...m, source: 'echo' });
+
+const record = (history, ...moves) => moves.reduce(recordMove, history);
+
+describe('recordMove / undo / redo', () => {
+  it('records moves in order', () => {
+    const h = record(createHistory(), R, U);
+    expect(movesTo(h)).toEqual([R, U]);
+    expect(undoTarget(createHistory())).toBeNull();
+    expect(redoTarget(h)).toBeNull();
+  });
+
+  it('undo leaves the future in place for redo', () => {
+    const h = record(createHistory(), R, U);
+    const back = moveTo(h, undoTarget(h));
+    expect(movesTo(back)).toEqual([R]);
+    expect(moveTo(back, redoTarget(back)).current).toBe(h.current);
+  });
+
+  it('a new move after undo starts a branch and keeps the old one', () => {
+    let h = record(createHistory(), R, U);
+    const oldTip = h.current;
+    h = recordMove(moveTo(h, undoTarget(h)), F);
+    expect(movesTo(h)).toEqual([R, F]);
+    expect(movesTo(h, oldTip)).toEqual([R, U]);
+    expect(h.nodes[1].children).toHaveLength(2);
+  });
+
+  it('repeating an existing branch move follows it', () => {
+    let h = record(createHistory(), R, U);
+    const size = h.nodes.length;
+    h = recordMove(moveTo(h, undoTarget(h)), { ...U, timestamp: 123 });
+    expect(h.nodes).toHaveLength(size);
+    expect(movesTo(h)).toEqual([R, U]);
+  });
+
+  it('undoes and redoes automatic moves with the player move they followed', () => {
+    const h = record(createHistory(), R, U, echo(U), { ...flip, source: 'chaos' });
+    const target = undoTarget(h);
+    expect(movesTo(h, target)).toEqual([R]);
+    const back = moveTo(h, target);
+    expect(redoTarget(back)).toBe(h.current);
+  });
+
+  it('redo follows the most recently visited branch', () => {
+    let h = record(createHistory(), R, U);
+    const first = h.current;
+    h = recordMove(moveTo(h, undoTarget(h)), F);
+    h = moveTo(h, first);
+    h = moveTo(h, undoTarget(h));
+    expect(redoTarget(h)).toBe(first);
+    expect(branchTip(h, HISTORY_ROOT)).toBe(first);
+  });
+});
+
+describe('pathBetween', () => {
+  it('backs up to the fork and replays the other branch', () => {
+    let h = record(createHistory(), R, U, flip);
+    const from = h.current;
+    h = record(moveTo(h, 1), F);
+    const steps = pathBetween(h, from, h.current);
+    expect(steps).toEqual([
+      { move: flip, forward: false },
+      { move: U, forward: false },
+      { move: F, forward: true },
+    ]);
+  });
+
+  it('walking the path reproduces the target state', () => {
+    let h = record(createHistory(), R, U, flip);
+    const from = h.current;
+    h = record(moveTo(h, 1), F, echo(F));
+    const replay = (moves) => moves.reduce((s, m) => applyMove(s, 3, m), makeCubies(3));
+
+    const start = replay(movesTo(h, from));
+    const walked = pathBetween(h, from, h.current)
+      .reduce((s, { move, forward }) => applyMove(s, 3, forward ? move : invertMove(move)), start);
+    expect(walked).toEqual(replay(movesTo(h)));
+  });
+});
+
+describe('timeline', () => {
+  it('lists the current path then the redo line', () => {
+    let h = record(createHistory(), R, U, F);
+    h = moveTo(h, 1);
+    h = recordMove(h, flip);
+    h = moveTo(h, 1);
+    const rows = timeline(h);
+    expect(rows.map(r => r.move)).toEqual([null, R, flip]);
+    expect(rows.map(r => r.current)).toEqual([false, true, false]);
+    expect(rows[2]).toMatchObject({ future: true, siblings: 2, branch: 1 });
+  });
+});
+
+describe('store history', () => {
+  it('keeps moveHistory in step with the tree and has no length cap', () => {
+    const store = useGameStore.getState();
+    store.clearHistory();
+    for (let i = 0; i < 30; i++) useGameStore.getState().addToHistory(i % 2 ? R : U);
+    expect(useGameStore.getState().moveHistory).toHaveLength(30);
+
+    useGameStore.getState().setHistoryCursor(10);
+    expect(useGameStore.getState().moveHistory).toHaveLength(10);
+    expect(useGameStore.getState().historyTree.nodes).toHaveLength(31);
+    useGameStore.getState().clearHistory();
+  });
+});
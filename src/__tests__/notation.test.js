@@ -0,0 +1,194 @@
+import { describe, it, expect } from 'vitest';
+import {
+  parseNotation,
+  flattenNotation,
+  formatNotation,
+  canonicalizeNotation,
+  invertNotation,
+  expandNotationMove,
+  notationToRotations,
+  rotationToNotation,
+} from '../game/notation.js';
+import { namedMoveToRotation, expandMove } from '../game/handsInput.js';
+import { makeCubies } from '../game/cubeState.js';
+import { rotateSliceCubies } from '../game/cubeRotation.js';
+import { checkRubiksSolved } from '../game/winDetection.js';
+
+const applyNotation = (notation, size) => {
+  let state = makeCubies(size);
+  for (const { axis, dir, sliceIndex } of notationToRotations(notation, size).rotations) {
+    state = rotateSliceCubies(state, size, axis, sliceIndex, dir);
+  }
+  return state;
+};
+
+describe('parseNotation', () => {
+  it('parses face moves with amounts', () => {
+    const { nodes, errors } = parseNotation("R U' F2 B2'");
+    expect(errors).toEqual([]);
+    expect(nodes.map((n) => n.amount)).toEqual([1, -1, 2, -2]);
+  });
+
+  it('parses moves written without spaces', () => {
+    const { nodes } = parseNotation("RUR'U'");
+    expect(nodes.length).toBe(4);
+  });
+
+  it('resolves wide and inner-slice layer ranges', () => {
+    const [rw, r, threeRw, twoR, range] = parseNotation('Rw r 3Rw 2R 3-4Uw').nodes;
+    expect([rw.from, rw.to]).toEqual([1, 2]);
+    expect([r.from, r.to]).toEqual([1, 2]);
+    expect([threeRw.from, threeRw.to]).toEqual([1, 3]);
+    expect([twoR.from, twoR.to]).toEqual([2, 2]);
+    expect([range.face, range.from, range.to]).toEqual(['U', 3, 4]);
+  });
+
+  it('parses groups, commutators and conjugates', () => {
+    const { nodes, errors } = parseNotation("(R U R' U')3 [R, U] [F: R U R']");
+    expect(errors).toEqual([]);
+    expect(nodes.map((n) => n.type)).toEqual(['group', 'commutator', 'conjugate']);
+    expect(nodes[0].repeat).toBe(3);
+  });
+
+  it('reports unknown tokens without throwing', () => {
+    const { nodes, errors } = parseNotation('R Q U');
+    expect(nodes.length).toBe(2);
+    expect(errors.length).toBe(1);
+    expect(errors[0].index).toBe(2);
+  });
+
+  it('reports unbalanced brackets', () => {
+    expect(parseNotation('(R U').errors.length).toBe(1);
+    expect(parseNotation('R U)').errors.length).toBe(1);
+    expect(parseNotation('[R U]').errors.length).toBe(1);
+  });
+});
+
+describe('flattenNotation', () => {
+  const flat = (s) => flattenNotation(parseNotation(s).nodes).map((m) => `${m.face}${m.amount}`);
+
+  it('repeats groups', () => {
+    expect(flat('(R U)2')).toEqual(['R1', 'U1', 'R1', 'U1']);
+  });
+
+  it('expands a commutator to A B A\' B\'', () => {
+    expect(flat('[R, U]')).toEqual(['R1', 'U1', 'R-1', 'U-1']);
+  });
+
+  it('expands a conjugate to A B A\'', () => {
+    expect(flat("[F: R U]")).toEqual(['F1', 'R1', 'U1', 'F-1']);
+  });
+
+  it('normalises amounts and drops identity moves', () => {
+    expect(flat('R3 U4 F5')).toEqual(['R-1', 'F1']);
+  });
+});
+
+describe('formatNotation', () => {
+  it('round-trips canonical notation unchanged', () => {
+    const s = "(R U R' U')3 [R, U] [F: R U R'] 3Rw2 2-3Uw' 2R M2 x y' z2";
+    expect(canonicalizeNotation(s)).toBe(s);
+  });
+
+  it('canonicalises lowercase wide moves and spacing', () => {
+    expect(canonicalizeNotation("r  u'(R U)1 3r")).toBe("Rw Uw' (R U) 3Rw");
+  });
+
+  it('inverts sequences', () => {
+    const inv = invertNotation(parseNotation("R U2 [F, D]").nodes);
+    expect(formatNotation(inv)).toBe("[D, F] U2' R'");
+  });
+});
+
+describe('expandNotationMove', () => {
+  it('maps face moves to the same rotations as the Home Grip table', () => {
+    expect(expandNotationMove(parseNotation('R').nodes[0], 3)).toEqual([{ axis: 'col', dir: -1, sliceIndex: 2 }]);
+    expect(expandNotationMove(parseNotation("L'").nodes[0], 3)).toEqual([{ axis: 'col', dir: -1, sliceIndex: 0 }]);
+    expect(expandNotationMove(parseNotation('U').nodes[0], 3)).toEqual([{ axis: 'row', dir: -1, sliceIndex: 2 }]);
+  });
+
+  it('expands wide moves into one rotation per slice', () => {
+    const rots = expandNotationMove(parseNotation('3Rw').nodes[0], 5);
+    expect(rots.map((r) => r.sliceIndex)).toEqual([4, 3, 2]);
+  });
+
+  it('counts inner slices from the named face', () => {
+    expect(expandNotationMove(parseNotation('2R').nodes[0], 4)).toEqual([{ axis: 'col', dir: -1, sliceIndex: 2 }]);
+    expect(expandNotationMove(parseNotation('2L').nodes[0], 4)).toEqual([{ axis: 'col', dir: 1, sliceIndex: 1 }]);
+  });
+
+  it('rotates every slice for cube rotations', () => {
+    const rots = expandNotationMove(parseNotation('y2').nodes[0], 3);
+    expect(rots.length).toBe(6);
+    expect(rots.every((r) => r.axis === 'row' && r.dir === -1)).toBe(true);
+  });
+
+  it('returns null for moves that do not fit the cube', () => {
+    expect(expandNotationMove(parseNotation('4Rw').nodes[0], 3)).toBeNull();
+  });
+});
+
+describe('notationToRotations', () => {
+  it('tags each rotation with its canonical move', () => {
+    const { rotations } = notationToRotations('r2', 3);
+    expect(rotations.length).toBe(4);
+    expect(rotations.every((r) => r.notation === 'Rw2')).toBe(true);
+  });
+
+  it('reports moves that are too deep for the size', () => {
+    const { rotations, errors } = notationToRotations('R 3Rw', 2);
+    expect(rotations.length).toBe(1);
+    expect(errors.length).toBe(1);
+  });
+
+  it('returns to solved after (R U R\' U\')6', () => {
+    expect(checkRubiksSolved(applyNotation("(R U R' U')6", 3), 3)).toBe(true);
+  });
+
+  it('undoes a conjugate with its inverse on a 4×4', () => {
+    expect(checkRubiksSolved(applyNotation("[Rw: U] Rw U' Rw'", 4), 4)).toBe(true);
+  });
+
+  it('treats cube rotations as real turns of every slice', () => {
+    expect(checkRubiksSolved(applyNotation('[x, y]', 3), 3)).toBe(false);
+    expect(checkRubiksSolved(applyNotation('x2 y2 z2', 3), 3)).toBe(true);
+  });
+});
+
+describe('rotationToNotation', () => {
+  it('names outer, inner and middle slices', () => {
+    expect(rotationToNotation({ axis: 'col', dir: -1, sliceIndex: 2 }, 3)).toBe('R');
+    expect(rotationToNotation({ axis: 'row', dir: -1, sliceIndex: 0 }, 3)).toBe("D'");
+    expect(rotationToNotation({ axis: 'col', dir: 1, sliceIndex: 1 }, 3)).toBe('M');
+    expect(rotationToNotation({ axis: 'col', dir: 1, sliceIndex: 1 }, 4)).toBe('2L');
+    expect(rotationToNotation({ axis: 'depth', dir: 1, sliceIndex: 3 }, 5)).toBe("2F'");
+  });
+
+  it('round-trips through notationToRotations for every slice', () => {
+    for (const size of [3, 4, 5]) {
+      for (const axis of ['row', 'col', 'depth']) {
+        for (let sliceIndex = 0; sliceIndex < size; sliceIndex++) {
+          for (const dir of [1, -1]) {
+            const [rot] = notationToRotations(rotationToNotation({ axis, dir, sliceIndex }, size), size).rotations;
+            expect(rot).toMatchObject({ axis, dir, sliceIndex });
+          }
+        }
+      }
+    }
+  });
+});
+
+describe('handsInput compatibility', () => {
+  it('namedMoveToRotation handles double moves', () => {
+    expect(namedMoveToRotation('U2', 3)).toEqual({ axis: 'row', dir: -1, sliceIndex: 2, turns: 2 });
+  });
+
+  it('namedMoveToRotation returns null for multi-slice moves', () => {
+    expect(namedMoveToRotation('Rw', 3)).toBeNull();
+    expect(namedMoveToRotation('x', 3)).toBeNull();
+  });
+
+  it('expandMove expands wide moves', () => {
+    expect(expandMove("Rw'", 4).length).toBe(2);
+  });
+});
@@ -0,0 +1,125 @@
+import { describe, it, expect } from 'vitest';
+import {
+  createDraftPack, createDraftLevel, renumberLevels, exportLevelPack, parseLevelPack, packFileName,
+  migrateLevelPack, PACK_FORMAT, PACK_SCHEMA_VERSION,
+} from '../levels/packFile.js';
+import { installPackFile, restoreInstalledPacks, removeInstalledPack } from '../levels/packStorage.js';
+import { validateLevelPack } from '../levels/validation.js';
+import { LevelsManager } from '../levels/LevelsManager.js';
+import { LEVEL_TAGS } from '../levels/schema.js';
+import { encodeCubeState } from '../engine/stateCodec.js';
+import { makeCubies } from '../game/cubeState.js';
+
+describe('drafts', () => {
+  it('starts with a valid one-level community pack', () => {
+    const pack = createDraftPack();
+    expect(pack.levels).toHaveLength(1);
+    expect(pack.levels[0].tags).toContain(LEVEL_TAGS.COMMUNITY);
+    expect(validateLevelPack(pack).valid).toBe(true);
+  });
+
+  it('numbers new levels after the existing ones and renumbers after removal', () => {
+    const first = createDraftLevel();
+    const second = createDraftLevel([first]);
+    const third = createDraftLevel([first, second]);
+    expect([first.id, second.id, third.id]).toEqual([1, 2, 3]);
+    expect(third.requirements.previousLevel).toBe(2);
+
+    const [a, b] = renumberLevels([first, third]);
+    expect([a.id, b.id]).toEqual([1, 2]);
+    expect(a.requirements.previousLevel).toBeNull();
+    expect(b.requirements.previousLevel).toBe(1);
+  });
+});
+
+describe('pack files', () => {
+  it('round-trips a pack with an authored start', () => {
+    const pack = createDraftPack();
+    pack.levels[0] = { ...pack.levels[0], start: { state: encodeCubeState(makeCubies(3), 3) }, moveLimit: 30 };
+    const parsed = parseLevelPack(exportLevelPack(pack));
+    expect(parsed.ok).toBe(true);
+    expect(parsed.pack).toEqual(pack);
+    expect(packFileName(pack)).toBe('worm3-pack-my-pack.json');
+  });
+
+  it('fills in defaults for hand-written files', () => {
+    const parsed = parseLevelPack(JSON.stringify({ id: 'tiny', name: 'Tiny', levels: [{ id: 1, name: 'One' }] }));
+    expect(parsed.ok).toBe(true);
+    expect(parsed.pack.levels[0].cubeSize).toBe(3);
+    expect(parsed.pack.levels[0].features.rotations).toBe(true);
+    expect(parsed.warnings.length).toBeGreaterThan(0); // No tutorial text
+  });
+
+  it('rejects files that fail validation', () => {
+    expect(parseLevelPack('{').ok).toBe(false);
+    expect(parseLevelPack('[]').ok).toBe(false);
+    expect(parseLevelPack(JSON.stringify({ id: 'x', name: 'X' })).error).toMatch(/levels/);
+    const badSize = parseLevelPack(JSON.stringify({ id: 'x', name: 'X', levels: [{ id: 1, name: 'A', cubeSize: 12 }] }));
+    expect(badSize.error).toMatch(/Cube size/);
+    const dupes = parseLevelPack(JSON.stringify({ id: 'x', name: 'X', levels: [{ id: 1, name: 'A' }, { id: 1, name: 'B' }] }));
+    expect(dupes.error).toMatch(/Duplicate level ID/);
+  });
+
+  it('loads into the levels manager', () => {
+    const manager = new LevelsManager();
+    const { pack } = parseLevelPack(exportLevelPack(createDraftPack()));
+    manager.registerPack(pack);
+    expect(manager.getLevelFromPack('my-pack', 1).name).toBe('Custom Level 1');
+  });
+});
+
+describe('schema versions', () => {
+  it('stamps exports with the format and current version', () => {
+    const file = JSON.parse(exportLevelPack(createDraftPack()));
+    expect(file.format).toBe(PACK_FORMAT);
+    expect(file.schemaVersion).toBe(PACK_SCHEMA_VERSION);
+  });
+
+  it('migrates unversioned files and reports it', () => {
+    const { format: _f, schemaVersion: _v, ...legacy } = JSON.parse(exportLevelPack(createDraftPack()));
+    const migration = migrateLevelPack(legacy);
+    expect(migration).toMatchObject({ ok: true, from: 0, data: { schemaVersion: PACK_SCHEMA_VERSION, format: PACK_FORMAT } });
+
+    const parsed = parseLevelPack(JSON.stringify(legacy));
+    expect(parsed.ok).toBe(true);
+    expect(parsed.migratedFrom).toBe(0);
+    expect(parsed.pack).not.toHaveProperty('schemaVersion');
+    expect(parseLevelPack(exportLevelPack(createDraftPack())).migratedFrom).toBeNull();
+  });
+
+  it('refuses newer versions and other formats, keeping errors and warnings apart', () => {
+    const pack = JSON.parse(exportLevelPack(createDraftPack()));
+    expect(parseLevelPack(JSON.stringify({ ...pack, schemaVersion: PACK_SCHEMA_VERSION + 1 })).error).toMatch(/Update the game/);
+    expect(parseLevelPack(JSON.stringify({ ...pack, format: 'worm3-replay' })).ok).toBe(false);
+
+    const bad = parseLevelPack(JSON.stringify({ ...pack, levels: [{ id: 1, name: 'A', cubeSize: 12, tags: ['nope'] }] }));
+    expect(bad.errors).toHaveLength(1);
+    expect(bad.warnings.join()).toMatch(/Unknown tag/);
+  });
+});
+
+describe('installed packs', () => {
+  it('persists installed packs and restores them into a fresh manager', () => {
+    localStorage.clear();
+    const manager = new LevelsManager();
+    const text = exportLevelPack({ ...createDraftPack(), id: 'stored' });
+    expect(installPackFile(text, manager).ok).toBe(true);
+    expect(manager.getPack('stored')).not.toBeNull();
+
+    const later = new LevelsManager();
+    expect(restoreInstalledPacks(later).map(p => p.id)).toEqual(['stored']);
+
+    removeInstalledPack('stored', later);
+    expect(later.getPack('stored')).toBeNull();
+    expect(restoreInstalledPacks(new LevelsManager())).toEqual([]);
+  });
+
+  it('does not let a file replace a built-in pack or store invalid packs', () => {
+    localStorage.clear();
+    const manager = new LevelsManager();
+    const builtIn = installPackFile(exportLevelPack({ ...createDraftPack(), id: 'story-campaign' }), manager);
+    expect(builtIn.error).toMatch(/built-in/);
+    expect(installPackFile('{}', manager).ok).toBe(false);
+    expect(restoreInstalledPacks(new LevelsManager())).toEqual([]);
+  });
+});
@@ -0,0 +1,82 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { computeLevelPar, parStars, PAR_STAR_RATIOS } from '../levels/par.js';
+import { ProgressManager } from '../levels/ProgressManager.js';
+import { createLevel, WIN_CONDITIONS } from '../levels/schema.js';
+import { CubeEngine } from '../engine/CubeEngine.js';
+import { makeCubies } from '../game/cubeState.js';
+
+const level = createLevel({ id: 1, name: 'Par', cubeSize: 3, winCondition: WIN_CONDITIONS.CLASSIC });
+
+describe('computeLevelPar', () => {
+  it('is 0 for a cube that starts solved', () => {
+    expect(computeLevelPar(makeCubies(3), 3, level)).toEqual({ par: 0, optimal: true });
+  });
+
+  it('counts rotations and flips for the actual start', () => {
+    const engine = new CubeEngine(3);
+    engine.flip({ x: 0, y: 0, z: 0 }, 'NX');
+    engine.applyNotation("R U'");
+    expect(computeLevelPar(engine.cubies, 3, level)).toEqual({ par: 3, optimal: true });
+  });
+
+  it('returns null when the cube does not fit the size', () => {
+    expect(computeLevelPar(makeCubies(3), 4, level)).toBeNull();
+  });
+
+  it('is never more than undoing the scramble', () => {
+    const engine = new CubeEngine(3);
+    engine.applyNotation("R U'");
+    expect(computeLevelPar(engine.cubies, 3, level, { maxPar: 2 })).toEqual({ par: 2, optimal: true });
+    // 24 quarter turns, too deep for the quick search; the two-phase answer
+    // counts more quarter turns than that
+    engine.applyNotation("F L2 D' B R2 U F' L D2 B' R U2 F2 L' D B2");
+    const par = computeLevelPar(engine.cubies, 3, level, { maxPar: 24 });
+    expect(par.par).toBeLessThanOrEqual(24);
+    expect(par.optimal).toBe(false);
+  }, 30000);
+
+  it('uses the scramble when the solver finds nothing', () => {
+    const engine = new CubeEngine(4);
+    engine.applyNotation("R U F' Lw D2 Bw' R2 Uw");
+    const big = createLevel({ id: 6, cubeSize: 4, winCondition: WIN_CONDITIONS.CLASSIC });
+    expect(computeLevelPar(engine.cubies, 4, big)).toBeNull();
+    expect(computeLevelPar(engine.cubies, 4, big, { maxPar: 11 })).toEqual({ par: 11, optimal: false });
+  }, 30000);
+
+  it('does not depend on how fast the machine is', () => {
+    const engine = new CubeEngine(3);
+    engine.flip({ x: 0, y: 0, z: 0 }, 'NX');
+    engine.applyNotation("F L2 D' B R2 U F' L D2 B' R U2");
+    const normal = computeLevelPar(engine.cubies, 3, level, { maxPar: 40 });
+    // A clock that jumps a minute on every reading: any time budget runs out at once
+    let now = Date.now();
+    const clock = vi.spyOn(Date, 'now').mockImplementation(() => (now += 60000));
+    try {
+      expect(computeLevelPar(engine.cubies, 3, level, { maxPar: 40 })).toEqual(normal);
+    } finally {
+      clock.mockRestore();
+    }
+  }, 30000);
+});
+
+describe('parStars', () => {
+  it('gives three stars near par, two within the wider budget, else one', () => {
+    expect(parStars(10, 10)).toBe(3);
+    expect(parStars(Math.ceil(10 * PAR_STAR_RATIOS.THREE), 10)).toBe(3);
+    expect(parStars(Math.ceil(10 * PAR_STAR_RATIOS.THREE) + 1, 10)).toBe(2);
+    expect(parStars(10 * PAR_STAR_RATIOS.TWO, 10)).toBe(2);
+    expect(parStars(10 * PAR_STAR_RATIOS.TWO + 1, 10)).toBe(1);
+    expect(parStars(0, 0)).toBe(3);
+  });
+});
+
+describe('ProgressManager stars', () => {
+  beforeEach(() => localStorage.clear());
+
+  it('rates a run against its par', () => {
+    const progress = new ProgressManager({ testMode: false });
+    expect(progress.completeLevel(2, { time: 500, moves: 40, par: 31 }).stats.stars).toBe(2);
+    expect(progress.completeLevel(3, { time: 500, moves: 30, par: 31 }).stats.stars).toBe(3);
+    expect(progress.completeLevel(4, { time: 5, moves: 90, par: 31 }).stats.stars).toBe(1);
+  });
+});
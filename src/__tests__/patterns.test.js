@@ -0,0 +1,128 @@
+import { describe, it, expect } from 'vitest';
+import {
+  PATTERN_CATALOG, findPattern, patternText, patternMoves, applyPatternMove, buildPattern, matchesPattern,
+} from '../game/patterns.js';
+import { checkReachability } from '../game/reachability.js';
+import { makeCubies, MIN_CUBE_SIZE, MAX_CUBE_SIZE } from '../game/cubeState.js';
+import { notationToRotations } from '../game/notation.js';
+import { applyMove } from '../engine/CubeEngine.js';
+import { FACE_DIRS, vertexToPosition } from '../utils/tilingGraph.js';
+import { ANTIPODAL_COLOR } from '../utils/constants.js';
+
+const DIR_TO_COLOR = { PZ: 1, NX: 2, PY: 3, NZ: 4, PX: 5, NY: 6 };
+
+// Colors on one face as rows
+const faceRows = (cubies, size, dirKey) => {
+  const f = FACE_DIRS.indexOf(dirKey);
+  return Array.from({ length: size }, (_, r) => Array.from({ length: size }, (_, c) => {
+    const { x, y, z } = vertexToPosition(f * size * size + r * size + c, size);
+    return cubies[x][y][z].stickers[dirKey].curr;
+  }));
+};
+
+const border = (i, size) => i === 0 || i === size - 1;
+
+describe('PATTERN_CATALOG', () => {
+  it('lists the patterns each size can show', () => {
+    const ids = (size) => PATTERN_CATALOG[size].map(p => p.id);
+    expect(ids(2)).toEqual(['checkerboard', 'cube-in-cube', 'antipodal-flip']);
+    expect(ids(3)).toEqual(['checkerboard', 'cube-in-cube', 'superflip', 'six-spot', 'antipodal-flip', 'flip-ring']);
+    expect(ids(4)).not.toContain('six-spot');
+    expect(Object.keys(PATTERN_CATALOG).map(Number)).toEqual(
+      Array.from({ length: MAX_CUBE_SIZE - MIN_CUBE_SIZE + 1 }, (_, i) => MIN_CUBE_SIZE + i)
+    );
+  });
+
+  it('writes valid notation and flips for every size', () => {
+    for (const [size, patterns] of Object.entries(PATTERN_CATALOG)) {
+      for (const pattern of patterns) {
+        expect(notationToRotations(pattern.notation, Number(size)).errors).toEqual([]);
+        for (const id of pattern.flips) expect(id).toMatch(/^M[1-3]-\d{3}$/);
+      }
+    }
+    expect(findPattern(3, 'six-spot').notation).toBe("U D' R L' F B' U D'");
+    expect(findPattern(5, 'six-spot').notation).toBe("Uw Dw' Rw Lw' Fw Bw' Uw Dw'");
+    expect(findPattern(2, 'superflip')).toBeNull();
+  });
+
+  it('only needs flips where a pattern lists them', () => {
+    for (const size of [2, 3, 4, 5]) {
+      for (const pattern of PATTERN_CATALOG[size]) {
+        const cubies = buildPattern(pattern, size);
+        expect(checkReachability(cubies, size).reachable).toBe(pattern.flips.length === 0);
+        expect(checkReachability(cubies, size, { flips: true }).reachable).toBe(true);
+      }
+    }
+  });
+});
+
+describe('buildPattern', () => {
+  it('flips every edge in the superflip', () => {
+    for (const size of [3, 4, 5]) {
+      const cubies = buildPattern(findPattern(size, 'superflip'), size);
+      for (const dirKey of FACE_DIRS) {
+        faceRows(cubies, size, dirKey).forEach((row, r) => row.forEach((color, c) => {
+          const edge = border(r, size) !== border(c, size);
+          expect(color === DIR_TO_COLOR[dirKey]).toBe(!edge);
+        }));
+      }
+    }
+  });
+
+  it('moves the middle of each face in six spot', () => {
+    for (const size of [3, 5]) {
+      const cubies = buildPattern(findPattern(size, 'six-spot'), size);
+      const m = (size - 1) / 2;
+      for (const dirKey of FACE_DIRS) {
+        const rows = faceRows(cubies, size, dirKey);
+        const spot = rows[m][m];
+        const rest = rows.flat().filter((_, i) => i !== m * size + m);
+        expect(new Set(rest).size).toBe(1);
+        expect(spot).not.toBe(rest[0]);
+      }
+    }
+  });
+
+  it('shows every face in its opposite color after the antipodal flip', () => {
+    for (const size of [2, 3, 4]) {
+      const cubies = buildPattern(findPattern(size, 'antipodal-flip'), size);
+      for (const dirKey of FACE_DIRS) {
+        expect(new Set(faceRows(cubies, size, dirKey).flat())).toEqual(new Set([ANTIPODAL_COLOR[DIR_TO_COLOR[dirKey]]]));
+      }
+    }
+  });
+
+  it('frames the front and back faces in the flip ring', () => {
+    const size = 4;
+    const cubies = buildPattern(findPattern(size, 'flip-ring'), size);
+    faceRows(cubies, size, 'PZ').forEach((row, r) => row.forEach((color, c) => {
+      expect(color).toBe(border(r, size) || border(c, size) ? 4 : 1);
+    }));
+    faceRows(cubies, size, 'NZ').forEach((row, r) => row.forEach((color, c) => {
+      expect(color).toBe(border(r, size) || border(c, size) ? 1 : 4);
+    }));
+    expect(new Set(faceRows(cubies, size, 'PY').flat())).toEqual(new Set([3]));
+  });
+
+  it('finds flipped stickers wherever turns have moved them', () => {
+    const pattern = { notation: 'R U', flips: ['M1-001'] };
+    const moves = patternMoves(pattern, 3);
+    expect(moves.map(m => m.type)).toEqual(['rotation', 'rotation', 'flip']);
+    const cubies = buildPattern(pattern, 3);
+    // The front face's top-left sticker has moved; the flip still switches it
+    const turned = notationToRotations('R U', 3).rotations
+      .reduce((state, { axis, dir, sliceIndex }) => applyMove(state, 3, { type: 'rotation', axis, dir, sliceIndex }), makeCubies(3));
+    expect(matchesPattern(cubies, turned)).toBe(false);
+    expect(matchesPattern(applyPatternMove(turned, 3, moves[2]), cubies)).toBe(true);
+    expect(patternText(pattern)).toBe('R U ⇅M1-001');
+  });
+});
+
+describe('matchesPattern', () => {
+  it('compares every sticker', () => {
+    const target = buildPattern(findPattern(3, 'checkerboard'), 3);
+    expect(matchesPattern(buildPattern(findPattern(3, 'checkerboard'), 3), target)).toBe(true);
+    expect(matchesPattern(makeCubies(3), target)).toBe(false);
+    expect(matchesPattern(makeCubies(4), target)).toBe(false);
+  });
+});
@@ -0,0 +1,96 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { ProgressManager, progressKey } from '../levels/ProgressManager.js';
+import { levelsManager, STORY_PACK_ID } from '../levels/LevelsManager.js';
+import { createLevel, createLevelPack } from '../levels/schema.js';
+
+const pack = (id, overrides = {}) => createLevelPack({
+  id,
+  name: `Pack ${id}`,
+  levels: [1, 2, 3].map(n => createLevel({ id: n, name: `${id} ${n}`, cubeSize: 3 })),
+  ...overrides,
+});
+
+describe('ProgressManager packs', () => {
+  let progress;
+
+  beforeEach(() => {
+    localStorage.clear();
+    progress = new ProgressManager({ testMode: false });
+    levelsManager.registerPack(pack('alpha'));
+    levelsManager.registerPack(pack('beta', { requirements: { completedPacks: ['alpha'], totalStars: 4 } }));
+  });
+
+  afterEach(() => {
+    levelsManager.unregisterPack('alpha');
+    levelsManager.unregisterPack('beta');
+  });
+
+  it('keeps story keys numeric and namespaces other packs', () => {
+    expect(progressKey(3)).toBe(3);
+    expect(progressKey(3, STORY_PACK_ID)).toBe(3);
+    expect(progressKey(3, 'alpha')).toBe('alpha:3');
+  });
+
+  it("doesn't mix up the same level number in different packs", () => {
+    progress.completeLevel(1, {});
+    expect(progress.isLevelCompleted(1)).toBe(true);
+    expect(progress.isLevelCompleted(1, 'alpha')).toBe(false);
+
+    progress.completeLevel(3, { time: 10, moves: 5 }, 'alpha');
+    expect(progress.isLevelCompleted(3)).toBe(false);
+    expect(progress.getCompletedLevels('alpha')).toEqual([3]);
+    expect(progress.getLevelStats(3, 'alpha').stars).toBe(3);
+    expect(progress.getCompletedLevels()).toEqual([1]);
+  });
+
+  it('reads saves from before packs were namespaced as story progress', () => {
+    localStorage.setItem('worm3_completed_levels', JSON.stringify([1, 2]));
+    expect(new ProgressManager().getCompletedLevels()).toEqual([1, 2]);
+  });
+
+  it('unlocks levels in order within a pack and reports new unlocks', () => {
+    expect(progress.isLevelUnlocked(1, 'alpha')).toBe(true);
+    expect(progress.getLevelLockReasons(2, 'alpha')).toEqual(['Complete Level 1']);
+
+    const result = progress.completeLevel(1, {}, 'alpha');
+    expect(result.newUnlocks.map(l => l.id)).toEqual([2]);
+    expect(progress.isLevelUnlocked(2, 'alpha')).toBe(true);
+    expect(progress.isLevelUnlocked(3, 'alpha')).toBe(false);
+  });
+
+  it('locks a pack until its required packs and stars are earned', () => {
+    expect(progress.getPackLockReasons('beta')).toEqual(['Complete the Pack alpha pack', 'Earn 4 ★ (you have 0)']);
+    expect(progress.getLevelLockReasons(1, 'beta')).toEqual(['Unlock the Pack beta pack']);
+
+    for (const id of [1, 2, 3]) progress.completeLevel(id, {}, 'alpha');
+    expect(progress.isPackCompleted('alpha')).toBe(true);
+    expect(progress.getPackLockReasons('beta')).toEqual(['Earn 4 ★ (you have 3)']);
+
+    progress.completeLevel(1, { time: 1, moves: 1 }, 'alpha');
+    expect(progress.isPackUnlocked('beta')).toBe(true);
+    expect(progress.isLevelUnlocked(1, 'beta')).toBe(true);
+  });
+
+  it('explains star and achievement requirements on levels', () => {
+    levelsManager.registerPack(createLevelPack({
+      id: 'gamma',
+      levels: [createLevel({ id: 1, requirements: { previousLevel: null, stars: 2, achievements: ['first_steps'] } })],
+    }));
+    expect(progress.getLevelLockReasons(1, 'gamma')).toEqual([
+      'Earn 2 ★ (you have 0)',
+      'Earn the First Steps achievement',
+    ]);
+    levelsManager.unregisterPack('gamma');
+  });
+
+  it('only awards story achievements for the story campaign', () => {
+    expect(progress.completeLevel(1, {}, 'alpha').newAchievements).not.toContain('first_steps');
+    expect(progress.completeLevel(1, {}).newAchievements).toContain('first_steps');
+  });
+
+  it('unlocks everything in test mode', () => {
+    const testing = new ProgressManager({ testMode: true });
+    expect(testing.isPackUnlocked('beta')).toBe(true);
+    expect(testing.isLevelUnlocked(3, 'beta')).toBe(true);
+  });
+});
@@ -0,0 +1,91 @@
+import { describe, it, expect } from 'vitest';
+import { checkReachability, explainReachability, stickerOrbits, flipPartner } from '../game/reachability.js';
+import { stateInvariants } from '../game/cubeGroup.js';
+import { makeCubies, clone3D } from '../game/cubeState.js';
+import { applyMove } from '../engine/CubeEngine.js';
+import { generateScramble } from '../game/scrambler.js';
+import { createRng } from '../game/seededRandom.js';
+
+const recolor = (cubies, [x, y, z], colors) => {
+  const next = clone3D(cubies);
+  for (const [dir, curr] of Object.entries(colors)) next[x][y][z].stickers[dir].curr = curr;
+  return next;
+};
+
+describe('stickerOrbits', () => {
+  it('splits the stickers into the orbits turns keep', () => {
+    const kinds = (size) => stickerOrbits(size).orbits.map(o => `${o.kind}:${o.vertices.length}`).sort();
+    expect(kinds(2)).toEqual(['corner:24']);
+    expect(kinds(3)).toEqual(['center:6', 'corner:24', 'edge:24']);
+    // Wings come in two orbits of 24 on a 4×4
+    expect(kinds(4)).toEqual(['center:24', 'corner:24', 'edge:24', 'edge:24']);
+    expect(stickerOrbits(5).orbits).toHaveLength(7);
+  });
+
+  it('keeps flip partners in the same orbit', () => {
+    for (const size of [2, 3, 4, 5]) {
+      const { orbitOf } = stickerOrbits(size);
+      expect(orbitOf.every((orbit, v) => orbitOf[flipPartner(v, size)] === orbit)).toBe(true);
+    }
+  });
+});
+
+describe('checkReachability', () => {
+  it('accepts scrambles, with and without flips', () => {
+    const rng = createRng('reachability');
+    for (const size of [2, 3, 4, 5]) {
+      const turns = generateScramble(size, { rng, length: 30 }).cubies;
+      expect(checkReachability(turns, size)).toMatchObject({ reachable: true, complete: size <= 3, violations: [] });
+      const flipped = generateScramble(size, { rng, length: 30, flips: 2 * size }).cubies;
+      expect(checkReachability(flipped, size, { flips: true })).toMatchObject({ reachable: true, complete: false });
+    }
+  });
+
+  it('needs flips for a flipped state', () => {
+    // Up-front-right corner shows orange in front, up-back-right red behind
+    const flipped = applyMove(makeCubies(3), 3, { type: 'flip', dirKey: 'PZ', pos: { x: 2, y: 2, z: 2 } });
+    expect(checkReachability(flipped, 3).violations.map(v => v.invariant)).toEqual(['pieces']);
+    expect(checkReachability(flipped, 3, { flips: true }).reachable).toBe(true);
+    // Flipping the up-front edge looks exactly like swapping it with the up-back edge
+    const edge = applyMove(makeCubies(3), 3, { type: 'flip', dirKey: 'PZ', pos: { x: 1, y: 2, z: 2 } });
+    expect(checkReachability(edge, 3).violations.map(v => v.invariant)).toEqual(['parity']);
+  });
+
+  it('counts colors in each orbit', () => {
+    const cubies = recolor(makeCubies(3), [1, 2, 2], { PZ: 3 });
+    const result = checkReachability(cubies, 3);
+    expect(result.violations).toEqual([{ invariant: 'colors', message: 'The edge stickers show 5 white where a solved cube has 4' }]);
+    expect(checkReachability(cubies, 3, { flips: true }).violations[0].message)
+      .toBe('The edge stickers show 9 white or yellow where a solved cube has 8');
+  });
+
+  it('catches a single switched sticker even with flips', () => {
+    // Only one of a flip pair switched to its opposite color
+    const cubies = recolor(makeCubies(2), [1, 1, 1], { PZ: 4 });
+    const result = checkReachability(cubies, 2, { flips: true });
+    expect(result.violations.map(v => v.invariant)).toEqual(['flip-parity']);
+  });
+
+  it('catches a twisted corner with flips', () => {
+    const cubies = recolor(makeCubies(3), [2, 2, 2], { PY: 1, PZ: 5, PX: 3 });
+    const result = checkReachability(cubies, 3, { flips: true });
+    expect(result.violations.map(v => v.invariant)).toEqual(['corner-twist']);
+  });
+
+  it('explains what is wrong', () => {
+    const cubies = recolor(makeCubies(3), [1, 2, 2], { PY: 1, PZ: 3 });
+    expect(explainReachability(checkReachability(cubies, 3))).toBe(
+      "This cube can't be solved with turns:\n• " + stateInvariants(cubies, 3).violations[0].message
+    );
+    expect(explainReachability(checkReachability(makeCubies(3), 3))).toBeNull();
+  });
+});
+
+describe('stateInvariants with axes', () => {
+  it('reads colors up to their antipode', () => {
+    // An edge showing white/orange instead of white/red is fine up to flips
+    const cubies = recolor(makeCubies(3), [1, 2, 2], { PZ: 4 });
+    expect(stateInvariants(cubies, 3).solvable).toBe(false);
+    expect(stateInvariants(cubies, 3, { axes: true })).toMatchObject({ solvable: true, complete: false, edgeParity: null });
+  });
+});
@@ -0,0 +1,104 @@
+import { describe, it, expect } from 'vitest';
+import {
+  runRegimeExperiment, runSizeExperiment, normalizeExperimentConfig, crossingDepth, tilingIntegrity,
+  experimentToCsv, experimentToJson, experimentFileName, EXPERIMENT_FORMAT, DEFAULT_EXPERIMENT,
+} from '../game/regimeExperiment.js';
+import { computeAntipodalIntegrity, computeCommutatorNorm, K_STAR } from '../game/antipodalIntegrity.js';
+import { makeCubies } from '../game/cubeState.js';
+import { applyMove } from '../engine/CubeEngine.js';
+import { buildTilingGraph, applyTwist, cubiesToTilingState } from '../utils/tilingGraph.js';
+import { notationToRotations } from '../game/notation.js';
+
+describe('tilingIntegrity', () => {
+  it('matches computeAntipodalIntegrity on the cubies', () => {
+    for (const [size, text] of [[2, "R U F' R2"], [3, "R U M' F2 E"], [4, 'R U2 Rw F'], [5, "R Uw' F 3Rw"]]) {
+      const { rotations } = notationToRotations(text, size);
+      const { cycles } = buildTilingGraph(size);
+      let cubies = makeCubies(size);
+      let state = cubiesToTilingState(cubies, size);
+      for (const { axis, sliceIndex, dir } of rotations) {
+        cubies = applyMove(cubies, size, { type: 'rotation', axis, sliceIndex, dir });
+        state = applyTwist(state, cycles[`${axis}-${sliceIndex}-${dir}`]);
+        expect(tilingIntegrity(state, size)).toBeCloseTo(computeAntipodalIntegrity(cubies, size).integrity, 12);
+      }
+    }
+  });
+});
+
+describe('runSizeExperiment', () => {
+  const config = { samples: 200, maxDepth: 20, seed: 'test' };
+
+  it('starts at full integrity and falls into the entropy regime', () => {
+    const result = runSizeExperiment(3, config);
+    expect(result.pairs).toBe(27);
+    expect(result.depths).toHaveLength(21);
+    expect(result.depths[0]).toMatchObject({ depth: 0, integrity: 1, integritySd: 0, commutatorNorm: 0 });
+    expect(result.depths[0].regimes.structure).toBe(1);
+    const last = result.depths[20];
+    expect(last.integrity).toBeLessThan(K_STAR);
+    expect(last.regimes.entropy).toBeGreaterThan(0.9);
+    expect(last.regimes.structure + last.regimes.critical + last.regimes.entropy).toBeCloseTo(1, 12);
+    expect(result.crossingDepth).toBeGreaterThan(0);
+  });
+
+  it('uses the same C(T) as computeCommutatorNorm', () => {
+    // One face turn on a 3×3 keeps 15 of the 27 pairs
+    const cubies = applyMove(makeCubies(3), 3, { type: 'rotation', axis: 'col', sliceIndex: 2, dir: 1 });
+    expect(computeAntipodalIntegrity(cubies, 3).integrity).toBeCloseTo(15 / 27, 12);
+    // Depth 1 on a 2×2 is always a face turn: 4 of 12 pairs kept
+    const depth1 = runSizeExperiment(2, config).depths[1];
+    expect(depth1.integrity).toBeCloseTo(1 / 3, 12);
+    expect(depth1.commutatorNorm).toBe(computeCommutatorNorm(applyMove(makeCubies(2), 2, { type: 'rotation', axis: 'row', sliceIndex: 0, dir: 1 }), 2));
+  });
+
+  it('is reproducible from the seed', () => {
+    expect(runSizeExperiment(4, config)).toEqual(runSizeExperiment(4, config));
+    expect(runSizeExperiment(4, config).depths[5].integrity)
+      .not.toBe(runSizeExperiment(4, { ...config, seed: 'other' }).depths[5].integrity);
+  });
+});
+
+describe('runRegimeExperiment', () => {
+  it('runs every size and reports progress', () => {
+    const progress = [];
+    const experiment = runRegimeExperiment({ sizes: [5, 2], samples: 10, maxDepth: 5 }, (p) => progress.push(p));
+    expect(experiment.config).toEqual({ sizes: [2, 5], samples: 10, maxDepth: 5, seed: DEFAULT_EXPERIMENT.seed });
+    expect(experiment.kStar).toBe(K_STAR);
+    expect(experiment.results.map(r => r.size)).toEqual([2, 5]);
+    expect(progress).toHaveLength(20);
+    expect(progress[19]).toEqual({ done: 20, total: 20 });
+  });
+
+  it('rejects configs it cannot run', () => {
+    expect(() => normalizeExperimentConfig({ sizes: [6] })).toThrow(RangeError);
+    expect(() => normalizeExperimentConfig({ sizes: [] })).toThrow(RangeError);
+    expect(() => normalizeExperimentConfig({ samples: 0 })).toThrow(RangeError);
+    expect(() => normalizeExperimentConfig({ maxDepth: 2.5 })).toThrow(RangeError);
+  });
+
+  it('interpolates where mean integrity crosses k*', () => {
+    expect(crossingDepth([{ depth: 0, integrity: 1 }, { depth: 1, integrity: 0.9 }, { depth: 2, integrity: 0.5 }]))
+      .toBeCloseTo(1 + (0.9 - K_STAR) / 0.4, 12);
+    expect(crossingDepth([{ depth: 0, integrity: 1 }, { depth: 1, integrity: 0.9 }])).toBeNull();
+  });
+});
+
+describe('experiment export', () => {
+  const experiment = runRegimeExperiment({ sizes: [2, 3], samples: 5, maxDepth: 3, seed: 'K7 QM' });
+
+  it('writes one CSV row per size and depth', () => {
+    const lines = experimentToCsv(experiment).trim().split('\n');
+    expect(lines[0]).toBe('size,depth,integrity_mean,integrity_sd,commutator_norm_mean,structure_share,critical_share,entropy_share');
+    expect(lines).toHaveLength(1 + 2 * 4);
+    expect(lines[1]).toBe('2,0,1.000000,0.000000,0.0000,1.000000,0.000000,0.000000');
+  });
+
+  it('writes versioned JSON that round-trips the run', () => {
+    const parsed = JSON.parse(experimentToJson(experiment, new Date('2026-10-19T12:00:00Z')));
+    expect(parsed.format).toBe(EXPERIMENT_FORMAT);
+    expect(parsed.schemaVersion).toBe(1);
+    expect(parsed.exportedAt).toBe('2026-10-19T12:00:00.000Z');
+    expect(parsed.results).toEqual(experiment.results);
+    expect(experimentFileName(experiment, 'csv')).toBe('worm3-regime-K7QM-5x3.csv');
+  });
+});
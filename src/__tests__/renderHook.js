@@ -0,0 +1,19 @@
+// Minimal renderHook for hook tests: mounts the hook in a throwaway root and
+// keeps the latest return value in `result.current`.
+import { createElement, act } from 'react';
+import { createRoot } from 'react-dom/client';
+
+globalThis.IS_REACT_ACT_ENVIRONMENT = true;
+
+export function renderHook(hook) {
+  const result = { current: undefined };
+  const Probe = () => {
+    result.current = hook();
+    return null;
+  };
+  const root = createRoot(document.createElement('div'));
+  act(() => root.render(createElement(Probe)));
+  return { result, unmount: () => act(() => root.unmount()) };
+}
+
+export { act };
@@ -0,0 +1,115 @@
+import { describe, it, expect } from 'vitest';
+import {
+  createReplay, recordEvent, replayDuration, eventIndexAt, buildCheckpoints, stateAt,
+  exportReplay, parseReplay, replayFileName,
+} from '../game/replay.js';
+import { applyMove, invertMove } from '../engine/CubeEngine.js';
+import { makeCubies } from '../game/cubeState.js';
+import { encodeCubeState } from '../engine/stateCodec.js';
+import { useGameStore } from '../hooks/useGameStore.js';
+
+const R = { type: 'rotation', axis: 'col', dir: -1, sliceIndex: 2 };
+const U = { type: 'rotation', axis: 'row', dir: 1, sliceIndex: 2 };
+const flip = { type: 'flip', pos: { x: 0, y: 0, z: 0 }, dirKey: 'NX' };
+
+const code = (cubies) => encodeCubeState(cubies, 3);
+
+const sample = () => {
+  let r = createReplay({ cubies: makeCubies(3), size: 3, seed: 'K7QM2XPA', startedAt: 1000 });
+  r = recordEvent(r, { ...R, timestamp: 1200 }, { at: 1200 });
+  r = recordEvent(r, { ...flip, source: 'chaos' }, { at: 1500 });
+  r = recordEvent(r, U, { at: 2400 });
+  r = recordEvent(r, invertMove(U), { at: 3000, source: 'undo' });
+  return r;
+};
+
+describe('recording', () => {
+  it('stores compact moves with times since the start', () => {
+    const r = sample();
+    expect(r.events.map(e => e.t)).toEqual([200, 500, 1400, 2000]);
+    expect(r.events[0].move).toEqual(R);
+    expect(r.events[1].move.source).toBe('chaos');
+    expect(r.events[3].move).toEqual({ ...U, dir: -1, source: 'undo' });
+    expect(replayDuration(r)).toBe(2000);
+  });
+
+  it('does not mutate the replay it records into', () => {
+    const r = createReplay({ cubies: makeCubies(3), size: 3 });
+    recordEvent(r, R);
+    expect(r.events).toHaveLength(0);
+  });
+
+  it('finds how many events have played by a time', () => {
+    const r = sample();
+    expect(eventIndexAt(r, 0)).toBe(0);
+    expect(eventIndexAt(r, 500)).toBe(2);
+    expect(eventIndexAt(r, 99999)).toBe(4);
+  });
+});
+
+describe('stateAt', () => {
+  it('matches applying the events in order', () => {
+    const r = sample();
+    let state = makeCubies(3);
+    r.events.forEach(({ move }, i) => {
+      state = applyMove(state, 3, move);
+      expect(code(stateAt(r, i + 1))).toBe(code(state));
+    });
+    expect(code(stateAt(r, 0))).toBe(code(makeCubies(3)));
+  });
+
+  it('seeks through long recordings from checkpoints', () => {
+    let r = createReplay({ cubies: makeCubies(3), size: 3, startedAt: 0 });
+    for (let i = 0; i < 130; i++) r = recordEvent(r, i % 3 ? R : U, { at: i * 10 });
+    const checkpoints = buildCheckpoints(r);
+    expect(checkpoints).toHaveLength(3);
+    const direct = r.events.slice(0, 117).reduce((s, { move }) => applyMove(s, 3, move), makeCubies(3));
+    expect(code(stateAt(r, 117, checkpoints))).toBe(code(direct));
+    expect(() => stateAt(r, 131, checkpoints)).toThrow(RangeError);
+  });
+});
+
+describe('replay files', () => {
+  it('round-trips through export and parse', () => {
+    const r = sample();
+    const parsed = parseReplay(exportReplay(r));
+    expect(parsed.ok).toBe(true);
+    expect(parsed.replay).toEqual(r);
+    expect(replayFileName(r)).toBe('worm3-replay-3x3-K7QM2XPA.json');
+  });
+
+  it('rejects files that are not valid replays', () => {
+    const r = sample();
+    expect(parseReplay('not json').ok).toBe(false);
+    expect(parseReplay(JSON.stringify({ hello: 1 })).ok).toBe(false);
+    expect(parseReplay(JSON.stringify({ ...r, version: 99 })).ok).toBe(false);
+    expect(parseReplay(JSON.stringify({ ...r, size: 4 })).ok).toBe(false);
+    expect(parseReplay(JSON.stringify({ ...r, start: 'garbage' })).ok).toBe(false);
+
+    const badMove = { ...r, events: [{ t: 0, move: { ...R, sliceIndex: 7 } }] };
+    expect(parseReplay(JSON.stringify(badMove)).error).toMatch(/event 1/);
+    const unordered = { ...r, events: [r.events[1], r.events[0]] };
+    expect(parseReplay(JSON.stringify(unordered)).error).toMatch(/out of order/);
+  });
+});
+
+describe('store recording', () => {
+  it('records history moves and undo steps, and restarts with the history', () => {
+    const store = useGameStore.getState();
+    store.clearHistory();
+    store.setScrambleText("R U R'");
+    useGameStore.getState().addToHistory({ ...R, timestamp: Date.now() });
+    useGameStore.getState().recordReplayEvent(invertMove(R), 'undo');
+
+    const { replay } = useGameStore.getState();
+    expect(replay.scramble).toBe("R U R'");
+    expect(replay.events.map(e => e.move.source)).toEqual([undefined, 'undo']);
+
+    useGameStore.getState().setScrambleText('U');
+    expect(useGameStore.getState().replay.scramble).toBe("R U R'");
+
+    useGameStore.getState().resetGame();
+    expect(useGameStore.getState().replay.events).toHaveLength(0);
+    expect(useGameStore.getState().replay.start).toBe(code(useGameStore.getState().cubies));
+  });
+});
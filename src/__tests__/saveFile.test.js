@@ -0,0 +1,153 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  SAVE_FORMAT, SAVE_SCHEMA_VERSION, emptyProgress, exportSaveFile, parseSaveFile, mergeProgress,
+} from '../levels/saveFile.js';
+import { ProgressManager } from '../levels/ProgressManager.js';
+
+const stats = (overrides = {}) => ({
+  bestTime: 100,
+  bestMoves: 40,
+  stars: 2,
+  completionCount: 1,
+  firstCompleted: '2026-10-01T10:00:00.000Z',
+  lastCompleted: '2026-10-01T10:00:00.000Z',
+  ...overrides,
+});
+
+const daily = (completedAt, overrides = {}) => ({ time: 90, moves: 30, flips: 2, integrity: 0.9, completedAt, ...overrides });
+
+const save = (progress = {}, rest = {}) => exportSaveFile({
+  progress: { ...emptyProgress(), ...progress },
+  settings: { colorScheme: 'neon' },
+  flags: { introSeen: true },
+  packs: {},
+  ...rest,
+});
+
+describe('save files', () => {
+  it('round-trips through export and parse', () => {
+    const parsed = parseSaveFile(save({ completedLevels: [1, 'alpha:2'], levelStats: { 1: stats() } }));
+    expect(parsed.ok).toBe(true);
+    expect(parsed.save.progress.completedLevels).toEqual([1, 'alpha:2']);
+    expect(parsed.save.settings).toEqual({ colorScheme: 'neon' });
+    expect(parsed.save.flags).toEqual({ introSeen: true, tutorialDone: false, firstFlipDone: false, mobileHintShown: false });
+    expect(parsed.migratedFrom).toBe(null);
+  });
+
+  it('rejects files that are not saves, or from a newer version', () => {
+    expect(parseSaveFile('not json').ok).toBe(false);
+    expect(parseSaveFile('[]').ok).toBe(false);
+    expect(parseSaveFile(JSON.stringify({ format: 'worm3-level-pack', schemaVersion: 1 })).error).toMatch(/Not a save file/);
+    const newer = parseSaveFile(JSON.stringify({ format: SAVE_FORMAT, schemaVersion: SAVE_SCHEMA_VERSION + 1 }));
+    expect(newer.error).toMatch(/Update the game/);
+  });
+
+  it('lists every problem in a corrupt file', () => {
+    const parsed = parseSaveFile(save({
+      completedLevels: 'all of them',
+      levelStats: { 3: stats({ stars: 7 }) },
+      daily: { tomorrow: daily('2026-10-01T00:00:00.000Z') },
+    }, { flags: { introSeen: 'yes' } }));
+    expect(parsed.ok).toBe(false);
+    expect(parsed.errors).toEqual([
+      'Completed levels must be a list of level keys',
+      'Level stats for 3 are invalid',
+      'Daily challenge result for tomorrow is invalid',
+      'Flags must be true or false',
+    ]);
+  });
+
+  it('checks each setting against the defaults and leaves out unknown ones', () => {
+    const bad = parseSaveFile(save({}, {
+      settings: {
+        colorScheme: 42,
+        showStats: 'no',
+        customColors: { 1: '#ff0000', 9: '#00ff00' },
+        manifoldStyles: { 1: 'lava', 2: 'plaid' },
+      },
+    }));
+    expect(bad.ok).toBe(false);
+    expect(bad.errors).toEqual([
+      'Setting colorScheme is invalid',
+      'Setting showStats is invalid',
+      'Setting customColors is invalid',
+      'Setting manifoldStyles is invalid',
+    ]);
+
+    const newer = parseSaveFile(save({}, {
+      settings: { colorScheme: 'custom', customColors: { 1: '#ff0000' }, manifoldStyles: { 3: 'ice' }, hapticStrength: 3 },
+    }));
+    expect(newer.ok).toBe(true);
+    expect(newer.save.settings).toEqual({ colorScheme: 'custom', customColors: { 1: '#ff0000' }, manifoldStyles: { 3: 'ice' } });
+  });
+});
+
+describe('mergeProgress', () => {
+  const local = {
+    ...emptyProgress(),
+    completedLevels: [1, 2],
+    levelStats: { 1: stats(), 2: stats({ bestTime: null }) },
+    achievements: ['first_steps'],
+    achievementProgress: { antipodal_adept: 120 },
+    daily: { '2026-10-18': daily('2026-10-18T09:00:00.000Z') },
+  };
+  const incoming = {
+    ...emptyProgress(),
+    completedLevels: [2, 3],
+    levelStats: {
+      1: stats({ bestTime: 80, bestMoves: 55, stars: 3, completionCount: 4, lastCompleted: '2026-10-05T10:00:00.000Z' }),
+      2: stats({ bestTime: 70 }),
+      3: stats(),
+    },
+    achievements: ['first_steps', 'speed_demon'],
+    achievementProgress: { antipodal_adept: 80, storm_chaser: 5 },
+    daily: {
+      '2026-10-18': daily('2026-10-18T21:00:00.000Z', { moves: 10 }),
+      '2026-10-19': daily('2026-10-19T09:00:00.000Z'),
+    },
+  };
+
+  it('combines progress and keeps the better value of each stat', () => {
+    const merged = mergeProgress(local, incoming);
+    expect(merged.completedLevels).toEqual([1, 2, 3]);
+    expect(merged.levelStats[1]).toEqual(stats({
+      bestTime: 80, bestMoves: 40, stars: 3, completionCount: 4, lastCompleted: '2026-10-05T10:00:00.000Z',
+    }));
+    expect(merged.levelStats[2].bestTime).toBe(70);
+    expect(merged.achievements).toEqual(['first_steps', 'speed_demon']);
+    expect(merged.achievementProgress).toEqual({ antipodal_adept: 120, storm_chaser: 5 });
+    expect(merged.daily['2026-10-18'].moves).toBe(30);
+    expect(Object.keys(merged.daily)).toEqual(['2026-10-18', '2026-10-19']);
+  });
+
+  it('changes nothing when the same progress is merged again', () => {
+    const once = mergeProgress(local, incoming);
+    expect(mergeProgress(once, incoming)).toEqual(once);
+    expect(mergeProgress(local, local)).toEqual(local);
+  });
+});
+
+describe('ProgressManager backups', () => {
+  beforeEach(() => localStorage.clear());
+
+  it('imports another device\'s progress without losing its own', () => {
+    const laptop = new ProgressManager();
+    laptop.completeLevel(1, { time: 50, moves: 20 });
+    const exported = save(laptop.exportProgress());
+
+    localStorage.clear();
+    const phone = new ProgressManager();
+    phone.completeLevel(2, { time: 70, moves: 30 });
+    phone.recordDailyResult('2026-10-19', daily());
+
+    const parsed = parseSaveFile(exported);
+    expect(phone.importProgress(parsed.save.progress)).toEqual({ levels: 1, achievements: 2, dailies: 0 });
+    expect(phone.importProgress(parsed.save.progress)).toEqual({ levels: 0, achievements: 0, dailies: 0 });
+
+    const reloaded = new ProgressManager();
+    expect(reloaded.isLevelCompleted(1)).toBe(true);
+    expect(reloaded.isLevelCompleted(2)).toBe(true);
+    expect(reloaded.getLevelStats(1).bestTime).toBe(50);
+    expect(reloaded.getDailyResult('2026-10-19')).not.toBe(null);
+  });
+});
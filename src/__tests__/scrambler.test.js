@@ -0,0 +1,99 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import { generateScramble, randomMoveLength } from '../game/scrambler.js';
+import { createRng } from '../game/seededRandom.js';
+import { parseNotation, flattenNotation, notationToRotations } from '../game/notation.js';
+import { solveTwoPhase, initTwoPhaseSolver } from '../teach/twoPhaseSolver.js';
+import { applyMove, computeMetrics } from '../engine/CubeEngine.js';
+import { makeCubies } from '../game/cubeState.js';
+import { checkRubiksSolved } from '../game/winDetection.js';
+
+const isSolved = (cubies) => checkRubiksSolved(cubies, cubies.length);
+
+const faces = (text) => flattenNotation(parseNotation(text).nodes);
+const axisOf = (face) => ({ R: 'x', L: 'x', U: 'y', D: 'y', F: 'z', B: 'z' })[face];
+
+const replay = (size, steps) => steps.reduce((s, m) => applyMove(s, size, m), makeCubies(size));
+
+describe('random-state scrambles', () => {
+  beforeAll(() => {
+    initTwoPhaseSolver();
+  }, 30000);
+
+  it('2×2: optimal <U, R, F> scrambles of 4 to 11 moves', () => {
+    for (let i = 0; i < 10; i++) {
+      const s = generateScramble(2, { rng: createRng(`two-${i}`) });
+      expect(s.randomState).toBe(true);
+      expect(s.moves.length).toBeGreaterThanOrEqual(4);
+      expect(s.moves.length).toBeLessThanOrEqual(11);
+      expect(s.moves.every(m => /^[URF]['2]?$/.test(m))).toBe(true);
+      expect(s.cubies).toEqual(replay(2, s.steps));
+    }
+  });
+
+  it('3×3: random-state scrambles of at most 21 moves', () => {
+    const s = generateScramble(3, { rng: createRng('three') });
+    expect(s.randomState).toBe(true);
+    expect(s.moves.length).toBeLessThanOrEqual(21);
+    expect(s.cubies).toEqual(replay(3, s.steps));
+    expect(isSolved(s.cubies)).toBe(false);
+
+    const solved = solveTwoPhase(s.cubies, { timeBudgetMs: 50 });
+    expect(solved.ok).toBe(true);
+    const back = notationToRotations(solved.solution, 3).rotations
+      .reduce((st, r) => applyMove(st, 3, { type: 'rotation', ...r }), s.cubies);
+    expect(isSolved(back)).toBe(true);
+  });
+
+  it('never turns the same face twice in a row', () => {
+    for (const size of [2, 3]) {
+      const moves = faces(generateScramble(size, { rng: createRng(`faces-${size}`) }).text);
+      for (let i = 1; i < moves.length; i++) expect(moves[i].face).not.toBe(moves[i - 1].face);
+    }
+  });
+});
+
+describe('random-move scrambles', () => {
+  it('uses WCA lengths and wide turns on big cubes', () => {
+    expect(randomMoveLength(4)).toBe(40);
+    expect(randomMoveLength(7)).toBe(100);
+    const s = generateScramble(6, { rng: createRng('six') });
+    expect(s.randomState).toBe(false);
+    expect(s.moves).toHaveLength(80);
+    expect(s.moves.some(m => m.startsWith('3') && m.includes('w'))).toBe(true);
+    expect(s.cubies).toEqual(replay(6, s.steps));
+  });
+
+  it('has no redundant moves on one axis', () => {
+    const moves = faces(generateScramble(5, { rng: createRng('axis') }).text);
+    let seen = new Set();
+    for (let i = 0; i < moves.length; i++) {
+      if (i > 0 && axisOf(moves[i].face) !== axisOf(moves[i - 1].face)) seen = new Set();
+      const key = `${moves[i].face}${moves[i].to}`;
+      expect(seen.has(key)).toBe(false);
+      seen.add(key);
+    }
+  });
+
+  it('honours an explicit length on any size', () => {
+    expect(generateScramble(3, { rng: createRng('short'), length: 12 }).moves).toHaveLength(12);
+  });
+});
+
+describe('scramble options', () => {
+  it('is reproducible from a seed', () => {
+    for (const size of [2, 3, 4]) {
+      const a = generateScramble(size, { rng: createRng('same') });
+      const b = generateScramble(size, { rng: createRng('same') });
+      expect(a.text).toBe(b.text);
+    }
+  });
+
+  it('flip scrambles flip distinct antipodal pairs', () => {
+    const s = generateScramble(3, { rng: createRng('flips'), flips: 5 });
+    const flips = s.moves.filter(m => m.startsWith('⇅'));
+    expect(flips).toHaveLength(5);
+    expect(s.steps.filter(m => m.type === 'flip')).toHaveLength(5);
+    expect(computeMetrics(s.cubies).flips).toBe(10);
+    expect(s.cubies).toEqual(replay(3, s.steps));
+  });
+});
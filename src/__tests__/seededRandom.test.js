@@ -0,0 +1,88 @@
+import { describe, it, expect } from 'vitest';
+import {
+  createRng, randomInt, shuffled, newSeed, parseSeed,
+  getSessionSeed, setSessionSeed, rngFor,
+} from '../game/seededRandom.js';
+import { spawnOrbs } from '../worm/wormLogic.js';
+import { makeCubies } from '../game/cubeState.js';
+import { buildSeedUrl, readSeedParam } from '../utils/shareLink.js';
+
+const draw = (rng, n = 5) => Array.from({ length: n }, () => rng());
+
+describe('createRng', () => {
+  it('is deterministic per seed', () => {
+    expect(draw(createRng('ABC'))).toEqual(draw(createRng('ABC')));
+    expect(draw(createRng('ABC'))).not.toEqual(draw(createRng('ABD')));
+    expect(draw(createRng(42))).toEqual(draw(createRng(42)));
+  });
+
+  it('stays in [0, 1)', () => {
+    const values = draw(createRng('range'), 1000);
+    expect(Math.min(...values)).toBeGreaterThanOrEqual(0);
+    expect(Math.max(...values)).toBeLessThan(1);
+  });
+
+  it('helpers cover their range', () => {
+    const rng = createRng('helpers');
+    const seen = new Set(Array.from({ length: 200 }, () => randomInt(rng, 6)));
+    expect([...seen].sort()).toEqual([0, 1, 2, 3, 4, 5]);
+    const arr = [1, 2, 3, 4, 5, 6, 7, 8];
+    const out = shuffled(rng, arr);
+    expect([...out].sort()).toEqual(arr);
+    expect(arr).toEqual([1, 2, 3, 4, 5, 6, 7, 8]);
+  });
+});
+
+describe('seeds', () => {
+  it('generates readable seeds', () => {
+    expect(newSeed()).toMatch(/^[2-9A-HJ-NP-Z]{8}$/);
+  });
+
+  it('normalizes entered seeds', () => {
+    expect(parseSeed('  ab c9 ')).toBe('ABC9');
+    expect(parseSeed('')).toBeNull();
+    expect(parseSeed(null)).toBeNull();
+    expect(parseSeed({ type: 'click' })).toBeNull();
+  });
+});
+
+describe('session streams', () => {
+  it('replays the same draws from the same seed', () => {
+    setSessionSeed('race');
+    const first = draw(rngFor('scramble'));
+    setSessionSeed('race');
+    expect(draw(rngFor('scramble'))).toEqual(first);
+    expect(getSessionSeed()).toBe('RACE');
+  });
+
+  it('keeps streams independent', () => {
+    setSessionSeed('race');
+    const scramble = draw(rngFor('scramble'));
+    setSessionSeed('race');
+    draw(rngFor('chaos'), 50);
+    expect(draw(rngFor('scramble'))).toEqual(scramble);
+  });
+
+  it('picks a fresh seed when none is given', () => {
+    expect(setSessionSeed()).toMatch(/^[2-9A-HJ-NP-Z]{8}$/);
+  });
+});
+
+describe('seeded worm orbs', () => {
+  it('spawns the same orbs for the same seed', () => {
+    const cubies = makeCubies(3);
+    const a = spawnOrbs(cubies, 3, 5, [], [], createRng('orbs'));
+    const b = spawnOrbs(cubies, 3, 5, [], [], createRng('orbs'));
+    expect(a).toHaveLength(5);
+    expect(a).toEqual(b);
+  });
+});
+
+describe('seed links', () => {
+  it('round-trips a seed through the URL', () => {
+    const url = new URL(buildSeedUrl('K7QM2XPA', 'https://example.com/play'));
+    expect(readSeedParam(url)).toBe('K7QM2XPA');
+    expect(readSeedParam({ hash: '', search: '?seed=abc' })).toBe('abc');
+    expect(readSeedParam({ hash: '', search: '' })).toBeNull();
+  });
+});
@@ -0,0 +1,91 @@
+import { describe, it, expect } from 'vitest';
+import { encodeCubeState, decodeCubeState, tryDecodeCubeState } from '../engine/stateCodec.js';
+import { CubeEngine } from '../engine/CubeEngine.js';
+import { makeCubies } from '../game/cubeState.js';
+import { buildShareUrl, readStateCode, readSharedState } from '../utils/shareLink.js';
+
+const scrambled = (size) => {
+  const engine = new CubeEngine(size);
+  engine.applyNotation("R U F' L2 D B'");
+  engine.flip({ x: 0, y: 0, z: 0 }, 'NX');
+  engine.flip({ x: size - 1, y: size - 1, z: size - 1 }, 'PY');
+  return engine.cubies;
+};
+
+describe('encodeCubeState / decodeCubeState', () => {
+  it('round-trips every supported size', () => {
+    for (const size of [2, 3, 5, 10]) {
+      const cubies = scrambled(size);
+      const decoded = decodeCubeState(encodeCubeState(cubies, size));
+      expect(decoded.size).toBe(size);
+      expect(decoded.cubies).toEqual(cubies);
+    }
+  });
+
+  it('is compact and URL-safe', () => {
+    const code = encodeCubeState(scrambled(3), 3);
+    expect(code.startsWith('13.')).toBe(true);
+    expect(code).toMatch(/^[0-9a-z]+\.[A-Za-z0-9_-]+$/);
+    expect(code.length).toBeLessThan(160);
+  });
+
+  it('preserves large flip counts', () => {
+    const cubies = makeCubies(3);
+    cubies[1][1][2].stickers.PZ.flips = 1000;
+    const decoded = decodeCubeState(encodeCubeState(cubies, 3));
+    expect(decoded.cubies[1][1][2].stickers.PZ.flips).toBe(1000);
+  });
+
+  it('rejects unsupported sizes when encoding', () => {
+    expect(() => encodeCubeState(makeCubies(11), 11)).toThrow(RangeError);
+  });
+
+  it('rejects malformed codes', () => {
+    const code = encodeCubeState(makeCubies(3), 3);
+    expect(() => decodeCubeState('garbage')).toThrow(TypeError);
+    expect(() => decodeCubeState(`2${code.slice(1)}`)).toThrow(RangeError);
+    expect(() => decodeCubeState(code.slice(0, -4))).toThrow(/truncated|base64|origin|color/);
+    expect(() => decodeCubeState(`${code}AA`)).toThrow();
+  });
+
+  it('rejects codes that reuse an origin sticker', () => {
+    const code = encodeCubeState(makeCubies(2), 2);
+    const bytes = atob(code.slice(3).replace(/-/g, '+').replace(/_/g, '/'));
+    // Point the second sticker at the first one's origin
+    const tampered = bytes[0] + bytes[1] + bytes[0] + bytes.slice(3);
+    const b64 = btoa(tampered).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    expect(() => decodeCubeState(`12.${b64}`)).toThrow(/origin/);
+  });
+
+  it('tryDecodeCubeState reports errors instead of throwing', () => {
+    expect(tryDecodeCubeState('nope')).toEqual({ ok: false, error: expect.any(String) });
+    expect(tryDecodeCubeState(encodeCubeState(makeCubies(2), 2)).ok).toBe(true);
+  });
+
+  it('CubeEngine round-trips through codes', () => {
+    const engine = new CubeEngine(4);
+    engine.applyNotation("Rw U2 2R'");
+    const copy = CubeEngine.fromCode(engine.toCode());
+    expect(copy.cubies).toEqual(engine.cubies);
+  });
+});
+
+describe('share links', () => {
+  it('builds a hash link and reads it back', () => {
+    const cubies = scrambled(3);
+    const url = new URL(buildShareUrl(cubies, 3, 'https://example.com/WORM-3/?state=old'));
+    expect(url.search).toBe('');
+    const shared = readSharedState({ hash: url.hash, search: url.search });
+    expect(shared.ok).toBe(true);
+    expect(shared.cubies).toEqual(cubies);
+  });
+
+  it('accepts a query-string state', () => {
+    const code = encodeCubeState(makeCubies(2), 2);
+    expect(readStateCode({ hash: '', search: `?state=${code}` })).toBe(code);
+  });
+
+  it('returns null when no state is present', () => {
+    expect(readSharedState({ hash: '#other=1', search: '' })).toBeNull();
+  });
+});
@@ -0,0 +1,68 @@
+import { describe, it, expect } from 'vitest';
+import { buildPreset, PRESET_IDS } from '../game/statePresets.js';
+import { checkReachability } from '../game/reachability.js';
+import { makeCubies } from '../game/cubeState.js';
+import { notationToRotations } from '../game/notation.js';
+import { createRng } from '../game/seededRandom.js';
+import { FACE_DIRS, vertexToPosition } from '../utils/tilingGraph.js';
+
+// Colors on one face, row by row
+const faceColors = (cubies, size, dirKey) => {
+  const f = FACE_DIRS.indexOf(dirKey);
+  return Array.from({ length: size * size }, (_, i) => {
+    const { x, y, z } = vertexToPosition(f * size * size + i, size);
+    return cubies[x][y][z].stickers[dirKey].curr;
+  });
+};
+
+describe('buildPreset', () => {
+  it('builds every preset on every size', () => {
+    for (const size of [2, 3, 4, 5]) {
+      for (const id of PRESET_IDS) {
+        const preset = buildPreset(id, size, createRng(id));
+        expect(preset.cubies).toHaveLength(size);
+        if (preset.text && !preset.text.includes('⇅')) expect(notationToRotations(preset.text, size).errors).toEqual([]);
+      }
+    }
+    expect(buildPreset('solved', 3)).toMatchObject({ cubies: makeCubies(3), text: null, moves: 0 });
+    expect(() => buildPreset('mirror-blocks', 3)).toThrow(RangeError);
+  });
+
+  it('makes a parity error turns cannot solve', () => {
+    for (const size of [2, 3, 4, 5]) {
+      const result = checkReachability(buildPreset('parity-error', size).cubies, size);
+      expect(result.reachable).toBe(false);
+      expect(result.violations.map(v => v.invariant)).toEqual([size % 2 === 1 ? 'parity' : 'corner-twist']);
+    }
+  });
+
+  it('keeps the top and bottom faces solved', () => {
+    for (const size of [2, 3, 4, 5]) {
+      for (let seed = 0; seed < 5; seed++) {
+        const { cubies } = buildPreset('two-faces', size, createRng(`two-faces-${seed}`));
+        expect(new Set(faceColors(cubies, size, 'PY'))).toEqual(new Set([3]));
+        expect(new Set(faceColors(cubies, size, 'NY'))).toEqual(new Set([6]));
+        expect(checkReachability(cubies, size).reachable).toBe(true);
+      }
+    }
+  });
+
+  it('makes a checkerboard on every face', () => {
+    for (const size of [2, 3, 4, 5]) {
+      const { cubies, text } = buildPreset('checkerboard', size);
+      for (const dirKey of FACE_DIRS) {
+        const colors = faceColors(cubies, size, dirKey);
+        expect(new Set(colors).size).toBe(2);
+        colors.forEach((color, i) => {
+          const [r, c] = [Math.floor(i / size), i % size];
+          expect(color === colors[0]).toBe((r + c) % 2 === 0);
+        });
+      }
+      // Turns alone give one on odd sizes; even sizes need flips
+      expect(checkReachability(cubies, size).reachable).toBe(size % 2 === 1);
+      expect(checkReachability(cubies, size, { flips: true }).reachable).toBe(true);
+      expect(text.includes('⇅')).toBe(size % 2 === 0);
+    }
+    expect(buildPreset('checkerboard', 3).text).toBe('M2 E2 S2');
+  });
+});
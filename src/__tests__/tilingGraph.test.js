@@ -85,7 +85,7 @@ describe('stickerVertex', () => {
     for (let x = 0; x < 3; x++) {
       for (let y = 0; y < 3; y++) {
         for (let z = 0; z < 3; z++) {
-          for (const [dirKey] of Object.entries(cubies[x][y][z].stickers)) {
+          for (const [dirKey] of Object.entries(cubies[x][y][z]?.stickers ?? {})) {
             verts.add(stickerVertex(dirKey, x, y, z, 3));
           }
         }
@@ -99,7 +99,7 @@ describe('stickerVertex', () => {
     for (let x = 0; x < 3; x++) {
       for (let y = 0; y < 3; y++) {
         for (let z = 0; z < 3; z++) {
-          for (const [dirKey] of Object.entries(cubies[x][y][z].stickers)) {
+          for (const [dirKey] of Object.entries(cubies[x][y][z]?.stickers ?? {})) {
             const v = stickerVertex(dirKey, x, y, z, 3);
             expect(v).toBeGreaterThanOrEqual(0);
             expect(v).toBeLessThan(54);
@@ -242,6 +242,18 @@ describe('precomputeCycles', () => {
     expect(g.cycles).not.toHaveProperty('M');
   });
 
+  it('has axis-keyed cycles for every inner slice that match the cubies (5×5)', () => {
+    const g = buildTilingGraph(5);
+    const cubies = makeCubies(5);
+    const solved = cubiesToTilingState(cubies, 5);
+    for (const axis of ['row', 'col', 'depth']) {
+      for (let sliceIndex = 0; sliceIndex < 5; sliceIndex++) {
+        const after = applyTwist(solved, g.cycles[`${axis}-${sliceIndex}-1`]);
+        expect(after).toEqual(cubiesToTilingState(rotateSliceCubies(cubies, 5, axis, sliceIndex, 1), 5));
+      }
+    }
+  });
+
   it('each cycle entry is a non-empty array of arrays', () => {
     const g = buildTilingGraph(3);
     for (const cycles of Object.values(g.cycles)) {
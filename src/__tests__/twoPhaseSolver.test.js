@@ -0,0 +1,82 @@
+import { describe, it, expect, beforeAll, vi } from 'vitest';
+import { solveTwoPhase, initTwoPhaseSolver, twoPhaseTableData } from '../teach/twoPhaseSolver.js';
+import { CubeEngine } from '../engine/CubeEngine.js';
+import { makeCubies } from '../game/cubeState.js';
+
+const scrambled = (notation) => {
+  const engine = new CubeEngine(3);
+  engine.applyNotation(notation);
+  return engine;
+};
+
+describe('solveTwoPhase', () => {
+  beforeAll(() => {
+    initTwoPhaseSolver();
+  }, 30000);
+
+  it('returns an empty solution for a solved cube', () => {
+    const result = solveTwoPhase(makeCubies(3));
+    expect(result.ok).toBe(true);
+    expect(result.length).toBe(0);
+    expect(result.solution).toBe('');
+  });
+
+  it('solves scrambles within a near-optimal move count', () => {
+    const scrambles = [
+      "R U R' U'",
+      "F2 D' L B2 U R' F L2 D B' R2 U' F' L D2 B U2 R F' D'",
+      "B' L2 U F R2 D' B L' U2 F' R D2 L B' U' R2 F D L' B2",
+    ];
+    for (const scramble of scrambles) {
+      const engine = scrambled(scramble);
+      const result = solveTwoPhase(engine.cubies);
+      expect(result.ok).toBe(true);
+      expect(result.length).toBeLessThanOrEqual(24);
+      engine.applyNotation(result.solution);
+      expect(engine.isSolved()).toBe(true);
+    }
+  });
+
+  it('finds short solutions for short scrambles', () => {
+    const result = solveTwoPhase(scrambled("R U F'").cubies);
+    expect(result.length).toBe(3);
+  });
+
+  it('restores centers moved by slice turns and rotations', () => {
+    const engine = scrambled("M E' S R U x y'");
+    const result = solveTwoPhase(engine.cubies);
+    expect(result.ok).toBe(true);
+    engine.applyNotation(result.solution);
+    expect(engine.isSolved()).toBe(true);
+  });
+
+  it('rejects states that are not reachable by turns', () => {
+    const engine = scrambled('R U');
+    engine.flip({ x: 1, y: 2, z: 2 }, 'PY');
+    const result = solveTwoPhase(engine.cubies);
+    expect(result.ok).toBe(false);
+    expect(result.error).toMatch(/Not a solvable/);
+  });
+
+  it('rejects other cube sizes', () => {
+    expect(solveTwoPhase(makeCubies(4)).ok).toBe(false);
+  });
+});
+
+describe('loadTwoPhaseTables', () => {
+  it('solves with tables built somewhere else', async () => {
+    const data = twoPhaseTableData();
+    vi.resetModules();
+    const fresh = await import('../teach/twoPhaseSolver.js');
+    expect(fresh.isTwoPhaseSolverReady()).toBe(false);
+    expect(fresh.loadTwoPhaseTables({ ...data, cpSpPrune: undefined })).toBe(false);
+    expect(fresh.loadTwoPhaseTables(data)).toBe(true);
+    expect(fresh.loadTwoPhaseTables(data)).toBe(false);
+
+    const engine = scrambled("R U F' L2 D B'");
+    const result = fresh.solveTwoPhase(engine.cubies);
+    expect(result.ok).toBe(true);
+    engine.applyNotation(result.solution);
+    expect(engine.isSolved()).toBe(true);
+  }, 30000);
+});
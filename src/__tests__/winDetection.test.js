@@ -110,7 +110,7 @@ describe('checkWormVictory', () => {
     for (let x = 0; x < 3; x++) {
       for (let y = 0; y < 3; y++) {
         for (let z = 0; z < 3; z++) {
-          for (const st of Object.values(cubies[x][y][z].stickers)) {
+          for (const st of Object.values(cubies[x][y][z]?.stickers ?? {})) {
             st.flips = 1;
           }
         }
@@ -11,6 +11,7 @@ import {
   OLL_HINTS,
   PLL_HINTS
 } from '../game/solveDetection.js';
+import { useSolver } from '../teach/useSolver.js';
 
 const STEPS = [
   { id: 'whiteCross', name: 'White Cross', shortName: 'Cross', description: 'Form a cross on the white face with edges matching center colors' },
@@ -74,16 +75,82 @@ const AlgorithmCard = ({ hint, expanded, onToggle }) => (
   </div>
 );
 
+// Rotation + flip solver: "N moves to solved" with a step-through control
+const SolverPanel = ({ solver, onPlayMove, canPlayMove }) => {
+  const { result, computing, step, movesDone, movesLeft, solve } = solver;
+  const offPath = result?.ok && step < 0;
+  const done = result?.ok && step === result.steps.length;
+  const canStep = result?.ok && step >= 0 && !done && canPlayMove;
+
+  const buttonStyle = (enabled) => ({
+    background: enabled ? 'rgba(0,255,136,0.15)' : 'rgba(255,255,255,0.05)',
+    border: `1px solid ${enabled ? 'rgba(0,255,136,0.4)' : 'rgba(255,255,255,0.1)'}`,
+    color: enabled ? '#00ff88' : 'rgba(255,255,255,0.3)',
+    padding: '4px 10px',
+    borderRadius: '4px',
+    cursor: enabled ? 'pointer' : 'default',
+    fontSize: '11px',
+    fontFamily: "'Courier New', monospace"
+  });
+
+  return (
+    <div style={{
+      padding: '12px 16px',
+      borderBottom: '1px solid rgba(255,255,255,0.1)',
+      fontSize: '12px'
+    }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <span style={{ color: '#fefae0' }}>
+          {computing ? 'Searching…'
+            : !result ? 'Shortest route to solved'
+            : !result.ok ? result.error
+            : offPath ? 'Cube changed since the last solve'
+            : done ? 'Solved!'
+            : `${movesLeft} move${movesLeft === 1 ? '' : 's'} to solved${result.flipCount ? ` (${result.flipCount} flip${result.flipCount === 1 ? '' : 's'})` : ''}`}
+        </span>
+        {(!result || !result.ok || offPath) ? (
+          <button onClick={solve} disabled={computing} style={buttonStyle(!computing)}>
+            {result ? 'RE-SOLVE' : 'SOLVE'}
+          </button>
+        ) : !done && (
+          <button onClick={() => onPlayMove?.(result.steps[step])} disabled={!canStep} style={buttonStyle(canStep)}>
+            STEP ▶
+          </button>
+        )}
+      </div>
+
+      {result?.ok && !offPath && (
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '4px', marginTop: '8px' }}>
+          {result.moves.map((move, i) => (
+            <span key={i} style={{
+              padding: '2px 5px',
+              borderRadius: '3px',
+              fontSize: '11px',
+              background: i < movesDone ? 'rgba(0,255,136,0.15)' : i === movesDone ? 'rgba(254,250,224,0.2)' : 'rgba(255,255,255,0.05)',
+              color: i < movesDone ? '#00ff88' : i === movesDone ? '#fefae0' : 'rgba(255,255,255,0.4)'
+            }}>
+              {move}
+            </span>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
 export default function SolveMode({
   cubies,
   size,
   onClose,
   onHighlightChange,
   focusedStep,
-  onFocusStep
+  onFocusStep,
+  onPlayMove,
+  canPlayMove = true
 }) {
   const [expandedHint, setExpandedHint] = useState(null);
   const [showAllHints, setShowAllHints] = useState(false);
+  const solver = useSolver(cubies, size, { withFlips: true });
 
   // Calculate solve progress
   const progress = useMemo(() => {
@@ -255,6 +322,9 @@ export default function SolveMode({
         {currentHint.message}
       </div>
 
+      {/* Solver */}
+      <SolverPanel solver={solver} onPlayMove={onPlayMove} canPlayMove={canPlayMove} />
+
       {/* Algorithms Section */}
       <div style={{
         flex: 1,
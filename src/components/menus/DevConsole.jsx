@@ -1,23 +1,69 @@
-import React from 'react';
+import React, { useState, useMemo } from 'react';
+import { stateInvariants, analyzeSequence, commutatorSequence, conjugateSequence } from '../../game/cubeGroup.js';
 import './DevConsole.css';
 
+// "3×8 4×2": cycle lengths with how many of each
+const formatCycleType = (type) => Object.entries(type).map(([length, count]) => `${length}×${count}`).join(' ') || 'none';
+
+// One line of sequence analysis, or the first notation error
+const SequenceLine = ({ label, analysis }) => (
+  <div className="group-line">
+    <span className="group-label">{label}</span>
+    {analysis.errors.length > 0 ? (
+      <span className="group-error">{analysis.errors[0].message}</span>
+    ) : (
+      <span>
+        order {analysis.order} · {analysis.moved} stickers moved · cycles {formatCycleType(analysis.cycleType)} · {analysis.parity ? 'odd' : 'even'}
+      </span>
+    )}
+  </div>
+);
+
 export default function DevConsole({
   onClose,
   onPreset,
   onSaveState,
   onLoadState,
+  onCopyShareLink,
   hasSavedState,
-  size: _size,
+  size,
+  cubies,
   onJumpToLevel,
   onInstantChaos,
+  onOpenExperiment,
   moveHistory
 }) {
+  const [sequenceA, setSequenceA] = useState("R U R' U'");
+  const [sequenceB, setSequenceB] = useState('D');
+
+  const invariants = useMemo(() => stateInvariants(cubies, size), [cubies, size]);
+  const analyses = useMemo(() => {
+    const a = analyzeSequence(sequenceA, size);
+    if (!sequenceB.trim()) return { a };
+    const commutator = commutatorSequence(sequenceA, sequenceB, size);
+    const conjugate = conjugateSequence(sequenceA, sequenceB, size);
+    return {
+      a,
+      b: analyzeSequence(sequenceB, size),
+      commutator: { ...analyzeSequence(commutator.rotations, size), errors: commutator.errors },
+      conjugate: { ...analyzeSequence(conjugate.rotations, size), errors: conjugate.errors },
+    };
+  }, [sequenceA, sequenceB, size]);
+
   const presets = [
     { id: 'solved', name: 'Solved State', desc: 'Reset to solved cube' },
     { id: 'near-solved', name: 'Near Solved', desc: '3 moves from solved' },
-    { id: 'parity-error', name: 'Parity Error', desc: 'Single face swap (unsolvable)' },
-    { id: 'two-faces', name: 'Two Faces Done', desc: 'Two opposite faces solved' },
-    { id: 'checkerboard', name: 'Checkerboard', desc: 'Classic checkerboard pattern' },
+    {
+      id: 'parity-error',
+      name: 'Parity Error',
+      desc: size % 2 === 1 ? 'Two edges swapped (unsolvable by turns)' : 'One corner twisted (unsolvable)',
+    },
+    { id: 'two-faces', name: 'Two Faces Done', desc: 'Top and bottom faces solved' },
+    {
+      id: 'checkerboard',
+      name: 'Checkerboard',
+      desc: size % 2 === 1 ? 'Classic checkerboard pattern' : 'Checkerboard made with flips',
+    },
     { id: 'scrambled-10', name: 'Light Scramble', desc: '10 random moves' },
     { id: 'scrambled-25', name: 'Medium Scramble', desc: '25 random moves' },
     { id: 'scrambled-50', name: 'Heavy Scramble', desc: '50 random moves' },
@@ -104,6 +150,64 @@ export default function DevConsole({
               >
                 📂 Load Saved State
               </button>
+              <button
+                className="state-btn"
+                onClick={onCopyShareLink}
+                title="Copy a link that opens this exact cube state"
+              >
+                🔗 Copy Share Link
+              </button>
+            </div>
+          </section>
+
+          {/* Group Theory */}
+          <section className="dev-section">
+            <h3>Group Theory</h3>
+            <div className={`group-verdict ${invariants.solvable ? 'ok' : 'bad'}`}>
+              {invariants.solvable
+                ? (invariants.complete ? 'Current state is solvable with turns' : 'Current state keeps the corner and middle-edge invariants')
+                : 'Current state is unreachable by turns'}
+            </div>
+            {invariants.violations.map((v, i) => (
+              <div key={i} className="group-line group-error">{v.message}</div>
+            ))}
+            <div className="group-line">
+              <span className="group-label">Invariants</span>
+              <span>
+                twist {invariants.cornerTwist ?? '—'}
+                {' · '}flip {invariants.edgeFlip ?? '—'}
+                {' · '}parity {invariants.cornerParity ?? '—'}/{invariants.edgeParity ?? '—'}
+              </span>
+            </div>
+
+            <div className="group-inputs">
+              <input value={sequenceA} onChange={e => setSequenceA(e.target.value)} placeholder="Sequence A" aria-label="Sequence A" />
+              <input value={sequenceB} onChange={e => setSequenceB(e.target.value)} placeholder="Sequence B" aria-label="Sequence B" />
+            </div>
+            <SequenceLine label="A" analysis={analyses.a} />
+            {analyses.b && (
+              <>
+                <SequenceLine label="B" analysis={analyses.b} />
+                <SequenceLine label="[A, B]" analysis={analyses.commutator} />
+                <SequenceLine label="[A: B]" analysis={analyses.conjugate} />
+              </>
+            )}
+          </section>
+
+          {/* Research */}
+          <section className="dev-section">
+            <h3>Research</h3>
+            <div className="state-controls">
+              <button
+                className="state-btn"
+                onClick={() => {
+                  onOpenExperiment();
+                  onClose();
+                }}
+                title="Average I(T) and C(T) over random scrambles of each depth"
+              >
+                📈 Regime Experiment
+              </button>
             </div>
           </section>
 
@@ -141,6 +141,10 @@ const HelpMenu = ({ onClose }) => {
               <p style={{ margin: '8px 0' }}><strong>V</strong> — Change view mode</p>
               <p style={{ margin: '8px 0' }}><strong>C</strong> — Turn chaos mode on/off</p>
               <p style={{ margin: '8px 0' }}><strong>P</strong> — Toggle Hands Mode</p>
+              <p style={{ margin: '8px 0' }}><strong>Z</strong> — Undo the last move</p>
+              <p style={{ margin: '8px 0' }}><strong>Y</strong> or <strong>Shift+Z</strong> — Redo</p>
+              <p style={{ margin: '8px 0' }}><strong>B</strong> — Show the move history (old branches are kept)</p>
+              <p style={{ margin: '8px 0' }}><strong>K</strong> — Watch a replay of this session (Space plays, ← → step)</p>
               <p style={{ margin: '8px 0' }}><strong>Esc</strong> — Close menus / hide cursor / exit Hands Mode</p>
             </div>
           </section>
@@ -114,7 +114,7 @@ const MenuButton = ({ children, onClick, delay, icon, primary }) => {
   );
 };
 
-const MainMenu = ({ onPlay, onLevels, onFreeplay, onCoop, onTeach, onSettings, onHelp }) => {
+const MainMenu = ({ onPlay, onLevels, onDaily, dailyStreak = 0, dailyDone = false, onAchievements, onStats, onPatterns, onFreeplay, onCoop, onTeach, onEditor, onSettings, onHelp }) => {
   const [titleVisible, setTitleVisible] = useState(false);
   const [subtitleVisible, setSubtitleVisible] = useState(false);
 
@@ -220,6 +220,18 @@ const MainMenu = ({ onPlay, onLevels, onFreeplay, onCoop, onTeach, onSettings, o
           <MenuButton onClick={onLevels} delay={750} icon="◈">
             Levels
           </MenuButton>
+          <MenuButton onClick={onDaily} delay={790} icon={dailyDone ? '✓' : '☀'}>
+            Daily{dailyStreak > 0 && <span style={{ fontSize: '13px', opacity: 0.7 }}>🔥{dailyStreak}</span>}
+          </MenuButton>
+          <MenuButton onClick={onAchievements} delay={825} icon="✦">
+            Achievements
+          </MenuButton>
+          <MenuButton onClick={onStats} delay={860} icon="▤">
+            Statistics
+          </MenuButton>
+          <MenuButton onClick={onPatterns} delay={880} icon="◇">
+            Patterns
+          </MenuButton>
           <MenuButton onClick={onFreeplay} delay={900} icon="∞">
             Freeplay
           </MenuButton>
@@ -229,6 +241,9 @@ const MainMenu = ({ onPlay, onLevels, onFreeplay, onCoop, onTeach, onSettings, o
           <MenuButton onClick={onTeach} delay={1100} icon="&#9733;">
             Teach
           </MenuButton>
+          <MenuButton onClick={onEditor} delay={1175} icon="✎">
+            Level Editor
+          </MenuButton>
           <MenuButton onClick={onSettings} delay={1250} icon="⚙">
             Settings
           </MenuButton>
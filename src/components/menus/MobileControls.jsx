@@ -22,6 +22,10 @@ const MobileControls = ({
   onUndo,
   canUndo,
   undoCount,
+  onRedo,
+  canRedo,
+  onShowHistory,
+  onShowReplay,
   teachModeActive,
   onToggleTeachMode,
   cubeSize
@@ -68,53 +72,75 @@ const MobileControls = ({
 
   return (
     <>
-      {/* Left side - Undo button (always visible when available) */}
-      {canUndo && (
+      {/* Left side - Undo/redo buttons (always visible when available) */}
+      {(canUndo || canRedo) && (
         <div style={{
           position: 'fixed',
           bottom: 'calc(100px + env(safe-area-inset-bottom, 0px))',
           left: '16px',
           zIndex: 500,
+          display: 'flex',
+          flexDirection: 'column',
+          alignItems: 'center',
+          gap: '10px',
           pointerEvents: 'auto'
         }}>
-          <button
-            onClick={onUndo}
-            style={{
-              ...buttonStyle,
-              width: '54px',
-              height: '54px',
-              fontSize: '22px',
-              background: 'rgba(0, 217, 255, 0.2)',
-              borderColor: 'rgba(0, 217, 255, 0.5)',
-              boxShadow: '0 4px 20px rgba(0, 217, 255, 0.3)',
-              position: 'relative'
-            }}
-            aria-label={`Undo last move (${undoCount} available)`}
-          >
-            <svg width="22" height="22" viewBox="0 0 24 24" fill="none" stroke="#00d9ff" strokeWidth="2.5" strokeLinecap="round" strokeLinejoin="round">
-              <path d="M3 10h10a5 5 0 0 1 0 10H9"/>
-              <polyline points="7 14 3 10 7 6"/>
-            </svg>
-            {undoCount > 0 && (
-              <span style={{
-                position: 'absolute',
-                top: '-4px',
-                right: '-4px',
-                background: 'rgba(0, 217, 255, 0.9)',
-                color: '#000',
-                borderRadius: '50%',
-                width: '20px',
-                height: '20px',
-                fontSize: '11px',
-                fontWeight: 'bold',
-                display: 'flex',
-                alignItems: 'center',
-                justifyContent: 'center'
-              }}>
-                {undoCount}
-              </span>
-            )}
-          </button>
+          {canRedo && (
+            <button
+              onClick={onRedo}
+              style={{
+                ...smallButtonStyle,
+                background: 'rgba(0, 217, 255, 0.12)',
+                borderColor: 'rgba(0, 217, 255, 0.35)'
+              }}
+              aria-label="Redo move"
+            >
+              <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="#00d9ff" strokeWidth="2.5" strokeLinecap="round" strokeLinejoin="round">
+                <path d="M21 10H11a5 5 0 0 0 0 10h4"/>
+                <polyline points="17 14 21 10 17 6"/>
+              </svg>
+            </button>
+          )}
+          {canUndo && (
+            <button
+              onClick={onUndo}
+              style={{
+                ...buttonStyle,
+                width: '54px',
+                height: '54px',
+                fontSize: '22px',
+                background: 'rgba(0, 217, 255, 0.2)',
+                borderColor: 'rgba(0, 217, 255, 0.5)',
+                boxShadow: '0 4px 20px rgba(0, 217, 255, 0.3)',
+                position: 'relative'
+              }}
+              aria-label={`Undo last move (${undoCount} available)`}
+            >
+              <svg width="22" height="22" viewBox="0 0 24 24" fill="none" stroke="#00d9ff" strokeWidth="2.5" strokeLinecap="round" strokeLinejoin="round">
+                <path d="M3 10h10a5 5 0 0 1 0 10H9"/>
+                <polyline points="7 14 3 10 7 6"/>
+              </svg>
+              {undoCount > 0 && (
+                <span style={{
+                  position: 'absolute',
+                  top: '-4px',
+                  right: '-4px',
+                  background: 'rgba(0, 217, 255, 0.9)',
+                  color: '#000',
+                  borderRadius: '50%',
+                  width: '20px',
+                  height: '20px',
+                  fontSize: '11px',
+                  fontWeight: 'bold',
+                  display: 'flex',
+                  alignItems: 'center',
+                  justifyContent: 'center'
+                }}>
+                  {undoCount}
+                </span>
+              )}
+            </button>
+          )}
         </div>
       )}
 
@@ -147,6 +173,28 @@ const MobileControls = ({
               ?
             </button>
 
+            {/* Move history */}
+            {onShowHistory && (
+              <button
+                onClick={() => { onShowHistory(); setExpanded(false); }}
+                style={smallButtonStyle}
+                aria-label="Move history"
+              >
+                <span style={{ fontSize: '9px', fontWeight: 700 }}>HIST</span>
+              </button>
+            )}
+
+            {/* Replay viewer */}
+            {onShowReplay && (
+              <button
+                onClick={() => { onShowReplay(); setExpanded(false); }}
+                style={smallButtonStyle}
+                aria-label="Replay"
+              >
+                <span style={{ fontSize: '9px', fontWeight: 700 }}>RPLY</span>
+              </button>
+            )}
+
             {/* CW rotation */}
             {onRotateCW && (
               <button
@@ -1,4 +1,7 @@
 import React from 'react';
+import { MIN_CUBE_SIZE, MAX_CUBE_SIZE } from '../../game/cubeState.js';
+
+const CUBE_SIZES = Array.from({ length: MAX_CUBE_SIZE - MIN_CUBE_SIZE + 1 }, (_, i) => MIN_CUBE_SIZE + i);
 
 /**
  * SecondaryModesSheet - Bottom sheet modal with grouped controls
@@ -84,7 +87,7 @@ const SecondaryModesSheet = ({
             <div className="sheet-group">
               <div className="sheet-group-title">Cube Size</div>
               <div className="sheet-grid">
-                {[2, 3, 4, 5].map((n) => (
+                {CUBE_SIZES.map((n) => (
                   <SheetItem
                     key={n}
                     label={`${n}×${n}`}
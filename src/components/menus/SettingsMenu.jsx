@@ -570,6 +570,38 @@ function ModesPanel() {
   );
 }
 
+function SavePanel({ onExportSave, onImportSave }) {
+  const fileInputRef = useRef(null);
+
+  const handleImport = (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (file) onImportSave?.(file);
+  };
+
+  return (
+    <section className="settings-section">
+      <h3 className="settings-section-title">Backup</h3>
+      <p className="settings-hint">
+        Export saves your level progress, stats, achievements, daily challenge
+        history, settings and installed level packs to one file. Import merges
+        a save file into this device's progress: nothing you already have is
+        lost, and a damaged file is rejected without changing anything.
+      </p>
+      <div className="image-upload-area" style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
+        <input ref={fileInputRef} type="file" accept=".json,application/json"
+          onChange={handleImport} style={{ display: 'none' }} />
+        <button className="image-upload-btn" onClick={onExportSave}>
+          Export save file
+        </button>
+        <button className="image-upload-btn" onClick={() => fileInputRef.current?.click()}>
+          Import save file…
+        </button>
+      </div>
+    </section>
+  );
+}
+
 // ─── Main component ───────────────────────────────────────────────────────────
 
 const TABS = [
@@ -578,9 +610,10 @@ const TABS = [
   { id: 'scene', label: 'Scene' },
   { id: 'display', label: 'Display' },
   { id: 'modes', label: 'Modes' },
+  { id: 'save', label: 'Save' },
 ];
 
-const SettingsMenu = ({ onClose, settings, onSettingsChange, faceImages = {}, onFaceImage }) => {
+const SettingsMenu = ({ onClose, settings, onSettingsChange, faceImages = {}, onFaceImage, onExportSave, onImportSave }) => {
   const [activeTab, setActiveTab] = useState('colors');
 
   return (
@@ -628,6 +661,9 @@ const SettingsMenu = ({ onClose, settings, onSettingsChange, faceImages = {}, on
           {activeTab === 'modes' && (
             <ModesPanel />
           )}
+          {activeTab === 'save' && (
+            <SavePanel onExportSave={onExportSave} onImportSave={onImportSave} />
+          )}
         </div>
       </div>
     </div>
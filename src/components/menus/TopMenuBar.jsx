@@ -1,11 +1,12 @@
 import React, { useMemo } from 'react';
+import { forEachCubie } from '../../game/cubeState.js';
 
 /**
  * TopMenuBar - Thin 48dp Google-inspired top app bar
  *
  * Left: Parity pill (EVEN/ODD)
  * Center: Current mode + dimension label
- * Right: Settings gear icon
+ * Right: Run seed + settings gear icon
  */
 const TopMenuBar = ({
   metrics,
@@ -16,7 +17,9 @@ const TopMenuBar = ({
   chaosLevel,
   cubies,
   onShowSettings,
-  currentLevelData
+  currentLevelData,
+  seed,
+  onSeedClick
 }) => {
   const parity = metrics.flips % 2 === 0 ? 'EVEN' : 'ODD';
   const parityBg = parity === 'EVEN' ? '#4CAF50' : '#FF9800';
@@ -36,18 +39,14 @@ const TopMenuBar = ({
   const faceStats = useMemo(() => {
     const faces = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0, 6: 0 };
     const faceTargets = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0, 6: 0 };
-    for (const L of cubies) {
-      for (const R of L) {
-        for (const c of R) {
-          for (const [dir, st] of Object.entries(c.stickers)) {
-            const targetFace = dir === 'PZ' ? 1 : dir === 'NX' ? 2 : dir === 'PY' ? 3 :
-                              dir === 'NZ' ? 4 : dir === 'PX' ? 5 : 6;
-            faceTargets[targetFace]++;
-            if (st.curr === targetFace) faces[targetFace]++;
-          }
-        }
+    forEachCubie(cubies, (c) => {
+      for (const [dir, st] of Object.entries(c.stickers)) {
+        const targetFace = dir === 'PZ' ? 1 : dir === 'NX' ? 2 : dir === 'PY' ? 3 :
+                          dir === 'NZ' ? 4 : dir === 'PX' ? 5 : 6;
+        faceTargets[targetFace]++;
+        if (st.curr === targetFace) faces[targetFace]++;
       }
-    }
+    });
     const totalComplete = Object.values(faces).reduce((a, b) => a + b, 0);
     const totalStickers = Object.values(faceTargets).reduce((a, b) => a + b, 0);
     return { totalComplete, totalStickers, percent: Math.round((totalComplete / totalStickers) * 100) };
@@ -76,8 +75,13 @@ const TopMenuBar = ({
         <span className="top-bar-progress">{faceStats.percent}%</span>
       </div>
 
-      {/* Right: Settings gear */}
+      {/* Right: Run seed + settings gear */}
       <div className="top-bar-right">
+        {seed && (
+          <button className="seed-pill" onClick={onSeedClick} title="Run seed — click to play a different seed">
+            #{seed}
+          </button>
+        )}
         <button className="top-bar-icon-btn" onClick={onShowSettings} title="Settings">
           <svg width="22" height="22" viewBox="0 0 24 24" fill="none" stroke="rgba(255,255,255,0.85)" strokeWidth="1.8" strokeLinecap="round" strokeLinejoin="round">
             <circle cx="12" cy="12" r="3" />
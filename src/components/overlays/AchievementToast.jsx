@@ -0,0 +1,55 @@
+import React, { useEffect } from 'react';
+
+/**
+ * Announces newly unlocked achievements, then dismisses itself.
+ */
+const AchievementToast = ({ achievements, onDismiss }) => {
+  useEffect(() => {
+    if (achievements.length === 0) return undefined;
+    const timer = setTimeout(onDismiss, 5000);
+    return () => clearTimeout(timer);
+  }, [achievements, onDismiss]);
+
+  if (achievements.length === 0) return null;
+
+  return (
+    <div
+      role="status"
+      onClick={onDismiss}
+      style={{
+        position: 'fixed',
+        top: '70px',
+        left: '50%',
+        transform: 'translateX(-50%)',
+        zIndex: 2600,
+        display: 'flex',
+        flexDirection: 'column',
+        gap: '6px',
+        cursor: 'pointer'
+      }}
+    >
+      {achievements.map(a => (
+        <div key={a.id} style={{
+          display: 'flex',
+          alignItems: 'center',
+          gap: '10px',
+          background: 'rgba(20, 25, 40, 0.95)',
+          border: '1px solid rgba(34, 197, 94, 0.5)',
+          borderRadius: '10px',
+          padding: '8px 14px',
+          color: 'white',
+          fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif',
+          boxShadow: '0 8px 24px rgba(0, 0, 0, 0.5)'
+        }}>
+          <span style={{ fontSize: '22px' }}>{a.icon}</span>
+          <div>
+            <div style={{ fontSize: '10px', letterSpacing: '0.1em', color: '#4ade80' }}>ACHIEVEMENT UNLOCKED</div>
+            <div style={{ fontSize: '14px', fontWeight: 600 }}>{a.name}</div>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default AchievementToast;
@@ -0,0 +1,122 @@
+import React, { useState } from 'react';
+import { createDailyLevel, formatDailyResult } from '../../levels/daily.js';
+import { K_STAR } from '../../game/antipodalIntegrity.js';
+
+const formatTime = (s) => `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`;
+
+const Stat = ({ label, value, color = 'white' }) => (
+  <div style={{ background: 'rgba(255, 255, 255, 0.05)', borderRadius: '8px', padding: '8px 4px' }}>
+    <div style={{ fontSize: '20px', fontWeight: 700, color }}>{value}</div>
+    <div style={{ fontSize: '10px', letterSpacing: '0.1em', opacity: 0.6 }}>{label}</div>
+  </div>
+);
+
+/**
+ * Results of a solved daily challenge: time, moves, flips and final I(T),
+ * the streak, and the same as text to copy and share.
+ */
+const DailyResultCard = ({ dailyKey, result, streak, isFirst, onPlayAgain, onMainMenu }) => {
+  const [copied, setCopied] = useState(false);
+  const level = createDailyLevel(dailyKey);
+  const text = formatDailyResult(dailyKey, result, streak);
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(text);
+      setCopied(true);
+    } catch {
+      window.prompt('Copy your result:', text);
+    }
+  };
+
+  const buttonStyle = {
+    padding: '8px 16px',
+    borderRadius: '6px',
+    cursor: 'pointer',
+    fontFamily: "'Courier New', monospace",
+    fontSize: '13px'
+  };
+
+  return (
+    <div style={{
+      position: 'fixed',
+      inset: 0,
+      background: 'rgba(0, 0, 0, 0.7)',
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      zIndex: 3000
+    }}>
+      <div
+        role="dialog"
+        aria-label="Daily challenge results"
+        style={{
+          width: 'min(380px, calc(100vw - 40px))',
+          background: 'rgba(20, 25, 40, 0.97)',
+          borderRadius: '12px',
+          border: '1px solid rgba(250, 204, 21, 0.4)',
+          boxShadow: '0 20px 60px rgba(0,0,0,0.6)',
+          color: 'white',
+          fontFamily: "'Courier New', monospace",
+          padding: '20px 24px',
+          textAlign: 'center',
+          boxSizing: 'border-box'
+        }}
+      >
+        <div style={{ fontSize: '11px', letterSpacing: '0.15em', color: '#facc15' }}>☀ DAILY CHALLENGE</div>
+        <h2 style={{ margin: '4px 0 2px', fontSize: '22px' }}>{dailyKey}</h2>
+        <div style={{ fontSize: '12px', opacity: 0.6, marginBottom: '16px' }}>{level.description}</div>
+
+        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(4, 1fr)', gap: '6px', marginBottom: '14px' }}>
+          <Stat label="TIME" value={formatTime(result.time)} />
+          <Stat label="MOVES" value={result.moves} />
+          <Stat label="FLIPS" value={result.flips} />
+          <Stat label="I(T)" value={result.integrity.toFixed(3)} color={result.integrity < K_STAR ? '#f87171' : '#4ade80'} />
+        </div>
+
+        <div style={{ fontSize: '13px', marginBottom: '6px' }}>
+          🔥 Streak: <strong>{streak.current}</strong> day{streak.current === 1 ? '' : 's'}
+          <span style={{ opacity: 0.5 }}> · best {streak.best}</span>
+        </div>
+        {!isFirst && (
+          <div style={{ fontSize: '11px', opacity: 0.6, marginBottom: '6px' }}>
+            Replay: your first solve today is the one kept in your history.
+          </div>
+        )}
+
+        <pre style={{
+          textAlign: 'left',
+          background: 'rgba(0, 0, 0, 0.35)',
+          borderRadius: '6px',
+          padding: '8px 10px',
+          fontSize: '11px',
+          margin: '12px 0',
+          whiteSpace: 'pre-wrap'
+        }}>{text}</pre>
+
+        <div style={{ display: 'flex', gap: '8px', justifyContent: 'center', flexWrap: 'wrap' }}>
+          <button
+            onClick={handleCopy}
+            style={{ ...buttonStyle, background: 'rgba(250, 204, 21, 0.15)', border: '1px solid rgba(250, 204, 21, 0.5)', color: '#facc15' }}
+          >
+            {copied ? 'Copied!' : 'Copy results'}
+          </button>
+          <button
+            onClick={onPlayAgain}
+            style={{ ...buttonStyle, background: 'rgba(255, 255, 255, 0.08)', border: '1px solid rgba(255, 255, 255, 0.2)', color: 'rgba(255, 255, 255, 0.8)' }}
+          >
+            Play again
+          </button>
+          <button
+            onClick={onMainMenu}
+            style={{ ...buttonStyle, background: 'rgba(255, 255, 255, 0.08)', border: '1px solid rgba(255, 255, 255, 0.2)', color: 'rgba(255, 255, 255, 0.8)' }}
+          >
+            Main menu
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DailyResultCard;
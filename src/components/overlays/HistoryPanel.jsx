@@ -0,0 +1,122 @@
+import React, { useMemo } from 'react';
+import { timeline, branchTip } from '../../game/moveHistory.js';
+import { rotationToNotation } from '../../game/notation.js';
+
+// Rows shown either side of the current point; long chaos sessions can
+// record thousands of moves
+const ROWS_BEFORE = 200;
+const ROWS_AFTER = 100;
+
+const SOURCE_LABELS = { echo: 'echo', chaos: 'chaos', decay: 'decay' };
+
+const moveLabel = (move, size) => {
+  if (!move) return 'Start';
+  if (move.type === 'rotation') return rotationToNotation(move, size);
+  const { x, y, z } = move.pos;
+  return `⇅ ${move.dirKey} ${x},${y},${z}`;
+};
+
+/**
+ * Branching move history: click a row to jump there, click a fork marker
+ * to switch to the next branch from that point.
+ */
+const HistoryPanel = ({ historyTree, size, onJump, onUndo, onRedo, canUndo, canRedo, onClose }) => {
+  const rows = useMemo(() => timeline(historyTree), [historyTree]);
+  const currentIndex = rows.findIndex(r => r.current);
+  const first = Math.max(0, currentIndex - ROWS_BEFORE);
+  const last = Math.min(rows.length, currentIndex + ROWS_AFTER + 1);
+
+  // Tip of the next sibling branch at this row's fork
+  const nextBranchTip = (row) => {
+    const parent = historyTree.nodes[historyTree.nodes[row.id].parent];
+    const sibling = parent.children[(row.branch + 1) % parent.children.length];
+    return branchTip(historyTree, sibling);
+  };
+
+  const buttonStyle = (enabled) => ({
+    background: enabled ? 'rgba(0, 217, 255, 0.15)' : 'rgba(255,255,255,0.05)',
+    border: `1px solid ${enabled ? 'rgba(0, 217, 255, 0.4)' : 'rgba(255,255,255,0.1)'}`,
+    color: enabled ? '#00d9ff' : 'rgba(255,255,255,0.3)',
+    padding: '4px 10px',
+    borderRadius: '4px',
+    cursor: enabled ? 'pointer' : 'default',
+    fontSize: '11px',
+    fontFamily: "'Courier New', monospace"
+  });
+
+  return (
+    <div style={{
+      position: 'fixed',
+      left: '20px',
+      top: '80px',
+      width: '240px',
+      maxHeight: 'calc(100vh - 180px)',
+      background: 'rgba(0,0,0,0.85)',
+      backdropFilter: 'blur(10px)',
+      borderRadius: '12px',
+      border: '1px solid rgba(255,255,255,0.1)',
+      color: 'white',
+      fontFamily: "'Courier New', monospace",
+      zIndex: 1000,
+      display: 'flex',
+      flexDirection: 'column',
+      overflow: 'hidden'
+    }}>
+      <div style={{
+        padding: '12px 16px',
+        borderBottom: '1px solid rgba(255,255,255,0.1)',
+        display: 'flex',
+        justifyContent: 'space-between',
+        alignItems: 'center'
+      }}>
+        <h3 style={{ margin: 0, fontSize: '14px', letterSpacing: '0.1em', color: '#fefae0' }}>HISTORY</h3>
+        <div style={{ display: 'flex', gap: '6px' }}>
+          <button onClick={onUndo} disabled={!canUndo} style={buttonStyle(canUndo)} title="Undo (Z)">↶</button>
+          <button onClick={onRedo} disabled={!canRedo} style={buttonStyle(canRedo)} title="Redo (Y)">↷</button>
+          <button onClick={onClose} style={buttonStyle(true)}>✕</button>
+        </div>
+      </div>
+
+      <div style={{ overflowY: 'auto', padding: '8px 0', fontSize: '12px' }}>
+        {first > 0 && (
+          <div style={{ padding: '2px 16px', opacity: 0.4 }}>… {first} earlier</div>
+        )}
+        {rows.slice(first, last).map((row) => (
+          <div
+            key={row.id}
+            onClick={() => onJump(row.id)}
+            style={{
+              display: 'flex',
+              alignItems: 'center',
+              gap: '8px',
+              padding: '3px 16px',
+              cursor: 'pointer',
+              background: row.current ? 'rgba(0, 217, 255, 0.15)' : 'transparent',
+              color: row.current ? '#00d9ff' : row.future ? 'rgba(255,255,255,0.35)' : row.move?.source ? 'rgba(255,255,255,0.55)' : '#fefae0'
+            }}
+          >
+            <span style={{ width: '32px', opacity: 0.5, textAlign: 'right' }}>{row.index}</span>
+            <span style={{ flex: 1 }}>{moveLabel(row.move, size)}</span>
+            {row.move?.source && (
+              <span style={{ fontSize: '10px', opacity: 0.6 }}>{SOURCE_LABELS[row.move.source] || row.move.source}</span>
+            )}
+            {row.siblings > 1 && (
+              <span
+                onClick={(e) => { e.stopPropagation(); onJump(nextBranchTip(row)); }}
+                title="Switch to the next branch from here"
+                style={{ fontSize: '10px', color: '#fbbf24' }}
+              >
+                ⑂ {row.branch + 1}/{row.siblings}
+              </span>
+            )}
+          </div>
+        ))}
+        {last < rows.length && (
+          <div style={{ padding: '2px 16px', opacity: 0.4 }}>… {rows.length - last} later</div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default HistoryPanel;
@@ -0,0 +1,181 @@
+import React, { useRef } from 'react';
+import {
+  GAME_MODES, WIN_CONDITIONS, BACKGROUNDS, DIFFICULTY, FEATURE_NAMES,
+} from '../../levels/schema.js';
+import { defaultScrambleLength } from '../../levels/startState.js';
+import { MIN_CUBE_SIZE, MAX_CUBE_SIZE } from '../../game/cubeState.js';
+
+const SIZES = Array.from({ length: MAX_CUBE_SIZE - MIN_CUBE_SIZE + 1 }, (_, i) => MIN_CUBE_SIZE + i);
+const CHAOS_LEVELS = [0, 1, 2, 3, 4];
+const EDITABLE_FEATURES = Object.keys(FEATURE_NAMES).filter(f => f !== 'rotations');
+
+// Empty number fields mean "no limit"
+const limitValue = (value) => (value === '' ? null : Math.max(0, Math.floor(Number(value))));
+
+const startSummary = (level) => {
+  const { start } = level;
+  if (!start) return `Random scramble, ${defaultScrambleLength(level)} moves`;
+  const parts = [];
+  if (start.state) parts.push('authored cube');
+  if (start.scramble) parts.push(`scramble "${start.scramble}"`);
+  if (start.flips?.length) parts.push(`${start.flips.length} flip${start.flips.length === 1 ? '' : 's'}`);
+  return parts.length ? parts.join(' + ') : 'Solved cube';
+};
+
+/**
+ * Level editor: pack details, the selected level's settings, its starting
+ * cube (set by playing on the live cube), live validation, playtest and
+ * pack file export/import.
+ */
+const LevelEditorPanel = ({
+  pack, selected, level, levelResult, packResult,
+  onUpdatePack, onUpdateLevel, onSelectLevel, onAddLevel, onRemoveLevel,
+  onCaptureStart, onClearStart, onPlaytest, onExport, onImport, onClose
+}) => {
+  const fileInputRef = useRef(null);
+
+  const buttonStyle = (enabled) => ({
+    background: enabled ? 'rgba(0, 217, 255, 0.15)' : 'rgba(255,255,255,0.05)',
+    border: `1px solid ${enabled ? 'rgba(0, 217, 255, 0.4)' : 'rgba(255,255,255,0.1)'}`,
+    color: enabled ? '#00d9ff' : 'rgba(255,255,255,0.3)',
+    padding: '4px 10px',
+    borderRadius: '4px',
+    cursor: enabled ? 'pointer' : 'default',
+    fontSize: '11px',
+    fontFamily: "'Courier New', monospace"
+  });
+  const inputStyle = {
+    width: '100%',
+    boxSizing: 'border-box',
+    background: 'rgba(255,255,255,0.06)',
+    border: '1px solid rgba(255,255,255,0.15)',
+    borderRadius: '4px',
+    color: 'white',
+    padding: '4px 6px',
+    fontSize: '12px',
+    fontFamily: "'Courier New', monospace"
+  };
+  const labelStyle = { display: 'block', fontSize: '10px', opacity: 0.6, margin: '8px 0 2px', textTransform: 'uppercase', letterSpacing: '0.05em' };
+  const sectionStyle = { margin: '14px 0 4px', fontSize: '11px', letterSpacing: '0.1em', color: '#fefae0' };
+
+  const field = (label, input) => (
+    <label>
+      <span style={labelStyle}>{label}</span>
+      {input}
+    </label>
+  );
+  const select = (value, options, onChange) => (
+    <select value={value} onChange={(e) => onChange(e.target.value)} style={inputStyle}>
+      {options.map(o => <option key={o} value={o}>{o}</option>)}
+    </select>
+  );
+
+  const handleFile = (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = ''; // Allow picking the same file again
+    if (file) onImport(file);
+  };
+
+  const messages = (list, color) => list.map((m, i) => (
+    <li key={i} style={{ color, marginBottom: '2px' }}>{m}</li>
+  ));
+
+  return (
+    <div style={{
+      position: 'fixed',
+      right: '20px',
+      top: '80px',
+      width: 'min(300px, calc(100vw - 40px))',
+      maxHeight: 'calc(100vh - 120px)',
+      overflowY: 'auto',
+      background: 'rgba(0,0,0,0.85)',
+      backdropFilter: 'blur(10px)',
+      borderRadius: '12px',
+      border: '1px solid rgba(255,255,255,0.1)',
+      color: 'white',
+      fontFamily: "'Courier New', monospace",
+      zIndex: 1000,
+      padding: '12px 16px',
+      boxSizing: 'border-box'
+    }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <h3 style={{ margin: 0, fontSize: '14px', letterSpacing: '0.1em', color: '#fefae0' }}>LEVEL EDITOR</h3>
+        <button onClick={onClose} style={buttonStyle(true)}>✕</button>
+      </div>
+
+      <div style={sectionStyle}>PACK</div>
+      {field('Pack ID', <input value={pack.id} onChange={(e) => onUpdatePack({ id: e.target.value })} style={inputStyle} />)}
+      {field('Pack name', <input value={pack.name} onChange={(e) => onUpdatePack({ name: e.target.value })} style={inputStyle} />)}
+      {field('Author', <input value={pack.author} onChange={(e) => onUpdatePack({ author: e.target.value })} style={inputStyle} />)}
+
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '4px', marginTop: '10px' }}>
+        {pack.levels.map((l, i) => (
+          <button key={l.id} onClick={() => onSelectLevel(i)} style={{ ...buttonStyle(true), ...(i === selected ? { background: 'rgba(0, 217, 255, 0.4)', color: 'white' } : {}) }}>
+            {l.id}
+          </button>
+        ))}
+        <button onClick={onAddLevel} style={buttonStyle(true)} title="Add a level">+</button>
+        <button onClick={onRemoveLevel} disabled={pack.levels.length <= 1} style={buttonStyle(pack.levels.length > 1)} title="Remove this level">−</button>
+      </div>
+
+      <div style={sectionStyle}>LEVEL {level.id}</div>
+      {field('Name', <input value={level.name} onChange={(e) => onUpdateLevel({ name: e.target.value })} style={inputStyle} />)}
+      {field('Description', <textarea value={level.description} rows={2} onChange={(e) => onUpdateLevel({ description: e.target.value })} style={inputStyle} />)}
+      <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '0 8px' }}>
+        {field('Cube size', select(level.cubeSize, SIZES, (v) => onUpdateLevel({ cubeSize: Number(v) })))}
+        {field('Chaos', select(level.chaosLevel, CHAOS_LEVELS, (v) => onUpdateLevel({ chaosLevel: Number(v) })))}
+        {field('Mode', select(level.mode, Object.values(GAME_MODES), (v) => onUpdateLevel({ mode: v })))}
+        {field('Win condition', select(level.winCondition, Object.values(WIN_CONDITIONS), (v) => onUpdateLevel({ winCondition: v })))}
+        {field('Background', select(level.background, Object.values(BACKGROUNDS), (v) => onUpdateLevel({ background: v })))}
+        {field('Difficulty', select(level.difficulty, Object.values(DIFFICULTY), (v) => onUpdateLevel({ difficulty: v })))}
+        {field('Time limit (s)', <input type="number" min={0} value={level.timeLimit ?? ''} placeholder="none" onChange={(e) => onUpdateLevel({ timeLimit: limitValue(e.target.value) })} style={inputStyle} />)}
+        {field('Move limit', <input type="number" min={0} value={level.moveLimit ?? ''} placeholder="none" onChange={(e) => onUpdateLevel({ moveLimit: limitValue(e.target.value) })} style={inputStyle} />)}
+      </div>
+
+      <span style={labelStyle}>Features</span>
+      {EDITABLE_FEATURES.map(f => (
+        <label key={f} style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '11px' }}>
+          <input
+            type="checkbox"
+            checked={!!level.features[f]}
+            onChange={(e) => onUpdateLevel({ features: { ...level.features, [f]: e.target.checked } })}
+          />
+          {FEATURE_NAMES[f]}
+        </label>
+      ))}
+
+      {field('Tutorial title', <input value={level.tutorial.title} onChange={(e) => onUpdateLevel({ tutorial: { ...level.tutorial, title: e.target.value } })} style={inputStyle} />)}
+      {field('Tutorial text', <textarea value={level.tutorial.text} rows={3} onChange={(e) => onUpdateLevel({ tutorial: { ...level.tutorial, text: e.target.value } })} style={inputStyle} />)}
+      {field('Tip', <input value={level.tutorial.tip} onChange={(e) => onUpdateLevel({ tutorial: { ...level.tutorial, tip: e.target.value } })} style={inputStyle} />)}
+      {field('Win message', <input value={level.winMessage} onChange={(e) => onUpdateLevel({ winMessage: e.target.value })} style={inputStyle} />)}
+
+      <div style={sectionStyle}>STARTING CUBE</div>
+      <div style={{ fontSize: '11px', opacity: 0.7, marginBottom: '6px' }}>{startSummary(level)}</div>
+      <div style={{ fontSize: '10px', opacity: 0.5, marginBottom: '6px' }}>Rotate and flip the cube, then use it as the start.</div>
+      <div style={{ display: 'flex', gap: '6px' }}>
+        <button onClick={onCaptureStart} style={buttonStyle(true)} title="Start this level from the cube as it is now">Use current cube</button>
+        <button onClick={onClearStart} disabled={!level.start} style={buttonStyle(!!level.start)} title="Start from a random scramble instead">Random</button>
+      </div>
+
+      <div style={sectionStyle}>CHECKS</div>
+      {levelResult.errors.length === 0 && packResult.errors.length === 0 && levelResult.warnings.length === 0 ? (
+        <div style={{ fontSize: '11px', color: '#4ade80' }}>Level and pack are valid</div>
+      ) : (
+        <ul style={{ margin: 0, paddingLeft: '16px', fontSize: '11px' }}>
+          {messages(levelResult.errors, '#f87171')}
+          {messages(packResult.errors.filter(e => !e.startsWith(`Level ${selected + 1} (`)), '#f87171')}
+          {messages(levelResult.warnings, '#fbbf24')}
+        </ul>
+      )}
+
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '6px', marginTop: '12px' }}>
+        <button onClick={onPlaytest} disabled={!levelResult.valid} style={buttonStyle(levelResult.valid)} title="Play this level now">▶ Playtest</button>
+        <button onClick={onExport} disabled={!packResult.valid} style={buttonStyle(packResult.valid)} title="Save the pack as a file">Export</button>
+        <button onClick={() => fileInputRef.current?.click()} style={buttonStyle(true)} title="Open a pack file">Import</button>
+        <input ref={fileInputRef} type="file" accept=".json,application/json" onChange={handleFile} style={{ display: 'none' }} />
+      </div>
+    </div>
+  );
+};
+
+export default LevelEditorPanel;
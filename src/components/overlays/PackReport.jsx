@@ -0,0 +1,97 @@
+import React from 'react';
+import { PACK_SCHEMA_VERSION } from '../../levels/packFile.js';
+
+/**
+ * Result of loading a level pack file: what was installed, or why it
+ * wasn't, with every validation error and warning.
+ */
+const PackReport = ({ fileName, result, onClose }) => {
+  const { ok, pack, errors = [], warnings = [], migratedFrom } = result;
+
+  const list = (items, color) => (
+    <ul style={{ margin: '4px 0 0', paddingLeft: '18px', textAlign: 'left' }}>
+      {items.map((item, i) => <li key={i} style={{ color, marginBottom: '3px' }}>{item}</li>)}
+    </ul>
+  );
+
+  return (
+    <div
+      style={{
+        position: 'fixed',
+        inset: 0,
+        background: 'rgba(0,0,0,0.6)',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        zIndex: 2500
+      }}
+      onClick={onClose}
+    >
+      <div
+        role="dialog"
+        aria-label="Level pack import"
+        onClick={(e) => e.stopPropagation()}
+        style={{
+          width: 'min(440px, calc(100vw - 40px))',
+          maxHeight: 'calc(100dvh - 80px)',
+          overflowY: 'auto',
+          background: 'rgba(20, 25, 40, 0.97)',
+          borderRadius: '12px',
+          border: `1px solid ${ok ? 'rgba(34, 197, 94, 0.4)' : 'rgba(239, 68, 68, 0.4)'}`,
+          color: 'white',
+          fontFamily: "'Courier New', monospace",
+          fontSize: '12px',
+          padding: '16px 20px',
+          boxSizing: 'border-box'
+        }}
+      >
+        <h3 style={{ margin: '0 0 4px', fontSize: '15px', color: ok ? '#4ade80' : '#f87171' }}>
+          {ok ? `Installed "${pack.name}"` : 'Pack not loaded'}
+        </h3>
+        <div style={{ opacity: 0.6, marginBottom: '10px', wordBreak: 'break-all' }}>
+          {fileName}
+          {ok && ` · ${pack.levels.length} level${pack.levels.length === 1 ? '' : 's'} · by ${pack.author}`}
+        </div>
+
+        {migratedFrom !== null && migratedFrom !== undefined && (
+          <div style={{ color: '#93c5fd', marginBottom: '8px' }}>
+            Upgraded from schema version {migratedFrom} to {PACK_SCHEMA_VERSION}.
+          </div>
+        )}
+
+        {errors.length > 0 && (
+          <div style={{ marginBottom: '8px' }}>
+            <strong>Errors ({errors.length})</strong>
+            {list(errors, '#f87171')}
+          </div>
+        )}
+        {warnings.length > 0 && (
+          <div style={{ marginBottom: '8px' }}>
+            <strong>Warnings ({warnings.length})</strong>
+            {list(warnings, '#fbbf24')}
+          </div>
+        )}
+        {ok && warnings.length === 0 && <div style={{ opacity: 0.7, marginBottom: '8px' }}>No problems found.</div>}
+
+        <div style={{ textAlign: 'right', marginTop: '8px' }}>
+          <button
+            onClick={onClose}
+            style={{
+              background: 'rgba(0, 217, 255, 0.15)',
+              border: '1px solid rgba(0, 217, 255, 0.4)',
+              color: '#00d9ff',
+              padding: '6px 16px',
+              borderRadius: '4px',
+              cursor: 'pointer',
+              fontFamily: "'Courier New', monospace"
+            }}
+          >
+            OK
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PackReport;
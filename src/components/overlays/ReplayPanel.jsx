@@ -0,0 +1,123 @@
+import React, { useRef } from 'react';
+import { rotationToNotation } from '../../game/notation.js';
+import { replayDuration } from '../../game/replay.js';
+import { REPLAY_SPEEDS } from '../../hooks/useReplayPlayer.js';
+
+const SOURCE_LABELS = { echo: 'echo', chaos: 'chaos', decay: 'decay', undo: 'undo', redo: 'redo' };
+
+const formatTime = (ms) => {
+  const s = Math.floor(ms / 1000);
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`;
+};
+
+const moveLabel = (move, size) => {
+  if (move.type === 'rotation') return rotationToNotation(move, size);
+  const { x, y, z } = move.pos;
+  return `⇅ ${move.dirKey} ${x},${y},${z}`;
+};
+
+/**
+ * Replay viewer: transport controls, speed, a scrubber over the recorded
+ * moves, and export/import of replay files.
+ */
+const ReplayPanel = ({
+  replay, index, playing, speed,
+  onTogglePlay, onStep, onSeek, onSpeed,
+  onExport, onImport, onClose
+}) => {
+  const fileInputRef = useRef(null);
+  const total = replay.events.length;
+  const last = index > 0 ? replay.events[index - 1] : null;
+
+  const buttonStyle = (enabled) => ({
+    background: enabled ? 'rgba(0, 217, 255, 0.15)' : 'rgba(255,255,255,0.05)',
+    border: `1px solid ${enabled ? 'rgba(0, 217, 255, 0.4)' : 'rgba(255,255,255,0.1)'}`,
+    color: enabled ? '#00d9ff' : 'rgba(255,255,255,0.3)',
+    padding: '4px 10px',
+    borderRadius: '4px',
+    cursor: enabled ? 'pointer' : 'default',
+    fontSize: '12px',
+    fontFamily: "'Courier New', monospace"
+  });
+
+  const handleFile = (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = ''; // Allow picking the same file again
+    if (file) onImport(file);
+  };
+
+  return (
+    <div style={{
+      position: 'fixed',
+      left: '50%',
+      bottom: '90px',
+      transform: 'translateX(-50%)',
+      width: 'min(420px, calc(100vw - 40px))',
+      background: 'rgba(0,0,0,0.85)',
+      backdropFilter: 'blur(10px)',
+      borderRadius: '12px',
+      border: '1px solid rgba(255,255,255,0.1)',
+      color: 'white',
+      fontFamily: "'Courier New', monospace",
+      zIndex: 1000,
+      padding: '12px 16px'
+    }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '8px' }}>
+        <h3 style={{ margin: 0, fontSize: '14px', letterSpacing: '0.1em', color: '#fefae0' }}>
+          REPLAY <span style={{ fontSize: '11px', opacity: 0.5 }}>{replay.size}×{replay.size}{replay.seed ? ` #${replay.seed}` : ''}</span>
+        </h3>
+        <div style={{ display: 'flex', gap: '6px' }}>
+          <button onClick={onExport} disabled={total === 0} style={buttonStyle(total > 0)} title="Save this replay as a file">Export</button>
+          <button onClick={() => fileInputRef.current?.click()} style={buttonStyle(true)} title="Open a replay file">Import</button>
+          <button onClick={onClose} style={buttonStyle(true)}>✕</button>
+          <input ref={fileInputRef} type="file" accept=".json,application/json" onChange={handleFile} style={{ display: 'none' }} />
+        </div>
+      </div>
+
+      <input
+        type="range"
+        min={0}
+        max={total}
+        value={index}
+        onChange={(e) => onSeek(Number(e.target.value))}
+        style={{ width: '100%', accentColor: '#00d9ff' }}
+        aria-label="Replay position"
+      />
+
+      <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '11px', opacity: 0.7, margin: '2px 0 8px' }}>
+        <span>
+          {index}/{total}
+          {last && ` · ${moveLabel(last.move, replay.size)}`}
+          {last?.move.source && ` (${SOURCE_LABELS[last.move.source] || last.move.source})`}
+        </span>
+        <span>{formatTime(last ? last.t : 0)} / {formatTime(replayDuration(replay))}</span>
+      </div>
+
+      <div style={{ display: 'flex', gap: '6px', alignItems: 'center', justifyContent: 'center' }}>
+        <button onClick={() => onSeek(0)} disabled={index === 0} style={buttonStyle(index > 0)} title="Back to start">⏮</button>
+        <button onClick={() => onStep(-1)} disabled={index === 0} style={buttonStyle(index > 0)} title="Step back">◀</button>
+        <button onClick={onTogglePlay} disabled={total === 0} style={buttonStyle(total > 0)} title="Play/pause (Space)">
+          {playing ? '❚❚' : '▶'}
+        </button>
+        <button onClick={() => onStep(1)} disabled={index === total} style={buttonStyle(index < total)} title="Step forward">▶|</button>
+        <button onClick={() => onSeek(total)} disabled={index === total} style={buttonStyle(index < total)} title="Jump to end">⏭</button>
+        <select
+          value={speed}
+          onChange={(e) => onSpeed(Number(e.target.value))}
+          style={{ ...buttonStyle(true), marginLeft: '8px' }}
+          aria-label="Playback speed"
+        >
+          {REPLAY_SPEEDS.map(s => <option key={s} value={s}>{s}×</option>)}
+        </select>
+      </div>
+
+      {replay.scramble && (
+        <div style={{ marginTop: '8px', fontSize: '10px', opacity: 0.5, wordBreak: 'break-word' }}>
+          Scramble: {replay.scramble}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ReplayPanel;
@@ -0,0 +1,36 @@
+import React from 'react';
+
+/**
+ * ScrambleText - Notation of the current scramble, shown above the cube.
+ * Fades once the player starts solving.
+ */
+const ScrambleText = ({ text, moves }) => {
+  if (!text) return null;
+
+  return (
+    <div style={{
+      position: 'fixed',
+      top: '56px',
+      left: '50%',
+      transform: 'translateX(-50%)',
+      maxWidth: 'min(720px, calc(100vw - 32px))',
+      padding: '6px 14px',
+      background: 'rgba(0, 0, 0, 0.45)',
+      borderRadius: '8px',
+      color: '#fefae0',
+      fontFamily: "'Courier New', monospace",
+      fontSize: '13px',
+      lineHeight: 1.5,
+      textAlign: 'center',
+      wordSpacing: '0.2em',
+      opacity: moves > 0 ? 0.35 : 0.9,
+      transition: 'opacity 0.4s ease',
+      pointerEvents: 'none',
+      zIndex: 90
+    }}>
+      {text}
+    </div>
+  );
+};
+
+export default ScrambleText;
@@ -0,0 +1,111 @@
+// src/components/overlays/SubgroupPanel.jsx
+// Panel under the antipodal integrity HUD: whether the last N turns stayed
+// inside the antipodal-preserving subgroup G_A, and what G_A is for this size.
+
+import React, { useState } from 'react';
+import { useAntipodalSubgroup } from '../../hooks/useAntipodalSubgroup.js';
+
+const WINDOW_SIZES = [4, 8, 16];
+
+const INSIDE_COLOR = '#22c55e';
+const OUTSIDE_COLOR = '#ef4444';
+
+export default function SubgroupPanel() {
+  const [windowSize, setWindowSize] = useState(8);
+  const { turns, preserving, commutatorNorm, subgroup } = useAntipodalSubgroup(windowSize);
+  const color = preserving ? INSIDE_COLOR : OUTSIDE_COLOR;
+
+  const windowButton = (n) => ({
+    background: n === windowSize ? 'rgba(96, 165, 250, 0.25)' : 'none',
+    border: `1px solid ${n === windowSize ? '#60a5fa' : '#374151'}`,
+    color: n === windowSize ? '#93c5fd' : '#9ca3af',
+    borderRadius: '4px',
+    padding: '1px 6px',
+    cursor: 'pointer',
+    fontSize: '10px',
+    fontFamily: "'Courier New', monospace"
+  });
+
+  return (
+    <div style={{
+      position: 'fixed',
+      top: '270px',
+      right: '16px',
+      width: '232px',
+      background: 'rgba(0, 0, 0, 0.85)',
+      border: `1px solid ${turns.length ? color : '#374151'}`,
+      borderRadius: '8px',
+      padding: '10px 14px',
+      color: '#e5e7eb',
+      fontFamily: "'Courier New', monospace",
+      fontSize: '11px',
+      zIndex: 200,
+      backdropFilter: 'blur(8px)',
+      userSelect: 'none',
+      boxSizing: 'border-box'
+    }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '8px' }}>
+        <span style={{ fontWeight: 'bold', letterSpacing: '0.1em', color: '#93c5fd' }}>SUBGROUP G_A</span>
+        <span style={{ display: 'flex', gap: '4px' }}>
+          {WINDOW_SIZES.map(n => (
+            <button key={n} onClick={() => setWindowSize(n)} style={windowButton(n)} title={`Last ${n} turns`}>{n}</button>
+          ))}
+        </span>
+      </div>
+
+      {/* Verdict for the whole window */}
+      {turns.length === 0 ? (
+        <div style={{ color: '#6b7280', textAlign: 'center' }}>No turns yet</div>
+      ) : (
+        <div style={{ color, fontWeight: 'bold', textAlign: 'center', letterSpacing: '0.05em' }}>
+          {preserving ? `LAST ${turns.length} STAYED INSIDE` : `LAST ${turns.length} LEFT G_A`}
+          {!preserving && (
+            <div style={{ fontWeight: 'normal', fontSize: '9px', color: '#9ca3af', marginTop: '2px' }}>
+              T∘A ≠ A∘T on {commutatorNorm} stickers
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Each turn, lit when it and everything after it is in G_A */}
+      {turns.length > 0 && (
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '4px', marginTop: '8px' }}>
+          {turns.map((turn, i) => (
+            <span key={i} title={turn.inside ? 'From here on: inside G_A' : 'From here on: outside G_A'} style={{
+              padding: '1px 5px',
+              borderRadius: '3px',
+              background: turn.inside ? 'rgba(34, 197, 94, 0.2)' : 'rgba(255, 255, 255, 0.06)',
+              color: turn.inside ? INSIDE_COLOR : '#9ca3af',
+              fontStyle: turn.source ? 'italic' : 'normal'
+            }}>
+              {turn.notation}
+            </span>
+          ))}
+        </div>
+      )}
+
+      {/* The subgroup itself */}
+      {subgroup ? (
+        <details style={{ marginTop: '8px', fontSize: '10px', color: '#9ca3af' }}>
+          <summary style={{ cursor: 'pointer' }}>
+            |G_A| = {subgroup.order.toLocaleString('en-US')}
+          </summary>
+          <div style={{ marginTop: '4px' }}>
+            Index {subgroup.index.toLocaleString('en-US')} in the {subgroup.size}×{subgroup.size} group
+            {subgroup.maximal ? '' : ' (generators incomplete)'}
+          </div>
+          {subgroup.generators.map(gen => (
+            <div key={gen.id} style={{ marginTop: '4px' }}>
+              <div style={{ color: '#e5e7eb' }}>{gen.name}</div>
+              <div style={{ color: '#6b7280', wordBreak: 'break-word' }}>{gen.notation}{gen.mirrored ? ' + mirror' : ''}</div>
+            </div>
+          ))}
+        </details>
+      ) : (
+        <div style={{ marginTop: '8px', fontSize: '9px', color: '#6b7280' }}>
+          Subgroup order shown for 2×2 and 3×3
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,139 @@
+import React from 'react';
+import { progressManager } from '../../levels/index.js';
+
+const STATE_STYLES = {
+  unlocked: { background: 'rgba(34, 197, 94, 0.12)', border: '1px solid rgba(34, 197, 94, 0.45)', opacity: 1 },
+  'in-progress': { background: 'rgba(59, 130, 246, 0.1)', border: '1px solid rgba(59, 130, 246, 0.35)', opacity: 1 },
+  locked: { background: 'rgba(40, 45, 60, 0.5)', border: '1px solid rgba(255, 255, 255, 0.06)', opacity: 0.55 },
+};
+
+// One achievement: icon, name, description and its progress bar if it counts up
+const AchievementCard = ({ achievement }) => {
+  const { icon, name, description, state, progress, goal } = achievement;
+
+  return (
+    <div style={{
+      ...STATE_STYLES[state],
+      borderRadius: '10px',
+      padding: '10px 12px',
+      display: 'flex',
+      gap: '12px',
+      alignItems: 'center',
+      textAlign: 'left'
+    }}>
+      <span style={{ fontSize: '26px', filter: state === 'locked' ? 'grayscale(1)' : 'none' }}>
+        {state === 'locked' && progress === null ? '🔒' : icon}
+      </span>
+      <div style={{ flex: 1, minWidth: 0 }}>
+        <div style={{ display: 'flex', alignItems: 'baseline', gap: '8px' }}>
+          <span style={{ fontSize: '14px', fontWeight: 600, color: state === 'unlocked' ? '#4ade80' : '#e2e8f0', fontFamily: '-apple-system, sans-serif' }}>
+            {name}
+          </span>
+          {state === 'unlocked' && <span style={{ fontSize: '10px', color: '#22c55e' }}>UNLOCKED</span>}
+        </div>
+        <div style={{ fontSize: '12px', color: 'rgba(255, 255, 255, 0.6)', marginTop: '2px' }}>{description}</div>
+        {progress !== null && (
+          <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginTop: '6px' }}>
+            <div style={{ flex: 1, height: '4px', background: 'rgba(255, 255, 255, 0.1)', borderRadius: '2px', overflow: 'hidden' }}>
+              <div style={{
+                width: `${(progress / goal) * 100}%`,
+                height: '100%',
+                background: state === 'unlocked' ? '#22c55e' : '#60a5fa'
+              }} />
+            </div>
+            <span style={{ fontSize: '10px', color: 'rgba(255, 255, 255, 0.5)', fontFamily: '"Courier New", monospace' }}>
+              {progress} / {goal}
+            </span>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Achievements gallery: every achievement, unlocked, in progress or locked.
+ */
+const AchievementsScreen = ({ onBack }) => {
+  const achievements = progressManager.getAchievementStatus();
+  const unlocked = achievements.filter(a => a.state === 'unlocked').length;
+
+  return (
+    <div style={{
+      position: 'fixed',
+      inset: 0,
+      height: '100dvh',
+      background: 'rgba(0, 0, 0, 0.9)',
+      backdropFilter: 'blur(20px)',
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      zIndex: 2000,
+      padding: 'env(safe-area-inset-top, 0px) env(safe-area-inset-right, 0px) env(safe-area-inset-bottom, 0px) env(safe-area-inset-left, 0px)',
+      boxSizing: 'border-box'
+    }}>
+      <div style={{
+        textAlign: 'center',
+        maxWidth: '640px',
+        width: '95%',
+        padding: '32px',
+        maxHeight: 'calc(100dvh - 40px - env(safe-area-inset-top, 0px) - env(safe-area-inset-bottom, 0px))',
+        overflowY: 'auto',
+        background: 'rgba(20, 25, 40, 0.95)',
+        borderRadius: '16px',
+        boxShadow: '0 20px 60px rgba(0,0,0,0.6), 0 0 100px rgba(59, 130, 246, 0.1)',
+        border: '1px solid rgba(255, 255, 255, 0.1)',
+        boxSizing: 'border-box'
+      }}>
+        <h1 style={{
+          fontSize: 'clamp(28px, 6vw, 42px)',
+          fontWeight: 700,
+          margin: '0 0 8px 0',
+          background: 'linear-gradient(135deg, #3b82f6 0%, #60a5fa 50%, #93c5fd 100%)',
+          WebkitBackgroundClip: 'text',
+          WebkitTextFillColor: 'transparent',
+          backgroundClip: 'text',
+          fontFamily: '"Product Sans", "Google Sans", -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif',
+          letterSpacing: '0.05em'
+        }}>Achievements</h1>
+
+        <p style={{
+          fontSize: '13px',
+          color: 'rgba(255, 255, 255, 0.5)',
+          marginBottom: '24px',
+          fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif'
+        }}>
+          {unlocked} / {achievements.length} unlocked
+        </p>
+
+        <div style={{
+          display: 'grid',
+          gridTemplateColumns: 'repeat(auto-fill, minmax(260px, 1fr))',
+          gap: '10px',
+          marginBottom: '24px'
+        }}>
+          {achievements.map(a => <AchievementCard key={a.id} achievement={a} />)}
+        </div>
+
+        <button
+          onClick={onBack}
+          style={{
+            background: 'rgba(255, 255, 255, 0.08)',
+            border: '1px solid rgba(255, 255, 255, 0.2)',
+            color: 'rgba(255, 255, 255, 0.8)',
+            fontSize: '15px',
+            fontWeight: 500,
+            padding: '10px 28px',
+            borderRadius: '10px',
+            cursor: 'pointer',
+            fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif'
+          }}
+        >
+          Back
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default AchievementsScreen;
@@ -0,0 +1,173 @@
+import React from 'react';
+
+const DEFEAT_CONFIG = {
+  time: {
+    title: 'Out of Time',
+    icon: '⏱️',
+    description: (level) => `The ${formatTime(level.timeLimit)} time limit ran out before the cube was solved.`,
+  },
+  moves: {
+    title: 'Out of Moves',
+    icon: '🔁',
+    description: (level) => `All ${level.moveLimit} moves are used up and the cube isn't solved.`,
+  },
+};
+
+const formatTime = (s) => {
+  const mins = Math.floor(s / 60);
+  const secs = s % 60;
+  return `${mins}:${secs.toString().padStart(2, '0')}`;
+};
+
+/**
+ * Shown when a level attempt runs out of time or moves.
+ */
+const DefeatScreen = ({
+  reason,
+  moves,
+  time,
+  currentLevel,
+  levelData,
+  onRetry,
+  onLevels
+}) => {
+  const config = DEFEAT_CONFIG[reason] || DEFEAT_CONFIG.time;
+  const color = '#dc2626';
+
+  const statLabel = {
+    fontSize: '11px',
+    textTransform: 'uppercase',
+    color: '#9b8b7a',
+    letterSpacing: '0.1em',
+    marginBottom: '4px'
+  };
+  const statValue = {
+    fontSize: '28px',
+    fontWeight: 700,
+    color: '#6b4423',
+    fontFamily: "'Courier New', monospace"
+  };
+
+  return (
+    <div style={{
+      position: 'fixed',
+      top: 0, left: 0, right: 0, bottom: 0,
+      height: '100dvh',
+      background: 'linear-gradient(135deg, #fee2e2, #fecaca)',
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      zIndex: 3000,
+      animation: 'fadeIn 0.5s ease-out',
+      padding: 'env(safe-area-inset-top, 0px) env(safe-area-inset-right, 0px) env(safe-area-inset-bottom, 0px) env(safe-area-inset-left, 0px)',
+      boxSizing: 'border-box'
+    }}>
+      <div style={{
+        textAlign: 'center',
+        maxWidth: '480px',
+        width: '90%',
+        padding: '40px',
+        background: '#fdfbf7',
+        borderRadius: '16px',
+        boxShadow: `0 8px 40px rgba(0,0,0,0.15), 0 0 0 4px ${color}40`,
+        border: `2px solid ${color}`,
+        boxSizing: 'border-box'
+      }}>
+        <div style={{ fontSize: '56px', marginBottom: '12px' }}>{config.icon}</div>
+
+        <h1 style={{
+          fontSize: '34px',
+          fontWeight: 700,
+          margin: '0 0 8px 0',
+          color,
+          fontFamily: 'Georgia, serif'
+        }}>
+          {config.title}
+        </h1>
+
+        {currentLevel && (
+          <p style={{
+            fontSize: '14px',
+            color: '#8b6f47',
+            margin: '0 0 16px 0',
+            fontFamily: 'Georgia, serif',
+            fontStyle: 'italic',
+            letterSpacing: '0.1em',
+            textTransform: 'uppercase'
+          }}>
+            Level {currentLevel}{levelData?.name ? ` · ${levelData.name}` : ''}
+          </p>
+        )}
+
+        <p style={{
+          fontSize: '16px',
+          color: '#5a4a3a',
+          marginBottom: '24px',
+          lineHeight: 1.6,
+          fontFamily: 'Georgia, serif'
+        }}>
+          {levelData ? config.description(levelData) : ''}
+        </p>
+
+        <div style={{
+          display: 'flex',
+          justifyContent: 'center',
+          gap: '32px',
+          marginBottom: '28px',
+          padding: '16px',
+          background: 'rgba(0,0,0,0.03)',
+          borderRadius: '8px',
+          border: '1px solid rgba(0,0,0,0.06)'
+        }}>
+          <div>
+            <div style={statLabel}>Moves</div>
+            <div style={statValue}>{moves}{levelData?.moveLimit ? `/${levelData.moveLimit}` : ''}</div>
+          </div>
+          <div style={{ width: '1px', background: 'rgba(0,0,0,0.1)' }} />
+          <div>
+            <div style={statLabel}>Time</div>
+            <div style={statValue}>{formatTime(time)}</div>
+          </div>
+        </div>
+
+        <div style={{ display: 'flex', gap: '16px', justifyContent: 'center', flexWrap: 'wrap' }}>
+          <button
+            onClick={onLevels}
+            style={{
+              background: 'transparent',
+              border: `2px solid ${color}`,
+              color,
+              fontSize: '16px',
+              fontWeight: 600,
+              padding: '12px 28px',
+              borderRadius: '6px',
+              cursor: 'pointer',
+              fontFamily: 'Georgia, serif'
+            }}
+          >
+            Levels
+          </button>
+          <button
+            onClick={onRetry}
+            style={{
+              background: `linear-gradient(135deg, ${color}, #b91c1c)`,
+              border: 'none',
+              color: '#ffffff',
+              fontSize: '16px',
+              fontWeight: 600,
+              padding: '12px 28px',
+              borderRadius: '6px',
+              cursor: 'pointer',
+              boxShadow: '0 4px 12px rgba(220, 38, 38, 0.35)',
+              fontFamily: 'Georgia, serif'
+            }}
+          >
+            Retry
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DefeatScreen;
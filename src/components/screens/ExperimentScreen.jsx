@@ -0,0 +1,271 @@
+import React, { useState } from 'react';
+import { useRegimeExperiment } from '../../hooks/useRegimeExperiment.js';
+import {
+  DEFAULT_EXPERIMENT, EXPERIMENT_SIZES, MAX_SAMPLES, MAX_DEPTH, normalizeExperimentConfig,
+} from '../../game/regimeExperiment.js';
+import { K_STAR } from '../../game/antipodalIntegrity.js';
+
+const SIZE_COLORS = { 2: '#60a5fa', 3: '#22c55e', 4: '#facc15', 5: '#f472b6' };
+
+const METRICS = {
+  integrity: { label: 'I(T)', format: (v) => v.toFixed(3) },
+  commutatorNorm: { label: 'C(T)', format: (v) => v.toFixed(1) },
+};
+
+const CHART_WIDTH = 560;
+const CHART_HEIGHT = 220;
+const PAD = 32;
+
+// Mean metric per depth for each size, with the k* threshold dashed
+const TransitionChart = ({ experiment, metric }) => {
+  const { results, config, kStar } = experiment;
+  // C(T) at the threshold depends on the sticker count, so each size gets its own line
+  const thresholds = results.map(r => ({
+    size: r.size,
+    value: metric === 'integrity' ? kStar : r.stickers * (1 - kStar),
+  }));
+  const hi = metric === 'integrity' ? 1 : Math.max(...results.map(r => r.stickers));
+  const x = (depth) => PAD + (depth / config.maxDepth) * (CHART_WIDTH - 2 * PAD);
+  const y = (v) => CHART_HEIGHT - PAD - (v / hi) * (CHART_HEIGHT - 2 * PAD);
+
+  return (
+    <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} style={{ width: '100%', height: 'auto' }} role="img"
+      aria-label={`Mean ${METRICS[metric].label} by scramble depth`}>
+      <line x1={PAD} y1={CHART_HEIGHT - PAD} x2={CHART_WIDTH - PAD} y2={CHART_HEIGHT - PAD} stroke="rgba(255,255,255,0.2)" />
+      <line x1={PAD} y1={PAD} x2={PAD} y2={CHART_HEIGHT - PAD} stroke="rgba(255,255,255,0.2)" />
+      <text x={PAD - 4} y={y(hi) + 4} fill="rgba(255,255,255,0.5)" fontSize="10" textAnchor="end">{METRICS[metric].format(hi)}</text>
+      <text x={PAD - 4} y={y(0) + 4} fill="rgba(255,255,255,0.5)" fontSize="10" textAnchor="end">0</text>
+      <text x={PAD} y={CHART_HEIGHT - 12} fill="rgba(255,255,255,0.5)" fontSize="10">0</text>
+      <text x={CHART_WIDTH - PAD} y={CHART_HEIGHT - 12} fill="rgba(255,255,255,0.5)" fontSize="10" textAnchor="end">
+        depth {config.maxDepth}
+      </text>
+
+      {metric === 'integrity' ? (
+        <g>
+          <line x1={PAD} y1={y(kStar)} x2={CHART_WIDTH - PAD} y2={y(kStar)} stroke="#f87171" strokeDasharray="6 4" />
+          <text x={CHART_WIDTH - PAD} y={y(kStar) - 4} fill="#f87171" fontSize="10" textAnchor="end">k* ≈ {K_STAR.toFixed(4)}</text>
+        </g>
+      ) : thresholds.map(({ size, value }) => (
+        <line key={size} x1={PAD} y1={y(value)} x2={CHART_WIDTH - PAD} y2={y(value)}
+          stroke={SIZE_COLORS[size]} strokeOpacity="0.5" strokeDasharray="6 4">
+          <title>{`${size}×${size} at k*: ${value.toFixed(1)}`}</title>
+        </line>
+      ))}
+
+      {results.map(({ size, depths, crossingDepth }) => (
+        <g key={size}>
+          <polyline points={depths.map(d => `${x(d.depth)},${y(d[metric])}`).join(' ')}
+            fill="none" stroke={SIZE_COLORS[size]} strokeWidth="2" />
+          {crossingDepth !== null && metric === 'integrity' && (
+            <circle cx={x(crossingDepth)} cy={y(kStar)} r="4" fill={SIZE_COLORS[size]}>
+              <title>{`${size}×${size} crosses k* at depth ${crossingDepth.toFixed(2)}`}</title>
+            </circle>
+          )}
+        </g>
+      ))}
+    </svg>
+  );
+};
+
+/**
+ * The scramble-depth regime experiment: random walks from solved for each
+ * cube size, mean I(T) and C(T) by depth against k*, and CSV/JSON export of
+ * the run.
+ */
+const ExperimentScreen = ({ onBack }) => {
+  const { status, progress, experiment, error, run, cancel, exportCsv, exportJson } = useRegimeExperiment();
+  const [sizes, setSizes] = useState(DEFAULT_EXPERIMENT.sizes);
+  const [samples, setSamples] = useState(String(DEFAULT_EXPERIMENT.samples));
+  const [maxDepth, setMaxDepth] = useState(String(DEFAULT_EXPERIMENT.maxDepth));
+  const [seed, setSeed] = useState(DEFAULT_EXPERIMENT.seed);
+  const [metric, setMetric] = useState('integrity');
+  const running = status === 'running';
+
+  const toggleSize = (size) => setSizes(current =>
+    current.includes(size) ? current.filter(s => s !== size) : [...current, size].sort((a, b) => a - b)
+  );
+
+  const handleRun = () => {
+    let config;
+    try {
+      config = normalizeExperimentConfig({ sizes, samples: Number(samples), maxDepth: Number(maxDepth), seed });
+    } catch (err) {
+      alert(err.message);
+      return;
+    }
+    run(config);
+  };
+
+  const controlStyle = {
+    background: 'rgba(255, 255, 255, 0.08)',
+    border: '1px solid rgba(255, 255, 255, 0.2)',
+    color: 'white',
+    borderRadius: '6px',
+    padding: '6px 10px',
+    fontSize: '12px',
+    fontFamily: "'Courier New', monospace"
+  };
+  const tabStyle = (active) => ({
+    ...controlStyle,
+    cursor: 'pointer',
+    background: active ? 'rgba(59, 130, 246, 0.3)' : controlStyle.background,
+    borderColor: active ? 'rgba(59, 130, 246, 0.6)' : 'rgba(255, 255, 255, 0.2)'
+  });
+  const labelStyle = { display: 'flex', flexDirection: 'column', gap: '4px', fontSize: '10px', letterSpacing: '0.1em', opacity: 0.8, textAlign: 'left' };
+  const sectionTitle = { fontSize: '11px', letterSpacing: '0.1em', opacity: 0.6, margin: '16px 0 6px', textAlign: 'left' };
+  const cell = { padding: '4px 6px', borderBottom: '1px solid rgba(255, 255, 255, 0.08)' };
+
+  return (
+    <div style={{
+      position: 'fixed',
+      inset: 0,
+      height: '100dvh',
+      background: 'rgba(0, 0, 0, 0.9)',
+      backdropFilter: 'blur(20px)',
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      zIndex: 2000,
+      padding: 'env(safe-area-inset-top, 0px) env(safe-area-inset-right, 0px) env(safe-area-inset-bottom, 0px) env(safe-area-inset-left, 0px)',
+      boxSizing: 'border-box'
+    }}>
+      <div style={{
+        textAlign: 'center',
+        maxWidth: '680px',
+        width: '95%',
+        padding: '32px',
+        maxHeight: 'calc(100dvh - 40px - env(safe-area-inset-top, 0px) - env(safe-area-inset-bottom, 0px))',
+        overflowY: 'auto',
+        background: 'rgba(20, 25, 40, 0.95)',
+        borderRadius: '16px',
+        boxShadow: '0 20px 60px rgba(0,0,0,0.6), 0 0 100px rgba(59, 130, 246, 0.1)',
+        border: '1px solid rgba(255, 255, 255, 0.1)',
+        color: 'white',
+        fontFamily: "'Courier New', monospace",
+        boxSizing: 'border-box'
+      }}>
+        <h1 style={{
+          fontSize: 'clamp(24px, 5vw, 36px)',
+          fontWeight: 700,
+          margin: '0 0 8px 0',
+          background: 'linear-gradient(135deg, #3b82f6 0%, #60a5fa 50%, #93c5fd 100%)',
+          WebkitBackgroundClip: 'text',
+          WebkitTextFillColor: 'transparent',
+          backgroundClip: 'text',
+          fontFamily: '"Product Sans", "Google Sans", -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif',
+          letterSpacing: '0.05em'
+        }}>Regime Experiment</h1>
+        <div style={{ fontSize: '11px', opacity: 0.6, marginBottom: '16px' }}>
+          Random walks from solved: mean antipodal integrity by scramble depth against k*
+        </div>
+
+        <div style={{ display: 'flex', gap: '6px', justifyContent: 'center', flexWrap: 'wrap', marginBottom: '12px' }}>
+          {EXPERIMENT_SIZES.map(size => (
+            <button key={size} onClick={() => toggleSize(size)} disabled={running} style={{
+              ...tabStyle(sizes.includes(size)),
+              color: sizes.includes(size) ? SIZE_COLORS[size] : 'rgba(255, 255, 255, 0.5)'
+            }}>
+              {size}×{size}
+            </button>
+          ))}
+        </div>
+        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(120px, 1fr))', gap: '8px' }}>
+          <label style={labelStyle}>
+            SAMPLES
+            <input type="number" min="1" max={MAX_SAMPLES} value={samples} disabled={running}
+              onChange={(e) => setSamples(e.target.value)} style={controlStyle} />
+          </label>
+          <label style={labelStyle}>
+            MAX DEPTH
+            <input type="number" min="1" max={MAX_DEPTH} value={maxDepth} disabled={running}
+              onChange={(e) => setMaxDepth(e.target.value)} style={controlStyle} />
+          </label>
+          <label style={labelStyle}>
+            SEED
+            <input type="text" value={seed} disabled={running}
+              onChange={(e) => setSeed(e.target.value)} style={controlStyle} />
+          </label>
+        </div>
+
+        <div style={{ display: 'flex', gap: '8px', justifyContent: 'center', marginTop: '12px' }}>
+          {running ? (
+            <button onClick={cancel} style={tabStyle(false)}>Cancel</button>
+          ) : (
+            <button onClick={handleRun} style={tabStyle(true)}>{experiment ? 'Run again' : 'Run'}</button>
+          )}
+          <button onClick={exportCsv} disabled={!experiment || running} style={tabStyle(false)}>Export CSV</button>
+          <button onClick={exportJson} disabled={!experiment || running} style={tabStyle(false)}>Export JSON</button>
+        </div>
+
+        {running && (
+          <div style={{ marginTop: '12px', height: '6px', background: 'rgba(255, 255, 255, 0.1)', borderRadius: '3px', overflow: 'hidden' }}>
+            <div style={{ width: `${progress * 100}%`, height: '100%', background: '#3b82f6', transition: 'width 0.2s' }} />
+          </div>
+        )}
+        {status === 'error' && <div style={{ marginTop: '12px', color: '#f87171', fontSize: '12px' }}>{error}</div>}
+
+        {experiment && (
+          <>
+            <div style={{ ...sectionTitle, display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+              <span>
+                {experiment.config.samples} WALKS · SEED {experiment.config.seed}
+              </span>
+              <span style={{ display: 'flex', gap: '4px' }}>
+                {Object.entries(METRICS).map(([key, { label }]) => (
+                  <button key={key} onClick={() => setMetric(key)} style={{ ...tabStyle(metric === key), padding: '2px 8px' }}>{label}</button>
+                ))}
+              </span>
+            </div>
+            <TransitionChart experiment={experiment} metric={metric} />
+
+            <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '12px', marginTop: '8px' }}>
+              <thead>
+                <tr style={{ opacity: 0.6, fontSize: '10px', letterSpacing: '0.1em' }}>
+                  <th style={cell}>SIZE</th>
+                  <th style={cell}>PAIRS</th>
+                  <th style={cell}>CROSSES k* AT</th>
+                  <th style={cell}>I(T) AT {experiment.config.maxDepth}</th>
+                  <th style={cell}>C(T) AT {experiment.config.maxDepth}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {experiment.results.map(({ size, pairs, crossingDepth, depths }) => {
+                  const last = depths[depths.length - 1];
+                  return (
+                    <tr key={size}>
+                      <td style={{ ...cell, color: SIZE_COLORS[size] }}>{size}×{size}</td>
+                      <td style={cell}>{pairs}</td>
+                      <td style={cell}>{crossingDepth === null ? '—' : `depth ${crossingDepth.toFixed(2)}`}</td>
+                      <td style={cell}>{last.integrity.toFixed(3)} ± {last.integritySd.toFixed(3)}</td>
+                      <td style={cell}>{last.commutatorNorm.toFixed(1)}</td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </>
+        )}
+
+        <button
+          onClick={onBack}
+          style={{
+            marginTop: '20px',
+            background: 'rgba(255, 255, 255, 0.08)',
+            border: '1px solid rgba(255, 255, 255, 0.2)',
+            color: 'rgba(255, 255, 255, 0.8)',
+            fontSize: '15px',
+            fontWeight: 500,
+            padding: '10px 28px',
+            borderRadius: '10px',
+            cursor: 'pointer',
+            fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif'
+          }}
+        >
+          Back
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ExperimentScreen;
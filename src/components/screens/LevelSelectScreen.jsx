@@ -1,5 +1,5 @@
-import React, { useState, useEffect } from 'react';
-import { LEVELS, isLevelUnlocked, loadProgress, getNewFeatures } from '../../utils/levels.js';
+import React, { useState, useEffect, useRef } from 'react';
+import { LEVELS, getNewFeatures, progressManager } from '../../utils/levels.js';
 
 // Size/Chaos indicator badges
 const LevelBadge = ({ size, chaos }) => (
@@ -31,31 +31,134 @@ const LevelBadge = ({ size, chaos }) => (
   </div>
 );
 
-const LevelSelectScreen = ({ onSelectLevel, onBack }) => {
+// Installed community pack: its progress, and why it or its levels are locked
+const PackSection = ({ pack, onSelectLevel, onRemove }) => {
+  const packLocks = progressManager.getPackLockReasons(pack.id);
+  const packUnlocked = progressManager.isPackUnlocked(pack.id);
+  const completed = progressManager.getCompletedLevels(pack.id);
+
+  return (
+    <div style={{
+      background: 'rgba(255, 255, 255, 0.03)',
+      border: '1px solid rgba(255, 255, 255, 0.08)',
+      borderRadius: '10px',
+      padding: '10px 12px',
+      marginBottom: '8px',
+      textAlign: 'left'
+    }}>
+      <div style={{ display: 'flex', alignItems: 'baseline', gap: '8px', marginBottom: '8px' }}>
+        <span style={{ fontSize: '14px', fontWeight: 600, color: '#e2e8f0', fontFamily: '-apple-system, sans-serif' }}>
+          {!packUnlocked && '🔒 '}{pack.name}
+        </span>
+        <span style={{ fontSize: '11px', color: 'rgba(255, 255, 255, 0.4)', flex: 1 }}>
+          by {pack.author} · {completed.length} / {pack.levels.length} completed
+        </span>
+        <button
+          onClick={() => onRemove(pack.id)}
+          title="Uninstall this pack"
+          style={{
+            background: 'transparent',
+            border: '1px solid rgba(239, 68, 68, 0.3)',
+            color: 'rgba(248, 113, 113, 0.8)',
+            fontSize: '11px',
+            padding: '2px 8px',
+            borderRadius: '4px',
+            cursor: 'pointer'
+          }}
+        >
+          Remove
+        </button>
+      </div>
+      {!packUnlocked && (
+        <div style={{ fontSize: '11px', color: 'rgba(255, 255, 255, 0.5)', marginBottom: '8px' }}>
+          LOCKED - {packLocks.join(' · ')}
+        </div>
+      )}
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '6px' }}>
+        {pack.levels.map(level => {
+          const isUnlocked = progressManager.isLevelUnlocked(level.id, pack.id);
+          const isCompleted = completed.includes(level.id);
+          const locks = isUnlocked ? [] : progressManager.getLevelLockReasons(level.id, pack.id);
+
+          return (
+            <button
+              key={level.id}
+              onClick={() => isUnlocked && onSelectLevel(pack.id, level.id)}
+              title={[`${level.name}${level.description ? ` - ${level.description}` : ''}`, ...locks.map(r => `🔒 ${r}`)].join('\n')}
+              style={{
+                position: 'relative',
+                minWidth: '44px',
+                padding: '6px 8px',
+                background: isCompleted ? 'rgba(34, 197, 94, 0.15)' : 'rgba(50, 55, 70, 0.8)',
+                border: isCompleted ? '1px solid rgba(34, 197, 94, 0.5)' : '1px solid rgba(255, 255, 255, 0.15)',
+                borderRadius: '8px',
+                color: isCompleted ? '#22c55e' : '#fff',
+                cursor: isUnlocked ? 'pointer' : 'not-allowed',
+                opacity: isUnlocked ? 1 : 0.4,
+                fontFamily: '"Courier New", monospace',
+                display: 'flex',
+                flexDirection: 'column',
+                alignItems: 'center'
+              }}
+            >
+              <span style={{ fontSize: '16px', fontWeight: 700 }}>{isUnlocked ? level.id : '🔒'}</span>
+              <LevelBadge size={level.cubeSize} chaos={level.chaosLevel} />
+            </button>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+const LevelSelectScreen = ({ onSelectLevel, onBack, packs = [], onSelectPackLevel, onLoadPack, onRemovePack }) => {
   const [hoveredLevel, setHoveredLevel] = useState(null);
   const [completedLevels, setCompletedLevels] = useState([]);
+  const [dragging, setDragging] = useState(false);
+  const fileInputRef = useRef(null);
 
-  // Load progress on mount
+  const handleFile = (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = ''; // Allow picking the same file again
+    if (file) onLoadPack(file);
+  };
+
+  // Drop a pack file anywhere on the screen to install it
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setDragging(false);
+    const file = e.dataTransfer.files?.[0];
+    if (file) onLoadPack(file);
+  };
+
+  // Load story progress on mount
   useEffect(() => {
-    setCompletedLevels(loadProgress());
+    setCompletedLevels(progressManager.getCompletedLevels());
   }, []);
 
   const hoveredLevelData = hoveredLevel ? LEVELS.find(l => l.id === hoveredLevel) : null;
 
   return (
-    <div style={{
-      position: 'fixed',
-      top: 0, left: 0, right: 0, bottom: 0,
-      height: '100dvh',
-      background: 'rgba(0, 0, 0, 0.9)',
-      backdropFilter: 'blur(20px)',
-      display: 'flex',
-      alignItems: 'center',
-      justifyContent: 'center',
-      zIndex: 2000,
-      padding: 'env(safe-area-inset-top, 0px) env(safe-area-inset-right, 0px) env(safe-area-inset-bottom, 0px) env(safe-area-inset-left, 0px)',
-      boxSizing: 'border-box'
-    }}>
+    <div
+      onDragOver={(e) => { e.preventDefault(); setDragging(true); }}
+      onDragLeave={(e) => { if (e.currentTarget === e.target) setDragging(false); }}
+      onDrop={handleDrop}
+      style={{
+        position: 'fixed',
+        top: 0, left: 0, right: 0, bottom: 0,
+        height: '100dvh',
+        background: 'rgba(0, 0, 0, 0.9)',
+        outline: dragging ? '3px dashed rgba(96, 165, 250, 0.8)' : 'none',
+        outlineOffset: '-12px',
+        backdropFilter: 'blur(20px)',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        zIndex: 2000,
+        padding: 'env(safe-area-inset-top, 0px) env(safe-area-inset-right, 0px) env(safe-area-inset-bottom, 0px) env(safe-area-inset-left, 0px)',
+        boxSizing: 'border-box'
+      }}
+    >
       <div style={{
         textAlign: 'center',
         maxWidth: '750px',
@@ -100,7 +203,7 @@ const LevelSelectScreen = ({ onSelectLevel, onBack }) => {
         }}>
           {LEVELS.map((level) => {
             const isHovered = hoveredLevel === level.id;
-            const isUnlocked = isLevelUnlocked(level.id, completedLevels);
+            const isUnlocked = progressManager.isLevelUnlocked(level.id);
             const isCompleted = completedLevels.includes(level.id);
             const isBlackHole = level.id === 10;
             const canPlay = isUnlocked;
@@ -261,7 +364,7 @@ const LevelSelectScreen = ({ onSelectLevel, onBack }) => {
                   COMPLETED
                 </span>
               )}
-              {!isLevelUnlocked(hoveredLevelData.id, completedLevels) && (
+              {!progressManager.isLevelUnlocked(hoveredLevelData.id) && (
                 <span style={{
                   fontSize: '10px',
                   padding: '2px 8px',
@@ -269,7 +372,7 @@ const LevelSelectScreen = ({ onSelectLevel, onBack }) => {
                   borderRadius: '4px',
                   color: 'rgba(255, 255, 255, 0.5)'
                 }}>
-                  LOCKED - Complete Level {hoveredLevelData.id - 1}
+                  LOCKED - {progressManager.getLevelLockReasons(hoveredLevelData.id).join(' · ')}
                 </span>
               )}
             </div>
@@ -382,6 +485,39 @@ const LevelSelectScreen = ({ onSelectLevel, onBack }) => {
           </div>
         </div>
 
+        {/* Installed level packs */}
+        <div style={{ marginBottom: '20px' }}>
+          <div style={{
+            display: 'flex',
+            justifyContent: 'space-between',
+            alignItems: 'center',
+            marginBottom: '8px'
+          }}>
+            <span style={{ fontSize: '12px', letterSpacing: '0.1em', color: 'rgba(255, 255, 255, 0.5)' }}>LEVEL PACKS</span>
+            <button
+              onClick={() => fileInputRef.current?.click()}
+              style={{
+                background: 'rgba(59, 130, 246, 0.15)',
+                border: '1px solid rgba(59, 130, 246, 0.4)',
+                color: '#93c5fd',
+                fontSize: '12px',
+                padding: '4px 12px',
+                borderRadius: '6px',
+                cursor: 'pointer'
+              }}
+            >
+              Load pack…
+            </button>
+            <input ref={fileInputRef} type="file" accept=".json,application/json" onChange={handleFile} style={{ display: 'none' }} />
+          </div>
+          {packs.map(pack => (
+            <PackSection key={pack.id} pack={pack} onSelectLevel={onSelectPackLevel} onRemove={onRemovePack} />
+          ))}
+          <p style={{ margin: 0, fontSize: '11px', color: 'rgba(255, 255, 255, 0.35)' }}>
+            {packs.length === 0 ? 'No packs installed. ' : ''}Drop a .json level pack here or use Load pack.
+          </p>
+        </div>
+
         {/* Action Buttons */}
         <div style={{
           display: 'flex',
@@ -416,7 +552,7 @@ const LevelSelectScreen = ({ onSelectLevel, onBack }) => {
           {/* Quick Start - first unlocked incomplete level */}
           {(() => {
             const nextLevel = LEVELS.find(l =>
-              isLevelUnlocked(l.id, completedLevels) && !completedLevels.includes(l.id)
+              progressManager.isLevelUnlocked(l.id) && !completedLevels.includes(l.id)
             );
             if (nextLevel && nextLevel.id !== 10) {
               return (
@@ -0,0 +1,123 @@
+import React from 'react';
+import { PATTERN_CATALOG } from '../../game/patterns.js';
+
+const buttonStyle = {
+  background: 'rgba(255, 255, 255, 0.08)',
+  border: '1px solid rgba(255, 255, 255, 0.2)',
+  color: 'white',
+  borderRadius: '6px',
+  padding: '6px 12px',
+  fontSize: '12px',
+  cursor: 'pointer',
+  fontFamily: "'Courier New', monospace"
+};
+
+// Notation, then how many flips (the flip IDs are too long to read)
+const recipe = ({ notation, flips }) => {
+  const parts = [];
+  if (notation) parts.push(notation);
+  if (flips.length) parts.push(`${flips.length} flip${flips.length === 1 ? '' : 's'}`);
+  return parts.join(' + ');
+};
+
+/**
+ * Pattern library: the pretty patterns for the current cube size. "Show"
+ * builds one on the cube from solved; "Match" resets to solved and wins
+ * when the player builds it.
+ */
+const PatternLibraryScreen = ({ size, onShow, onMatch, onBack }) => {
+  const patterns = PATTERN_CATALOG[size] ?? [];
+
+  return (
+    <div style={{
+      position: 'fixed',
+      inset: 0,
+      height: '100dvh',
+      background: 'rgba(0, 0, 0, 0.9)',
+      backdropFilter: 'blur(20px)',
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      zIndex: 2000,
+      padding: 'env(safe-area-inset-top, 0px) env(safe-area-inset-right, 0px) env(safe-area-inset-bottom, 0px) env(safe-area-inset-left, 0px)',
+      boxSizing: 'border-box'
+    }}>
+      <div style={{
+        textAlign: 'center',
+        maxWidth: '680px',
+        width: '95%',
+        padding: '32px',
+        maxHeight: 'calc(100dvh - 40px - env(safe-area-inset-top, 0px) - env(safe-area-inset-bottom, 0px))',
+        overflowY: 'auto',
+        background: 'rgba(20, 25, 40, 0.95)',
+        borderRadius: '16px',
+        boxShadow: '0 20px 60px rgba(0,0,0,0.6), 0 0 100px rgba(59, 130, 246, 0.1)',
+        border: '1px solid rgba(255, 255, 255, 0.1)',
+        color: 'white',
+        fontFamily: "'Courier New', monospace",
+        boxSizing: 'border-box'
+      }}>
+        <h1 style={{
+          fontSize: 'clamp(28px, 6vw, 42px)',
+          fontWeight: 700,
+          margin: '0 0 8px 0',
+          background: 'linear-gradient(135deg, #3b82f6 0%, #60a5fa 50%, #93c5fd 100%)',
+          WebkitBackgroundClip: 'text',
+          WebkitTextFillColor: 'transparent',
+          backgroundClip: 'text',
+          fontFamily: '"Product Sans", "Google Sans", -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif',
+          letterSpacing: '0.05em'
+        }}>Patterns</h1>
+        <p style={{ fontSize: '12px', opacity: 0.6, margin: '0 0 16px 0' }}>
+          {size}×{size} patterns · change the cube size for others
+        </p>
+
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
+          {patterns.map(pattern => (
+            <div key={pattern.id} style={{
+              background: 'rgba(255, 255, 255, 0.05)',
+              borderRadius: '8px',
+              padding: '12px',
+              textAlign: 'left',
+              display: 'flex',
+              gap: '12px',
+              alignItems: 'center'
+            }}>
+              <div style={{ flex: 1, minWidth: 0 }}>
+                <div style={{ fontSize: '15px', fontWeight: 700 }}>{pattern.name}</div>
+                <div style={{ fontSize: '12px', opacity: 0.7, margin: '2px 0 4px' }}>{pattern.description}</div>
+                <div style={{ fontSize: '11px', opacity: 0.5, overflowWrap: 'anywhere' }}>{recipe(pattern)}</div>
+              </div>
+              <button onClick={() => onShow(pattern)} style={buttonStyle} title="Build it on the cube from solved">
+                Show
+              </button>
+              <button onClick={() => onMatch(pattern)} style={buttonStyle} title="Build it yourself from solved">
+                Match
+              </button>
+            </div>
+          ))}
+        </div>
+
+        <button
+          onClick={onBack}
+          style={{
+            marginTop: '20px',
+            background: 'rgba(255, 255, 255, 0.08)',
+            border: '1px solid rgba(255, 255, 255, 0.2)',
+            color: 'rgba(255, 255, 255, 0.8)',
+            fontSize: '15px',
+            fontWeight: 500,
+            padding: '10px 28px',
+            borderRadius: '10px',
+            cursor: 'pointer',
+            fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif'
+          }}
+        >
+          Back
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default PatternLibraryScreen;
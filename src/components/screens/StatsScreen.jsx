@@ -0,0 +1,241 @@
+import React, { useState, useMemo } from 'react';
+import { progressManager, levelsManager, STORY_PACK_ID, GAME_MODES } from '../../levels/index.js';
+import { ATTEMPT_METRICS, summarizeAttempts, personalBests, distribution } from '../../levels/attemptStats.js';
+
+const MODE_NAMES = { classic: 'Classic', sudokube: 'Sudokube', ultimate: 'Ultimate' };
+
+const CHART_WIDTH = 560;
+const CHART_HEIGHT = 160;
+const PAD = 28;
+
+// A metric's value for display: m:ss for times, DNF for a lost average
+const formatValue = (metric, value) => {
+  if (value === null) return '—';
+  if (!Number.isFinite(value)) return 'DNF';
+  if (metric === 'time') {
+    const mins = Math.floor(value / 60);
+    const secs = value - mins * 60;
+    return `${mins}:${secs.toFixed(Number.isInteger(value) ? 0 : 1).padStart(Number.isInteger(value) ? 2 : 4, '0')}`;
+  }
+  if (metric === 'integrity') return value.toFixed(3);
+  return Number.isInteger(value) ? String(value) : value.toFixed(1);
+};
+
+// Display name of a logged level's progress key ("3" or "packId:3")
+const levelLabel = (key) => {
+  const [packId, levelId] = key.includes(':') ? key.split(':') : [STORY_PACK_ID, key];
+  const level = packId === STORY_PACK_ID
+    ? levelsManager.getLevel(Number(levelId))
+    : levelsManager.getLevelFromPack(packId, Number(levelId));
+  const pack = packId === STORY_PACK_ID ? null : levelsManager.findPack(packId);
+  const name = level ? `Level ${levelId} · ${level.name}` : `Level ${levelId}`;
+  return pack ? `${pack.name}: ${name}` : name;
+};
+
+// Each attempt's value over time, with the personal-best progression as a step line
+const TrendChart = ({ attempts, metric }) => {
+  const wins = attempts.map((a, i) => ({ i, v: a[metric], win: a.result === 'win' })).filter(p => p.win);
+  if (wins.length === 0) return <div style={{ opacity: 0.5, fontSize: '12px', padding: '24px 0' }}>No solves yet</div>;
+
+  const values = wins.map(p => p.v);
+  const lo = Math.min(...values);
+  const hi = Math.max(...values);
+  const x = (i) => PAD + (attempts.length === 1 ? 0.5 : i / (attempts.length - 1)) * (CHART_WIDTH - 2 * PAD);
+  const y = (v) => CHART_HEIGHT - PAD - (hi === lo ? 0.5 : (v - lo) / (hi - lo)) * (CHART_HEIGHT - 2 * PAD);
+
+  const pbs = personalBests(attempts, metric);
+  const pbPath = pbs.map((pb, n) => {
+    const next = n + 1 < pbs.length ? pbs[n + 1].index : attempts.length - 1;
+    return `${n === 0 ? 'M' : 'L'}${x(pb.index)},${y(pb.value)} L${x(next)},${y(pb.value)}`;
+  }).join(' ');
+
+  return (
+    <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} style={{ width: '100%', height: 'auto' }} role="img"
+      aria-label={`${ATTEMPT_METRICS[metric].label} per attempt`}>
+      <line x1={PAD} y1={CHART_HEIGHT - PAD} x2={CHART_WIDTH - PAD} y2={CHART_HEIGHT - PAD} stroke="rgba(255,255,255,0.2)" />
+      <text x={4} y={y(hi) + 4} fill="rgba(255,255,255,0.5)" fontSize="10">{formatValue(metric, hi)}</text>
+      <text x={4} y={y(lo) + 4} fill="rgba(255,255,255,0.5)" fontSize="10">{formatValue(metric, lo)}</text>
+      <polyline points={wins.map(p => `${x(p.i)},${y(p.v)}`).join(' ')} fill="none" stroke="rgba(96,165,250,0.5)" strokeWidth="1.5" />
+      <path d={pbPath} fill="none" stroke="#facc15" strokeWidth="2" />
+      {attempts.map((a, i) => (a.result === 'win'
+        ? <circle key={i} cx={x(i)} cy={y(a[metric])} r="3" fill="#60a5fa"><title>{`#${i + 1}: ${formatValue(metric, a[metric])}`}</title></circle>
+        : <text key={i} x={x(i)} y={PAD - 8} fill="#f87171" fontSize="10" textAnchor="middle"><title>{`#${i + 1}: DNF`}</title>×</text>
+      ))}
+    </svg>
+  );
+};
+
+// How solves spread over the metric's range
+const DistributionChart = ({ attempts, metric }) => {
+  const bins = distribution(attempts, metric);
+  if (bins.length === 0) return null;
+  const most = Math.max(...bins.map(b => b.count));
+  const barWidth = (CHART_WIDTH - 2 * PAD) / bins.length;
+
+  return (
+    <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} style={{ width: '100%', height: 'auto' }} role="img"
+      aria-label={`${ATTEMPT_METRICS[metric].label} distribution`}>
+      {bins.map((bin, i) => {
+        const h = (bin.count / most) * (CHART_HEIGHT - 2 * PAD);
+        return (
+          <g key={i}>
+            <rect x={PAD + i * barWidth + 2} y={CHART_HEIGHT - PAD - h} width={barWidth - 4} height={h} fill="rgba(34,197,94,0.6)">
+              <title>{`${formatValue(metric, bin.from)}–${formatValue(metric, bin.to)}: ${bin.count}`}</title>
+            </rect>
+            {bin.count > 0 && (
+              <text x={PAD + (i + 0.5) * barWidth} y={CHART_HEIGHT - PAD - h - 4} fill="rgba(255,255,255,0.7)" fontSize="10" textAnchor="middle">{bin.count}</text>
+            )}
+          </g>
+        );
+      })}
+      <text x={PAD} y={CHART_HEIGHT - 8} fill="rgba(255,255,255,0.5)" fontSize="10">{formatValue(metric, bins[0].from)}</text>
+      <text x={CHART_WIDTH - PAD} y={CHART_HEIGHT - 8} fill="rgba(255,255,255,0.5)" fontSize="10" textAnchor="end">
+        {formatValue(metric, bins[bins.length - 1].to)}
+      </text>
+    </svg>
+  );
+};
+
+const Stat = ({ label, value }) => (
+  <div style={{ background: 'rgba(255, 255, 255, 0.05)', borderRadius: '8px', padding: '8px 4px' }}>
+    <div style={{ fontSize: '18px', fontWeight: 700 }}>{value}</div>
+    <div style={{ fontSize: '10px', letterSpacing: '0.1em', opacity: 0.6 }}>{label}</div>
+  </div>
+);
+
+/**
+ * Attempt statistics per level or per game mode: headline numbers with
+ * ao5/ao12, each attempt over time with the personal-best progression, and
+ * how solves are distributed.
+ */
+const StatsScreen = ({ onBack }) => {
+  const logged = useMemo(() => progressManager.loadAttempts(), []);
+  const levelKeys = Object.keys(logged).filter(key => logged[key].length > 0);
+  const [view, setView] = useState('level');
+  const [levelKey, setLevelKey] = useState(levelKeys[0] ?? null);
+  const [mode, setMode] = useState(GAME_MODES.CLASSIC);
+  const [metric, setMetric] = useState('time');
+
+  const attempts = view === 'level'
+    ? (levelKey ? logged[levelKey] : [])
+    : progressManager.getAttemptsByMode(mode);
+  const summary = summarizeAttempts(attempts, metric);
+
+  const controlStyle = {
+    background: 'rgba(255, 255, 255, 0.08)',
+    border: '1px solid rgba(255, 255, 255, 0.2)',
+    color: 'white',
+    borderRadius: '6px',
+    padding: '6px 10px',
+    fontSize: '12px',
+    fontFamily: "'Courier New', monospace"
+  };
+  const tabStyle = (active) => ({
+    ...controlStyle,
+    cursor: 'pointer',
+    background: active ? 'rgba(59, 130, 246, 0.3)' : controlStyle.background,
+    borderColor: active ? 'rgba(59, 130, 246, 0.6)' : 'rgba(255, 255, 255, 0.2)'
+  });
+  const sectionTitle = { fontSize: '11px', letterSpacing: '0.1em', opacity: 0.6, margin: '16px 0 6px', textAlign: 'left' };
+
+  return (
+    <div style={{
+      position: 'fixed',
+      inset: 0,
+      height: '100dvh',
+      background: 'rgba(0, 0, 0, 0.9)',
+      backdropFilter: 'blur(20px)',
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      zIndex: 2000,
+      padding: 'env(safe-area-inset-top, 0px) env(safe-area-inset-right, 0px) env(safe-area-inset-bottom, 0px) env(safe-area-inset-left, 0px)',
+      boxSizing: 'border-box'
+    }}>
+      <div style={{
+        textAlign: 'center',
+        maxWidth: '680px',
+        width: '95%',
+        padding: '32px',
+        maxHeight: 'calc(100dvh - 40px - env(safe-area-inset-top, 0px) - env(safe-area-inset-bottom, 0px))',
+        overflowY: 'auto',
+        background: 'rgba(20, 25, 40, 0.95)',
+        borderRadius: '16px',
+        boxShadow: '0 20px 60px rgba(0,0,0,0.6), 0 0 100px rgba(59, 130, 246, 0.1)',
+        border: '1px solid rgba(255, 255, 255, 0.1)',
+        color: 'white',
+        fontFamily: "'Courier New', monospace",
+        boxSizing: 'border-box'
+      }}>
+        <h1 style={{
+          fontSize: 'clamp(28px, 6vw, 42px)',
+          fontWeight: 700,
+          margin: '0 0 16px 0',
+          background: 'linear-gradient(135deg, #3b82f6 0%, #60a5fa 50%, #93c5fd 100%)',
+          WebkitBackgroundClip: 'text',
+          WebkitTextFillColor: 'transparent',
+          backgroundClip: 'text',
+          fontFamily: '"Product Sans", "Google Sans", -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif',
+          letterSpacing: '0.05em'
+        }}>Statistics</h1>
+
+        <div style={{ display: 'flex', gap: '8px', justifyContent: 'center', flexWrap: 'wrap', marginBottom: '16px' }}>
+          <button onClick={() => setView('level')} style={tabStyle(view === 'level')}>By level</button>
+          <button onClick={() => setView('mode')} style={tabStyle(view === 'mode')}>By mode</button>
+          {view === 'level' ? (
+            <select value={levelKey ?? ''} onChange={(e) => setLevelKey(e.target.value)} style={controlStyle}
+              aria-label="Level" disabled={levelKeys.length === 0}>
+              {levelKeys.length === 0 && <option value="">No attempts yet</option>}
+              {levelKeys.map(key => <option key={key} value={key}>{levelLabel(key)}</option>)}
+            </select>
+          ) : (
+            <select value={mode} onChange={(e) => setMode(e.target.value)} style={controlStyle} aria-label="Mode">
+              {Object.values(GAME_MODES).map(m => <option key={m} value={m}>{MODE_NAMES[m]}</option>)}
+            </select>
+          )}
+          <select value={metric} onChange={(e) => setMetric(e.target.value)} style={controlStyle} aria-label="Statistic">
+            {Object.entries(ATTEMPT_METRICS).map(([key, { label }]) => <option key={key} value={key}>{label}</option>)}
+          </select>
+        </div>
+
+        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(80px, 1fr))', gap: '6px' }}>
+          <Stat label="ATTEMPTS" value={summary.attempts} />
+          <Stat label="SOLVES" value={summary.solves} />
+          <Stat label="BEST" value={formatValue(metric, summary.best)} />
+          <Stat label="MEAN" value={formatValue(metric, summary.mean)} />
+          <Stat label="AO5" value={formatValue(metric, summary.ao5)} />
+          <Stat label="AO12" value={formatValue(metric, summary.ao12)} />
+        </div>
+
+        {attempts.length > 0 && (
+          <>
+            <div style={sectionTitle}>TREND · <span style={{ color: '#facc15' }}>PERSONAL BEST</span></div>
+            <TrendChart attempts={attempts} metric={metric} />
+            <div style={sectionTitle}>DISTRIBUTION</div>
+            <DistributionChart attempts={attempts} metric={metric} />
+          </>
+        )}
+
+        <button
+          onClick={onBack}
+          style={{
+            marginTop: '20px',
+            background: 'rgba(255, 255, 255, 0.08)',
+            border: '1px solid rgba(255, 255, 255, 0.2)',
+            color: 'rgba(255, 255, 255, 0.8)',
+            fontSize: '15px',
+            fontWeight: 500,
+            padding: '10px 28px',
+            borderRadius: '10px',
+            cursor: 'pointer',
+            fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif'
+          }}
+        >
+          Back
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default StatsScreen;
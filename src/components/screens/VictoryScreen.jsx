@@ -1,15 +1,18 @@
 import React, { useState } from 'react';
+import { parStars } from '../../levels/par.js';
 
 const VictoryScreen = ({
   winType,
   moves,
   time,
+  par = null,
   onContinue,
   onNewGame,
   currentLevel = null,
   levelData = null,
   onNextLevel = null,
-  hasNextLevel = false
+  hasNextLevel = false,
+  patternName = null
 }) => {
   const [showConfetti, _setShowConfetti] = useState(true);
 
@@ -53,6 +56,16 @@ const VictoryScreen = ({
       icon: '👑',
       bgGradient: 'linear-gradient(135deg, #fef9c3, #fde047)'
     },
+    pattern: {
+      title: 'Pattern Matched!',
+      subtitle: patternName ?? 'Pattern Library',
+      description: 'Every sticker is where the pattern puts it!',
+      color: '#8b5cf6',
+      gradientFrom: '#8b5cf6',
+      gradientTo: '#7c3aed',
+      icon: '◇',
+      bgGradient: 'linear-gradient(135deg, #ede9fe, #ddd6fe)'
+    },
     worm: {
       title: 'WORM³ COMPLETE!',
       subtitle: '🪱 Secret Achievement Unlocked 🪱',
@@ -224,7 +237,7 @@ const VictoryScreen = ({
           display: 'flex',
           justifyContent: 'center',
           gap: '32px',
-          marginBottom: '32px',
+          marginBottom: par !== null ? '12px' : '32px',
           padding: '20px',
           background: 'rgba(0,0,0,0.03)',
           borderRadius: '8px',
@@ -266,6 +279,21 @@ const VictoryScreen = ({
           </div>
         </div>
 
+        {/* Moves against the solver's par for this start */}
+        {par !== null && (
+          <div style={{
+            marginBottom: '28px',
+            fontSize: '14px',
+            color: '#6b4423',
+            fontFamily: "'Courier New', monospace"
+          }}>
+            you: {moves} moves, par: {par}
+            <span style={{ marginLeft: '12px', color: '#eab308', letterSpacing: '2px' }}>
+              {'★'.repeat(parStars(moves, par))}{'☆'.repeat(3 - parStars(moves, par))}
+            </span>
+          </div>
+        )}
+
         {/* Buttons */}
         <div style={{ display: 'flex', gap: '16px', justifyContent: 'center', flexWrap: 'wrap' }}>
           <button
@@ -361,7 +389,7 @@ const VictoryScreen = ({
         </div>
 
         {/* Achievement hint for non-ultimate wins */}
-        {winType !== 'ultimate' && winType !== 'worm' && (
+        {winType !== 'ultimate' && winType !== 'worm' && winType !== 'pattern' && (
           <div style={{
             marginTop: '24px',
             padding: '12px 16px',
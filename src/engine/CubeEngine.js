@@ -0,0 +1,456 @@
+/**
+ * WORM-3 Cube Engine
+ *
+ * Framework-free cube model: rotations, antipodal flips, win detection,
+ * undo/redo and serialization, with no dependency on React, Zustand or
+ * Three.js. The UI hooks are thin adapters over the helpers exported here,
+ * and scripts/tests can drive a `CubeEngine` instance directly.
+ */
+
+import { makeCubies, clone3D, forEachCubie, isSurfacePosition, MIN_CUBE_SIZE, MAX_CUBE_SIZE } from '../game/cubeState.js';
+import { rotateSliceCubies } from '../game/cubeRotation.js';
+import { buildManifoldGridMap, flipStickerPair } from '../game/manifoldLogic.js';
+import { detectWinConditions } from '../game/winDetection.js';
+import { computeAntipodalIntegrity } from '../game/antipodalIntegrity.js';
+import { notationToRotations } from '../game/notation.js';
+import { encodeCubeState, decodeCubeState } from './stateCodec.js';
+
+export const ENGINE_FORMAT_VERSION = 1;
+
+const AXES = ['row', 'col', 'depth'];
+const DIR_KEYS = ['PX', 'NX', 'PY', 'NY', 'PZ', 'NZ'];
+
+/**
+ * @typedef {Object} RotationMove
+ * @property {'rotation'} type
+ * @property {'row'|'col'|'depth'} axis
+ * @property {1|-1} dir
+ * @property {number} sliceIndex
+ */
+
+/**
+ * @typedef {Object} FlipMove
+ * @property {'flip'} type
+ * @property {{x:number, y:number, z:number}} pos
+ * @property {string} dirKey
+ * @property {boolean} [undo] - Set on the inverse of a flip; decrements flip counters
+ */
+
+// ============================================================================
+// PURE HELPERS
+// ============================================================================
+
+/**
+ * Apply a single move (rotation or flip) to a cube state.
+ * Returns a new state; the input is not mutated.
+ * @param {Array} cubies - size³ cubie array
+ * @param {number} size - Cube size
+ * @param {RotationMove|FlipMove} move
+ * @returns {Array}
+ */
+export function applyMove(cubies, size, move) {
+  if (move.type === 'rotation') {
+    return rotateSliceCubies(cubies, size, move.axis, move.sliceIndex, move.dir);
+  }
+  if (move.type === 'flip') {
+    const { x, y, z } = move.pos;
+    const manifoldMap = buildManifoldGridMap(cubies, size);
+    return flipStickerPair(cubies, size, x, y, z, move.dirKey, manifoldMap, move.undo ? -1 : 1);
+  }
+  return cubies;
+}
+
+/**
+ * Return the move that undoes `move`.
+ * Rotations reverse direction; a flip flips the same pair back and
+ * rolls back the flip counters.
+ * @param {RotationMove|FlipMove} move
+ * @returns {RotationMove|FlipMove}
+ */
+export function invertMove(move) {
+  if (move.type === 'rotation') {
+    return { ...move, dir: -move.dir };
+  }
+  return { ...move, undo: !move.undo };
+}
+
+/**
+ * Sticker metrics shown in the HUD.
+ * @param {Array} cubies
+ * @returns {{ flips: number, wormholes: number, entropy: number }}
+ */
+export function computeMetrics(cubies) {
+  let flips = 0,
+    wormholes = 0,
+    off = 0,
+    total = 0;
+  forEachCubie(cubies, (c) => {
+    for (const s of Object.values(c.stickers)) {
+      flips += s.flips || 0;
+      total++;
+      if (s.curr !== s.orig) off++;
+      if (s.flips > 0 && s.curr !== s.orig) wormholes++;
+    }
+  });
+  return { flips, wormholes, entropy: total ? Math.round((off / total) * 100) : 0 };
+}
+
+/**
+ * Check that a value looks like a size³ cubie array for the given size
+ * (surface cubies present; interior positions may be empty).
+ * @param {*} cubies
+ * @param {number} size
+ * @returns {boolean}
+ */
+export function isValidCubies(cubies, size) {
+  if (!Array.isArray(cubies) || cubies.length !== size) return false;
+  for (let x = 0; x < size; x++) {
+    if (!Array.isArray(cubies[x]) || cubies[x].length !== size) return false;
+    for (let y = 0; y < size; y++) {
+      if (!Array.isArray(cubies[x][y]) || cubies[x][y].length !== size) return false;
+      for (let z = 0; z < size; z++) {
+        const c = cubies[x][y][z];
+        // Interior cubies are not allocated; older saves may still include them
+        if (!isSurfacePosition(x, y, z, size) && (c === null || c === undefined)) continue;
+        if (!c || typeof c.stickers !== 'object') return false;
+        for (const [dirKey, st] of Object.entries(c.stickers)) {
+          if (!DIR_KEYS.includes(dirKey)) return false;
+          if (!st || typeof st.curr !== 'number' || typeof st.orig !== 'number' || !st.origPos) return false;
+        }
+      }
+    }
+  }
+  return true;
+}
+
+/**
+ * Whether `move` is a well-formed rotation or flip for a cube of `size`.
+ * @param {RotationMove|FlipMove} move
+ * @param {number} size
+ * @returns {boolean}
+ */
+export const isValidMove = (move, size) => {
+  if (!move) return false;
+  if (move.type === 'rotation') {
+    return AXES.includes(move.axis) && (move.dir === 1 || move.dir === -1) &&
+      Number.isInteger(move.sliceIndex) && move.sliceIndex >= 0 && move.sliceIndex < size;
+  }
+  if (move.type === 'flip') {
+    const p = move.pos;
+    if (move.undo !== undefined && typeof move.undo !== 'boolean') return false;
+    return !!p && [p.x, p.y, p.z].every((v) => Number.isInteger(v) && v >= 0 && v < size) &&
+      DIR_KEYS.includes(move.dirKey);
+  }
+  return false;
+};
+
+// ============================================================================
+// ENGINE
+// ============================================================================
+
+/**
+ * Headless cube engine.
+ *
+ * State is replaced (never mutated) on every operation, so `engine.cubies`
+ * can be handed to React or compared by reference.
+ *
+ * Events (subscribe with `on`):
+ *   'change' - { cubies, move, source: 'move' | 'undo' | 'redo' | 'reset' | 'load' }
+ */
+class CubeEngine {
+  /**
+   * @param {number} [size=3] - Cube size (2-10)
+   * @param {Object} [options]
+   * @param {Array} [options.cubies] - Starting state (defaults to solved)
+   */
+  constructor(size = 3, options = {}) {
+    if (!Number.isInteger(size) || size < MIN_CUBE_SIZE || size > MAX_CUBE_SIZE) {
+      throw new RangeError(`CubeEngine: invalid cube size ${size}`);
+    }
+    if (options.cubies && !isValidCubies(options.cubies, size)) {
+      throw new TypeError(`CubeEngine: cubies do not match a ${size}×${size} cube`);
+    }
+
+    this.size = size;
+    this.cubies = options.cubies ? clone3D(options.cubies) : makeCubies(size);
+    this.moves = 0;
+
+    this._undoStack = [];
+    this._redoStack = [];
+    this._listeners = new Map();
+  }
+
+  // ============================================================================
+  // MOVES
+  // ============================================================================
+
+  /**
+   * Rotate one slice.
+   * @param {'row'|'col'|'depth'} axis
+   * @param {number} sliceIndex
+   * @param {1|-1} dir
+   * @returns {CubeEngine} this (chainable)
+   */
+  rotate(axis, sliceIndex, dir) {
+    return this.apply({ type: 'rotation', axis, dir, sliceIndex });
+  }
+
+  /**
+   * Flip a sticker and its antipodal partner.
+   * @param {{x:number, y:number, z:number}} pos
+   * @param {string} dirKey
+   * @returns {CubeEngine} this (chainable)
+   */
+  flip(pos, dirKey) {
+    return this.apply({ type: 'flip', pos: { x: pos.x, y: pos.y, z: pos.z }, dirKey });
+  }
+
+  /**
+   * Apply a notation string (see src/game/notation.js).
+   * Each quarter-turn is recorded as its own history entry.
+   * @param {string} notation
+   * @returns {Array} Parse errors (empty when everything applied)
+   */
+  applyNotation(notation) {
+    const { rotations, errors } = notationToRotations(notation, this.size);
+    for (const { axis, dir, sliceIndex } of rotations) {
+      this.rotate(axis, sliceIndex, dir);
+    }
+    return errors;
+  }
+
+  /**
+   * Apply a move object. Clears the redo stack.
+   * @param {RotationMove|FlipMove} move
+   * @returns {CubeEngine} this (chainable)
+   */
+  apply(move) {
+    if (!isValidMove(move, this.size)) {
+      throw new TypeError(`CubeEngine: invalid move ${JSON.stringify(move)}`);
+    }
+    this.cubies = applyMove(this.cubies, this.size, move);
+    this.moves++;
+    this._undoStack.push(move);
+    this._redoStack = [];
+    this._emit('change', { cubies: this.cubies, move, source: 'move' });
+    return this;
+  }
+
+  // ============================================================================
+  // UNDO / REDO
+  // ============================================================================
+
+  get canUndo() {
+    return this._undoStack.length > 0;
+  }
+
+  get canRedo() {
+    return this._redoStack.length > 0;
+  }
+
+  /** Moves applied since the last reset/load, oldest first. */
+  get history() {
+    return [...this._undoStack];
+  }
+
+  /**
+   * Undo the most recent move.
+   * @returns {RotationMove|FlipMove|null} The move that was undone
+   */
+  undo() {
+    const move = this._undoStack.pop();
+    if (!move) return null;
+    this.cubies = applyMove(this.cubies, this.size, invertMove(move));
+    this.moves = Math.max(0, this.moves - 1);
+    this._redoStack.push(move);
+    this._emit('change', { cubies: this.cubies, move, source: 'undo' });
+    return move;
+  }
+
+  /**
+   * Re-apply the most recently undone move.
+   * @returns {RotationMove|FlipMove|null} The move that was redone
+   */
+  redo() {
+    const move = this._redoStack.pop();
+    if (!move) return null;
+    this.cubies = applyMove(this.cubies, this.size, move);
+    this.moves++;
+    this._undoStack.push(move);
+    this._emit('change', { cubies: this.cubies, move, source: 'redo' });
+    return move;
+  }
+
+  // ============================================================================
+  // QUERIES
+  // ============================================================================
+
+  /** @returns {{ rubiks: boolean, sudokube: boolean, ultimate: boolean, worm: boolean }} */
+  getWinConditions() {
+    return detectWinConditions(this.cubies, this.size);
+  }
+
+  /** @returns {boolean} True when every face is a single color */
+  isSolved() {
+    return this.getWinConditions().rubiks;
+  }
+
+  /** @returns {{ flips: number, wormholes: number, entropy: number }} */
+  getMetrics() {
+    return computeMetrics(this.cubies);
+  }
+
+  /** @returns {Object} Antipodal integrity I(T) breakdown */
+  getIntegrity() {
+    return computeAntipodalIntegrity(this.cubies, this.size);
+  }
+
+  // ============================================================================
+  // STATE MANAGEMENT
+  // ============================================================================
+
+  /**
+   * Return to the solved state and clear history.
+   * @returns {CubeEngine} this (chainable)
+   */
+  reset() {
+    this.cubies = makeCubies(this.size);
+    this._clearHistory();
+    this._emit('change', { cubies: this.cubies, move: null, source: 'reset' });
+    return this;
+  }
+
+  /**
+   * Replace the current state (e.g. after a scramble) and clear history.
+   * @param {Array} cubies
+   * @returns {CubeEngine} this (chainable)
+   */
+  setState(cubies) {
+    if (!isValidCubies(cubies, this.size)) {
+      throw new TypeError(`CubeEngine: cubies do not match a ${this.size}×${this.size} cube`);
+    }
+    this.cubies = clone3D(cubies);
+    this._clearHistory();
+    this._emit('change', { cubies: this.cubies, move: null, source: 'load' });
+    return this;
+  }
+
+  _clearHistory() {
+    this.moves = 0;
+    this._undoStack = [];
+    this._redoStack = [];
+  }
+
+  /** Independent copy of this engine, including history. */
+  clone() {
+    const copy = new CubeEngine(this.size, { cubies: this.cubies });
+    copy.moves = this.moves;
+    copy._undoStack = [...this._undoStack];
+    copy._redoStack = [...this._redoStack];
+    return copy;
+  }
+
+  // ============================================================================
+  // SERIALIZATION
+  // ============================================================================
+
+  /**
+   * Plain-object snapshot, safe to JSON.stringify.
+   * @returns {Object}
+   */
+  toJSON() {
+    return {
+      version: ENGINE_FORMAT_VERSION,
+      size: this.size,
+      moves: this.moves,
+      cubies: clone3D(this.cubies),
+      history: this._undoStack.map((m) => ({ ...m })),
+      redo: this._redoStack.map((m) => ({ ...m })),
+    };
+  }
+
+  /** @returns {string} JSON string of toJSON() */
+  serialize() {
+    return JSON.stringify(this.toJSON());
+  }
+
+  /**
+   * Compact, URL-safe code for the current state (no history).
+   * @returns {string}
+   */
+  toCode() {
+    return encodeCubeState(this.cubies, this.size);
+  }
+
+  /**
+   * Build an engine from a code produced by toCode().
+   * @param {string} code
+   * @returns {CubeEngine}
+   */
+  static fromCode(code) {
+    const { size, cubies } = decodeCubeState(code);
+    return new CubeEngine(size, { cubies });
+  }
+
+  /**
+   * Rebuild an engine from toJSON() output (object or JSON string).
+   * @param {Object|string} data
+   * @returns {CubeEngine}
+   */
+  static fromJSON(data) {
+    const obj = typeof data === 'string' ? JSON.parse(data) : data;
+    if (!obj || obj.version !== ENGINE_FORMAT_VERSION) {
+      throw new TypeError(`CubeEngine: unsupported format version ${obj?.version}`);
+    }
+    const engine = new CubeEngine(obj.size, { cubies: obj.cubies });
+    const history = obj.history || [];
+    const redo = obj.redo || [];
+    if (![...history, ...redo].every((m) => isValidMove(m, obj.size))) {
+      throw new TypeError('CubeEngine: serialized history contains an invalid move');
+    }
+    engine.moves = obj.moves ?? history.length;
+    engine._undoStack = history.map((m) => ({ ...m }));
+    engine._redoStack = redo.map((m) => ({ ...m }));
+    return engine;
+  }
+
+  // ============================================================================
+  // EVENTS
+  // ============================================================================
+
+  /**
+   * Subscribe to engine events
+   * @param {string} event - Event name
+   * @param {Function} callback - Callback function
+   * @returns {Function} Unsubscribe function
+   */
+  on(event, callback) {
+    if (!this._listeners.has(event)) {
+      this._listeners.set(event, new Set());
+    }
+    this._listeners.get(event).add(callback);
+
+    return () => {
+      this._listeners.get(event)?.delete(callback);
+    };
+  }
+
+  /**
+   * Emit an event
+   * @private
+   */
+  _emit(event, data) {
+    const listeners = this._listeners.get(event);
+    if (listeners) {
+      for (const callback of listeners) {
+        try {
+          callback(data);
+        } catch (err) {
+          console.error(`Error in cube engine listener: ${err}`);
+        }
+      }
+    }
+  }
+}
+
+export { CubeEngine };
@@ -0,0 +1,43 @@
+/**
+ * WORM-3 Headless Engine
+ *
+ * Stable public API for driving the cube without React or Three.js.
+ *
+ * Usage:
+ *
+ *   import { CubeEngine } from './engine';
+ *
+ *   const engine = new CubeEngine(3);
+ *   engine.applyNotation("R U R' U'");
+ *   engine.flip({ x: 2, y: 2, z: 2 }, 'PZ');
+ *   engine.undo();
+ *   engine.getWinConditions();   // { rubiks, sudokube, ultimate, worm }
+ *   const saved = engine.serialize();
+ *   const copy = CubeEngine.fromJSON(saved);
+ *   const link = engine.toCode();   // compact, URL-safe state code
+ */
+
+export {
+  CubeEngine,
+  ENGINE_FORMAT_VERSION,
+  applyMove,
+  invertMove,
+  computeMetrics,
+  isValidCubies,
+} from './CubeEngine.js';
+
+// Compact state codes (share links, saved states)
+export {
+  encodeCubeState,
+  decodeCubeState,
+  tryDecodeCubeState,
+  STATE_CODE_VERSION,
+} from './stateCodec.js';
+
+// Notation helpers (parsing is engine-level, not UI-level)
+export {
+  parseNotation,
+  formatNotation,
+  canonicalizeNotation,
+  notationToRotations,
+} from '../game/notation.js';
@@ -0,0 +1,184 @@
+/**
+ * Compact cube-state encoding
+ *
+ * Packs every sticker's current color, flip count and origin into a short,
+ * URL-safe string so a state can be pasted into a link or bug report.
+ *
+ * Format:  <version><size base36>.<base64url payload>
+ *          e.g. "13.AAEC..." = version 1, 3×3
+ *
+ * Payload: one record per surface position, in tiling-graph vertex order
+ * (see src/utils/tilingGraph.js):
+ *   origin vertex   1 byte (2 bytes big-endian when 6·size² > 256)
+ *   meta            bits 0-2 = curr color - 1, bits 3-7 = flips (31 = overflow)
+ *   [flips - 31]    unsigned LEB128 varint, only when the meta flips field is 31
+ *
+ * The origin vertex fully determines a sticker's orig color, origPos and
+ * origDir, so those are not stored separately.
+ */
+
+import { makeCubies, forEachCubie, MIN_CUBE_SIZE, MAX_CUBE_SIZE } from '../game/cubeState.js';
+import { stickerVertex, vertexToPosition } from '../utils/tilingGraph.js';
+
+export const STATE_CODE_VERSION = 1;
+export const MIN_CODE_SIZE = MIN_CUBE_SIZE;
+export const MAX_CODE_SIZE = MAX_CUBE_SIZE;
+
+const FLIPS_OVERFLOW = 31;
+
+// ============================================================================
+// BASE64URL
+// ============================================================================
+
+const toBase64Url = (bytes) => {
+  let bin = '';
+  for (const b of bytes) bin += String.fromCharCode(b);
+  return btoa(bin).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const fromBase64Url = (str) => {
+  if (!/^[A-Za-z0-9_-]*$/.test(str)) {
+    throw new TypeError('Invalid cube code: payload is not base64url');
+  }
+  const b64 = str.replace(/-/g, '+').replace(/_/g, '/');
+  const bin = atob(b64 + '='.repeat((4 - (b64.length % 4)) % 4));
+  const bytes = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+  return bytes;
+};
+
+// ============================================================================
+// ENCODE
+// ============================================================================
+
+/**
+ * Encode a cube state as a compact string.
+ * @param {Array} cubies - size³ cubie array
+ * @param {number} size - Cube size (2-10)
+ * @returns {string}
+ */
+export function encodeCubeState(cubies, size) {
+  if (!Number.isInteger(size) || size < MIN_CODE_SIZE || size > MAX_CODE_SIZE) {
+    throw new RangeError(`Cannot encode a ${size}×${size} cube (supported: ${MIN_CODE_SIZE}-${MAX_CODE_SIZE})`);
+  }
+
+  const numVerts = 6 * size * size;
+  const wide = numVerts > 256;
+  const records = new Array(numVerts);
+
+  forEachCubie(cubies, (cubie, x, y, z) => {
+    for (const [dirKey, st] of Object.entries(cubie.stickers)) {
+      const v = stickerVertex(dirKey, x, y, z, size);
+      const origV = stickerVertex(st.origDir, st.origPos.x, st.origPos.y, st.origPos.z, size);
+      records[v] = { origV, curr: st.curr, flips: st.flips || 0 };
+    }
+  });
+
+  const bytes = [];
+  for (let v = 0; v < numVerts; v++) {
+    const rec = records[v];
+    if (!rec) throw new TypeError(`Cannot encode cube: missing sticker at vertex ${v}`);
+    if (wide) bytes.push(rec.origV >> 8);
+    bytes.push(rec.origV & 0xff);
+
+    const flipsField = Math.min(rec.flips, FLIPS_OVERFLOW);
+    bytes.push(((rec.curr - 1) & 0x7) | (flipsField << 3));
+    if (flipsField === FLIPS_OVERFLOW) {
+      let rest = rec.flips - FLIPS_OVERFLOW;
+      do {
+        let b = rest & 0x7f;
+        rest = Math.floor(rest / 128);
+        if (rest > 0) b |= 0x80;
+        bytes.push(b);
+      } while (rest > 0);
+    }
+  }
+
+  return `${STATE_CODE_VERSION}${size.toString(36)}.${toBase64Url(bytes)}`;
+}
+
+// ============================================================================
+// DECODE
+// ============================================================================
+
+/**
+ * Decode a string produced by encodeCubeState.
+ * Throws (TypeError/RangeError) with a readable message on malformed input.
+ * @param {string} code
+ * @returns {{ size: number, cubies: Array }}
+ */
+export function decodeCubeState(code) {
+  const match = /^(\d)([0-9a-z])\.([A-Za-z0-9_-]*)$/.exec(String(code ?? '').trim());
+  if (!match) throw new TypeError('Invalid cube code: unrecognised format');
+
+  const version = parseInt(match[1], 10);
+  if (version !== STATE_CODE_VERSION) {
+    throw new RangeError(`Unsupported cube code version ${version}`);
+  }
+  const size = parseInt(match[2], 36);
+  if (size < MIN_CODE_SIZE || size > MAX_CODE_SIZE) {
+    throw new RangeError(`Unsupported cube size ${size}`);
+  }
+
+  const bytes = fromBase64Url(match[3]);
+  const numVerts = 6 * size * size;
+  const wide = numVerts > 256;
+  const used = new Uint8Array(numVerts);
+  const cubies = makeCubies(size);
+  let i = 0;
+
+  const next = () => {
+    if (i >= bytes.length) throw new TypeError('Invalid cube code: payload is truncated');
+    return bytes[i++];
+  };
+
+  for (let v = 0; v < numVerts; v++) {
+    let origV = next();
+    if (wide) origV = (origV << 8) | next();
+    if (origV >= numVerts || used[origV]) {
+      throw new TypeError(`Invalid cube code: bad origin for sticker ${v}`);
+    }
+    used[origV] = 1;
+
+    const meta = next();
+    const curr = (meta & 0x7) + 1;
+    if (curr > 6) throw new TypeError(`Invalid cube code: bad color for sticker ${v}`);
+    let flips = meta >> 3;
+    if (flips === FLIPS_OVERFLOW) {
+      let shift = 1;
+      let b;
+      do {
+        b = next();
+        flips += (b & 0x7f) * shift;
+        shift *= 128;
+      } while (b & 0x80);
+    }
+
+    const pos = vertexToPosition(v, size);
+    const orig = vertexToPosition(origV, size);
+    cubies[pos.x][pos.y][pos.z].stickers[pos.dirKey] = {
+      curr,
+      orig: Math.floor(origV / (size * size)) + 1,
+      flips,
+      origPos: { x: orig.x, y: orig.y, z: orig.z },
+      origDir: orig.dirKey,
+    };
+  }
+
+  if (i !== bytes.length) throw new TypeError('Invalid cube code: trailing data');
+
+  return { size, cubies };
+}
+
+/**
+ * Non-throwing variant of decodeCubeState.
+ * @param {string} code
+ * @returns {{ ok: true, size: number, cubies: Array } | { ok: false, error: string }}
+ */
+export function tryDecodeCubeState(code) {
+  try {
+    return { ok: true, ...decodeCubeState(code) };
+  } catch (err) {
+    return { ok: false, error: err.message };
+  }
+}
@@ -7,6 +7,7 @@
 // I(T) = (# preserved pairs) / 27
 
 import { ANTIPODAL_COLOR } from '../utils/constants.js';
+import { forEachCubie } from './cubeState.js';
 
 // The critical threshold from the paper: k* = 1/(2 ln 2) ≈ 0.7213
 export const K_STAR = 1 / (2 * Math.LN2);
@@ -35,42 +36,37 @@ export const computeAntipodalIntegrity = (cubies, size) => {
   const pairs = [];
   const visited = new Set();
 
-  for (let x = 0; x < size; x++) {
-    for (let y = 0; y < size; y++) {
-      for (let z = 0; z < size; z++) {
-        const c = cubies[x][y][z];
-        for (const [dirKey, st] of Object.entries(c.stickers)) {
-          // Build a unique key for this surface position
-          const posKey = `${x},${y},${z},${dirKey}`;
+  forEachCubie(cubies, (c, x, y, z) => {
+    for (const [dirKey, st] of Object.entries(c.stickers)) {
+      // Build a unique key for this surface position
+      const posKey = `${x},${y},${z},${dirKey}`;
 
-          // Compute the antipodal surface position
-          const ax = S - x;
-          const ay = S - y;
-          const az = S - z;
-          const aDir = ANTIPODAL_DIR[dirKey];
-          const antiKey = `${ax},${ay},${az},${aDir}`;
+      // Compute the antipodal surface position
+      const ax = S - x;
+      const ay = S - y;
+      const az = S - z;
+      const aDir = ANTIPODAL_DIR[dirKey];
+      const antiKey = `${ax},${ay},${az},${aDir}`;
 
-          // Skip if we already processed this pair from the other side
-          if (visited.has(posKey) || visited.has(antiKey)) continue;
-          visited.add(posKey);
-          visited.add(antiKey);
+      // Skip if we already processed this pair from the other side
+      if (visited.has(posKey) || visited.has(antiKey)) continue;
+      visited.add(posKey);
+      visited.add(antiKey);
 
-          // Get the sticker at the antipodal position
-          const antiCubie = cubies[ax]?.[ay]?.[az];
-          const antiSt = antiCubie?.stickers?.[aDir];
+      // Get the sticker at the antipodal position
+      const antiCubie = cubies[ax]?.[ay]?.[az];
+      const antiSt = antiCubie?.stickers?.[aDir];
 
-          if (antiSt) {
-            const isPreserved = ANTIPODAL_COLOR[st.curr] === antiSt.curr;
-            pairs.push({
-              a: { x, y, z, dirKey },
-              b: { x: ax, y: ay, z: az, dirKey: aDir },
-              preserved: isPreserved
-            });
-          }
-        }
+      if (antiSt) {
+        const isPreserved = ANTIPODAL_COLOR[st.curr] === antiSt.curr;
+        pairs.push({
+          a: { x, y, z, dirKey },
+          b: { x: ax, y: ay, z: az, dirKey: aDir },
+          preserved: isPreserved
+        });
       }
     }
-  }
+  });
 
   const preserved = pairs.filter((p) => p.preserved).length;
   const total = pairs.length || 1;
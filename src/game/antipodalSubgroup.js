@@ -0,0 +1,174 @@
+// src/game/antipodalSubgroup.js
+// The antipodal-preserving subgroup G_A from the paper
+// "Discrete Quotient Structures and Regime Transitions in Combinatorial Puzzles" (§3):
+// the turns T with T∘A = A∘T, where A is central inversion of the stickers
+// (antipodalVertex in utils/tilingGraph.js). Equivalently, T sends every
+// antipodal pair of stickers to an antipodal pair.
+//
+// Central inversion sends a layer turn to the same turn of the mirrored layer
+// (R ↔ L', U ↔ D', F ↔ B'), so a face turn on its own, half turns included,
+// never preserves antipodality (Proposition 4a overstates this). What does:
+// whole-cube rotations, middle slices, a sequence followed by its antipodal
+// mirror when the two don't touch the same pieces, and a few conjugates that
+// swap or flip a single antipodal pair. PRESERVING_GENERATORS lists these,
+// and for 2×2 and 3×3 they generate all of G_A: exploreAntipodalSubgroup
+// checks their Schreier–Sims order against a centralizer search.
+
+import { buildTilingGraph, applyTwist, antipodalVertex } from '../utils/tilingGraph.js';
+import {
+  identityPermutation, compose, stabilizerChain, chainOrder, centralizer,
+} from '../utils/permutationGroup.js';
+import { notationToRotations } from './notation.js';
+import { toRotations, sequencePermutation } from './cubeGroup.js';
+
+/**
+ * Named generators of G_A. `mirrored` generators are the notation followed
+ * by its antipodal mirror; `sizes` are the cubes they preserve antipodality on.
+ */
+export const PRESERVING_GENERATORS = [
+  { id: 'rotation-x', name: 'Cube rotation x', notation: 'x', sizes: [2, 3] },
+  { id: 'rotation-y', name: 'Cube rotation y', notation: 'y', sizes: [2, 3] },
+  { id: 'rotation-z', name: 'Cube rotation z', notation: 'z', sizes: [2, 3] },
+  { id: 'slice-m', name: 'Middle slice M', notation: 'M', sizes: [3] },
+  { id: 'slice-e', name: 'Middle slice E', notation: 'E', sizes: [3] },
+  { id: 'slice-s', name: 'Middle slice S', notation: 'S', sizes: [3] },
+  { id: 'corner-cycle', name: 'Corner 3-cycle + mirror', notation: "R' F R' B2 R F' R' B2 R2", mirrored: true, sizes: [2, 3] },
+  { id: 'edge-cycle', name: 'Edge 3-cycle + mirror', notation: "R U' R U R U R U' R' U' R2", mirrored: true, sizes: [3] },
+  { id: 'corner-twist', name: 'Sune + mirror', notation: "R U R' U R U2 R'", mirrored: true, sizes: [2, 3] },
+  { id: 'corner-pair-swap', name: 'Corner pair end swap', notation: "[L: F R U' R' U' R U R' F' R U R' U' R' F R F']", sizes: [2] },
+  { id: 'edge-pair-flip', name: 'Edge pair flip', notation: "[L2: U2 (M' U)3 M' U2 (M U)3 M U2]", sizes: [3] },
+  { id: 'edge-pair-swap', name: 'Edge pair end swap', notation: "[F2: U2 R U R' U' R' F R2 U' R' U' R U R' F']", sizes: [3] },
+  { id: 'corner-pair-exchange', name: 'Corner pair exchange', notation: "[L2: U2 M2 U M2 U2 M2 U M2]", sizes: [3] },
+];
+
+/** Cube sizes the subgroup explorer covers */
+export const SUBGROUP_SIZES = [2, 3];
+
+// ============================================================================
+// PER-SIZE DATA
+// ============================================================================
+
+const sizeCache = new Map();
+
+function getSizeData(size) {
+  if (sizeCache.has(size)) return sizeCache.get(size);
+
+  const { cycles, numVerts } = buildTilingGraph(size);
+  const identity = identityPermutation(numVerts);
+  const antipode = identity.map(v => antipodalVertex(v, size));
+  const data = { cycles, numVerts, identity, antipode };
+  sizeCache.set(size, data);
+  return data;
+}
+
+// ============================================================================
+// CLASSIFICATION
+// ============================================================================
+
+/**
+ * Antipodal mirror of a sequence: each turn moved to the opposite layer,
+ * turning the same way in space (R → L', U → D', F → B')
+ * @param {Array<{axis, dir, sliceIndex}>} rotations
+ * @param {number} size
+ */
+export const mirrorRotations = (rotations, size) =>
+  rotations.map(({ axis, dir, sliceIndex }) => ({ axis, dir, sliceIndex: size - 1 - sliceIndex }));
+
+/**
+ * Stickers at which T∘A and A∘T differ: the commutator norm C(T) of the
+ * paper, counted on the permutation rather than on colors. Zero exactly when
+ * T is in G_A.
+ */
+export function permutationCommutatorNorm(perm, size) {
+  const { antipode } = getSizeData(size);
+  return perm.reduce((n, image, v) => n + (perm[antipode[v]] !== antipode[image] ? 1 : 0), 0);
+}
+
+/**
+ * Whether a move sequence, taken as a whole, is in G_A
+ * @param {string|Array} moves - Notation, or engine rotations / recorded moves (flips are skipped)
+ * @param {number} [size=3]
+ * @returns {{ preserving: boolean, commutatorNorm: number, turns: number, errors: Array }}
+ */
+export function classifyMoves(moves, size = 3) {
+  const { rotations, errors } = toRotations(moves, size);
+  const commutatorNorm = permutationCommutatorNorm(sequencePermutation(rotations, size), size);
+  return { preserving: commutatorNorm === 0, commutatorNorm, turns: rotations.length, errors };
+}
+
+/**
+ * For each turn of a sequence, whether the turns from it to the end are in
+ * G_A together. The last true entry marks where the sequence last entered
+ * the subgroup.
+ * @param {Array} moves - Engine rotations / recorded moves (flips are skipped)
+ * @param {number} [size=3]
+ * @returns {boolean[]} One entry per turn
+ */
+export function preservingSuffixes(moves, size = 3) {
+  const { cycles, identity } = getSizeData(size);
+  const { rotations } = toRotations(moves, size);
+  const result = new Array(rotations.length);
+  let suffix = identity;
+  for (let i = rotations.length - 1; i >= 0; i--) {
+    const { axis, sliceIndex, dir } = rotations[i];
+    suffix = compose(applyTwist(identity, cycles[`${axis}-${sliceIndex}-${dir}`]), suffix);
+    result[i] = permutationCommutatorNorm(suffix, size) === 0;
+  }
+  return result;
+}
+
+// ============================================================================
+// SUBGROUP EXPLORER
+// ============================================================================
+
+const explorerCache = new Map();
+
+/**
+ * The named generators of G_A for a cube size, with their permutations
+ * @param {number} size - 2 or 3
+ * @returns {Array<{ id, name, notation, mirrored, permutation: number[] }>}
+ */
+export function preservingGenerators(size) {
+  if (!SUBGROUP_SIZES.includes(size)) {
+    throw new RangeError(`The subgroup explorer covers ${SUBGROUP_SIZES.map(s => `${s}×${s}`).join(' and ')} cubes, not ${size}×${size}`);
+  }
+  return PRESERVING_GENERATORS.filter(gen => gen.sizes.includes(size)).map(({ id, name, notation, mirrored = false }) => {
+    const { rotations } = notationToRotations(notation, size);
+    const sequence = mirrored ? [...rotations, ...mirrorRotations(rotations, size)] : rotations;
+    return { id, name, notation, mirrored, permutation: sequencePermutation(sequence, size) };
+  });
+}
+
+/**
+ * G_A for a 2×2 or 3×3: its named generators and order, the order of the
+ * whole group the game's turns generate, and whether the generators reach
+ * every element of the centralizer of A (they should; a false here means
+ * PRESERVING_GENERATORS is missing one).
+ *
+ * Orders are BigInts. Results are cached per size.
+ *
+ * @param {number} size - 2 or 3
+ * @returns {{ size, generators: Array, order: bigint, groupOrder: bigint, index: bigint, maximal: boolean }}
+ */
+export function exploreAntipodalSubgroup(size) {
+  if (explorerCache.has(size)) return explorerCache.get(size);
+
+  const generators = preservingGenerators(size);
+  const { cycles, identity, antipode } = getSizeData(size);
+
+  // The game's turns: one quarter turn of every slice
+  const turns = [];
+  for (const axis of ['row', 'col', 'depth']) {
+    for (let sliceIndex = 0; sliceIndex < size; sliceIndex++) {
+      turns.push(applyTwist(identity, cycles[`${axis}-${sliceIndex}-1`]));
+    }
+  }
+
+  const order = chainOrder(stabilizerChain(generators.map(gen => gen.permutation)));
+  const groupOrder = chainOrder(stabilizerChain(turns));
+  const maximal = order === centralizer(turns, antipode).order;
+
+  const result = { size, generators, order, groupOrder, index: groupOrder / order, maximal };
+  explorerCache.set(size, result);
+  return result;
+}
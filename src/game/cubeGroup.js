@@ -0,0 +1,337 @@
+// src/game/cubeGroup.js
+// Group theory on move sequences and cube states.
+//
+// Sequences are notation strings or lists of engine rotations / recorded
+// moves, turned into sticker permutations on the tiling graph (see
+// utils/tilingGraph.js). From there: the order of a sequence (how many
+// repetitions return the cube to solved), its cycle structure, and the
+// commutator and conjugate of two sequences.
+//
+// States are read by color, so a cube the engine never produced (a Dev
+// Console preset, an imported state) is judged by what the player sees. The
+// invariants are the ones every turn keeps, measured with the centers (odd
+// sizes) or the back-left-down corner (even sizes) in their home places:
+//
+//   corner twist   corner orientations sum to 0 mod 3
+//   edge flip      middle-edge orientations sum to 0 mod 2 (odd sizes)
+//   parity         corner and middle-edge permutations are both even or
+//                  both odd (odd sizes)
+//
+// plus every corner and middle edge being a real piece, present once. On
+// 2×2 and 3×3 a state that passes all of them can be solved with turns; on
+// larger cubes the wings and centers have invariants of their own that
+// aren't checked here. Flips change colors, so a flipped state usually fails.
+//
+// With `axes`, colors are read only up to their antipode (red and orange
+// count as one), which is what survives antipodal flips: twist and flip are
+// still measured, but pieces may be mirrored or repeated, so permutation
+// parity is not.
+
+import { buildTilingGraph, applyTwist, computeGraphParity } from '../utils/tilingGraph.js';
+import { identityPermutation, cycles, cycleType, permutationOrder } from '../utils/permutationGroup.js';
+import { notationToRotations } from './notation.js';
+import { rotateSliceCubies } from './cubeRotation.js';
+import { DIR_TO_VEC, ANTIPODAL_COLOR } from '../utils/constants.js';
+
+// ============================================================================
+// SEQUENCES
+// ============================================================================
+
+const cyclesCache = new Map();
+
+const moveCycles = (size) => {
+  if (!cyclesCache.has(size)) cyclesCache.set(size, buildTilingGraph(size).cycles);
+  return cyclesCache.get(size);
+};
+
+/**
+ * Engine rotations in a notation string or a list of rotations / recorded
+ * moves. Flips don't move stickers, so they're left out.
+ * @param {string|Array} moves
+ * @param {number} size
+ * @returns {{ rotations: Array<{axis, dir, sliceIndex}>, errors: Array }}
+ */
+export function toRotations(moves, size) {
+  if (typeof moves === 'string') return notationToRotations(moves, size);
+  return { rotations: moves.filter(move => !move.type || move.type === 'rotation'), errors: [] };
+}
+
+/** A sequence of rotations undone: reversed, each turning the other way */
+export const invertRotations = (rotations) =>
+  rotations.slice().reverse().map(({ axis, dir, sliceIndex }) => ({ axis, dir: -dir, sliceIndex }));
+
+/**
+ * Sticker permutation of a sequence of engine rotations, as a tiling state
+ * (perm[v] = vertex the sticker now at v started on)
+ * @param {Array<{axis, dir, sliceIndex}>} rotations
+ * @param {number} size
+ * @returns {number[]}
+ */
+export function sequencePermutation(rotations, size) {
+  const cycleMap = moveCycles(size);
+  return rotations.reduce(
+    (perm, { axis, sliceIndex, dir }) => applyTwist(perm, cycleMap[`${axis}-${sliceIndex}-${dir}`]),
+    identityPermutation(6 * size * size)
+  );
+}
+
+/**
+ * What a move sequence does to the stickers
+ * @param {string|Array} moves - Notation, or engine rotations / recorded moves (flips are skipped)
+ * @param {number} [size=3]
+ * @returns {{ order: number, cycleType: Object.<number, number>, cycles: number[][], moved: number, parity: number, turns: number, errors: Array }}
+ *   order - repetitions that return the cube to solved; cycleType - number
+ *   of sticker cycles of each length; moved - stickers that end up elsewhere;
+ *   parity - 0 even, 1 odd
+ */
+export function analyzeSequence(moves, size = 3) {
+  const { rotations, errors } = toRotations(moves, size);
+  const perm = sequencePermutation(rotations, size);
+  const stickerCycles = cycles(perm);
+  return {
+    order: permutationOrder(perm),
+    cycleType: cycleType(perm),
+    cycles: stickerCycles,
+    moved: stickerCycles.reduce((n, cycle) => n + cycle.length, 0),
+    parity: computeGraphParity(perm),
+    turns: rotations.length,
+    errors,
+  };
+}
+
+/**
+ * Commutator [A, B] = A B A' B' as engine rotations
+ * @param {string|Array} a
+ * @param {string|Array} b
+ * @param {number} [size=3]
+ * @returns {{ rotations: Array, errors: Array }}
+ */
+export function commutatorSequence(a, b, size = 3) {
+  const first = toRotations(a, size);
+  const second = toRotations(b, size);
+  return {
+    rotations: [...first.rotations, ...second.rotations, ...invertRotations(first.rotations), ...invertRotations(second.rotations)],
+    errors: [...first.errors, ...second.errors],
+  };
+}
+
+/**
+ * Conjugate [A: B] = A B A' as engine rotations
+ * @param {string|Array} a
+ * @param {string|Array} b
+ * @param {number} [size=3]
+ * @returns {{ rotations: Array, errors: Array }}
+ */
+export function conjugateSequence(a, b, size = 3) {
+  const setup = toRotations(a, size);
+  const body = toRotations(b, size);
+  return {
+    rotations: [...setup.rotations, ...body.rotations, ...invertRotations(setup.rotations)],
+    errors: [...setup.errors, ...body.errors],
+  };
+}
+
+// ============================================================================
+// STATE INVARIANTS
+// ============================================================================
+
+// Solved color of each face
+const DIR_TO_COLOR = { PZ: 1, NX: 2, PY: 3, NZ: 4, PX: 5, NY: 6 };
+
+const det3 = (a, b, c) =>
+  a[0] * (b[1] * c[2] - b[2] * c[1]) -
+  a[1] * (b[0] * c[2] - b[2] * c[0]) +
+  a[2] * (b[0] * c[1] - b[1] * c[0]);
+
+// Corner and middle-edge positions with their facets in reference order:
+// corners Y facet first and the other two in a fixed handedness; edges Y
+// facet first, else Z. A piece's orientation is where its own reference
+// color sits in that order.
+const pieceLayoutCache = new Map();
+
+function pieceLayout(size) {
+  if (pieceLayoutCache.has(size)) return pieceLayoutCache.get(size);
+
+  const s = size - 1;
+  const corners = [];
+  for (const x of [0, s]) {
+    for (const y of [0, s]) {
+      for (const z of [0, s]) {
+        const primary = y ? 'PY' : 'NY';
+        const rest = [x ? 'PX' : 'NX', z ? 'PZ' : 'NZ'];
+        if (det3(DIR_TO_VEC[primary], DIR_TO_VEC[rest[0]], DIR_TO_VEC[rest[1]]) < 0) rest.reverse();
+        corners.push({ pos: [x, y, z], facets: [primary, ...rest] });
+      }
+    }
+  }
+
+  const edges = [];
+  if (size % 2 === 1) {
+    const m = s / 2;
+    const dirsAt = (x, y, z) => [
+      ...(y === s ? ['PY'] : y === 0 ? ['NY'] : []),
+      ...(z === s ? ['PZ'] : z === 0 ? ['NZ'] : []),
+      ...(x === s ? ['PX'] : x === 0 ? ['NX'] : []),
+    ];
+    for (const [x, y, z] of [
+      [m, 0, 0], [m, 0, s], [m, s, 0], [m, s, s],
+      [0, m, 0], [0, m, s], [s, m, 0], [s, m, s],
+      [0, 0, m], [0, s, m], [s, 0, m], [s, s, m],
+    ]) {
+      edges.push({ pos: [x, y, z], facets: dirsAt(x, y, z) });
+    }
+  }
+
+  const layout = { corners, edges };
+  pieceLayoutCache.set(size, layout);
+  return layout;
+}
+
+/** A color read up to its antipode: the lower of the two color IDs */
+export const colorAxis = (color) => Math.min(color, ANTIPODAL_COLOR[color] ?? color);
+
+const sameColor = (color) => color;
+
+// Colors on a piece's facets, in reference order
+const pieceColors = (cubies, { pos: [x, y, z], facets }, read) =>
+  facets.map(dir => read(cubies[x]?.[y]?.[z]?.stickers?.[dir]?.curr));
+
+// Whether the cube is in its home orientation: centers (odd sizes) or the
+// back-left-down corner (even sizes) showing their solved colors
+function isHomeOrientation(cubies, size, read) {
+  if (size % 2 === 1) {
+    const m = (size - 1) / 2;
+    const s = size - 1;
+    const centers = { PX: [s, m, m], NX: [0, m, m], PY: [m, s, m], NY: [m, 0, m], PZ: [m, m, s], NZ: [m, m, 0] };
+    return Object.entries(centers).every(([dir, [x, y, z]]) => read(cubies[x][y][z].stickers[dir]?.curr) === read(DIR_TO_COLOR[dir]));
+  }
+  const corner = cubies[0][0][0].stickers;
+  return ['NX', 'NY', 'NZ'].every(dir => read(corner[dir]?.curr) === read(DIR_TO_COLOR[dir]));
+}
+
+const rotateWholeCube = (cubies, size, axis) => {
+  let state = cubies;
+  for (let sliceIndex = 0; sliceIndex < size; sliceIndex++) {
+    state = rotateSliceCubies(state, size, axis, sliceIndex, 1);
+  }
+  return state;
+};
+
+// The cube turned to its home orientation, or null if no whole-cube
+// rotation gets there (centers or that corner aren't a rotated solved set)
+function toHomeOrientation(cubies, size, read) {
+  // Every one of the 24 orientations: four about y, from each of six faces up
+  const ups = [[], ['col'], ['col', 'col'], ['col', 'col', 'col'], ['depth'], ['depth', 'depth', 'depth']];
+  for (const path of ups) {
+    let state = path.reduce((st, axis) => rotateWholeCube(st, size, axis), cubies);
+    for (let turn = 0; turn < 4; turn++) {
+      if (isHomeOrientation(state, size, read)) return state;
+      state = rotateWholeCube(state, size, 'row');
+    }
+  }
+  return null;
+}
+
+// Read the pieces of one kind: which home slot each is, and how it's turned
+function readPieces(cubies, slots, read) {
+  const home = slots.map(slot => slot.facets.map(dir => read(DIR_TO_COLOR[dir])));
+  return slots.map(slot => {
+    const colors = pieceColors(cubies, slot, read);
+    // Same colors in the same cyclic order (a corner can't be mirrored)
+    for (let j = 0; j < home.length; j++) {
+      for (let shift = 0; shift < colors.length; shift++) {
+        if (home[j].every((color, k) => colors[(k + shift) % colors.length] === color)) {
+          return { slot: j, orientation: shift, colors };
+        }
+      }
+    }
+    return { slot: -1, orientation: 0, colors };
+  });
+}
+
+/**
+ * @typedef {Object} Violation
+ * @property {'orientation'|'pieces'|'corner-twist'|'edge-flip'|'parity'} invariant
+ * @property {string} message - For the player
+ */
+
+/**
+ * The turn invariants of a cube state, read from its colors
+ * @param {Array} cubies
+ * @param {number} size
+ * @param {Object} [options]
+ * @param {boolean} [options.axes=false] - Read colors up to their antipode (for states with flips)
+ * @returns {{ solvable: boolean, complete: boolean, cornerTwist: number|null, edgeFlip: number|null,
+ *   cornerParity: number|null, edgeParity: number|null, violations: Violation[] }}
+ *   solvable - no invariant is broken; complete - for this size that also
+ *   means turns can solve it; null values weren't measured (no middle edges,
+ *   or the pieces couldn't be read)
+ */
+export function stateInvariants(cubies, size, { axes = false } = {}) {
+  const read = axes ? colorAxis : sameColor;
+  const result = {
+    solvable: false,
+    complete: size <= 3 && !axes,
+    cornerTwist: null,
+    edgeFlip: null,
+    cornerParity: null,
+    edgeParity: null,
+    violations: [],
+  };
+
+  const home = toHomeOrientation(cubies, size, read);
+  if (!home) {
+    let message = size % 2 === 1
+      ? 'The centers are not the solved colors in any orientation'
+      : 'The back-left-down corner is not a real corner piece';
+    if (axes) {
+      message = size % 2 === 1
+        ? 'The centers are not three pairs of opposite colors'
+        : 'The back-left-down corner does not show one color from each opposite pair';
+    }
+    result.violations.push({ invariant: 'orientation', message });
+    return result;
+  }
+
+  const { corners, edges } = pieceLayout(size);
+  const cornerPieces = readPieces(home, corners, read);
+  const edgePieces = readPieces(home, edges, read);
+
+  // Up to antipodes every corner looks alike, so only the colors are checked
+  const badPieces = (pieces, name) => {
+    const bad = pieces.filter(p => p.slot < 0).length;
+    const slots = new Set(pieces.filter(p => p.slot >= 0).map(p => p.slot));
+    const duplicated = axes ? 0 : pieces.length - bad - slots.size;
+    if (bad) {
+      const message = axes
+        ? `${bad} ${name}${bad === 1 ? ' has' : 's have'} two colors from the same opposite pair`
+        : `${bad} ${name}${bad === 1 ? ' has' : 's have'} colors no real ${name} has`;
+      result.violations.push({ invariant: 'pieces', message });
+    }
+    if (duplicated) result.violations.push({ invariant: 'pieces', message: `Some ${name} appears more than once` });
+    return bad + duplicated > 0;
+  };
+  const cornersBad = badPieces(cornerPieces, 'corner');
+  const edgesBad = badPieces(edgePieces, 'edge');
+
+  if (!cornersBad) {
+    result.cornerTwist = cornerPieces.reduce((sum, p) => sum + p.orientation, 0) % 3;
+    if (!axes) result.cornerParity = computeGraphParity(cornerPieces.map(p => p.slot));
+    if (result.cornerTwist !== 0) {
+      result.violations.push({ invariant: 'corner-twist', message: `A corner is twisted in place (total twist ${result.cornerTwist} of 3)` });
+    }
+  }
+  if (edges.length && !edgesBad) {
+    result.edgeFlip = edgePieces.reduce((sum, p) => sum + p.orientation, 0) % 2;
+    if (!axes) result.edgeParity = computeGraphParity(edgePieces.map(p => p.slot));
+    if (result.edgeFlip !== 0) {
+      result.violations.push({ invariant: 'edge-flip', message: 'An edge is flipped in place' });
+    }
+  }
+  if (result.cornerParity !== null && result.edgeParity !== null && result.cornerParity !== result.edgeParity) {
+    result.violations.push({ invariant: 'parity', message: 'Two pieces are swapped: the corner and edge permutations have different parity' });
+  }
+
+  result.solvable = result.violations.length === 0;
+  return result;
+}
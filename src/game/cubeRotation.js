@@ -1,7 +1,7 @@
 // src/game/cubeRotation.js
 // Cube rotation logic
 import { DIR_TO_VEC, VEC_TO_DIR } from '../utils/constants.js';
-import { clone3D } from './cubeState.js';
+import { surfacePositions } from './cubeState.js';
 
 // Rotate a vector 90 degrees around an axis
 export const rotateVec90 = (vx, vy, vz, axis, dir) => {
@@ -28,45 +28,64 @@ export const rotateStickers = (stickers, axis, dir) => {
   return next;
 };
 
-// Rotate a slice of cubies around an axis
-export const rotateSliceCubies = (cubies, size, axis, sliceIndex, dir) => {
-  const k = (size - 1) / 2, next = clone3D(cubies), moves = [];
+// Surface positions of each slice, cached per size/axis/slice
+const sliceCache = new Map();
 
-  for (let x = 0; x < size; x++) {
-    for (let y = 0; y < size; y++) {
-      for (let z = 0; z < size; z++) {
-        const inSlice = (axis === 'col' && x === sliceIndex) ||
-                        (axis === 'row' && y === sliceIndex) ||
-                        (axis === 'depth' && z === sliceIndex);
-        if (!inSlice) continue;
+const sliceSurfacePositions = (size, axis, sliceIndex) => {
+  const key = `${size}:${axis}:${sliceIndex}`;
+  let list = sliceCache.get(key);
+  if (!list) {
+    const i = axis === 'col' ? 0 : axis === 'row' ? 1 : 2;
+    list = surfacePositions(size).filter(p => p[i] === sliceIndex);
+    sliceCache.set(key, list);
+  }
+  return list;
+};
 
-        let cx = x - k, cy = y - k, cz = z - k;
-        if (axis === 'col') {
-          const ny = -dir * cz, nz = dir * cy;
-          cy = ny; cz = nz;
-        } else if (axis === 'row') {
-          const nx = dir * cz, nz = -dir * cx;
-          cx = nx; cz = nz;
-        } else {
-          const nx = -dir * cy, ny = dir * cx;
-          cx = nx; cy = ny;
-        }
-        const nxI = Math.round(cx + k), nyI = Math.round(cy + k), nzI = Math.round(cz + k);
-        moves.push({ from: [x, y, z], to: [nxI, nyI, nzI] });
-      }
+// Copy only the nested arrays a slice turn writes into; every cubie outside
+// the slice is shared with the previous state (states are never mutated).
+const copySliceContainers = (cubies, size, axis, sliceIndex) => {
+  const next = cubies.slice();
+  if (axis === 'col') {
+    next[sliceIndex] = cubies[sliceIndex].map(R => R.slice());
+  } else if (axis === 'row') {
+    for (let x = 0; x < size; x++) {
+      next[x] = cubies[x].slice();
+      next[x][sliceIndex] = cubies[x][sliceIndex].slice();
     }
+  } else {
+    for (let x = 0; x < size; x++) next[x] = cubies[x].map(R => R.slice());
   }
+  return next;
+};
 
-  const originals = new Map();
-  for (const m of moves) {
-    originals.set(m.from.join(','), next[m.from[0]][m.from[1]][m.from[2]]);
-  }
+// Rotate a slice of cubies around an axis.
+// Only the slice's surface cubies are visited, so a turn costs O(size²)
+// regardless of how many layers the cube has.
+export const rotateSliceCubies = (cubies, size, axis, sliceIndex, dir) => {
+  const k = (size - 1) / 2;
+  const next = copySliceContainers(cubies, size, axis, sliceIndex);
+
+  for (const [x, y, z] of sliceSurfacePositions(size, axis, sliceIndex)) {
+    const src = cubies[x][y][z];
+    if (!src) continue;
+
+    let cx = x - k, cy = y - k, cz = z - k;
+    if (axis === 'col') {
+      const ny = -dir * cz, nz = dir * cy;
+      cy = ny; cz = nz;
+    } else if (axis === 'row') {
+      const nx = dir * cz, nz = -dir * cx;
+      cx = nx; cz = nz;
+    } else {
+      const nx = -dir * cy, ny = dir * cx;
+      cx = nx; cy = ny;
+    }
+    const nxI = Math.round(cx + k), nyI = Math.round(cy + k), nzI = Math.round(cz + k);
 
-  for (const m of moves) {
-    const src = originals.get(m.from.join(','));
-    next[m.to[0]][m.to[1]][m.to[2]] = {
+    next[nxI][nyI][nzI] = {
       ...src,
-      x: m.to[0], y: m.to[1], z: m.to[2],
+      x: nxI, y: nyI, z: nzI,
       stickers: rotateStickers(src.stickers, axis, dir)
     };
   }
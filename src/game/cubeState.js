@@ -1,11 +1,58 @@
 // src/game/cubeState.js
 // Cube state initialization and utilities
+//
+// Layout: cubies[x][y][z] is indexed like a full size³ grid, but only the
+// outer shell is allocated. Interior positions hold null — they carry no
+// stickers and are never rendered, so skipping them keeps memory, cloning
+// and iteration proportional to the surface (6·size² stickers) rather than
+// the volume. Iterate with forEachCubie / surfacePositions instead of a
+// triple x/y/z loop.
+
+// Supported cube sizes
+export const MIN_CUBE_SIZE = 2;
+export const MAX_CUBE_SIZE = 10;
+
+// True if (x, y, z) lies on the outer shell of a size³ cube
+export const isSurfacePosition = (x, y, z, size) => {
+  const s = size - 1;
+  return x === 0 || x === s || y === 0 || y === s || z === 0 || z === s;
+};
+
+// Cached [x, y, z] list of shell positions for each size
+const surfaceCache = new Map();
+
+// All shell cubie positions for a cube size (6n² - 12n + 8 entries).
+// The returned array is shared; do not mutate it.
+export const surfacePositions = (size) => {
+  let list = surfaceCache.get(size);
+  if (!list) {
+    list = [];
+    for (let x = 0; x < size; x++) {
+      for (let y = 0; y < size; y++) {
+        for (let z = 0; z < size; z++) {
+          if (isSurfacePosition(x, y, z, size)) list.push([x, y, z]);
+        }
+      }
+    }
+    surfaceCache.set(size, list);
+  }
+  return list;
+};
+
+// Call fn(cubie, x, y, z) for every allocated (surface) cubie
+export const forEachCubie = (cubies, fn) => {
+  for (const [x, y, z] of surfacePositions(cubies.length)) {
+    const cubie = cubies[x]?.[y]?.[z];
+    if (cubie) fn(cubie, x, y, z);
+  }
+};
 
 // Create initial cube state with all stickers in solved position
 export const makeCubies = (size) =>
   Array.from({ length: size }, (_, x) =>
     Array.from({ length: size }, (_, y) =>
       Array.from({ length: size }, (_, z) => {
+        if (!isSurfacePosition(x, y, z, size)) return null;
         const stickers = {};
         if (x === size - 1) stickers.PX = { curr: 5, orig: 5, flips: 0, origPos: { x, y, z }, origDir: 'PX' };
         if (x === 0) stickers.NX = { curr: 2, orig: 2, flips: 0, origPos: { x, y, z }, origDir: 'NX' };
@@ -29,6 +76,6 @@ const cloneCubie = (cubie) => ({
   )
 });
 
-// Deep clone 3D cube array (properly clones cubie objects)
+// Deep clone 3D cube array (properly clones cubie objects, keeps interior holes)
 export const clone3D = (arr) =>
-  arr.map(L => L.map(R => R.map(cubie => cloneCubie(cubie))));
+  arr.map(L => L.map(R => R.map(cubie => (cubie ? cloneCubie(cubie) : null))));
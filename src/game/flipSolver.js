@@ -0,0 +1,433 @@
+// src/game/flipSolver.js
+// Solver for the real WORM-3 move set: slice rotations plus antipodal flips
+//
+// A flip toggles both stickers of an antipodal pair (see
+// findAntipodalStickerByGrid) between their color and its antipode. Pairs
+// belong to the stickers, not to positions, so flips commute with rotations
+// and flipping a pair twice does nothing. Every solution is therefore some
+// rotations plus each pair flipped at most once, which is also why the
+// refractory cooldown can never block a plan: no tile has to flip twice.
+//
+// Rotations are searched on the tiling graph. A rotation state can be
+// finished with flips alone when it is solved in the RP² quotient (every
+// sticker on its home face or the antipodal one) and both stickers of every
+// pair agree on whether they need a flip; the flip count is then fixed.
+// Iterative deepening over quarter turns minimises rotations + flips.
+//
+// Positions too far out for the search fall back to rotating every sticker
+// home and then flipping whatever is flipped: on 3×3 with the two-phase
+// solver, on 2×2 with a whole-cube turn that brings the DBL corner home and
+// then the optimal <U, R, F> solver from scrambler.js. Those answers are
+// valid but not guaranteed optimal. 4×4 and up have no such solver, so the
+// search depth it reached in its budget is the limit there and is reported
+// as such.
+
+import { buildTilingGraph, applyTwist, cubiesToTilingState, stickerVertex, vertexToFaceRC, vertexToPosition } from '../utils/tilingGraph.js';
+import { ANTIPODAL_COLOR } from '../utils/constants.js';
+import { WIN_CONDITIONS } from '../levels/schema.js';
+import { buildManifoldGridMap, findAntipodalStickerByGrid } from './manifoldLogic.js';
+import { getManifoldGridId } from './coordinates.js';
+import { forEachCubie } from './cubeState.js';
+import { notationToRotations, rotationToNotation } from './notation.js';
+import { solveTwoPhase } from '../teach/twoPhaseSolver.js';
+import { solve2x2State } from './scrambler.js';
+
+const AXES = ['row', 'col', 'depth'];
+
+// Antipodal color lookup by color id (index 0 unused)
+const ANTI = Int8Array.from({ length: 7 }, (_, c) => ANTIPODAL_COLOR[c] || 0);
+
+// Tiling-graph faces are ordered PZ, NX, PY, NZ, PX, NY: face f has color
+// f + 1, its antipode is f ± 3 and its axis is f % 3.
+const colorAxis = (color) => (color - 1) % 3;
+const DIR_TO_FACE = { PZ: 1, NX: 2, PY: 3, NZ: 4, PX: 5, NY: 6 };
+
+// ============================================================================
+// PER-SIZE DATA
+// ============================================================================
+
+const sizeCache = new Map();
+
+function getSizeData(size) {
+  if (sizeCache.has(size)) return sizeCache.get(size);
+
+  const { cycles, numVerts } = buildTilingGraph(size);
+  const moves = [];
+  AXES.forEach((axis, axisIdx) => {
+    for (let sliceIndex = 0; sliceIndex < size; sliceIndex++) {
+      for (const dir of [1, -1]) {
+        moves.push({ axis, axisIdx, sliceIndex, dir, cycles: cycles[`${axis}-${sliceIndex}-${dir}`] });
+      }
+    }
+  });
+
+  const faceOf = new Int8Array(numVerts);
+  const latin = new Int8Array(numVerts);
+  for (let v = 0; v < numVerts; v++) {
+    const { faceIdx, r, c } = vertexToFaceRC(v, size);
+    faceOf[v] = faceIdx;
+    // Sudokube value of the sticker that starts at v (faceValue in coordinates.js)
+    latin[v] = ((r + c) % size) + 1;
+  }
+
+  const data = { size, numVerts, moves, faceOf, latin };
+  sizeCache.set(size, data);
+  return data;
+}
+
+// Current color and antipodal partner of every sticker, indexed by the
+// vertex the sticker started on (the tiling-state value)
+function readStickers(cubies, size, numVerts) {
+  const curr = new Int8Array(numVerts);
+  const partner = new Int16Array(numVerts).fill(-1);
+  const manifoldMap = buildManifoldGridMap(cubies, size);
+  const originOf = (st) => stickerVertex(st.origDir, st.origPos.x, st.origPos.y, st.origPos.z, size);
+
+  forEachCubie(cubies, (cubie) => {
+    for (const st of Object.values(cubie.stickers)) {
+      const o = originOf(st);
+      curr[o] = st.curr;
+      const twin = findAntipodalStickerByGrid(manifoldMap, st, size);
+      if (twin) partner[o] = originOf(twin.sticker);
+    }
+  });
+  return { curr, partner };
+}
+
+// ============================================================================
+// GOAL TEST
+// ============================================================================
+
+// Build the goal test and lower bound for one solve.
+//
+// flipsToFinish(state) → number of pair flips that finish the state, or -1.
+// lowerBound(state)    → admissible bound on rotations + flips still needed.
+function makeEvaluator(data, stickers, goal) {
+  const { size, numVerts, faceOf, latin } = data;
+  const { curr, partner } = stickers;
+  const needColors = goal !== WIN_CONDITIONS.SUDOKUBE;
+  const needLatin = goal !== WIN_CONDITIONS.CLASSIC;
+  const need = new Int8Array(numVerts);
+  const perMove = 4 * size; // stickers a quarter turn carries onto another face
+
+  const latinOk = (state) => {
+    const n2 = size * size;
+    for (let f = 0; f < 6; f++) {
+      for (let i = 0; i < size; i++) {
+        let rowSeen = 0;
+        let colSeen = 0;
+        for (let j = 0; j < size; j++) {
+          rowSeen |= 1 << latin[state[f * n2 + i * size + j]];
+          colSeen |= 1 << latin[state[f * n2 + j * size + i]];
+        }
+        const full = ((1 << (size + 1)) - 1) & ~1;
+        if (rowSeen !== full || colSeen !== full) return false;
+      }
+    }
+    return true;
+  };
+
+  const flipsToFinish = (state) => {
+    if (needLatin && !latinOk(state)) return -1;
+    if (!needColors) return 0;
+    for (let v = 0; v < numVerts; v++) {
+      const o = state[v];
+      const want = faceOf[v] + 1;
+      if (curr[o] === want) need[o] = 0;
+      else if (ANTI[curr[o]] === want) need[o] = 1;
+      else return -1;
+    }
+    let flips = 0;
+    for (let o = 0; o < numVerts; o++) {
+      if (partner[o] < 0 || need[o] !== need[partner[o]]) return -1;
+      flips += need[o];
+    }
+    return flips / 2;
+  };
+
+  // Off-axis stickers need at least one face change each; stickers that would
+  // need a flip where they sit need either a flip (two stickers per flip) or
+  // two face changes to reach the opposite face. A quarter turn makes at most
+  // 4n face changes.
+  const lowerBound = (state) => {
+    if (!needColors) return 0;
+    let off = 0;
+    let wrong = 0;
+    for (let v = 0; v < numVerts; v++) {
+      const c = curr[state[v]];
+      if (colorAxis(c) !== faceOf[v] % 3) off++;
+      else if (c !== faceOf[v] + 1) wrong++;
+    }
+    let best = Infinity;
+    const maxR = Math.ceil((off + 2 * wrong) / perMove);
+    for (let r = Math.ceil(off / perMove); r <= maxR; r++) {
+      const fixedByTurns = Math.floor((r * perMove - off) / 2);
+      best = Math.min(best, r + Math.ceil(Math.max(0, wrong - fixedByTurns) / 2));
+    }
+    return best;
+  };
+
+  return { flipsToFinish, lowerBound, need };
+}
+
+// ============================================================================
+// SEARCH
+// ============================================================================
+
+// Moves on one axis commute: keep their slices in ascending order, never
+// undo the previous turn and play half turns as two +1 quarter turns.
+const allowedAfter = (move, path, moves) => {
+  if (path.length === 0) return true;
+  const last = moves[path[path.length - 1]];
+  if (move.axisIdx !== last.axisIdx) return true;
+  if (move.sliceIndex !== last.sliceIndex) return move.sliceIndex > last.sliceIndex;
+  if (move.dir !== last.dir || move.dir === -1) return false;
+  const prev = path.length > 1 ? moves[path[path.length - 2]] : null;
+  return !(prev && prev.axisIdx === move.axisIdx && prev.sliceIndex === move.sliceIndex);
+};
+
+function searchRotations(start, data, evaluator, { timeBudgetMs, nodeBudget, maxRotations }) {
+  const { moves } = data;
+  const { flipsToFinish, lowerBound } = evaluator;
+  const deadline = Date.now() + timeBudgetMs;
+  const path = [];
+  let best = null;
+  let nodes = 0;
+  let stop = false;
+
+  const dfs = (state, depth) => {
+    const g = path.length;
+    if (best && g + lowerBound(state) >= best.total) return;
+    const flips = flipsToFinish(state);
+    if (flips >= 0 && (!best || g + flips < best.total)) {
+      best = { total: g + flips, path: path.slice(), state };
+    }
+    if (depth === 0) return;
+    if ((++nodes & 255) === 0 && (nodes > nodeBudget || Date.now() > deadline)) { stop = true; return; }
+    for (let m = 0; m < moves.length; m++) {
+      if (!allowedAfter(moves[m], path, moves)) continue;
+      path.push(m);
+      dfs(applyTwist(state, moves[m].cycles), depth - 1);
+      path.pop();
+      if (stop) return;
+    }
+  };
+
+  let depth = 0;
+  for (; depth <= maxRotations && !stop; depth++) {
+    if (best && depth >= best.total) break;
+    dfs(start, depth);
+  }
+
+  // Optimal when every depth that could still beat the answer was covered
+  const complete = !stop && best !== null && depth >= best.total;
+  // Depths searched to the end (the loop has moved one past the last)
+  return { best, complete, searched: depth - (stop ? 2 : 1) };
+}
+
+// Same cubies with every sticker showing its original color, so the
+// two-phase solver sees plain rotations and ignores flips
+const withOriginalColors = (cubies) => cubies.map(plane => plane.map(row => row.map(cubie => cubie && {
+  ...cubie,
+  stickers: Object.fromEntries(Object.entries(cubie.stickers).map(([k, st]) => [k, { ...st, curr: st.orig }]))
+})));
+
+// Whole-cube turns (every slice of one axis) that bring the 2×2's DBL
+// corner home with its stickers in place, breadth first
+function orientCorner2x2(start, data) {
+  const home = ['NX', 'NY', 'NZ'].map(d => stickerVertex(d, 0, 0, 0, 2));
+  const turns = [];
+  AXES.forEach((axis, axisIdx) => {
+    for (const dir of [1, -1]) turns.push(data.moves.filter(m => m.axisIdx === axisIdx && m.dir === dir));
+  });
+
+  let frontier = [{ state: start, path: [] }];
+  const seen = new Set([start.join()]);
+  while (frontier.length) {
+    const found = frontier.find(({ state }) => home.every(v => state[v] === v));
+    if (found) return found;
+    const next = [];
+    for (const { state, path } of frontier) {
+      for (const turn of turns) {
+        const turned = turn.reduce((s, m) => applyTwist(s, m.cycles), state);
+        const key = turned.join();
+        if (seen.has(key)) continue;
+        seen.add(key);
+        next.push({ state: turned, path: [...path, ...turn] });
+      }
+    }
+    frontier = next;
+  }
+  return null;
+}
+
+// Rotations that take every sticker back to where it started, for the sizes
+// with a full solver; null on other sizes
+function homeRotations(cubies, size, start, data, nodeBudget) {
+  if (size === 3) {
+    const budget = Number.isFinite(nodeBudget) ? { nodeBudget, timeBudgetMs: Infinity } : {};
+    const home = solveTwoPhase(withOriginalColors(cubies), budget);
+    return home.ok ? notationToRotations(home.solution, 3).rotations : null;
+  }
+  if (size === 2) {
+    const oriented = orientCorner2x2(start, data);
+    const rest = oriented && solve2x2State(oriented.state);
+    if (!rest) return null;
+    return [...oriented.path, ...notationToRotations(rest.join(' '), 2).rotations];
+  }
+  return null;
+}
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Flips that would finish the cube without any more rotations.
+ * @param {Array} cubies
+ * @param {number} size
+ * @param {string} [goal=WIN_CONDITIONS.CLASSIC]
+ * @returns {number|null} Pair flips needed, or null if rotations are still needed
+ */
+export function flipsToFinish(cubies, size, goal = WIN_CONDITIONS.CLASSIC) {
+  const data = getSizeData(size);
+  const evaluator = makeEvaluator(data, readStickers(cubies, size, data.numVerts), goal);
+  const flips = evaluator.flipsToFinish(cubiesToTilingState(cubies, size));
+  return flips < 0 ? null : flips;
+}
+
+/**
+ * Whether the cube is solved in the RP² quotient: every sticker shows its
+ * face's color or that color's antipode.
+ */
+export function isQuotientSolved(cubies) {
+  let solved = true;
+  forEachCubie(cubies, (c) => {
+    for (const [dirKey, st] of Object.entries(c.stickers)) {
+      if (colorAxis(st.curr) !== colorAxis(DIR_TO_FACE[dirKey])) solved = false;
+    }
+  });
+  return solved;
+}
+
+/**
+ * Find a short rotation + flip solution.
+ *
+ * Flip steps come first, aimed at tiles that are not cooling down (the
+ * pair's other tile is used when one is); pairs whose tiles are both cooling
+ * down are flipped after the rotations, at the positions they end up in.
+ *
+ * @param {Array} cubies
+ * @param {number} size
+ * @param {Object} [options]
+ * @param {string} [options.goal=WIN_CONDITIONS.CLASSIC] - classic, sudokube or ultimate
+ * @param {number} [options.timeBudgetMs=250] - Budget for the exhaustive search
+ * @param {number} [options.nodeBudget=Infinity] - Search-size limit for the
+ *   exhaustive search and the 3×3 two-phase fallback. Unlike the time budget it
+ *   gives the same answer on every machine; pass timeBudgetMs: Infinity with it.
+ * @param {number} [options.maxRotations=20]
+ * @param {Function} [options.isBlocked] - (x, y, z, dirKey) → true while a tile is in its refractory window
+ * @returns {{ ok: true, steps: Array, moves: string[], solution: string,
+ *             rotationCount: number, flipCount: number, length: number, optimal: boolean }
+ *          | { ok: false, error: string, searchedTurns: number }}
+ *   searchedTurns - rotation depth the search covered; on 4×4 and up a cube
+ *   further out than this has no answer
+ */
+export function solveWithFlips(cubies, size, options = {}) {
+  const {
+    goal = WIN_CONDITIONS.CLASSIC,
+    timeBudgetMs = 250,
+    nodeBudget = Infinity,
+    maxRotations = 20,
+    isBlocked = () => false,
+  } = options;
+  if (cubies?.length !== size) return { ok: false, error: 'Cube size does not match' };
+
+  const data = getSizeData(size);
+  const stickers = readStickers(cubies, size, data.numVerts);
+  const evaluator = makeEvaluator(data, stickers, goal);
+  const start = cubiesToTilingState(cubies, size);
+
+  const { best, complete, searched } = searchRotations(start, data, evaluator, { timeBudgetMs, nodeBudget, maxRotations });
+  let rotations = best ? best.path.map(m => data.moves[m]) : null;
+  let total = best ? best.total : Infinity;
+  let end = best?.state;
+
+  // Too deep for the search: every sticker home, then flips
+  if (!complete) {
+    const identity = Array.from({ length: data.numVerts }, (_, v) => v);
+    const flips = evaluator.flipsToFinish(identity);
+    const home = flips >= 0 ? homeRotations(cubies, size, start, data, nodeBudget) : null;
+    if (home && home.length + flips < total) {
+      rotations = home;
+      total = home.length + flips;
+      end = identity;
+    }
+  }
+
+  if (!rotations) {
+    return {
+      ok: false,
+      searchedTurns: searched,
+      error: size > 3
+        ? `Hints on a ${size}×${size} only reach cubes a few turns from solved; this one needs more than ${searched}`
+        : `No rotation + flip solution for this ${size}×${size}`,
+    };
+  }
+
+  // Pairs to flip, read off the finished arrangement
+  evaluator.flipsToFinish(end);
+  const locate = (state) => {
+    const at = new Int16Array(data.numVerts);
+    state.forEach((o, v) => { at[o] = v; });
+    return (o) => vertexToPosition(at[o], size);
+  };
+  const nowAt = locate(start);
+  const endAt = locate(end);
+  const flipStep = ({ dirKey, x, y, z }) => ({ type: 'flip', pos: { x, y, z }, dirKey });
+  const free = (loc) => !isBlocked(loc.x, loc.y, loc.z, loc.dirKey);
+
+  const flipsFirst = [];
+  const flipsLast = [];
+  for (let o = 0; o < data.numVerts; o++) {
+    const p = stickers.partner[o];
+    if (!evaluator.need[o] || p < o) continue;
+    const now = [nowAt(o), nowAt(p)].find(free);
+    if (now) {
+      flipsFirst.push(flipStep(now));
+    } else {
+      const later = [endAt(o), endAt(p)].find(free);
+      flipsLast.push({ ...flipStep(later || endAt(o)), cooling: !later });
+    }
+  }
+
+  const steps = [
+    ...flipsFirst,
+    ...rotations.map(({ axis, dir, sliceIndex }) => ({ type: 'rotation', axis, dir, sliceIndex })),
+    ...flipsLast,
+  ];
+
+  // Flip chips are labelled with the manifold id of the sticker they hit
+  const stickerAt = (pos, dirKey, state) => {
+    const o = state[stickerVertex(dirKey, pos.x, pos.y, pos.z, size)];
+    const { dirKey: origDir, x, y, z } = vertexToPosition(o, size);
+    return { orig: data.faceOf[o] + 1, origDir, origPos: { x, y, z } };
+  };
+  const moves = steps.map((step, i) => {
+    if (step.type === 'rotation') return rotationToNotation(step, size);
+    const state = i < flipsFirst.length ? start : end;
+    return `⇅${getManifoldGridId(stickerAt(step.pos, step.dirKey, state), size)}`;
+  });
+
+  const flipCount = flipsFirst.length + flipsLast.length;
+  return {
+    ok: true,
+    steps,
+    moves,
+    solution: moves.join(' '),
+    rotationCount: rotations.length,
+    flipCount,
+    length: rotations.length + flipCount,
+    optimal: complete,
+  };
+}
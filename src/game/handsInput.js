@@ -8,10 +8,15 @@
 //
 // Standard notation moves are translated to the engine's {axis, dir, sliceIndex} format.
 
+import { notationToRotations } from './notation.js';
+
 // ---------------------------------------------------------------------------
 // Named-move → engine rotation translation
 // ---------------------------------------------------------------------------
 
+// Parsing lives in notation.js, which understands the full move set
+// (wide moves, inner slices, cube rotations, M/E/S) for every cube size.
+//
 // For a 3×3 cube (size=3):
 //   sliceIndex 0 = first layer, sliceIndex 2 = last layer, sliceIndex 1 = middle
 //
@@ -20,58 +25,27 @@
 //   row  (Y-axis): sliceIndex 0 = D face, sliceIndex 2 = U face
 //   depth(Z-axis): sliceIndex 0 = B face, sliceIndex 2 = F face
 
-export function namedMoveToRotation(moveName, size) {
-  const last = size - 1;
-  const mid = Math.floor(size / 2); // Middle slice for M, E, S
-
-  switch (moveName) {
-    // --- Face moves ---
-    case 'U':  return { axis: 'row',   dir: -1, sliceIndex: last };
-    case "U'": return { axis: 'row',   dir:  1, sliceIndex: last };
-    case 'U2': return null; // Handled as double move by caller
-
-    case 'D':  return { axis: 'row',   dir:  1, sliceIndex: 0 };
-    case "D'": return { axis: 'row',   dir: -1, sliceIndex: 0 };
-
-    case 'R':  return { axis: 'col',   dir: -1, sliceIndex: last };
-    case "R'": return { axis: 'col',   dir:  1, sliceIndex: last };
-
-    case 'L':  return { axis: 'col',   dir:  1, sliceIndex: 0 };
-    case "L'": return { axis: 'col',   dir: -1, sliceIndex: 0 };
-
-    case 'F':  return { axis: 'depth', dir: -1, sliceIndex: last };
-    case "F'": return { axis: 'depth', dir:  1, sliceIndex: last };
-
-    case 'B':  return { axis: 'depth', dir:  1, sliceIndex: 0 };
-    case "B'": return { axis: 'depth', dir: -1, sliceIndex: 0 };
-
-    // --- Middle slice moves ---
-    // M follows L direction (down from front perspective)
-    case 'M':  return { axis: 'col',   dir:  1, sliceIndex: mid };
-    case "M'": return { axis: 'col',   dir: -1, sliceIndex: mid };
-    case 'M2': return null; // Double move
+// Expand a named move (R, U2, Rw', 2R, x, …) into engine quarter-turns.
+// Multi-layer moves return one rotation per slice; unknown moves return [].
+export function expandMove(moveName, size) {
+  return notationToRotations(moveName, size).rotations.map(({ axis, dir, sliceIndex }) => ({ axis, dir, sliceIndex }));
+}
 
-    // E follows D direction
-    case 'E':  return { axis: 'row',   dir:  1, sliceIndex: mid };
-    case "E'": return { axis: 'row',   dir: -1, sliceIndex: mid };
+// Translate a single-layer named move into one engine rotation.
+// Double moves (U2, M2) carry turns: 2; moves spanning several slices
+// (Rw, x) cannot be expressed as one rotation and return null — use
+// expandMove for those.
+export function namedMoveToRotation(moveName, size) {
+  const rotations = expandMove(moveName, size);
+  if (rotations.length === 0) return null;
 
-    // S follows F direction
-    case 'S':  return { axis: 'depth', dir: -1, sliceIndex: mid };
-    case "S'": return { axis: 'depth', dir:  1, sliceIndex: mid };
+  const [first] = rotations;
+  const sameLayer = rotations.every((r) =>
+    r.axis === first.axis && r.dir === first.dir && r.sliceIndex === first.sliceIndex
+  );
+  if (!sameLayer) return null;
 
-    default: return null;
-  }
-}
-
-// Expand double moves (U2, M2, etc.) into two single moves
-export function expandMove(moveName, size) {
-  if (moveName.endsWith('2')) {
-    const base = moveName.slice(0, -1); // 'U2' → 'U'
-    const rot = namedMoveToRotation(base, size);
-    return rot ? [rot, rot] : [];
-  }
-  const rot = namedMoveToRotation(moveName, size);
-  return rot ? [rot] : [];
+  return { ...first, turns: rotations.length };
 }
 
 // ---------------------------------------------------------------------------
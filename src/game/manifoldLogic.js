@@ -2,7 +2,7 @@
 // Manifold topology and antipodal flipping logic
 import { ANTIPODAL_COLOR } from '../utils/constants.js';
 import { getGridRC, getManifoldGridId } from './coordinates.js';
-import { clone3D } from './cubeState.js';
+import { forEachCubie } from './cubeState.js';
 
 // Get manifold neighbors for a sticker - includes cross-face neighbors at edges
 // Returns array of {x, y, z, dirKey} for each neighbor
@@ -106,17 +106,12 @@ export const getManifoldNeighbors = (x, y, z, dirKey, size) => {
 // Build map from manifold-grid ID to current location
 export const buildManifoldGridMap = (cubies, size) => {
   const map = new Map();
-  for (let x = 0; x < size; x++) {
-    for (let y = 0; y < size; y++) {
-      for (let z = 0; z < size; z++) {
-        const c = cubies[x][y][z];
-        for (const [dKey, st] of Object.entries(c.stickers)) {
-          const gridId = getManifoldGridId(st, size);
-          map.set(gridId, { x, y, z, dirKey: dKey, sticker: st });
-        }
-      }
+  forEachCubie(cubies, (c, x, y, z) => {
+    for (const [dKey, st] of Object.entries(c.stickers)) {
+      const gridId = getManifoldGridId(st, size);
+      map.set(gridId, { x, y, z, dirKey: dKey, sticker: st });
     }
-  }
+  });
   return map;
 };
 
@@ -131,24 +126,38 @@ export const findAntipodalStickerByGrid = (manifoldMap, sticker, size) => {
 };
 
 // Flip a sticker pair (sticker and its antipodal counterpart)
-export const flipStickerPair = (state, size, x, y, z, dirKey, manifoldMap) => {
-  const next = clone3D(state);
-  const cubie = next[x]?.[y]?.[z];
+// flipDelta adjusts each sticker's flip counter; undo passes -1 so that
+// undoing a flip restores the original count.
+export const flipStickerPair = (state, size, x, y, z, dirKey, manifoldMap, flipDelta = 1) => {
+  const cubie = state[x]?.[y]?.[z];
   const sticker = cubie?.stickers?.[dirKey];
-  if (!sticker) return next;
+  if (!sticker) return state;
+
+  // Copy-on-write: only the arrays on the path to each flipped cubie are copied
+  const next = state.slice();
+  const copied = new Set();
 
   const sticker1Loc = { x, y, z, dirKey, sticker };
   const sticker2Loc = findAntipodalStickerByGrid(manifoldMap, sticker, size);
 
   const applyFlip = (loc) => {
     if (!loc) return;
+    const rowKey = `${loc.x},${loc.y}`;
+    if (!copied.has(rowKey)) {
+      if (!copied.has(loc.x)) {
+        next[loc.x] = next[loc.x].slice();
+        copied.add(loc.x);
+      }
+      next[loc.x][loc.y] = next[loc.x][loc.y].slice();
+      copied.add(rowKey);
+    }
     const c = next[loc.x][loc.y][loc.z];
     const st = c.stickers[loc.dirKey];
     const stickers = { ...c.stickers };
     stickers[loc.dirKey] = {
       ...st,
       curr: ANTIPODAL_COLOR[st.curr],
-      flips: (st.flips || 0) + 1
+      flips: Math.max(0, (st.flips || 0) + flipDelta)
     };
     next[loc.x][loc.y][loc.z] = { ...c, stickers };
   };
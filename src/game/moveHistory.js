@@ -0,0 +1,153 @@
+// src/game/moveHistory.js
+// Branching move history (an undo tree)
+//
+// Every recorded move becomes a node whose parent is the state it was made
+// from. Undo moves the cursor to an ancestor and leaves the future in place;
+// a new move made from there starts a sibling branch instead of discarding
+// the old one. Each node remembers its most recently visited child, which is
+// where redo goes.
+//
+// Moves carry an optional `source` ('echo', 'chaos', 'decay') when the game
+// made them rather than the player. Those are undone together with the player
+// move they followed, so one undo always lands just before a player move.
+//
+// All functions are pure: they return a new history and never mutate.
+
+export const HISTORY_ROOT = 0;
+
+/** @returns {{ nodes: Array, current: number }} Empty history at the root */
+export function createHistory() {
+  return {
+    nodes: [{ id: HISTORY_ROOT, parent: null, move: null, children: [], active: null }],
+    current: HISTORY_ROOT,
+  };
+}
+
+/** True for moves the player made (not echoes or spontaneous flips). */
+export const isPlayerMove = (move) => !!move && !move.source;
+
+// Same effect and origin, ignoring timestamps
+const sameMove = (a, b) => {
+  if (a.type !== b.type || (a.source || null) !== (b.source || null)) return false;
+  if (a.type === 'rotation') return a.axis === b.axis && a.dir === b.dir && a.sliceIndex === b.sliceIndex;
+  return a.dirKey === b.dirKey && a.pos.x === b.pos.x && a.pos.y === b.pos.y && a.pos.z === b.pos.z;
+};
+
+const replaceNode = (nodes, id, patch) => {
+  const next = nodes.slice();
+  next[id] = { ...nodes[id], ...patch };
+  return next;
+};
+
+/**
+ * Record a move made from the current point. Repeating the move of an
+ * existing child follows that branch instead of creating a duplicate.
+ */
+export function recordMove(history, move) {
+  const { nodes, current } = history;
+  const parent = nodes[current];
+  const existing = parent.children.find(id => sameMove(nodes[id].move, move));
+  if (existing !== undefined) {
+    return { nodes: replaceNode(nodes, current, { active: existing }), current: existing };
+  }
+
+  const id = nodes.length;
+  const next = replaceNode(nodes, current, { children: [...parent.children, id], active: id });
+  next.push({ id, parent: current, move, children: [], active: null });
+  return { nodes: next, current: id };
+}
+
+/** Node ids from the root to `id`, inclusive. */
+export function pathTo(history, id) {
+  const path = [];
+  for (let n = id; n !== null; n = history.nodes[n].parent) path.push(n);
+  return path.reverse();
+}
+
+/** Moves from the start to node `id`, oldest first. */
+export function movesTo(history, id = history.current) {
+  return pathTo(history, id).slice(1).map(n => history.nodes[n].move);
+}
+
+/** Where undo goes: just before the latest player move, or null at the root. */
+export function undoTarget(history) {
+  const { nodes, current } = history;
+  if (current === HISTORY_ROOT) return null;
+  let n = current;
+  while (nodes[n].parent !== HISTORY_ROOT && !isPlayerMove(nodes[n].move)) n = nodes[n].parent;
+  return nodes[n].parent;
+}
+
+/** Where redo goes: through the next player move and the game moves after it. */
+export function redoTarget(history) {
+  const { nodes, current } = history;
+  let n = nodes[current].active;
+  if (n === null) return null;
+  while (nodes[n].active !== null && !isPlayerMove(nodes[nodes[n].active].move)) n = nodes[n].active;
+  return n;
+}
+
+/** Follow the most recently visited children from `id` to a leaf. */
+export function branchTip(history, id) {
+  let n = id;
+  while (history.nodes[n].active !== null) n = history.nodes[n].active;
+  return n;
+}
+
+/**
+ * Moves that take the cube from node `from` to node `to`: back up to their
+ * common ancestor, then forward down the other branch.
+ * @returns {Array<{ move: Object, forward: boolean }>}
+ */
+export function pathBetween(history, from, to) {
+  const up = pathTo(history, from);
+  const down = pathTo(history, to);
+  let common = 0;
+  while (common < up.length && common < down.length && up[common] === down[common]) common++;
+
+  const steps = [];
+  for (let i = up.length - 1; i >= common; i--) steps.push({ move: history.nodes[up[i]].move, forward: false });
+  for (let i = common; i < down.length; i++) steps.push({ move: history.nodes[down[i]].move, forward: true });
+  return steps;
+}
+
+/**
+ * Move the cursor to node `id`. Nodes along the way remember the branch, so
+ * a later redo retraces it.
+ */
+export function moveTo(history, id) {
+  if (!history.nodes[id]) return history;
+  let nodes = history.nodes;
+  const path = pathTo(history, id);
+  for (let i = 0; i < path.length - 1; i++) {
+    if (nodes[path[i]].active !== path[i + 1]) nodes = replaceNode(nodes, path[i], { active: path[i + 1] });
+  }
+  return { nodes, current: id };
+}
+
+/**
+ * Rows for a history view: the path to the current point followed by the
+ * redo line beyond it.
+ * @returns {Array<{ id, move, index, future, current, siblings, branch }>}
+ *   siblings - number of branches at this point; branch - which one this is
+ */
+export function timeline(history) {
+  const { nodes, current } = history;
+  const ids = [...pathTo(history, current)];
+  for (let n = nodes[current].active; n !== null; n = nodes[n].active) ids.push(n);
+  const currentIndex = ids.indexOf(current);
+
+  return ids.map((id, index) => {
+    const node = nodes[id];
+    const siblings = node.parent === null ? 1 : nodes[node.parent].children.length;
+    return {
+      id,
+      move: node.move,
+      index,
+      future: index > currentIndex,
+      current: id === current,
+      siblings,
+      branch: node.parent === null ? 0 : nodes[node.parent].children.indexOf(id),
+    };
+  });
+}
@@ -0,0 +1,455 @@
+// src/game/notation.js
+// Cube notation engine: parse, expand and format algorithms for any cube size
+//
+// Supported syntax (WCA / SiGN flavoured):
+//   R L U D F B        outer face turns
+//   Rw r 3Rw           wide turns (lowercase = 2 layers, nRw = n outer layers)
+//   2R 3-4Uw           inner slices / layer ranges counted from the named face
+//   M E S              middle slices (M follows L, E follows D, S follows F)
+//   x y z              whole-cube rotations (follow R, U and F)
+//   R' R2 R2' R3       amount suffixes (count, then optional prime)
+//   (R U R' U')3       grouped sequence with repeat count
+//   [R, U]             commutator  → R U R' U'
+//   [F: R U R']        conjugate   → F R U R' F'
+//
+// Parsed sequences are kept as a small AST so they can be re-emitted in
+// canonical form (formatNotation) or flattened into engine rotations
+// ({ axis, dir, sliceIndex }) for a given cube size.
+
+// ---------------------------------------------------------------------------
+// Face / axis definitions (Home Grip orientation, see handsInput.js)
+// ---------------------------------------------------------------------------
+
+// fromTop: layer 1 is the last slice index (R/U/F) rather than slice 0 (L/D/B)
+// cwDir:   engine dir that turns the layer clockwise when viewed from the face
+const FACE_DEFS = {
+  R: { axis: 'col',   fromTop: true,  cwDir: -1 },
+  L: { axis: 'col',   fromTop: false, cwDir:  1 },
+  U: { axis: 'row',   fromTop: true,  cwDir: -1 },
+  D: { axis: 'row',   fromTop: false, cwDir:  1 },
+  F: { axis: 'depth', fromTop: true,  cwDir: -1 },
+  B: { axis: 'depth', fromTop: false, cwDir:  1 },
+};
+
+const SLICE_DEFS = {
+  M: { axis: 'col',   cwDir:  1 },
+  E: { axis: 'row',   cwDir:  1 },
+  S: { axis: 'depth', cwDir: -1 },
+};
+
+const ROTATION_DEFS = {
+  x: { axis: 'col',   cwDir: -1 },
+  y: { axis: 'row',   cwDir: -1 },
+  z: { axis: 'depth', cwDir: -1 },
+};
+
+const WIDE_FACES = { r: 'R', l: 'L', u: 'U', d: 'D', f: 'F', b: 'B' };
+
+// ---------------------------------------------------------------------------
+// Parser
+// ---------------------------------------------------------------------------
+
+const isDigit = (ch) => ch >= '0' && ch <= '9';
+
+// Recursive-descent parser over the raw string. Errors are collected rather
+// than thrown so callers can decide whether a bad token is fatal.
+function createParser(source) {
+  let pos = 0;
+  const errors = [];
+
+  const peek = () => source[pos];
+  const skipSpace = () => {
+    while (pos < source.length && /\s/.test(source[pos])) pos++;
+  };
+  const error = (index, message) => errors.push({ index, message });
+
+  const readInt = () => {
+    const start = pos;
+    while (pos < source.length && isDigit(source[pos])) pos++;
+    return start === pos ? null : parseInt(source.slice(start, pos), 10);
+  };
+
+  // Count + optional prime. Returns a signed amount (default 1).
+  const readAmount = () => {
+    const count = readInt();
+    let amount = count ?? 1;
+    if (peek() === "'" || peek() === '’') {
+      pos++;
+      amount = -amount;
+    }
+    return amount;
+  };
+
+  const parseMove = () => {
+    const start = pos;
+    let lo = null;
+    let hi = null;
+
+    // Layer prefix: "3" or "3-4"
+    const first = readInt();
+    if (first !== null) {
+      if (peek() === '-') {
+        pos++;
+        const second = readInt();
+        if (second === null) {
+          error(start, 'Expected layer number after "-"');
+          return null;
+        }
+        lo = first;
+        hi = second;
+      } else {
+        hi = first;
+      }
+    }
+
+    const ch = peek();
+    if (ch && FACE_DEFS[ch]) {
+      pos++;
+      let wide = false;
+      if (peek() === 'w') {
+        pos++;
+        wide = true;
+      }
+      return finishFaceMove(start, ch, wide, lo, hi);
+    }
+    if (ch && WIDE_FACES[ch]) {
+      pos++;
+      return finishFaceMove(start, WIDE_FACES[ch], true, lo, hi);
+    }
+    if (ch && (SLICE_DEFS[ch] || ROTATION_DEFS[ch])) {
+      pos++;
+      if (first !== null) {
+        error(start, `"${ch}" does not take a layer prefix`);
+      }
+      return { type: 'move', face: ch, amount: readAmount() };
+    }
+
+    error(start, ch ? `Unknown move "${ch}"` : 'Unexpected end of notation');
+    pos = Math.max(pos, start + 1);
+    return null;
+  };
+
+  // Resolve the layer range for a face move:
+  //   R → 1..1   Rw / r → 1..2   3Rw → 1..3   2R → 2..2   3-4Uw → 3..4
+  const finishFaceMove = (start, face, wide, lo, hi) => {
+    let from;
+    let to;
+    if (lo !== null) {
+      from = lo;
+      to = hi;
+    } else if (wide) {
+      from = 1;
+      to = hi ?? 2;
+    } else {
+      from = hi ?? 1;
+      to = from;
+    }
+    const amount = readAmount();
+    if (from < 1 || to < from) {
+      error(start, `Invalid layer range ${from}-${to}`);
+      return null;
+    }
+    return { type: 'move', face, from, to, amount };
+  };
+
+  // sequence := item*  (stops at a closing token)
+  const parseSequence = (closers) => {
+    const nodes = [];
+    for (;;) {
+      skipSpace();
+      const ch = peek();
+      if (ch === undefined || closers.includes(ch)) return nodes;
+
+      if (ch === '(') {
+        const start = pos++;
+        const body = parseSequence([')']);
+        if (peek() === ')') {
+          pos++;
+        } else {
+          error(start, 'Unclosed "("');
+        }
+        const repeat = readInt() ?? 1;
+        nodes.push({ type: 'group', body, repeat });
+      } else if (ch === '[') {
+        const start = pos++;
+        const a = parseSequence([',', ':', ']']);
+        const sep = peek();
+        if (sep === ',' || sep === ':') {
+          pos++;
+          const b = parseSequence([']']);
+          if (peek() === ']') pos++;
+          else error(start, 'Unclosed "["');
+          nodes.push({ type: sep === ',' ? 'commutator' : 'conjugate', a, b });
+        } else {
+          if (sep === ']') pos++;
+          error(start, 'Expected "," or ":" inside brackets');
+          nodes.push(...a);
+        }
+      } else if (ch === ')' || ch === ']' || ch === ',' || ch === ':') {
+        error(pos, `Unexpected "${ch}"`);
+        pos++;
+      } else {
+        const move = parseMove();
+        if (move) nodes.push(move);
+      }
+    }
+  };
+
+  return {
+    parse() {
+      const nodes = parseSequence([]);
+      return { nodes, errors };
+    },
+  };
+}
+
+/**
+ * Parse a notation string into an AST.
+ * Never throws: malformed tokens are skipped and reported in `errors`
+ * as { index, message } (index = character offset in the input).
+ *
+ * @param {string} notation - e.g. "(R U R' U')3 [F: R U R']"
+ * @returns {{ nodes: Array, errors: Array }}
+ */
+export function parseNotation(notation) {
+  return createParser(notation || '').parse();
+}
+
+// ---------------------------------------------------------------------------
+// AST helpers
+// ---------------------------------------------------------------------------
+
+// Reduce an amount to the shortest equivalent turn, keeping the direction of
+// half turns (R2' stays R2' so it animates the way the author wrote it).
+const normalizeAmount = (amount) => {
+  const mod = ((amount % 4) + 4) % 4;
+  if (mod === 0) return 0;
+  if (mod === 1) return 1;
+  if (mod === 3) return -1;
+  return amount < 0 ? -2 : 2;
+};
+
+/** Invert a sequence of AST nodes (reverse order, invert every element). */
+export function invertNotation(nodes) {
+  return nodes.slice().reverse().map((node) => {
+    switch (node.type) {
+      case 'move':
+        return { ...node, amount: -node.amount };
+      case 'group':
+        return { ...node, body: invertNotation(node.body) };
+      case 'commutator':
+        // [A, B]' = [B, A]
+        return { type: 'commutator', a: node.b, b: node.a };
+      case 'conjugate':
+        // [A: B]' = [A: B']
+        return { type: 'conjugate', a: node.a, b: invertNotation(node.b) };
+      default:
+        return node;
+    }
+  });
+}
+
+/**
+ * Flatten groups, commutators and conjugates into a plain list of move nodes.
+ * Moves whose amount normalises to zero (e.g. R4) are dropped.
+ */
+export function flattenNotation(nodes) {
+  const out = [];
+  const visit = (list) => {
+    for (const node of list) {
+      switch (node.type) {
+        case 'move': {
+          const amount = normalizeAmount(node.amount);
+          if (amount !== 0) out.push({ ...node, amount });
+          break;
+        }
+        case 'group':
+          for (let i = 0; i < node.repeat; i++) visit(node.body);
+          break;
+        case 'commutator':
+          visit(node.a);
+          visit(node.b);
+          visit(invertNotation(node.a));
+          visit(invertNotation(node.b));
+          break;
+        case 'conjugate':
+          visit(node.a);
+          visit(node.b);
+          visit(invertNotation(node.a));
+          break;
+        default:
+          break;
+      }
+    }
+  };
+  visit(nodes);
+  return out;
+}
+
+// ---------------------------------------------------------------------------
+// Formatting
+// ---------------------------------------------------------------------------
+
+const formatAmount = (amount) => {
+  const n = normalizeAmount(amount);
+  if (n === 1) return '';
+  if (n === -1) return "'";
+  return n === 2 ? '2' : "2'";
+};
+
+/** Canonical string for a single move node, e.g. { face:'R', from:1, to:3 } → "3Rw". */
+export function formatMove(move) {
+  const suffix = formatAmount(move.amount);
+  if (!FACE_DEFS[move.face]) return `${move.face}${suffix}`;
+
+  const { from, to } = move;
+  let prefix;
+  if (from === to) {
+    prefix = from === 1 ? move.face : `${from}${move.face}`;
+  } else if (from === 1) {
+    prefix = to === 2 ? `${move.face}w` : `${to}${move.face}w`;
+  } else {
+    prefix = `${from}-${to}${move.face}w`;
+  }
+  return prefix + suffix;
+}
+
+/**
+ * Format an AST back into canonical notation. Structure (groups, commutators,
+ * conjugates) is preserved; moves are normalised (r → Rw, R3 → R', R4 dropped).
+ */
+export function formatNotation(nodes) {
+  const parts = [];
+  for (const node of nodes) {
+    switch (node.type) {
+      case 'move':
+        if (normalizeAmount(node.amount) !== 0) parts.push(formatMove(node));
+        break;
+      case 'group':
+        parts.push(`(${formatNotation(node.body)})${node.repeat === 1 ? '' : node.repeat}`);
+        break;
+      case 'commutator':
+        parts.push(`[${formatNotation(node.a)}, ${formatNotation(node.b)}]`);
+        break;
+      case 'conjugate':
+        parts.push(`[${formatNotation(node.a)}: ${formatNotation(node.b)}]`);
+        break;
+      default:
+        break;
+    }
+  }
+  return parts.join(' ');
+}
+
+/** Parse and re-emit a notation string in canonical form. */
+export function canonicalizeNotation(notation) {
+  return formatNotation(parseNotation(notation).nodes);
+}
+
+// ---------------------------------------------------------------------------
+// Expansion to engine rotations
+// ---------------------------------------------------------------------------
+
+/**
+ * Expand a single move node into engine quarter-turns for the given size.
+ * Multi-layer moves yield one rotation per slice per quarter turn.
+ * Returns null when the move does not fit the cube (e.g. 4Rw on a 3×3).
+ *
+ * @returns {Array<{axis, dir, sliceIndex}>|null}
+ */
+export function expandNotationMove(move, size) {
+  const amount = normalizeAmount(move.amount);
+  if (amount === 0) return [];
+
+  let axis;
+  let cwDir;
+  let slices;
+
+  if (FACE_DEFS[move.face]) {
+    const def = FACE_DEFS[move.face];
+    if (move.to > size) return null;
+    axis = def.axis;
+    cwDir = def.cwDir;
+    slices = [];
+    for (let layer = move.from; layer <= move.to; layer++) {
+      slices.push(def.fromTop ? size - layer : layer - 1);
+    }
+  } else if (SLICE_DEFS[move.face]) {
+    ({ axis, cwDir } = SLICE_DEFS[move.face]);
+    slices = [Math.floor(size / 2)];
+  } else if (ROTATION_DEFS[move.face]) {
+    ({ axis, cwDir } = ROTATION_DEFS[move.face]);
+    slices = Array.from({ length: size }, (_, i) => i);
+  } else {
+    return null;
+  }
+
+  const dir = amount < 0 ? -cwDir : cwDir;
+  const quarterTurns = Math.abs(amount);
+  const rotations = [];
+  for (let q = 0; q < quarterTurns; q++) {
+    for (const sliceIndex of slices) {
+      rotations.push({ axis, dir, sliceIndex });
+    }
+  }
+  return rotations;
+}
+
+/**
+ * Parse a notation string and expand it into engine rotations.
+ * Every rotation carries the canonical `notation` of the move it came from.
+ * Moves that do not fit the cube size are skipped and reported in `errors`.
+ *
+ * @param {string} notation
+ * @param {number} size
+ * @returns {{ rotations: Array<{axis, dir, sliceIndex, notation}>, moves: Array, errors: Array }}
+ */
+export function notationToRotations(notation, size = 3) {
+  const { nodes, errors } = parseNotation(notation);
+  const moves = flattenNotation(nodes);
+  const rotations = [];
+  const kept = [];
+
+  for (const move of moves) {
+    const expanded = expandNotationMove(move, size);
+    const label = formatMove(move);
+    if (!expanded) {
+      errors.push({ index: -1, message: `"${label}" does not fit a ${size}×${size} cube` });
+      continue;
+    }
+    kept.push(move);
+    for (const rot of expanded) {
+      rotations.push({ ...rot, notation: label });
+    }
+  }
+
+  return { rotations, moves: kept, errors };
+}
+
+/**
+ * Name a single engine rotation (the inverse of expandNotationMove for one
+ * slice). Outer and inner slices are counted from the nearer face; the
+ * middle slice of an odd cube is M, E or S.
+ *
+ * @param {{axis, dir, sliceIndex}} rotation
+ * @param {number} size
+ * @returns {string} e.g. "R", "2L'", "M"
+ */
+export function rotationToNotation({ axis, dir, sliceIndex }, size = 3) {
+  let face;
+  let cwDir;
+  let layer = 1;
+
+  const mid = (size - 1) / 2;
+  if (sliceIndex === mid) {
+    face = Object.keys(SLICE_DEFS).find(k => SLICE_DEFS[k].axis === axis);
+    cwDir = SLICE_DEFS[face].cwDir;
+  } else {
+    const fromTop = sliceIndex > mid;
+    face = Object.keys(FACE_DEFS).find(k => FACE_DEFS[k].axis === axis && FACE_DEFS[k].fromTop === fromTop);
+    cwDir = FACE_DEFS[face].cwDir;
+    layer = fromTop ? size - sliceIndex : sliceIndex + 1;
+  }
+
+  return formatMove({ face, from: layer, to: layer, amount: dir === cwDir ? 1 : -1 });
+}
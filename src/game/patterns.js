@@ -0,0 +1,198 @@
+// src/game/patterns.js
+// Pretty patterns: decorative states and how to build them from solved.
+//
+// Each pattern is notation followed by a list of flips. Flips name the
+// sticker to flip by its manifold grid ID ("M1-002", see coordinates.js), so
+// they find the right sticker wherever the turns have moved it; each flip
+// also switches the sticker's partner on the opposite face.
+//
+// Classic patterns come from 3×3 algorithms. On bigger cubes the same
+// algorithm with wide turns gives the big-cube version: cube-in-cube with
+// half the layers turning, six-spot with all but the middle.
+
+import { makeCubies, forEachCubie, MIN_CUBE_SIZE, MAX_CUBE_SIZE } from './cubeState.js';
+import { notationToRotations, rotationToNotation } from './notation.js';
+import { buildManifoldGridMap } from './manifoldLogic.js';
+import { applyMove } from '../engine/CubeEngine.js';
+
+const CUBE_IN_CUBE = "F L F U' R U F2 L2 U' L' B D' B' L2 U";
+const SUPERFLIP = "U R2 F B R B2 R U2 L B2 R U' D' R2 F R' L B2 U2 F2";
+const SIX_SPOT = "U D' R L' F B' U D'";
+
+// Turn `layers` layers wherever the notation turns a face: F → Fw → 3Fw
+const wide = (notation, layers) => {
+  if (layers <= 1) return notation;
+  const prefix = layers === 2 ? '' : layers;
+  return notation.replace(/([FBUDLR])/g, `${prefix}$1w`);
+};
+
+// "R2"-style name for a half turn of one slice
+const halfTurn = (axis, sliceIndex, size) =>
+  `${rotationToNotation({ axis, dir: 1, sliceIndex }, size).replace(/'$/, '')}2`;
+
+// Grid ID of cell (r, c) on the red, green or white face (colors 1–3)
+const gridId = (color, r, c, size) => `M${color}-${String(r * size + c + 1).padStart(3, '0')}`;
+
+// Every cell of the red, green and white faces that `keep` accepts; flipping
+// them switches the matching cells of the opposite faces too
+const flipCells = (size, keep) => {
+  const ids = [];
+  for (let color = 1; color <= 3; color++) {
+    for (let r = 0; r < size; r++) {
+      for (let c = 0; c < size; c++) {
+        if (keep(r, c, color)) ids.push(gridId(color, r, c, size));
+      }
+    }
+  }
+  return ids;
+};
+
+const onBorder = (i, size) => i === 0 || i === size - 1;
+
+const PATTERNS = [
+  {
+    id: 'checkerboard',
+    name: 'Checkerboard',
+    description: 'Every face alternates with its opposite color',
+    // Half turns of every other slice; even cubes have no middle slice to
+    // turn, so the squares are flipped instead
+    notation: (size) => {
+      if (size % 2 === 0) return '';
+      const turns = [];
+      for (const axis of ['col', 'row', 'depth']) {
+        for (let i = 1; i < size; i += 2) turns.push(halfTurn(axis, i, size));
+      }
+      return turns.join(' ');
+    },
+    flips: (size) => (size % 2 === 0 ? flipCells(size, (r, c) => (r + c) % 2 === 1) : []),
+  },
+  {
+    id: 'cube-in-cube',
+    name: 'Cube in a Cube',
+    description: 'A smaller cube sits in one corner of the big one',
+    notation: (size) => wide(CUBE_IN_CUBE, Math.floor(size / 2)),
+  },
+  {
+    id: 'superflip',
+    name: 'Superflip',
+    description: 'Every edge flipped in place, 20 moves from solved (as far as a 3×3 gets)',
+    minSize: 3,
+    notation: () => SUPERFLIP,
+  },
+  {
+    id: 'six-spot',
+    name: 'Six Spot',
+    description: 'Each center shows up as a spot on another face',
+    minSize: 3,
+    oddOnly: true,
+    notation: (size) => wide(SIX_SPOT, (size - 1) / 2),
+  },
+  {
+    id: 'antipodal-flip',
+    name: 'Antipodal Inversion',
+    description: 'Every antipodal pair flipped: each face shows its opposite color',
+    flips: (size) => flipCells(size, () => true),
+  },
+  {
+    id: 'flip-ring',
+    name: 'Flip Ring',
+    description: 'The front face\'s outer ring flipped, framing red in orange (and orange in red behind)',
+    minSize: 3,
+    flips: (size) => flipCells(size, (r, c, color) => color === 1 && (onBorder(r, size) || onBorder(c, size))),
+  },
+];
+
+const available = (pattern, size) =>
+  size >= (pattern.minSize ?? MIN_CUBE_SIZE) && (!pattern.oddOnly || size % 2 === 1);
+
+/**
+ * The patterns for each cube size: {id, name, description, notation, flips}
+ * with `flips` a list of manifold grid IDs
+ */
+export const PATTERN_CATALOG = Object.fromEntries(
+  Array.from({ length: MAX_CUBE_SIZE - MIN_CUBE_SIZE + 1 }, (_, i) => MIN_CUBE_SIZE + i).map(size => [
+    size,
+    PATTERNS.filter(pattern => available(pattern, size)).map(({ id, name, description, notation, flips }) => ({
+      id,
+      name,
+      description,
+      notation: notation?.(size) ?? '',
+      flips: flips?.(size) ?? [],
+    })),
+  ])
+);
+
+/**
+ * Look up a pattern
+ * @param {number} size
+ * @param {string} id
+ * @returns {Object|null}
+ */
+export const findPattern = (size, id) => PATTERN_CATALOG[size]?.find(pattern => pattern.id === id) ?? null;
+
+/**
+ * The pattern as one line: notation, then flips as "⇅M1-002" (as in flip scrambles)
+ * @param {{notation: string, flips: string[]}} pattern
+ * @returns {string}
+ */
+export const patternText = ({ notation, flips }) =>
+  [notation, ...flips.map(id => `⇅${id}`)].filter(Boolean).join(' ');
+
+/**
+ * The moves that build a pattern from solved. Flips are {type: 'flip', id}
+ * and are placed by applyPatternMove, wherever that sticker is by then.
+ * @param {{notation: string, flips: string[]}} pattern
+ * @param {number} size
+ * @returns {Array}
+ */
+export function patternMoves(pattern, size) {
+  const turns = notationToRotations(pattern.notation, size).rotations
+    .map(({ axis, dir, sliceIndex }) => ({ type: 'rotation', axis, dir, sliceIndex }));
+  return [...turns, ...pattern.flips.map(id => ({ type: 'flip', id }))];
+}
+
+/**
+ * Apply one move from patternMoves
+ * @param {Array} cubies
+ * @param {number} size
+ * @param {Object} move
+ * @returns {Array}
+ */
+export function applyPatternMove(cubies, size, move) {
+  if (move.type !== 'flip' || !move.id) return applyMove(cubies, size, move);
+  const found = buildManifoldGridMap(cubies, size).get(move.id);
+  if (!found) return cubies;
+  const { x, y, z, dirKey } = found;
+  return applyMove(cubies, size, { type: 'flip', dirKey, pos: { x, y, z } });
+}
+
+/**
+ * The pattern's state, built from solved
+ * @param {{notation: string, flips: string[]}} pattern
+ * @param {number} size
+ * @returns {Array} cubies
+ */
+export const buildPattern = (pattern, size) =>
+  patternMoves(pattern, size).reduce((state, move) => applyPatternMove(state, size, move), makeCubies(size));
+
+/**
+ * Whether the cube shows the target's colors on every sticker. Like the
+ * solved check, the cube has to be held the same way as the target.
+ * @param {Array} cubies
+ * @param {Array} target - From buildPattern
+ * @returns {boolean}
+ */
+export function matchesPattern(cubies, target) {
+  if (cubies.length !== target.length) return false;
+  let matches = true;
+  forEachCubie(cubies, (cubie, x, y, z) => {
+    if (!matches) return;
+    for (const [dirKey, sticker] of Object.entries(cubie.stickers)) {
+      if (sticker.curr !== target[x][y][z].stickers[dirKey]?.curr) {
+        matches = false;
+        return;
+      }
+    }
+  });
+  return matches;
+}
@@ -0,0 +1,166 @@
+// src/game/reachability.js
+// Whether a cube state can be solved with the game's moves, and why not.
+//
+// Turns only move a sticker within its orbit (the positions turns can carry
+// it to), so each orbit must hold the colors it holds when solved. After
+// that, stateInvariants in cubeGroup.js checks the pieces: twist, flip and
+// permutation parity.
+//
+// A flip switches a sticker and its partner (same grid cell on the opposite
+// face, which is always in the same orbit) to their opposite colors. With
+// flips, colors only count up to their antipode, and each orbit must differ
+// from solved by an even number of switches. These checks are necessary but
+// not complete: a state that passes them may still be unreachable.
+
+import { buildTilingGraph, vertexToFaceRC, vertexToPosition, FACE_DIRS } from '../utils/tilingGraph.js';
+import { ANTIPODAL_COLOR } from '../utils/constants.js';
+import { stateInvariants, colorAxis } from './cubeGroup.js';
+
+const DIR_TO_COLOR = { PZ: 1, NX: 2, PY: 3, NZ: 4, PX: 5, NY: 6 };
+const COLOR_NAMES = { 1: 'red', 2: 'green', 3: 'white', 4: 'orange', 5: 'blue', 6: 'yellow' };
+const FACE_NAMES = { PZ: 'front', NX: 'left', PY: 'top', NZ: 'back', PX: 'right', NY: 'bottom' };
+
+const orbitCache = new Map();
+
+/**
+ * The sticker a flip switches together with sticker `v`: the same grid cell
+ * on the opposite face (FACE_DIRS lists opposite faces three apart)
+ * @param {number} v - Tiling graph vertex
+ * @param {number} size
+ * @returns {number}
+ */
+export const flipPartner = (v, size) => (v + 3 * size * size) % (6 * size * size);
+
+// corner, edge (wings and middle edges) or center, from a face cell
+const stickerKind = (r, c, size) => {
+  const onBorder = [r, c].filter(i => i === 0 || i === size - 1).length;
+  return ['center', 'edge', 'corner'][onBorder];
+};
+
+/**
+ * The orbits of sticker positions under turns, cached per size
+ * @param {number} size
+ * @returns {{orbits: Array<{kind: string, name: string, vertices: number[]}>, orbitOf: number[]}}
+ */
+export function stickerOrbits(size) {
+  if (orbitCache.has(size)) return orbitCache.get(size);
+
+  const { cycles, numVerts } = buildTilingGraph(size);
+  const parent = Array.from({ length: numVerts }, (_, v) => v);
+  const find = (v) => {
+    while (parent[v] !== v) {
+      parent[v] = parent[parent[v]];
+      v = parent[v];
+    }
+    return v;
+  };
+  for (const moveCycles of Object.values(cycles)) {
+    for (const cycle of moveCycles) {
+      for (const v of cycle.slice(1)) parent[find(v)] = find(cycle[0]);
+    }
+  }
+
+  const byRoot = new Map();
+  for (let v = 0; v < numVerts; v++) {
+    const root = find(v);
+    if (!byRoot.has(root)) byRoot.set(root, []);
+    byRoot.get(root).push(v);
+  }
+
+  const orbits = [...byRoot.values()].map((vertices) => {
+    const { faceIdx, r, c } = vertexToFaceRC(vertices[0], size);
+    return { kind: stickerKind(r, c, size), vertices, example: { dirKey: FACE_DIRS[faceIdx], r, c } };
+  });
+
+  // "corner stickers", or "edge stickers like front row 1, column 2" when
+  // there is more than one orbit of a kind
+  for (const orbit of orbits) {
+    const { dirKey, r, c } = orbit.example;
+    const alone = orbits.filter(o => o.kind === orbit.kind).length === 1;
+    orbit.name = alone
+      ? `${orbit.kind} stickers`
+      : `${orbit.kind} stickers like ${FACE_NAMES[dirKey]} row ${r + 1}, column ${c + 1}`;
+    delete orbit.example;
+  }
+
+  const orbitOf = new Array(numVerts);
+  orbits.forEach((orbit, i) => orbit.vertices.forEach(v => { orbitOf[v] = i; }));
+
+  const result = { orbits, orbitOf };
+  orbitCache.set(size, result);
+  return result;
+}
+
+// Color on the sticker at tiling vertex v, now and when solved
+const currentColor = (cubies, v, size) => {
+  const { dirKey, x, y, z } = vertexToPosition(v, size);
+  return cubies[x]?.[y]?.[z]?.stickers?.[dirKey]?.curr;
+};
+const solvedColor = (v, size) => DIR_TO_COLOR[FACE_DIRS[vertexToFaceRC(v, size).faceIdx]];
+
+const colorName = (color, flips) =>
+  flips ? `${COLOR_NAMES[color]} or ${COLOR_NAMES[ANTIPODAL_COLOR[color]]}` : COLOR_NAMES[color];
+
+/**
+ * Check whether a state can be solved with turns, and flips if enabled
+ * @param {Array} cubies
+ * @param {number} size
+ * @param {Object} [options]
+ * @param {boolean} [options.flips=false] - Allow antipodal flips
+ * @returns {{reachable: boolean, complete: boolean, flips: boolean, violations: Array<{invariant: string, message: string}>}}
+ *   `complete` is true when passing the checks proves the state reachable
+ */
+export function checkReachability(cubies, size, { flips = false } = {}) {
+  const read = flips ? colorAxis : (color) => color;
+  const violations = [];
+
+  for (const { name, vertices } of stickerOrbits(size).orbits) {
+    const counts = new Map();
+    let switched = 0;
+    for (const v of vertices) {
+      const now = currentColor(cubies, v, size);
+      const home = solvedColor(v, size);
+      counts.set(read(now), (counts.get(read(now)) || 0) + 1);
+      counts.set(read(home), (counts.get(read(home)) || 0) - 1);
+      if ((now === colorAxis(now)) !== (home === colorAxis(home))) switched++;
+    }
+
+    const off = [...counts].find(([, diff]) => diff !== 0);
+    if (off) {
+      const [color, diff] = off;
+      const solved = vertices.filter(v => read(solvedColor(v, size)) === color).length;
+      violations.push({
+        invariant: 'colors',
+        message: `The ${name} show ${solved + diff} ${colorName(color, flips)} where a solved cube has ${solved}`,
+      });
+    } else if (flips && switched % 2 === 1) {
+      violations.push({
+        invariant: 'flip-parity',
+        message: `The ${name} are an odd number of color switches from solved, but flips switch two at a time`,
+      });
+    }
+  }
+
+  // Piece checks assume every orbit has the right colors
+  if (violations.length === 0) violations.push(...stateInvariants(cubies, size, { axes: flips }).violations);
+
+  return {
+    reachable: violations.length === 0,
+    complete: !flips && size <= 3,
+    flips,
+    violations,
+  };
+}
+
+/**
+ * Explain an unreachable state for an alert, or null if it's reachable
+ * @param {{reachable: boolean, flips: boolean, violations: Array}} result - From checkReachability
+ * @returns {string|null}
+ */
+export function explainReachability(result) {
+  if (result.reachable) return null;
+  return [
+    `This cube can't be solved with turns${result.flips ? ' and flips' : ''}:`,
+    ...result.violations.map(v => `• ${v.message}`),
+  ].join('\n');
+}
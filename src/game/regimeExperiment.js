@@ -0,0 +1,243 @@
+// src/game/regimeExperiment.js
+// The scramble-depth experiment from the paper
+// "Discrete Quotient Structures and Regime Transitions in Combinatorial Puzzles":
+// scramble solved cubes with random turns and watch the antipodal integrity
+// I(T) fall from 1 through k* into the entropy regime.
+//
+// Each sample is one random walk of `maxDepth` turns, never undoing the turn
+// before it. I(T) and C(T) are measured after every turn, so depth d averages
+// the first d turns of every walk. Walks run on tiling states (see
+// utils/tilingGraph.js) rather than cubies: a few hundred thousand turns take
+// well under a second that way. The numbers are the same ones
+// computeAntipodalIntegrity and computeCommutatorNorm give for the cubies.
+//
+// Runs are seeded, so a seed and config always reproduce the same table.
+// The runner is plain code; regimeExperiment.worker.js runs it off the main
+// thread for the experiment screen.
+
+import { buildTilingGraph, applyTwist, antipodalVertex, FACE_DIRS } from '../utils/tilingGraph.js';
+import { ANTIPODAL_FACE } from '../utils/constants.js';
+import { K_STAR, getRegime } from './antipodalIntegrity.js';
+import { createRng, randomInt } from './seededRandom.js';
+
+export const EXPERIMENT_FORMAT = 'worm3-regime-experiment';
+export const EXPERIMENT_SCHEMA_VERSION = 1;
+
+/** Cube sizes the experiment runs on */
+export const EXPERIMENT_SIZES = [2, 3, 4, 5];
+
+export const DEFAULT_EXPERIMENT = { sizes: EXPERIMENT_SIZES, samples: 2000, maxDepth: 40, seed: 'WORM3' };
+
+export const MAX_SAMPLES = 100000;
+export const MAX_DEPTH = 200;
+
+const REGIMES = ['structure', 'critical', 'entropy'];
+
+// ============================================================================
+// PER-SIZE DATA
+// ============================================================================
+
+const walkCache = new Map();
+
+// Turns, antipodal pairs and sticker faces for one size
+function walkData(size) {
+  if (walkCache.has(size)) return walkCache.get(size);
+
+  const { cycles, numVerts } = buildTilingGraph(size);
+  const turns = [];
+  for (const axis of ['row', 'col', 'depth']) {
+    for (let sliceIndex = 0; sliceIndex < size; sliceIndex++) {
+      for (const dir of [1, -1]) turns.push({ axis, sliceIndex, dir, cycles: cycles[`${axis}-${sliceIndex}-${dir}`] });
+    }
+  }
+  // Inverse of each turn, to keep walks from undoing themselves
+  const inverse = turns.map(t => turns.findIndex(u => u.axis === t.axis && u.sliceIndex === t.sliceIndex && u.dir === -t.dir));
+
+  const pairs = [];
+  for (let v = 0; v < numVerts; v++) {
+    const a = antipodalVertex(v, size);
+    if (v < a) pairs.push([v, a]);
+  }
+  // Face (= solved color) each vertex starts on, and the face opposite it
+  const face = Array.from({ length: numVerts }, (_, v) => Math.floor(v / (size * size)));
+  const antipodalFace = FACE_DIRS.map(dir => FACE_DIRS.indexOf(ANTIPODAL_FACE[dir]));
+
+  const data = { turns, inverse, pairs, face, antipodalFace, numVerts };
+  walkCache.set(size, data);
+  return data;
+}
+
+/**
+ * I(T) of a tiling state: the share of antipodal position pairs whose
+ * stickers still have antipodal colors
+ * @param {number[]} state - Tiling state (state[v] = vertex the sticker at v started on)
+ * @param {number} size
+ * @returns {number}
+ */
+export function tilingIntegrity(state, size) {
+  return integrityOf(state, walkData(size));
+}
+
+function integrityOf(state, { pairs, face, antipodalFace }) {
+  let preserved = 0;
+  for (const [v, a] of pairs) {
+    if (face[state[a]] === antipodalFace[face[state[v]]]) preserved++;
+  }
+  return preserved / pairs.length;
+}
+
+// ============================================================================
+// RUNNER
+// ============================================================================
+
+/**
+ * Check and fill in an experiment config
+ * @param {Object} [config] - Any of DEFAULT_EXPERIMENT's fields
+ * @returns {{ sizes: number[], samples: number, maxDepth: number, seed: string }}
+ */
+export function normalizeExperimentConfig(config = {}) {
+  const { sizes, samples, maxDepth, seed } = { ...DEFAULT_EXPERIMENT, ...config };
+  if (!Array.isArray(sizes) || sizes.length === 0 || !sizes.every(s => EXPERIMENT_SIZES.includes(s))) {
+    throw new RangeError(`Sizes must be some of ${EXPERIMENT_SIZES.join(', ')}`);
+  }
+  if (!Number.isInteger(samples) || samples < 1 || samples > MAX_SAMPLES) {
+    throw new RangeError(`Samples must be a whole number from 1 to ${MAX_SAMPLES}`);
+  }
+  if (!Number.isInteger(maxDepth) || maxDepth < 1 || maxDepth > MAX_DEPTH) {
+    throw new RangeError(`Depth must be a whole number from 1 to ${MAX_DEPTH}`);
+  }
+  return { sizes: [...new Set(sizes)].sort((a, b) => a - b), samples, maxDepth, seed: String(seed) };
+}
+
+/**
+ * Depth at which mean I(T) first drops to k*, interpolated between the two
+ * depths around it; null if it never does
+ * @param {Array<{ depth: number, integrity: number }>} depths - From depth 0
+ * @returns {number|null}
+ */
+export function crossingDepth(depths) {
+  for (let i = 1; i < depths.length; i++) {
+    const before = depths[i - 1].integrity;
+    const after = depths[i].integrity;
+    if (after <= K_STAR) {
+      return depths[i - 1].depth + (before - K_STAR) / (before - after);
+    }
+  }
+  return null;
+}
+
+/**
+ * Run the experiment for one cube size
+ * @param {number} size
+ * @param {{ samples: number, maxDepth: number, seed: string }} config
+ * @param {Function} [onSample] - Called with the number of walks finished
+ * @returns {{ size, pairs, stickers, crossingDepth, depths: Array }}
+ *   depths[d] = { depth, integrity, integritySd, commutatorNorm, regimes: { structure, critical, entropy } }
+ *   with means over the samples and regimes as shares of them
+ */
+export function runSizeExperiment(size, { samples, maxDepth, seed }, onSample) {
+  const data = walkData(size);
+  const { turns, inverse, numVerts } = data;
+  const rng = createRng(`${seed}:${size}`);
+
+  const sum = new Float64Array(maxDepth + 1);
+  const sumSq = new Float64Array(maxDepth + 1);
+  const normSum = new Float64Array(maxDepth + 1);
+  const regimeCounts = REGIMES.map(() => new Uint32Array(maxDepth + 1));
+  const record = (depth, integrity) => {
+    sum[depth] += integrity;
+    sumSq[depth] += integrity * integrity;
+    // Same rounding as computeCommutatorNorm
+    normSum[depth] += Math.round(numVerts * (1 - integrity));
+    regimeCounts[REGIMES.indexOf(getRegime(integrity))][depth]++;
+  };
+
+  const solved = Array.from({ length: numVerts }, (_, v) => v);
+  for (let sample = 0; sample < samples; sample++) {
+    let state = solved;
+    let last = -1;
+    record(0, 1);
+    for (let depth = 1; depth <= maxDepth; depth++) {
+      let t = randomInt(rng, last < 0 ? turns.length : turns.length - 1);
+      if (last >= 0 && t >= inverse[last]) t++;
+      state = applyTwist(state, turns[t].cycles);
+      last = t;
+      record(depth, integrityOf(state, data));
+    }
+    onSample?.(sample + 1);
+  }
+
+  const depths = Array.from({ length: maxDepth + 1 }, (_, depth) => {
+    const integrity = sum[depth] / samples;
+    return {
+      depth,
+      integrity,
+      integritySd: Math.sqrt(Math.max(0, sumSq[depth] / samples - integrity * integrity)),
+      commutatorNorm: normSum[depth] / samples,
+      regimes: Object.fromEntries(REGIMES.map((regime, i) => [regime, regimeCounts[i][depth] / samples])),
+    };
+  });
+
+  return { size, pairs: data.pairs.length, stickers: numVerts, crossingDepth: crossingDepth(depths), depths };
+}
+
+/**
+ * Run the whole experiment
+ * @param {Object} [config] - See normalizeExperimentConfig
+ * @param {Function} [onProgress] - Called with { done, total } walks as they finish
+ * @returns {{ config, kStar: number, results: Array }} results - runSizeExperiment per size
+ */
+export function runRegimeExperiment(config, onProgress) {
+  const checked = normalizeExperimentConfig(config);
+  const total = checked.samples * checked.sizes.length;
+  const results = checked.sizes.map((size, i) =>
+    runSizeExperiment(size, checked, onProgress && ((n) => onProgress({ done: i * checked.samples + n, total })))
+  );
+  return { config: checked, kStar: K_STAR, results };
+}
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+/**
+ * Serialize a run as JSON, stamped with the format and schema version
+ * @param {{ config, kStar, results }} experiment
+ * @param {Date} [exportedAt=new Date()]
+ * @returns {string}
+ */
+export function experimentToJson({ config, kStar, results }, exportedAt = new Date()) {
+  return JSON.stringify({
+    format: EXPERIMENT_FORMAT,
+    schemaVersion: EXPERIMENT_SCHEMA_VERSION,
+    exportedAt: exportedAt.toISOString(),
+    config,
+    kStar,
+    results,
+  }, null, 2);
+}
+
+/**
+ * A run as CSV: one row per size and depth
+ * @param {{ results }} experiment
+ * @returns {string}
+ */
+export function experimentToCsv({ results }) {
+  const header = ['size', 'depth', 'integrity_mean', 'integrity_sd', 'commutator_norm_mean', ...REGIMES.map(r => `${r}_share`)];
+  const rows = results.flatMap(({ size, depths }) => depths.map(d => [
+    size, d.depth, d.integrity.toFixed(6), d.integritySd.toFixed(6), d.commutatorNorm.toFixed(4),
+    ...REGIMES.map(r => d.regimes[r].toFixed(6)),
+  ]));
+  return [header, ...rows].map(row => row.join(',')).join('\n') + '\n';
+}
+
+/**
+ * Download file name for a run, e.g. "worm3-regime-WORM3-2000x40.csv"
+ * @param {{ config }} experiment
+ * @param {'csv'|'json'} extension
+ * @returns {string}
+ */
+export function experimentFileName({ config }, extension) {
+  const seed = config.seed.replace(/[^A-Za-z0-9_-]/g, '') || 'seed';
+  return `worm3-regime-${seed}-${config.samples}x${config.maxDepth}.${extension}`;
+}
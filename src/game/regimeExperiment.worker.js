@@ -0,0 +1,27 @@
+// src/game/regimeExperiment.worker.js
+// Runs the regime experiment (regimeExperiment.js) off the main thread.
+//
+// In:  { config }                      - see normalizeExperimentConfig
+// Out: { type: 'progress', done, total }
+//      { type: 'result', experiment }
+//      { type: 'error', message }
+
+import { runRegimeExperiment } from './regimeExperiment.js';
+
+// Progress messages per run; more would only flood the main thread
+const PROGRESS_STEPS = 100;
+
+self.onmessage = ({ data }) => {
+  try {
+    let reported = 0;
+    const experiment = runRegimeExperiment(data.config, ({ done, total }) => {
+      if (done === total || done - reported >= total / PROGRESS_STEPS) {
+        reported = done;
+        self.postMessage({ type: 'progress', done, total });
+      }
+    });
+    self.postMessage({ type: 'result', experiment });
+  } catch (err) {
+    self.postMessage({ type: 'error', message: err.message });
+  }
+};
@@ -0,0 +1,186 @@
+// src/game/replay.js
+// Replays: a session recorded as a timeline of timestamped moves
+//
+// A replay holds the cube as it was when the session started (encoded with
+// the state codec) and every move made after that, in the order it happened:
+// the player's rotations and flips, antipodal echoes, chaos cascades, parity
+// decay, and undo/redo steps. Each event stores the move (with the same
+// `source` tags as the move history, plus 'undo' and 'redo') and `t`, the
+// milliseconds since the session started.
+//
+// Because undo and redo are recorded as the moves they actually made, playing
+// the events in order from the start state always reproduces the session,
+// branches and all.
+//
+// All functions are pure: they return a new replay and never mutate.
+
+import { applyMove, isValidMove } from '../engine/CubeEngine.js';
+import { encodeCubeState, tryDecodeCubeState } from '../engine/stateCodec.js';
+import { MIN_CUBE_SIZE, MAX_CUBE_SIZE } from './cubeState.js';
+
+export const REPLAY_FORMAT = 'worm3-replay';
+export const REPLAY_VERSION = 1;
+
+// States kept while playing so scrubbing never replays more than this many moves
+const CHECKPOINT_EVERY = 50;
+
+const SOURCES = ['echo', 'chaos', 'decay', 'undo', 'redo'];
+
+/**
+ * Start a recording from the given cube.
+ * @param {Object} options
+ * @param {Array} options.cubies - Cube at the start of the session
+ * @param {number} options.size
+ * @param {string} [options.seed] - Run seed (see seededRandom.js)
+ * @param {string} [options.scramble] - Scramble notation, if the session started from one
+ * @param {number} [options.startedAt=Date.now()]
+ */
+export function createReplay({ cubies, size, seed = null, scramble = null, startedAt = Date.now() }) {
+  return {
+    format: REPLAY_FORMAT,
+    version: REPLAY_VERSION,
+    size,
+    seed,
+    scramble,
+    startedAt,
+    start: encodeCubeState(cubies, size),
+    events: [],
+  };
+}
+
+// Only what's needed to replay the move (drops timestamps and echo flags)
+const compactMove = (move, source) => {
+  const out = move.type === 'rotation'
+    ? { type: 'rotation', axis: move.axis, dir: move.dir, sliceIndex: move.sliceIndex }
+    : { type: 'flip', pos: { x: move.pos.x, y: move.pos.y, z: move.pos.z }, dirKey: move.dirKey };
+  if (move.type === 'flip' && move.undo) out.undo = true;
+  const tag = source ?? move.source;
+  if (tag) out.source = tag;
+  return out;
+};
+
+/**
+ * Append a move to the recording.
+ * @param {Object} replay
+ * @param {Object} move - Rotation or flip, as passed to applyMove
+ * @param {Object} [options]
+ * @param {number} [options.at=Date.now()] - When the move happened
+ * @param {string} [options.source] - Overrides move.source ('undo', 'redo')
+ */
+export function recordEvent(replay, move, { at = Date.now(), source } = {}) {
+  const t = Math.max(0, at - replay.startedAt);
+  return { ...replay, events: [...replay.events, { t, move: compactMove(move, source) }] };
+}
+
+/** Length of the recording in milliseconds. */
+export const replayDuration = (replay) =>
+  (replay.events.length ? replay.events[replay.events.length - 1].t : 0);
+
+/** Index of the first event after time `t` (= number of events played by then). */
+export function eventIndexAt(replay, t) {
+  let lo = 0, hi = replay.events.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (replay.events[mid].t <= t) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+// ============================================================================
+// PLAYBACK STATES
+// ============================================================================
+
+/**
+ * Cube states every CHECKPOINT_EVERY events, for fast seeking.
+ * @returns {Array<Array>} checkpoints[k] is the cube after k * CHECKPOINT_EVERY events
+ */
+export function buildCheckpoints(replay) {
+  const decoded = tryDecodeCubeState(replay.start);
+  if (!decoded.ok) throw new TypeError(`Replay start state is invalid: ${decoded.error}`);
+
+  const checkpoints = [decoded.cubies];
+  let state = decoded.cubies;
+  replay.events.forEach(({ move }, i) => {
+    state = applyMove(state, replay.size, move);
+    if ((i + 1) % CHECKPOINT_EVERY === 0) checkpoints.push(state);
+  });
+  return checkpoints;
+}
+
+/**
+ * The cube after the first `index` events.
+ * @param {Object} replay
+ * @param {number} index
+ * @param {Array} [checkpoints] - From buildCheckpoints; built on the fly if omitted
+ */
+export function stateAt(replay, index, checkpoints = buildCheckpoints(replay)) {
+  if (!Number.isInteger(index) || index < 0 || index > replay.events.length) {
+    throw new RangeError(`Replay index ${index} is outside 0..${replay.events.length}`);
+  }
+  const k = Math.min(Math.floor(index / CHECKPOINT_EVERY), checkpoints.length - 1);
+  let state = checkpoints[k];
+  for (let i = k * CHECKPOINT_EVERY; i < index; i++) state = applyMove(state, replay.size, replay.events[i].move);
+  return state;
+}
+
+// ============================================================================
+// FILES
+// ============================================================================
+
+/** Replay as a JSON file body. */
+export const exportReplay = (replay) => JSON.stringify(replay);
+
+/** Download name like "worm3-replay-3x3-K7QM2XPA.json". */
+export const replayFileName = (replay) =>
+  `worm3-replay-${replay.size}x${replay.size}${replay.seed ? `-${replay.seed}` : ''}.json`;
+
+const validMove = (move, size) =>
+  isValidMove(move, size) && (move.source === undefined || SOURCES.includes(move.source));
+
+/**
+ * Read a replay file.
+ * @param {string} text - File contents
+ * @returns {{ ok: true, replay: Object } | { ok: false, error: string }}
+ */
+export function parseReplay(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    return { ok: false, error: 'not a JSON file' };
+  }
+  if (!data || data.format !== REPLAY_FORMAT) return { ok: false, error: 'not a WORM-3 replay' };
+  if (data.version !== REPLAY_VERSION) return { ok: false, error: `unsupported replay version ${data.version}` };
+
+  const { size, events } = data;
+  if (!Number.isInteger(size) || size < MIN_CUBE_SIZE || size > MAX_CUBE_SIZE) {
+    return { ok: false, error: `unsupported cube size ${size}` };
+  }
+  const decoded = tryDecodeCubeState(data.start);
+  if (!decoded.ok) return { ok: false, error: `bad start state (${decoded.error})` };
+  if (decoded.size !== size) return { ok: false, error: 'start state does not match the cube size' };
+  if (!Array.isArray(events)) return { ok: false, error: 'missing events' };
+
+  let last = 0;
+  for (let i = 0; i < events.length; i++) {
+    const { t, move } = events[i] || {};
+    if (typeof t !== 'number' || !(t >= last)) return { ok: false, error: `event ${i + 1} is out of order` };
+    if (!validMove(move, size)) return { ok: false, error: `event ${i + 1} is not a valid move` };
+    last = t;
+  }
+
+  return {
+    ok: true,
+    replay: {
+      format: REPLAY_FORMAT,
+      version: REPLAY_VERSION,
+      size,
+      seed: typeof data.seed === 'string' ? data.seed : null,
+      scramble: typeof data.scramble === 'string' ? data.scramble : null,
+      startedAt: typeof data.startedAt === 'number' ? data.startedAt : 0,
+      start: data.start,
+      events: events.map(({ t, move }) => ({ t, move: compactMove(move) })),
+    },
+  };
+}
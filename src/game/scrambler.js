@@ -0,0 +1,339 @@
+// src/game/scrambler.js
+// WCA-style scrambles for every cube size
+//
+//   2×2  random state: a uniformly random position (DBL corner fixed),
+//        solved optimally with <U, R, F>; the scramble is that solution
+//        inverted. Positions under 4 moves from solved are re-drawn, as in
+//        WCA scrambles.
+//   3×3  random state: a uniformly random position solved with the
+//        two-phase solver and inverted.
+//   4×4+ random moves: outer and wide turns, 20 per layer beyond the second
+//        (40 on 4×4, 60 on 5×5, ...), never turning the same layers twice
+//        in a row on one axis (no R R', R L R).
+//
+// A "flip scramble" also flips random antipodal pairs afterwards, which
+// gives the WORM modes tunnels and parity zones to play on.
+//
+// All randomness comes from `rng` (Math.random or a seeded stream from
+// seededRandom.js), so a seed always gives the same scramble.
+
+import { makeCubies, surfacePositions } from './cubeState.js';
+import { notationToRotations, formatMove } from './notation.js';
+import { getManifoldGridId } from './coordinates.js';
+import { applyMove } from '../engine/CubeEngine.js';
+import { randomCubieCube, solveCubieCube } from '../teach/twoPhaseSolver.js';
+import { buildTilingGraph, applyTwist, stickerVertex } from '../utils/tilingGraph.js';
+import { DIR_TO_VEC, ANTIPODAL_COLOR } from '../utils/constants.js';
+
+// Keeps the 3×3 text identical across machines (see solveCubieCube)
+const NODE_BUDGET_3X3 = 200000;
+const TARGET_LENGTH_3X3 = 21;
+
+// WCA rejects 2×2 states this close to solved
+const MIN_LENGTH_2X2 = 4;
+
+/** Random-move scramble length for a cube size. */
+export const randomMoveLength = (size) => 20 * Math.max(1, size - 2);
+
+/** Pair flips in a WORM-mode flip scramble. */
+export const wormFlipCount = (size) => 2 * size;
+
+// ============================================================================
+// 2×2 RANDOM STATE
+// ============================================================================
+
+const FACES_2X2 = ['U', 'R', 'F'];
+const SUFFIXES = ['', '2', "'"];
+const N_MOVES_2X2 = 9;
+
+const det3 = (a, b, c) =>
+  a[0] * (b[1] * c[2] - b[2] * c[1]) -
+  a[1] * (b[0] * c[2] - b[2] * c[0]) +
+  a[2] * (b[0] * c[1] - b[1] * c[0]);
+
+// Same piece conventions as the two-phase solver: corner facelets listed
+// U/D facet first, the other two in a fixed handedness.
+function cornerLayout2x2() {
+  const corners = [];
+  for (let x = 0; x <= 1; x++) {
+    for (let y = 0; y <= 1; y++) {
+      for (let z = 0; z <= 1; z++) {
+        const primary = y ? 'PY' : 'NY';
+        const rest = [x ? 'PX' : 'NX', z ? 'PZ' : 'NZ'];
+        if (det3(DIR_TO_VEC[primary], DIR_TO_VEC[rest[0]], DIR_TO_VEC[rest[1]]) < 0) rest.reverse();
+        corners.push([primary, ...rest].map(d => stickerVertex(d, x, y, z, 2)));
+      }
+    }
+  }
+  return corners;
+}
+
+// a * b: apply move/state b after a
+const multiplyCorners = (a, b) => ({
+  cp: b.cp.map(p => a.cp[p]),
+  co: b.cp.map((p, i) => (a.co[p] + b.co[i]) % 3),
+});
+
+const rankPerm = (p) => {
+  let idx = 0;
+  for (let i = 0; i < p.length; i++) {
+    let smaller = 0;
+    for (let j = i + 1; j < p.length; j++) if (p[j] < p[i]) smaller++;
+    idx = idx * (p.length - i) + smaller;
+  }
+  return idx;
+};
+const twistIndex = (co) => co.slice(0, 7).reduce((t, v) => t * 3 + v, 0);
+
+let tables2x2 = null;
+
+// Move cubes come from the tiling-graph cycles of the game's own U, R, F
+// rotations; pruning tables are exact distances for permutation and twist
+function init2x2() {
+  if (tables2x2) return tables2x2;
+
+  const layout = cornerLayout2x2();
+  const graph = buildTilingGraph(2);
+  const identity = Array.from({ length: 24 }, (_, v) => v);
+  const readCube = (state) => {
+    const cp = [], co = [];
+    layout.forEach((facelets, i) => {
+      const origins = facelets.map(v => state[v]);
+      const j = layout.findIndex(f => f.includes(origins[0]));
+      cp[i] = j;
+      co[i] = origins.indexOf(layout[j][0]);
+    });
+    return { cp, co };
+  };
+
+  const moveCubes = [];
+  for (const face of FACES_2X2) {
+    const { axis, sliceIndex, dir } = notationToRotations(face, 2).rotations[0];
+    const quarter = readCube(applyTwist(identity, graph.cycles[`${axis}-${sliceIndex}-${dir}`]));
+    let c = quarter;
+    for (let k = 0; k < 3; k++) {
+      moveCubes.push(c);
+      c = multiplyCorners(c, quarter);
+    }
+  }
+
+  const solved = { cp: [0, 1, 2, 3, 4, 5, 6, 7], co: [0, 0, 0, 0, 0, 0, 0, 0] };
+  const bfs = (size, key) => {
+    const dist = new Int8Array(size).fill(-1);
+    dist[key(solved)] = 0;
+    let frontier = [solved];
+    for (let depth = 1; frontier.length; depth++) {
+      const next = [];
+      for (const cube of frontier) {
+        for (const m of moveCubes) {
+          const c = multiplyCorners(cube, m);
+          const k = key(c);
+          if (dist[k] === -1) { dist[k] = depth; next.push(c); }
+        }
+      }
+      frontier = next;
+    }
+    return dist;
+  };
+
+  // The DBL corner (0, 0, 0) never moves under U, R, F
+  const fixed = layout.findIndex(f => f.includes(stickerVertex('NY', 0, 0, 0, 2)));
+
+  tables2x2 = {
+    readCube,
+    moveCubes,
+    fixed,
+    permDist: bfs(40320, c => rankPerm(c.cp)),
+    twistDist: bfs(2187, c => twistIndex(c.co)),
+  };
+  return tables2x2;
+}
+
+// Optimal <U, R, F> solution (IDA*) as move indices
+function solve2x2(cube) {
+  const t = init2x2();
+  const h = (c) => Math.max(t.permDist[rankPerm(c.cp)], t.twistDist[twistIndex(c.co)]);
+  const path = [];
+
+  const dfs = (c, depth, lastFace) => {
+    const d = h(c);
+    if (d === 0) return true;
+    if (d > depth) return false;
+    for (let m = 0; m < N_MOVES_2X2; m++) {
+      const face = Math.floor(m / 3);
+      if (face === lastFace) continue;
+      path.push(m);
+      if (dfs(multiplyCorners(c, t.moveCubes[m]), depth - 1, face)) return true;
+      path.pop();
+    }
+    return false;
+  };
+
+  for (let depth = 0; ; depth++) {
+    if (dfs(cube, depth, -1)) return path;
+  }
+}
+
+const moveNames2x2 = (path) => path.map(m => FACES_2X2[Math.floor(m / 3)] + SUFFIXES[m % 3]);
+
+/**
+ * Optimal <U, R, F> solution for a 2×2 tiling-graph state (see
+ * tilingGraph.js) whose DBL corner is already home.
+ * @param {ArrayLike<number>} state
+ * @returns {string[]|null} Face turns, or null when the DBL corner has moved
+ */
+export function solve2x2State(state) {
+  const t = init2x2();
+  const cube = t.readCube(state);
+  if (cube.cp[t.fixed] !== t.fixed || cube.co[t.fixed] !== 0) return null;
+  return moveNames2x2(solve2x2(cube));
+}
+
+function randomState2x2(rng) {
+  const { fixed } = init2x2();
+  const free = [0, 1, 2, 3, 4, 5, 6, 7].filter(i => i !== fixed);
+  const pieces = free.slice();
+  for (let i = pieces.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [pieces[i], pieces[j]] = [pieces[j], pieces[i]];
+  }
+
+  const cp = [], co = [];
+  cp[fixed] = fixed;
+  co[fixed] = 0;
+  let twist = 0;
+  free.forEach((pos, i) => {
+    cp[pos] = pieces[i];
+    co[pos] = i < free.length - 1 ? Math.floor(rng() * 3) : (3 - (twist % 3)) % 3;
+    twist += co[pos];
+  });
+  return { cp, co };
+}
+
+const invertMoveNames = (moves) => moves.slice().reverse().map(m =>
+  (m.endsWith("'") ? m.slice(0, -1) : m.endsWith('2') ? m : `${m}'`));
+
+function scramble2x2(rng) {
+  for (;;) {
+    const solution = solve2x2(randomState2x2(rng));
+    if (solution.length >= MIN_LENGTH_2X2) {
+      return invertMoveNames(moveNames2x2(solution));
+    }
+  }
+}
+
+// ============================================================================
+// 3×3 RANDOM STATE
+// ============================================================================
+
+function scramble3x3(rng) {
+  for (;;) {
+    const solved = solveCubieCube(randomCubieCube(rng), {
+      targetLength: TARGET_LENGTH_3X3,
+      nodeBudget: NODE_BUDGET_3X3,
+      timeBudgetMs: Infinity,
+    });
+    if (solved.ok && solved.length >= 2) return invertMoveNames(solved.moves);
+  }
+}
+
+// ============================================================================
+// RANDOM MOVES
+// ============================================================================
+
+const FACE_AXES = { R: 'x', L: 'x', U: 'y', D: 'y', F: 'z', B: 'z' };
+const AMOUNTS = [1, -1, 2];
+
+function randomMoves(size, length, rng) {
+  const maxWidth = Math.max(1, Math.floor(size / 2));
+  const faces = Object.keys(FACE_AXES);
+  const moves = [];
+  let axis = null;
+  let turned = new Set(); // layer groups already turned in this run of `axis`
+
+  while (moves.length < length) {
+    const face = faces[Math.floor(rng() * faces.length)];
+    const width = 1 + Math.floor(rng() * maxWidth);
+    const key = `${face}${width}`;
+    if (FACE_AXES[face] === axis && turned.has(key)) continue;
+    if (FACE_AXES[face] !== axis) {
+      axis = FACE_AXES[face];
+      turned = new Set();
+    }
+    turned.add(key);
+    const amount = AMOUNTS[Math.floor(rng() * AMOUNTS.length)];
+    moves.push(formatMove({ type: 'move', face, from: 1, to: width, amount }));
+  }
+  return moves;
+}
+
+// ============================================================================
+// FLIPS
+// ============================================================================
+
+// Flip `count` random antipodal pairs, each at most once
+function randomFlips(cubies, size, count, rng) {
+  const stickers = [];
+  for (const [x, y, z] of surfacePositions(size)) {
+    for (const dirKey of Object.keys(cubies[x][y][z].stickers)) stickers.push({ pos: { x, y, z }, dirKey });
+  }
+
+  const used = new Set();
+  const steps = [];
+  const labels = [];
+  let state = cubies;
+  const target = Math.min(count, stickers.length / 2);
+
+  while (steps.length < target) {
+    const { pos, dirKey } = stickers[Math.floor(rng() * stickers.length)];
+    const sticker = state[pos.x][pos.y][pos.z].stickers[dirKey];
+    const id = getManifoldGridId(sticker, size);
+    if (used.has(id)) continue;
+    used.add(id);
+    used.add(getManifoldGridId({ ...sticker, orig: ANTIPODAL_COLOR[sticker.orig] }, size));
+
+    const move = { type: 'flip', pos, dirKey };
+    state = applyMove(state, size, move);
+    steps.push(move);
+    labels.push(`⇅${id}`);
+  }
+  return { state, steps, labels };
+}
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Generate a scramble for a cube of the given size.
+ *
+ * @param {number} size
+ * @param {Object} [options]
+ * @param {Function} [options.rng=Math.random] - Random source
+ * @param {number} [options.length] - Force a random-move scramble of this many moves
+ * @param {number} [options.flips=0] - Antipodal pairs to flip after the turns
+ * @returns {{ text: string, moves: string[], steps: Array, cubies: Array, randomState: boolean }}
+ *   moves - notation tokens (flips as ⇅<manifold id>); steps - engine moves
+ *   in order; cubies - the scrambled state
+ */
+export function generateScramble(size, options = {}) {
+  const { rng = Math.random, length, flips = 0 } = options;
+
+  const randomState = length === undefined && (size === 2 || size === 3);
+  let moves;
+  if (!randomState) moves = randomMoves(size, length ?? randomMoveLength(size), rng);
+  else moves = size === 2 ? scramble2x2(rng) : scramble3x3(rng);
+
+  const steps = notationToRotations(moves.join(' '), size).rotations
+    .map(({ axis, dir, sliceIndex }) => ({ type: 'rotation', axis, dir, sliceIndex }));
+  let cubies = steps.reduce((state, move) => applyMove(state, size, move), makeCubies(size));
+
+  if (flips > 0) {
+    const flipped = randomFlips(cubies, size, flips, rng);
+    cubies = flipped.state;
+    steps.push(...flipped.steps);
+    moves = [...moves, ...flipped.labels];
+  }
+
+  return { text: moves.join(' '), moves, steps, cubies, randomState };
+}
@@ -0,0 +1,104 @@
+// src/game/seededRandom.js
+// Seedable randomness for everything that affects play: scrambles, chaos
+// cascades, parity decay and worm orb spawns.
+//
+// A run has one seed. Each random source draws from its own named stream
+// derived from that seed, so chaos firing a few extra times doesn't shift
+// the next scramble. Two players on the same seed get the same scramble and,
+// given the same moves, the same cascades. Cosmetic randomness (particles,
+// confetti) stays on Math.random.
+//
+// Like refractoryMap, the session streams live at module level so hooks and
+// pure game code share them without threading the store through.
+
+const SEED_ALPHABET = '23456789ABCDEFGHJKLMNPQRSTUVWXYZ';
+const SEED_LENGTH = 8;
+const MAX_SEED_LENGTH = 32;
+
+/** 32-bit FNV-1a hash of a string. */
+export const hashSeed = (str) => {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+};
+
+/**
+ * Deterministic PRNG (mulberry32). Returns a function with the same
+ * contract as Math.random: a float in [0, 1).
+ * @param {number|string} seed
+ */
+export function createRng(seed) {
+  let a = typeof seed === 'number' ? seed >>> 0 : hashSeed(String(seed));
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/** Integer in [0, n). */
+export const randomInt = (rng, n) => Math.floor(rng() * n);
+
+/** Random element of a non-empty array. */
+export const pick = (rng, arr) => arr[randomInt(rng, arr.length)];
+
+/** Shuffled copy of an array (Fisher–Yates). */
+export const shuffled = (rng, arr) => {
+  const out = arr.slice();
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = randomInt(rng, i + 1);
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+};
+
+/** A fresh, easy-to-read seed like "K7QM2XPA". */
+export const newSeed = () => {
+  let seed = '';
+  for (let i = 0; i < SEED_LENGTH; i++) seed += SEED_ALPHABET[Math.floor(Math.random() * SEED_ALPHABET.length)];
+  return seed;
+};
+
+/**
+ * Normalize a player-entered seed: trimmed, upper-case, no inner spaces.
+ * Returns null for anything that isn't a usable seed string.
+ */
+export const parseSeed = (input) => {
+  if (typeof input !== 'string') return null;
+  const seed = input.replace(/\s+/g, '').toUpperCase().slice(0, MAX_SEED_LENGTH);
+  return seed || null;
+};
+
+// ============================================================================
+// SESSION STREAMS
+// ============================================================================
+
+let _seed = newSeed();
+const _streams = new Map();
+
+/** Seed of the current run. */
+export const getSessionSeed = () => _seed;
+
+/**
+ * Start a new run from `seed` (or a fresh one). Every stream restarts.
+ * @returns {string} the seed in use
+ */
+export const setSessionSeed = (seed) => {
+  _seed = parseSeed(seed) || newSeed();
+  _streams.clear();
+  return _seed;
+};
+
+/**
+ * The named random stream for this run ('scramble', 'chaos', 'decay',
+ * 'worm'). Calls with the same name share one sequence.
+ */
+export const rngFor = (name) => {
+  if (!_streams.has(name)) _streams.set(name, createRng(`${_seed}:${name}`));
+  return _streams.get(name);
+};
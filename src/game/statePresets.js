@@ -0,0 +1,106 @@
+// src/game/statePresets.js
+// Cube states for the Dev Console presets.
+//
+//   solved, near-solved, scrambled-N  the scrambler with a fixed length
+//   parity-error   two middle edges swapped (odd sizes) or one corner
+//                  twisted in place (even sizes, where a swap is reachable);
+//                  unsolvable, which checkReachability explains
+//   two-faces      top and bottom faces solved: a random word of moves that
+//                  keep them (U/D turns, inner row slices, PLLs on either)
+//   checkerboard   the checkerboard from the pattern catalog (patterns.js):
+//                  turns on odd sizes, flips on even sizes
+
+import { makeCubies } from './cubeState.js';
+import { notationToRotations, rotationToNotation } from './notation.js';
+import { generateScramble } from './scrambler.js';
+import { randomInt, pick } from './seededRandom.js';
+import { applyMove } from '../engine/CubeEngine.js';
+import { findPattern, buildPattern, patternText } from './patterns.js';
+
+const SCRAMBLE_LENGTHS = { 'near-solved': 3, 'scrambled-10': 10, 'scrambled-25': 25, 'scrambled-50': 50 };
+
+const T_PERM = "R U R' U' R' F R2 U' R' U' R U R' F'";
+const Y_PERM = "F R U' R' U' R U R' F' R U R' U' R' F R F'";
+
+// Blocks in a two-faces word
+const TWO_FACES_BLOCKS = 8;
+
+/** Preset IDs buildPreset understands. */
+export const PRESET_IDS = ['solved', ...Object.keys(SCRAMBLE_LENGTHS), 'parity-error', 'two-faces', 'checkerboard'];
+
+const applyNotation = (cubies, size, text) => notationToRotations(text, size).rotations
+  .reduce((state, { axis, dir, sliceIndex }) => applyMove(state, size, { type: 'rotation', axis, dir, sliceIndex }), cubies);
+
+// Swap the up-front and up-back middle edges, stickers and all
+function swappedEdges(size) {
+  const cubies = makeCubies(size);
+  const m = (size - 1) / 2;
+  const s = size - 1;
+  const front = cubies[m][s][s].stickers;
+  const back = cubies[m][s][0].stickers;
+  [front.PY, back.PY] = [back.PY, front.PY];
+  [front.PZ, back.NZ] = [back.NZ, front.PZ];
+  return cubies;
+}
+
+// Turn the up-front-right corner's stickers one step in place
+function twistedCorner(size) {
+  const cubies = makeCubies(size);
+  const s = size - 1;
+  const corner = cubies[s][s][s].stickers;
+  [corner.PY, corner.PZ, corner.PX] = [corner.PX, corner.PY, corner.PZ];
+  return cubies;
+}
+
+// Turns that leave the top and bottom faces solved, in notation
+function twoFacesWord(size, rng) {
+  const layerTurns = ['U', 'D'];
+  for (let i = 1; i < size - 1; i++) layerTurns.push(rotationToNotation({ axis: 'row', dir: 1, sliceIndex: i }, size).replace(/'$/, ''));
+  const word = [];
+  for (let i = 0; i < TWO_FACES_BLOCKS; i++) {
+    if (randomInt(rng, 3) > 0) {
+      word.push(`${pick(rng, layerTurns)}${pick(rng, ['', "'", '2'])}`);
+    } else {
+      const pll = pick(rng, [T_PERM, Y_PERM]);
+      word.push(randomInt(rng, 2) ? pll : `x2 ${pll} x2`);
+    }
+  }
+  return word.join(' ');
+}
+
+/**
+ * Build a Dev Console preset state
+ * @param {string} id - One of PRESET_IDS
+ * @param {number} size
+ * @param {Function} [rng=Math.random]
+ * @returns {{cubies: Array, text: string|null, moves: number}}
+ *   `text` is the notation that builds the state, if turns or flips do
+ */
+export function buildPreset(id, size, rng = Math.random) {
+  if (id in SCRAMBLE_LENGTHS) {
+    const scramble = generateScramble(size, { rng, length: SCRAMBLE_LENGTHS[id] });
+    return { cubies: scramble.cubies, text: scramble.text, moves: SCRAMBLE_LENGTHS[id] };
+  }
+
+  switch (id) {
+    case 'solved':
+      return { cubies: makeCubies(size), text: null, moves: 0 };
+
+    case 'parity-error':
+      return { cubies: size % 2 === 1 ? swappedEdges(size) : twistedCorner(size), text: null, moves: 0 };
+
+    case 'two-faces': {
+      const text = twoFacesWord(size, rng);
+      return { cubies: applyNotation(makeCubies(size), size, text), text, moves: text.split(' ').length };
+    }
+
+    case 'checkerboard': {
+      const pattern = findPattern(size, 'checkerboard');
+      const moves = (pattern.notation ? pattern.notation.split(' ').length : 0) + pattern.flips.length;
+      return { cubies: buildPattern(pattern, size), text: patternText(pattern), moves };
+    }
+
+    default:
+      throw new RangeError(`Unknown preset "${id}" (expected one of ${PRESET_IDS.join(', ')})`);
+  }
+}
@@ -1,24 +1,24 @@
 // src/game/winDetection.js
 // Win condition detection logic
 import { faceRCFor, faceValue } from './coordinates.js';
+import { forEachCubie } from './cubeState.js';
 
 // Check if classic Rubik's cube is solved (all faces uniform color)
-export const checkRubiksSolved = (cubies, size) => {
+export const checkRubiksSolved = (cubies, _size) => {
   // Map direction to expected face color
   const DIR_TO_FACE = { PZ: 1, NX: 2, PY: 3, NZ: 4, PX: 5, NY: 6 };
 
-  for (let x = 0; x < size; x++) {
-    for (let y = 0; y < size; y++) {
-      for (let z = 0; z < size; z++) {
-        const c = cubies[x][y][z];
-        for (const [dirKey, st] of Object.entries(c.stickers)) {
-          const expectedColor = DIR_TO_FACE[dirKey];
-          if (st.curr !== expectedColor) return false;
-        }
+  let solved = true;
+  forEachCubie(cubies, (c) => {
+    if (!solved) return;
+    for (const [dirKey, st] of Object.entries(c.stickers)) {
+      if (st.curr !== DIR_TO_FACE[dirKey]) {
+        solved = false;
+        return;
       }
     }
-  }
-  return true;
+  });
+  return solved;
 };
 
 // Check if a single face is a valid Latin square (Sudokube condition)
@@ -48,21 +48,16 @@ export const checkFaceLatinSquare = (faceGrid, size) => {
 export const extractFaceGrid = (cubies, size, faceDir) => {
   const grid = Array.from({ length: size }, () => Array(size).fill(0));
 
-  for (let x = 0; x < size; x++) {
-    for (let y = 0; y < size; y++) {
-      for (let z = 0; z < size; z++) {
-        const c = cubies[x][y][z];
-        const st = c.stickers[faceDir];
-        if (st) {
-          const { r, c: col } = faceRCFor(faceDir, x, y, z, size);
-          // Calculate Latin square value based on current color position
-          // The value is derived from where this sticker's current color originated
-          const val = faceValue(faceDir, x, y, z, size);
-          grid[r][col] = val;
-        }
-      }
+  forEachCubie(cubies, (c, x, y, z) => {
+    const st = c.stickers[faceDir];
+    if (st) {
+      const { r, c: col } = faceRCFor(faceDir, x, y, z, size);
+      // Calculate Latin square value based on current color position
+      // The value is derived from where this sticker's current color originated
+      const val = faceValue(faceDir, x, y, z, size);
+      grid[r][col] = val;
     }
-  }
+  });
   return grid;
 };
 
@@ -70,28 +65,20 @@ export const extractFaceGrid = (cubies, size, faceDir) => {
 export const checkSudokubeSolved = (cubies, size) => {
   const FACE_DIRS = ['PZ', 'NZ', 'PX', 'NX', 'PY', 'NY'];
 
-  for (const faceDir of FACE_DIRS) {
-    // Build the actual value grid based on sticker positions
-    const grid = Array.from({ length: size }, () => Array(size).fill(0));
+  // Build every face's value grid in a single pass over the surface
+  const grids = Object.fromEntries(
+    FACE_DIRS.map(d => [d, Array.from({ length: size }, () => Array(size).fill(0))])
+  );
 
-    for (let x = 0; x < size; x++) {
-      for (let y = 0; y < size; y++) {
-        for (let z = 0; z < size; z++) {
-          const c = cubies[x][y][z];
-          const st = c.stickers[faceDir];
-          if (st) {
-            const { r, c: col } = faceRCFor(faceDir, x, y, z, size);
-            // Get the Latin square value from original position
-            const origVal = faceValue(st.origDir, st.origPos.x, st.origPos.y, st.origPos.z, size);
-            grid[r][col] = origVal;
-          }
-        }
-      }
+  forEachCubie(cubies, (c, x, y, z) => {
+    for (const [faceDir, st] of Object.entries(c.stickers)) {
+      const { r, c: col } = faceRCFor(faceDir, x, y, z, size);
+      // Get the Latin square value from original position
+      grids[faceDir][r][col] = faceValue(st.origDir, st.origPos.x, st.origPos.y, st.origPos.z, size);
     }
+  });
 
-    if (!checkFaceLatinSquare(grid, size)) return false;
-  }
-  return true;
+  return FACE_DIRS.every(faceDir => checkFaceLatinSquare(grids[faceDir], size));
 };
 
 // Check if WORM³ victory - cube is solved AND every sticker has traveled through wormhole
@@ -102,23 +89,16 @@ export const checkWormVictory = (cubies, size) => {
   // Then check if EVERY sticker has traveled through a wormhole at least once
   let allHaveFlipped = true;
 
-  for (let x = 0; x < size; x++) {
-    for (let y = 0; y < size; y++) {
-      for (let z = 0; z < size; z++) {
-        const c = cubies[x][y][z];
-        for (const st of Object.values(c.stickers)) {
-          // If any sticker has never been flipped, WORM³ victory not achieved
-          if ((st.flips ?? 0) === 0) {
-            allHaveFlipped = false;
-            break;
-          }
-        }
-        if (!allHaveFlipped) break;
+  forEachCubie(cubies, (c) => {
+    if (!allHaveFlipped) return;
+    for (const st of Object.values(c.stickers)) {
+      // If any sticker has never been flipped, WORM³ victory not achieved
+      if ((st.flips ?? 0) === 0) {
+        allHaveFlipped = false;
+        return;
       }
-      if (!allHaveFlipped) break;
     }
-    if (!allHaveFlipped) break;
-  }
+  });
 
   // WORM³ victory: cube is solved AND every sticker has been through wormhole
   return allHaveFlipped;
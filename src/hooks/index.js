@@ -18,6 +18,17 @@
  *   - useKeyboardControls: Keyboard shortcuts
  *   - useHandsMode: Speedcuber-style controls
  *   - useUndo: Undo functionality
+ *   - useReplayPlayer: Replay playback
+ *   - useLevelEditor: Level editor drafts and playtest
+ *   - usePackLibrary: Installed community level packs
+ *   - useAchievements: Achievement tracking and gallery
+ *   - useDailyChallenge: Date-seeded daily challenge and its results
+ *   - useSaveBackup: Save file export and import
+ *   - useAttemptLog: Per-level attempt log for the statistics screen
+ *   - useAntipodalSubgroup: Whether recent turns stayed inside G_A
+ *   - useRegimeExperiment: Scramble-depth regime experiment in a worker
+ *   - usePatternPlayer: Pattern library demos, built move by move
+ *   - useLevelPar: Level par, worked out in a worker
  */
 
 // Zustand store
@@ -34,5 +45,16 @@ export { useSettings } from './useSettings.js';
 export { useKeyboardControls } from './useKeyboardControls.js';
 export { useHandsMode } from './useHandsMode.js';
 export { useUndo } from './useUndo.js';
+export { useReplayPlayer } from './useReplayPlayer.js';
+export { useLevelEditor } from './useLevelEditor.js';
+export { usePackLibrary } from './usePackLibrary.js';
+export { useAchievements } from './useAchievements.js';
+export { useDailyChallenge } from './useDailyChallenge.js';
+export { useSaveBackup } from './useSaveBackup.js';
+export { useAttemptLog } from './useAttemptLog.js';
 export { useParityDecay } from './useParityDecay.js';
 export { useAntipodalIntegrity } from './useAntipodalIntegrity.js';
+export { useAntipodalSubgroup } from './useAntipodalSubgroup.js';
+export { useRegimeExperiment } from './useRegimeExperiment.js';
+export { usePatternPlayer } from './usePatternPlayer.js';
+export { useLevelPar } from './useLevelPar.js';
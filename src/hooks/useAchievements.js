@@ -0,0 +1,67 @@
+/**
+ * useAchievements Hook
+ *
+ * Feeds cube events to the achievements: every recorded player flip,
+ * chaos cascade flip, and the antipodal integrity I(T) after each player
+ * move. Keeps the achievements unlocked most recently for the toast, and
+ * opens and closes the gallery.
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { useGameStore } from './useGameStore.js';
+import { progressManager, ACHIEVEMENT_EVENTS, getAchievement } from '../levels/index.js';
+import { computeAntipodalIntegrity } from '../game/antipodalIntegrity.js';
+
+/**
+ * Hook for achievement tracking and the achievements gallery
+ */
+export function useAchievements() {
+  const showAchievements = useGameStore((state) => state.showAchievements);
+  const setShowAchievements = useGameStore((state) => state.setShowAchievements);
+  const [recent, setRecent] = useState([]); // Definitions unlocked since the toast was dismissed
+
+  // New replay events are the moves just made (see game/replay.js)
+  useEffect(() => useGameStore.subscribe((state, prev) => {
+    const { events } = state.replay;
+    const before = prev.replay.events;
+    if (events === before || events.length <= before.length || state.replayViewing) return;
+
+    let playerMoved = false;
+    for (const { move } of events.slice(before.length)) {
+      if (!move.source) playerMoved = true;
+      if (move.type !== 'flip') continue;
+      if (!move.source) progressManager.recordEvent(ACHIEVEMENT_EVENTS.FLIP);
+      else if (move.source === 'chaos') progressManager.recordEvent(ACHIEVEMENT_EVENTS.CASCADE);
+    }
+
+    if (playerMoved) {
+      const { integrity } = computeAntipodalIntegrity(state.cubies, state.size);
+      progressManager.recordEvent(ACHIEVEMENT_EVENTS.INTEGRITY, { integrity, size: state.size });
+    }
+  }), []);
+
+  useEffect(() => progressManager.on('achievements-unlocked', ({ achievements }) => {
+    setRecent((prev) => [...prev, ...achievements.map(id => getAchievement(id)).filter(Boolean)]);
+  }), []);
+
+  const dismissRecent = useCallback(() => setRecent([]), []);
+
+  const openGallery = useCallback(() => {
+    const store = useGameStore.getState();
+    store.setShowMainMenu(false);
+    setShowAchievements(true);
+  }, [setShowAchievements]);
+
+  const closeGallery = useCallback(() => {
+    setShowAchievements(false);
+    useGameStore.getState().setShowMainMenu(true);
+  }, [setShowAchievements]);
+
+  return {
+    showAchievements,
+    recent,
+    dismissRecent,
+    openGallery,
+    closeGallery,
+  };
+}
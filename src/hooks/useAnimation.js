@@ -8,6 +8,7 @@
 import { useCallback, useRef } from 'react';
 import { useGameStore } from './useGameStore.js';
 import { rotateSliceCubies } from '../game/cubeRotation.js';
+import { applyMove } from '../engine/CubeEngine.js';
 import { play } from '../utils/audio.js';
 import gsap from 'gsap';
 import {
@@ -45,6 +46,7 @@ export function useAnimation() {
 
   // Start a new animation
   const startAnimation = useCallback((axis, dir, sliceIndex, isEcho = false) => {
+    if (useGameStore.getState().replayViewing) return; // The cube is showing a replay
     setAnimState({ axis, dir, sliceIndex, t: 0, isEcho });
     const move = { axis, dir, sliceIndex, isEcho };
     setPendingMove(move);
@@ -53,10 +55,18 @@ export function useAnimation() {
 
   // Handle animation completion
   const handleAnimComplete = useCallback(() => {
-    const pm = pendingMoveRef.current;
-    if (pm) {
+    // Moves started elsewhere (teach mode, hands mode, undo) only set the
+    // store's pendingMove, so fall back to it when this hook didn't start the animation.
+    const pm = pendingMoveRef.current || useGameStore.getState().pendingMove;
+    if (pm?.fromHistory || pm?.fromReplay || pm?.fromPattern) {
+      // Undo/redo: already accounted for in the history and move counter.
+      // Replay playback and pattern demos: only show the move, nothing is recorded
+      const { axis, dir, sliceIndex } = pm;
+      setCubies((prev) => applyMove(prev, size, { type: 'rotation', axis, dir, sliceIndex }));
+      play('/sounds/rotate.mp3');
+    } else if (pm) {
       const { axis, dir, sliceIndex, isEcho } = pm;
-      setCubies((prev) => rotateSliceCubies(prev, size, axis, sliceIndex, dir));
+      setCubies((prev) => applyMove(prev, size, { type: 'rotation', axis, dir, sliceIndex }));
 
       // Only increment moves and play full sound for user-initiated rotations
       if (!isEcho) {
@@ -64,9 +74,10 @@ export function useAnimation() {
         play('/sounds/rotate.mp3');
         addToHistory({ type: 'rotation', axis, dir, sliceIndex, timestamp: Date.now() });
       } else {
-        // Echo rotation - quieter sound
+        // Echo rotation - quieter sound, recorded so undo can reverse it
         play('/sounds/rotate.mp3', 0.7);
         incrementReversalCount();
+        addToHistory({ type: 'rotation', axis, dir, sliceIndex, source: 'echo', timestamp: Date.now() });
       }
 
       // Trigger antipodal echo rotation if mode is enabled and this is NOT already an echo
@@ -140,6 +151,7 @@ export function useAnimation() {
   // applied atomically without triggering N separate animState animations
   // (Zustand batches synchronous sets, so only the last would survive).
   const onMove = useCallback((axis, dir, sel, numTurns = 1) => {
+    if (useGameStore.getState().replayViewing) return;
     const sliceIndex = axis === 'col' ? sel.x : axis === 'row' ? sel.y : sel.z;
     if (numTurns <= 1) {
       startAnimation(axis, dir, sliceIndex);
@@ -152,7 +164,9 @@ export function useAnimation() {
       });
       setMoves((m) => m + numTurns);
       play('/sounds/rotate.mp3');
-      addToHistory({ type: 'rotation', axis, dir, sliceIndex, timestamp: Date.now() });
+      for (let i = 0; i < numTurns; i++) {
+        addToHistory({ type: 'rotation', axis, dir, sliceIndex, timestamp: Date.now() });
+      }
     }
   }, [startAnimation, setCubies, setMoves, addToHistory, size]);
 
@@ -0,0 +1,36 @@
+// src/hooks/useAntipodalSubgroup.js
+// Tracks whether the most recent turns stayed inside the antipodal-preserving
+// subgroup G_A (see game/antipodalSubgroup.js).
+
+import { useMemo } from 'react';
+import { useGameStore } from './useGameStore.js';
+import {
+  classifyMoves, preservingSuffixes, exploreAntipodalSubgroup, SUBGROUP_SIZES,
+} from '../game/antipodalSubgroup.js';
+import { rotationToNotation } from '../game/notation.js';
+
+/**
+ * @param {number} windowSize - How many of the latest turns to classify
+ * @returns {{ turns: Array<{ notation, source, inside }>, preserving, commutatorNorm, subgroup }}
+ *   `inside` is true when the turns from this one to the latest are in G_A together;
+ *   `subgroup` is exploreAntipodalSubgroup's result, or null for sizes it doesn't cover
+ */
+export function useAntipodalSubgroup(windowSize) {
+  const moveHistory = useGameStore((state) => state.moveHistory);
+  const size = useGameStore((state) => state.size);
+
+  const recent = useMemo(() => {
+    const turns = moveHistory.filter(move => move.type === 'rotation').slice(-windowSize);
+    const inside = preservingSuffixes(turns, size);
+    const { preserving, commutatorNorm } = classifyMoves(turns, size);
+    return {
+      turns: turns.map((move, i) => ({ notation: rotationToNotation(move, size), source: move.source, inside: inside[i] })),
+      preserving,
+      commutatorNorm,
+    };
+  }, [moveHistory, size, windowSize]);
+
+  const subgroup = useMemo(() => (SUBGROUP_SIZES.includes(size) ? exploreAntipodalSubgroup(size) : null), [size]);
+
+  return { ...recent, subgroup };
+}
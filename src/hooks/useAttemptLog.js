@@ -0,0 +1,39 @@
+/**
+ * useAttemptLog Hook
+ *
+ * Logs every finished level attempt, won or lost, with what it took (see
+ * levels/attemptStats.js). Story levels are logged by number and pack levels
+ * under their pack; editor playtests and daily challenges aren't logged.
+ */
+
+import { useEffect } from 'react';
+import { useGameStore } from './useGameStore.js';
+import { progressManager } from '../levels/index.js';
+import { isPlayerMove } from '../game/moveHistory.js';
+import { computeAntipodalIntegrity } from '../game/antipodalIntegrity.js';
+
+/**
+ * Hook that logs level attempts as they finish
+ */
+export function useAttemptLog() {
+  useEffect(() => useGameStore.subscribe((state, prev) => {
+    const finished = (state.victory && !prev.victory) || (state.defeat && !prev.defeat);
+    const level = state.currentLevelData;
+    if (!finished || !level || state.levelPlaytest || level.daily) return;
+    if (!state.currentLevel && !level.packId) return;
+
+    const attempt = {
+      result: state.victory ? 'win' : 'defeat',
+      time: state.gameTime,
+      moves: state.moves,
+      flips: state.moveHistory.filter(move => move.type === 'flip' && isPlayerMove(move)).length,
+      undos: state.undos,
+      cascades: state.replay.events.filter(({ move }) => move.source === 'chaos').length,
+      integrity: computeAntipodalIntegrity(state.cubies, state.size).integrity,
+      mode: level.mode,
+      size: state.size,
+    };
+    if (state.currentLevel) progressManager.recordAttempt(state.currentLevel, attempt);
+    else progressManager.recordAttempt(level.id, attempt, level.packId);
+  }), []);
+}
@@ -9,6 +9,7 @@ import { useGameStore } from './useGameStore.js';
 import { buildManifoldGridMap, flipStickerPair, getManifoldNeighbors } from '../game/manifoldLogic.js';
 import { getStickerWorldPos } from '../game/coordinates.js';
 import { isOnEdge } from '../game/cubeUtils.js';
+import { rngFor, randomInt, pick, shuffled } from '../game/seededRandom.js';
 
 /**
  * Hook for chaos mode management
@@ -25,6 +26,7 @@ export function useChaosMode() {
   const animState = useGameStore((state) => state.animState);
   const cubies = useGameStore((state) => state.cubies);
   const setCubies = useGameStore((state) => state.setCubies);
+  const replayViewing = useGameStore((state) => state.replayViewing);
 
   // Auto-rotate state
   const upcomingRotation = useGameStore((state) => state.upcomingRotation);
@@ -54,6 +56,7 @@ export function useChaosMode() {
       for (let y = 0; y < S; y++)
         for (let z = 0; z < S; z++) {
           const c = state[x][y][z];
+          if (!c) continue;
           for (const dirKey of Object.keys(c.stickers)) {
             const st = c.stickers[dirKey];
             if (isOnEdge(x, y, z, dirKey, S) && st.curr !== st.orig) count++;
@@ -64,16 +67,17 @@ export function useChaosMode() {
 
   // Generate a random rotation
   const generateRandomRotation = useCallback((cubeSize) => {
-    const axes = ['col', 'row', 'depth'];
-    const axis = axes[Math.floor(Math.random() * axes.length)];
-    const dir = Math.random() < 0.5 ? 1 : -1;
-    const sliceIndex = Math.floor(Math.random() * cubeSize);
+    const rng = rngFor('chaos');
+    const axis = pick(rng, ['col', 'row', 'depth']);
+    const dir = rng() < 0.5 ? 1 : -1;
+    const sliceIndex = randomInt(rng, cubeSize);
     return { axis, dir, sliceIndex };
   }, []);
 
   // Chaos chain propagation effect
   useEffect(() => {
-    if (!chaosMode) return;
+    // Paused while a replay is on the cube
+    if (!chaosMode || replayViewing) return;
 
     let raf = 0, last = performance.now(), tickAcc = 0, cooldownAcc = 0;
     let wasAnimating = !!animStateRef.current;
@@ -100,6 +104,7 @@ export function useChaosMode() {
         for (let y = 0; y < S; y++)
           for (let z = 0; z < S; z++) {
             const c = state[x][y][z];
+            if (!c) continue;
             for (const dirKey of Object.keys(c.stickers)) {
               const st = c.stickers[dirKey];
               if (st.flips > 0 && st.curr !== st.orig && isOnEdge(x, y, z, dirKey, S)) {
@@ -111,7 +116,7 @@ export function useChaosMode() {
       if (!candidates.length) return null;
 
       const totalWeight = candidates.reduce((sum, c) => sum + c.flips, 0);
-      let roll = Math.random() * totalWeight;
+      let roll = rngFor('chaos')() * totalWeight;
       for (const c of candidates) {
         roll -= c.flips;
         if (roll <= 0) return { tile: c, strength: 1.0 };
@@ -140,6 +145,8 @@ export function useChaosMode() {
         currentChainTile.x, currentChainTile.y, currentChainTile.z,
         currentChainTile.dirKey, currentManifoldMap
       );
+      const { x, y, z, dirKey } = currentChainTile;
+      useGameStore.getState().addToHistory({ type: 'flip', pos: { x, y, z }, dirKey, source: 'chaos', timestamp: Date.now() });
 
       chainStrength *= strengthDecay;
 
@@ -169,13 +176,12 @@ export function useChaosMode() {
 
       let nextTile = null;
       if (validNeighbors.length > 0) {
-        validNeighbors.sort(() => Math.random() - 0.5);
-
-        for (const neighbor of validNeighbors) {
+        const rng = rngFor('chaos');
+        for (const neighbor of shuffled(rng, validNeighbors)) {
           const tallyBonus = Math.max(1, neighbor.flips);
           const propagateChance = chainStrength * basePerTally * tallyBonus;
 
-          if (Math.random() < propagateChance) {
+          if (rng() < propagateChance) {
             const fromPos = getStickerWorldPos(
               currentChainTile.x, currentChainTile.y, currentChainTile.z,
               currentChainTile.dirKey, S, explosionT
@@ -240,11 +246,11 @@ export function useChaosMode() {
 
     raf = requestAnimationFrame(loop);
     return () => cancelAnimationFrame(raf);
-  }, [chaosMode, chaosLevel, explosionT, setCubies, setCascades]);
+  }, [chaosMode, chaosLevel, explosionT, replayViewing, setCubies, setCascades]);
 
   // Auto-rotate effect
   useEffect(() => {
-    if (!autoRotateEnabled || !chaosMode) {
+    if (!autoRotateEnabled || !chaosMode || replayViewing) {
       setUpcomingRotation(null);
       setRotationCountdown(0);
       return;
@@ -303,7 +309,7 @@ export function useChaosMode() {
 
     raf = requestAnimationFrame(loop);
     return () => cancelAnimationFrame(raf);
-  }, [autoRotateEnabled, chaosMode, size, animState, upcomingRotation, generateRandomRotation, countDisparity, setAnimState, setPendingMove, setUpcomingRotation, setRotationCountdown]);
+  }, [autoRotateEnabled, chaosMode, replayViewing, size, animState, upcomingRotation, generateRandomRotation, countDisparity, setAnimState, setPendingMove, setUpcomingRotation, setRotationCountdown]);
 
   // Cascade completion handler
   const onCascadeComplete = useCallback((id) => {
@@ -2,18 +2,23 @@
  * useCubeState Hook
  *
  * Manages cube state, rotations, flips, and related operations.
+ * Move application and metrics come from the headless CubeEngine helpers;
+ * this hook only wires them to the Zustand store, audio and effects.
  */
 
-import { useCallback, useMemo, useRef } from 'react';
+import { useCallback, useEffect, useMemo, useRef } from 'react';
 import { useGameStore } from './useGameStore.js';
 import { makeCubies } from '../game/cubeState.js';
-import { rotateSliceCubies } from '../game/cubeRotation.js';
-import { buildManifoldGridMap, flipStickerPair, findAntipodalStickerByGrid } from '../game/manifoldLogic.js';
+import { buildManifoldGridMap, findAntipodalStickerByGrid } from '../game/manifoldLogic.js';
+import { applyMove, computeMetrics } from '../engine/CubeEngine.js';
 import { getStickerWorldPos } from '../game/coordinates.js';
 import { play } from '../utils/audio.js';
 import { ANTIPODAL_COLOR } from '../utils/constants.js';
 import { resolveColors } from '../utils/colorSchemes.js';
 import { isInRefractory, markFlipped, clearRefractory } from '../game/refractoryMap.js';
+import { rngFor } from '../game/seededRandom.js';
+import { generateScramble } from '../game/scrambler.js';
+import { warmTwoPhaseSolver } from '../teach/twoPhaseWarmup.js';
 
 /**
  * Hook for cube state management
@@ -29,6 +34,8 @@ export function useCubeState() {
   const setMoves = useGameStore((state) => state.setMoves);
   const setHasShuffled = useGameStore((state) => state.setHasShuffled);
   const resetGame = useGameStore((state) => state.resetGame);
+  const startRun = useGameStore((state) => state.startRun);
+  const setScrambleText = useGameStore((state) => state.setScrambleText);
   const addToHistory = useGameStore((state) => state.addToHistory);
   const clearHistory = useGameStore((state) => state.clearHistory);
 
@@ -55,24 +62,7 @@ export function useCubeState() {
   }, [cubies, size]);
 
   // Calculate metrics
-  const metrics = useMemo(() => {
-    let flips = 0,
-      wormholes = 0,
-      off = 0,
-      total = 0;
-    for (const L of cubies)
-      for (const R of L)
-        for (const c of R) {
-          for (const k of Object.keys(c.stickers)) {
-            const s = c.stickers[k];
-            flips += s.flips || 0;
-            total++;
-            if (s.curr !== s.orig) off++;
-            if (s.flips > 0 && s.curr !== s.orig) wormholes++;
-          }
-        }
-    return { flips, wormholes, entropy: Math.round((off / total) * 100) };
-  }, [cubies]);
+  const metrics = useMemo(() => computeMetrics(cubies), [cubies]);
 
   // Get rotation direction for sticker
   const getRotationForDir = useCallback((dir) => {
@@ -89,14 +79,17 @@ export function useCubeState() {
 
   // Apply rotation to cubies
   const rotateSlice = useCallback((axis, sliceIndex, dir) => {
-    setCubies((prev) => rotateSliceCubies(prev, size, axis, sliceIndex, dir));
+    const move = { type: 'rotation', axis, dir, sliceIndex };
+    setCubies((prev) => applyMove(prev, size, move));
     setMoves((m) => m + 1);
     play('/sounds/rotate.mp3');
-    addToHistory({ type: 'rotation', axis, dir, sliceIndex, timestamp: Date.now() });
+    addToHistory({ ...move, timestamp: Date.now() });
   }, [size, setCubies, setMoves, addToHistory]);
 
   // Flip sticker pair
   const flipSticker = useCallback((pos, dirKey) => {
+    if (useGameStore.getState().replayViewing) return; // The cube is showing a replay
+
     // Refractory period — tile can't flip again within 7 seconds
     if (isInRefractory(pos.x, pos.y, pos.z, dirKey)) return;
 
@@ -138,12 +131,10 @@ export function useCubeState() {
       setFlipWaveOrigins(origins);
     }
 
-    setCubies((prev) => {
-      const freshManifoldMap = buildManifoldGridMap(prev, prev.length);
-      return flipStickerPair(prev, prev.length, pos.x, pos.y, pos.z, dirKey, freshManifoldMap);
-    });
+    const move = { type: 'flip', pos: { x: pos.x, y: pos.y, z: pos.z }, dirKey };
+    setCubies((prev) => applyMove(prev, prev.length, move));
     setMoves((m) => m + 1);
-    addToHistory({ type: 'flip', pos: { ...pos }, dirKey, timestamp: Date.now() });
+    addToHistory({ ...move, timestamp: Date.now() });
     setBlackHolePulse(Date.now());
 
     // First flip tutorial trigger
@@ -153,21 +144,25 @@ export function useCubeState() {
     }
   }, [setCubies, setMoves, addToHistory, getRotationForDir, setBlackHolePulse, setFlipWaveOrigins, hasFlippedOnce, setHasFlippedOnce, setShowFirstFlipTutorial]);
 
-  // Shuffle the cube
-  const shuffle = useCallback(() => {
-    let state = makeCubies(size);
-    for (let i = 0; i < 25; i++) {
-      const ax = ['row', 'col', 'depth'][Math.floor(Math.random() * 3)];
-      const slice = Math.floor(Math.random() * size);
-      const dir = Math.random() > 0.5 ? 1 : -1;
-      state = rotateSliceCubies(state, size, ax, slice, dir);
-    }
-    setCubies(state);
+  // 3×3 random-state scrambles need the two-phase tables: build them in a
+  // worker now rather than on the main thread at the first shuffle
+  useEffect(() => {
+    if (size === 3) warmTwoPhaseSolver();
+  }, [size]);
+
+  // Shuffle the cube with a WCA-style scramble, starting a new run from
+  // `seed` (a fresh one if omitted; also safe to pass straight to onClick).
+  // `flips` adds random antipodal pair flips (flip scramble).
+  const shuffle = useCallback((seed, { flips = 0 } = {}) => {
+    startRun(seed);
+    const scramble = generateScramble(size, { rng: rngFor('scramble'), flips });
+    setCubies(scramble.cubies);
     resetGame();
     clearHistory();
     clearRefractory();
     setHasShuffled(true);
-  }, [size, setCubies, resetGame, clearHistory, setHasShuffled]);
+    setScrambleText(scramble.text);
+  }, [size, setCubies, startRun, resetGame, clearHistory, setHasShuffled, setScrambleText]);
 
   // Reset to solved state
   const reset = useCallback(() => {
@@ -0,0 +1,50 @@
+/**
+ * useDailyChallenge Hook
+ *
+ * Starts today's daily challenge through the normal level flow, and when
+ * it is solved records the result (time, moves, player flips and the final
+ * antipodal integrity I(T)) and keeps it for the results card.
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { useGameStore } from './useGameStore.js';
+import { useLevelSystem } from './useLevelSystem.js';
+import { progressManager, dailyKey, createDailyLevel } from '../levels/index.js';
+import { isPlayerMove } from '../game/moveHistory.js';
+import { computeAntipodalIntegrity } from '../game/antipodalIntegrity.js';
+
+/**
+ * Hook for the daily challenge
+ */
+export function useDailyChallenge() {
+  const { handlePlayLevelData } = useLevelSystem();
+  const [solved, setSolved] = useState(null); // { key, result, streak, isFirst } of the attempt just won
+
+  useEffect(() => useGameStore.subscribe((state, prev) => {
+    if (!state.victory || prev.victory || !state.currentLevelData?.daily) return;
+
+    const key = state.currentLevelData.daily;
+    const result = {
+      time: state.gameTime,
+      moves: state.moves,
+      flips: state.moveHistory.filter(move => move.type === 'flip' && isPlayerMove(move)).length,
+      integrity: computeAntipodalIntegrity(state.cubies, state.size).integrity,
+    };
+    const { streak, isFirst } = progressManager.recordDailyResult(key, result);
+    setSolved({ key, result, streak, isFirst });
+  }), []);
+
+  const start = useCallback(() => {
+    useGameStore.getState().setShowMainMenu(false);
+    setSolved(null);
+    handlePlayLevelData(createDailyLevel(dailyKey()));
+  }, [handlePlayLevelData]);
+
+  const dismiss = useCallback(() => setSolved(null), []);
+
+  return {
+    solved,
+    start,
+    dismiss,
+  };
+}
@@ -2,11 +2,16 @@
  * useGameSession Hook
  *
  * Manages game session state: moves, time, victory conditions.
+ * Inside a level, only the level's win condition counts and running out of
+ * time or moves ends the attempt (see levels/rules.js). With a pattern goal,
+ * only matching the pattern counts.
  */
 
 import { useEffect, useCallback, useRef } from 'react';
 import { useGameStore } from './useGameStore.js';
 import { detectWinConditions } from '../game/winDetection.js';
+import { levelVictory, levelDefeat } from '../levels/rules.js';
+import { matchesPattern } from '../game/patterns.js';
 
 /**
  * Hook for game session management
@@ -20,9 +25,17 @@ export function useGameSession() {
   const hasShuffled = useGameStore((state) => state.hasShuffled);
   const victory = useGameStore((state) => state.victory);
   const achievedWins = useGameStore((state) => state.achievedWins);
+  const replayViewing = useGameStore((state) => state.replayViewing);
+  const defeat = useGameStore((state) => state.defeat);
+  const currentLevelData = useGameStore((state) => state.currentLevelData);
+  const patternGoal = useGameStore((state) => state.patternGoal);
+  const showLevelSelect = useGameStore((state) => state.showLevelSelect);
+  const showMainMenu = useGameStore((state) => state.showMainMenu);
 
   const setGameTime = useGameStore((state) => state.setGameTime);
+  const setGameStartTime = useGameStore((state) => state.setGameStartTime);
   const setVictory = useGameStore((state) => state.setVictory);
+  const setDefeat = useGameStore((state) => state.setDefeat);
   const setAchievedWins = useGameStore((state) => state.setAchievedWins);
 
   const gameStartTimeRef = useRef(gameStartTime);
@@ -30,24 +43,59 @@ export function useGameSession() {
 
   // Game timer effect
   useEffect(() => {
-    if (victory) return; // Pause timer when victory screen is showing
+    // Pause timer when victory/defeat screen is showing or a replay is on
+    if (victory || defeat || replayViewing) return;
     const interval = setInterval(() => {
       setGameTime(Math.floor((Date.now() - gameStartTimeRef.current) / 1000));
     }, 1000);
     return () => clearInterval(interval);
-  }, [victory, setGameTime]);
+  }, [victory, defeat, replayViewing, setGameTime]);
+
+  // Time spent watching a replay doesn't count: the start time moves on by
+  // that much, so the clock resumes where it stopped (unless a new game
+  // started meanwhile)
+  const replayOpenedRef = useRef(null);
+  useEffect(() => {
+    if (replayViewing) {
+      replayOpenedRef.current = { at: Date.now(), start: gameStartTimeRef.current };
+      return;
+    }
+    const opened = replayOpenedRef.current;
+    replayOpenedRef.current = null;
+    if (opened && opened.start === gameStartTimeRef.current) {
+      setGameStartTime(opened.start + Date.now() - opened.at);
+    }
+  }, [replayViewing, setGameStartTime]);
 
   // Win condition detection
   useEffect(() => {
     // Only check for wins after the puzzle has been shuffled
     if (!hasShuffled) return;
-    // Don't check if victory screen is already showing
-    if (victory) return;
+    // Don't check if victory/defeat screen is already showing, or on a replay
+    if (victory || defeat || replayViewing) return;
     // Guard: ensure cubies matches expected size
     if (cubies.length !== size) return;
 
+    if (patternGoal) {
+      if (!achievedWins.pattern && patternGoal.size === size && matchesPattern(cubies, patternGoal.target)) {
+        setVictory('pattern');
+        setAchievedWins((prev) => ({ ...prev, pattern: true }));
+      }
+      return;
+    }
+
     const wins = detectWinConditions(cubies, size);
 
+    // Levels are only won on their own win condition
+    if (currentLevelData) {
+      const levelWin = levelVictory(currentLevelData, wins);
+      if (levelWin && !achievedWins[levelWin]) {
+        setVictory(levelWin);
+        setAchievedWins((prev) => ({ ...prev, [levelWin]: true }));
+      }
+      return;
+    }
+
     // Prioritize worm victory (rarest), then ultimate, then individual wins
     if (wins.worm && !achievedWins.worm) {
       setVictory('worm');
@@ -62,7 +110,22 @@ export function useGameSession() {
       setVictory('sudokube');
       setAchievedWins((prev) => ({ ...prev, sudokube: true }));
     }
-  }, [cubies, size, hasShuffled, victory, achievedWins, setVictory, setAchievedWins]);
+  }, [cubies, size, hasShuffled, victory, defeat, replayViewing, currentLevelData, patternGoal, achievedWins, setVictory, setAchievedWins]);
+
+  // Level time and move limits (not while a menu covers the cube)
+  useEffect(() => {
+    if (!currentLevelData || !hasShuffled || victory || defeat || replayViewing) return;
+    if (showLevelSelect || showMainMenu) return;
+    const reason = levelDefeat(currentLevelData, { moves, elapsed: gameTime });
+    if (!reason) return;
+    // A win on the last move still counts (the win check above may not have
+    // committed yet)
+    if (cubies.length === size && levelVictory(currentLevelData, detectWinConditions(cubies, size))) return;
+    setDefeat(reason);
+  }, [
+    currentLevelData, hasShuffled, victory, defeat, replayViewing, showLevelSelect, showMainMenu,
+    moves, gameTime, cubies, size, setDefeat
+  ]);
 
   // Format time for display
   const formatTime = useCallback((seconds) => {
@@ -77,11 +140,13 @@ export function useGameSession() {
     gameTime,
     formattedTime: formatTime(gameTime),
     victory,
+    defeat,
     achievedWins,
     hasShuffled,
 
     // Actions
     setVictory,
+    setDefeat,
     setAchievedWins,
   };
 }
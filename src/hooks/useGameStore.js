@@ -8,16 +8,27 @@
 import { create } from 'zustand';
 import { subscribeWithSelector } from 'zustand/middleware';
 import { makeCubies } from '../game/cubeState.js';
+import { createHistory, recordMove, moveTo, movesTo } from '../game/moveHistory.js';
+import { getSessionSeed, setSessionSeed } from '../game/seededRandom.js';
+import { createReplay, recordEvent } from '../game/replay.js';
 import { DEFAULT_SETTINGS } from '../utils/colorSchemes.js';
 
+// localStorage keys of the one-time flags, by their name in save files
+export const FLAG_STORAGE_KEYS = {
+  introSeen: 'worm3_intro_seen',
+  tutorialDone: 'worm3_tutorial_done',
+  firstFlipDone: 'worm3_first_flip_done',
+  mobileHintShown: 'worm3_mobile_hint_shown',
+};
+
 // Load persisted state from localStorage
 const loadPersistedState = () => {
   try {
     const settings = localStorage.getItem('worm3_settings');
-    const introSeen = localStorage.getItem('worm3_intro_seen') === '1';
-    const tutorialDone = localStorage.getItem('worm3_tutorial_done') === '1';
-    const firstFlipDone = localStorage.getItem('worm3_first_flip_done') === '1';
-    const mobileHintShown = localStorage.getItem('worm3_mobile_hint_shown') === '1';
+    const introSeen = localStorage.getItem(FLAG_STORAGE_KEYS.introSeen) === '1';
+    const tutorialDone = localStorage.getItem(FLAG_STORAGE_KEYS.tutorialDone) === '1';
+    const firstFlipDone = localStorage.getItem(FLAG_STORAGE_KEYS.firstFlipDone) === '1';
+    const mobileHintShown = localStorage.getItem(FLAG_STORAGE_KEYS.mobileHintShown) === '1';
 
     return {
       settings: settings ? { ...DEFAULT_SETTINGS, ...JSON.parse(settings) } : { ...DEFAULT_SETTINGS },
@@ -45,7 +56,12 @@ const isMobile = typeof window !== 'undefined' && (
 );
 
 const persistedState = loadPersistedState();
-const MAX_UNDO_HISTORY = 10;
+
+// Keep the flat move list in step with the history tree
+const withHistory = (historyTree) => ({ historyTree, moveHistory: movesTo(historyTree) });
+
+// A new recording starts whenever the history does, from the cube as it is now
+const freshReplay = (state) => createReplay({ cubies: state.cubies, size: state.size, seed: state.seed });
 
 export const useGameStore = create(
   subscribeWithSelector((set, get) => ({
@@ -64,10 +80,15 @@ export const useGameStore = create(
     // GAME SESSION STATE
     // ========================================================================
     moves: 0,
+    undos: 0, // Times the player undid this attempt
     gameTime: 0,
     gameStartTime: Date.now(),
     hasShuffled: false,
     victory: null, // null, 'rubiks', 'sudokube', 'ultimate', or 'worm'
+    defeat: null, // null, 'time' or 'moves' when a level attempt runs out (see levels/rules.js)
+    seed: getSessionSeed(), // Seed of the current run (see game/seededRandom.js)
+    scrambleText: null, // Notation of the last scramble, shown above the cube
+    patternGoal: null, // { id, name, size, target }: win by matching a pattern instead of solving (see game/patterns.js)
     achievedWins: { rubiks: false, sudokube: false, ultimate: false, worm: false },
 
     setMoves: (moves) => set(typeof moves === 'function'
@@ -76,34 +97,80 @@ export const useGameStore = create(
     setGameTime: (gameTime) => set({ gameTime }),
     setGameStartTime: (gameStartTime) => set({ gameStartTime }),
     setHasShuffled: (hasShuffled) => set({ hasShuffled }),
+    // Start a new run from `seed` (a fresh one when omitted); returns the seed
+    startRun: (seed) => {
+      const runSeed = setSessionSeed(seed);
+      set({ seed: runSeed });
+      return runSeed;
+    },
+    // The scramble belongs to the recording too, as long as nothing has been played yet
+    setScrambleText: (scrambleText) => set((state) => ({
+      scrambleText,
+      replay: state.replay.events.length ? state.replay : { ...state.replay, scramble: scrambleText },
+    })),
     setVictory: (victory) => set({ victory }),
+    setPatternGoal: (patternGoal) => set({ patternGoal }),
+    setDefeat: (defeat) => set({ defeat }),
     setAchievedWins: (achievedWins) => set(typeof achievedWins === 'function'
       ? (state) => ({ achievedWins: achievedWins(state.achievedWins) })
       : { achievedWins }),
 
     incrementMoves: () => set((state) => ({ moves: state.moves + 1 })),
-    resetGame: () => set({
+    countUndo: () => set((state) => ({ undos: state.undos + 1 })),
+    resetGame: () => set((state) => ({
       moves: 0,
+      undos: 0,
       gameTime: 0,
       gameStartTime: Date.now(),
       victory: null,
+      defeat: null,
       achievedWins: { rubiks: false, sudokube: false, ultimate: false, worm: false },
       hasShuffled: false,
-      moveHistory: [],
-    }),
+      scrambleText: null,
+      patternGoal: null,
+      ...withHistory(createHistory()),
+      replay: freshReplay(state),
+    })),
 
     // ========================================================================
-    // UNDO SYSTEM (NEW)
+    // MOVE HISTORY (branching undo/redo, see game/moveHistory.js)
     // ========================================================================
-    moveHistory: [],
+    historyTree: createHistory(),
+    moveHistory: [], // Moves from the start to the current point of historyTree
+    showHistoryPanel: false,
 
     addToHistory: (move) => set((state) => ({
-      moveHistory: [...state.moveHistory, move].slice(-MAX_UNDO_HISTORY)
-    })),
-    popFromHistory: () => set((state) => ({
-      moveHistory: state.moveHistory.slice(0, -1)
+      ...withHistory(recordMove(state.historyTree, move)),
+      replay: recordEvent(state.replay, move, { at: move.timestamp }),
     })),
-    clearHistory: () => set({ moveHistory: [] }),
+    setHistoryCursor: (id) => set((state) => withHistory(moveTo(state.historyTree, id))),
+    clearHistory: () => set((state) => ({ ...withHistory(createHistory()), replay: freshReplay(state) })),
+    setShowHistoryPanel: (showHistoryPanel) => set(typeof showHistoryPanel === 'function'
+      ? (state) => ({ showHistoryPanel: showHistoryPanel(state.showHistoryPanel) })
+      : { showHistoryPanel }),
+
+    // ========================================================================
+    // REPLAYS (session recording and playback, see game/replay.js)
+    // ========================================================================
+    replay: createReplay({ cubies: makeCubies(3), size: 3, seed: getSessionSeed() }),
+    showReplayPanel: false,
+    replayViewing: false, // Cube shows a replay; play input, chaos and decay are paused
+
+    // Record a move that isn't added to the history (undo/redo steps)
+    recordReplayEvent: (move, source) => set((state) => ({ replay: recordEvent(state.replay, move, { source }) })),
+    setShowReplayPanel: (showReplayPanel) => set(typeof showReplayPanel === 'function'
+      ? (state) => ({ showReplayPanel: showReplayPanel(state.showReplayPanel) })
+      : { showReplayPanel }),
+    setReplayViewing: (replayViewing) => set({ replayViewing }),
+
+    // ========================================================================
+    // LEVEL EDITOR (drafts live in useLevelEditor, see levels/packFile.js)
+    // ========================================================================
+    showLevelEditor: false,
+    levelPlaytest: false, // Playing the editor's draft level
+
+    setShowLevelEditor: (showLevelEditor) => set({ showLevelEditor }),
+    setLevelPlaytest: (levelPlaytest) => set({ levelPlaytest }),
 
     // ========================================================================
     // VISUAL MODES
@@ -176,7 +243,7 @@ export const useGameStore = create(
     // ========================================================================
     // ANIMATION STATE
     // ========================================================================
-    animState: null, // { axis, dir, sliceIndex, t, isEcho? }
+    animState: null, // { axis, dir, sliceIndex, t, isEcho?, duration? }
     pendingMove: null,
 
     setAnimState: (animState) => set({ animState }),
@@ -204,6 +271,10 @@ export const useGameStore = create(
     showSettings: false,
     showMainMenu: true,
     showLevelSelect: false,
+    showAchievements: false,
+    showStatsScreen: false,
+    showExperimentScreen: false,
+    showPatternLibrary: false,
     showCutscene: false,
     showLevelTutorial: false,
     showMobileTouchHint: isMobile && !persistedState.mobileHintShown,
@@ -217,6 +288,10 @@ export const useGameStore = create(
     setShowSettings: (showSettings) => set({ showSettings }),
     setShowMainMenu: (showMainMenu) => set({ showMainMenu }),
     setShowLevelSelect: (showLevelSelect) => set({ showLevelSelect }),
+    setShowAchievements: (showAchievements) => set({ showAchievements }),
+    setShowStatsScreen: (showStatsScreen) => set({ showStatsScreen }),
+    setShowExperimentScreen: (showExperimentScreen) => set({ showExperimentScreen }),
+    setShowPatternLibrary: (showPatternLibrary) => set({ showPatternLibrary }),
     setShowCutscene: (showCutscene) => set({ showCutscene }),
     setShowLevelTutorial: (showLevelTutorial) => set({ showLevelTutorial }),
     setShowMobileTouchHint: (showMobileTouchHint) => set({ showMobileTouchHint }),
@@ -229,10 +304,12 @@ export const useGameStore = create(
     currentLevel: null,
     currentLevelData: null,
     completedLevels: [],
+    levelPar: null, // { par, optimal } for the current attempt's start (see levels/par.js)
 
     setCurrentLevel: (currentLevel) => set({ currentLevel }),
     setCurrentLevelData: (currentLevelData) => set({ currentLevelData }),
     setCompletedLevels: (completedLevels) => set({ completedLevels }),
+    setLevelPar: (levelPar) => set({ levelPar }),
     completeCurrentLevel: () => set((state) => {
       if (!state.currentLevel) return {};
       if (state.completedLevels.includes(state.currentLevel)) return {};
@@ -241,6 +318,8 @@ export const useGameStore = create(
     clearLevel: () => set({
       currentLevel: null,
       currentLevelData: null,
+      levelPar: null,
+      defeat: null,
     }),
 
     // ========================================================================
@@ -386,7 +465,7 @@ export const useGameStore = create(
 
     setHasFlippedOnce: (hasFlippedOnce) => {
       try {
-        localStorage.setItem('worm3_first_flip_done', hasFlippedOnce ? '1' : '0');
+        localStorage.setItem(FLAG_STORAGE_KEYS.firstFlipDone, hasFlippedOnce ? '1' : '0');
       } catch {}
       set({ hasFlippedOnce });
     },
@@ -418,17 +497,17 @@ export const useGameStore = create(
     // ========================================================================
     markIntroSeen: () => {
       try {
-        localStorage.setItem('worm3_intro_seen', '1');
+        localStorage.setItem(FLAG_STORAGE_KEYS.introSeen, '1');
       } catch {}
     },
     markTutorialDone: () => {
       try {
-        localStorage.setItem('worm3_tutorial_done', '1');
+        localStorage.setItem(FLAG_STORAGE_KEYS.tutorialDone, '1');
       } catch {}
     },
     markMobileHintShown: () => {
       try {
-        localStorage.setItem('worm3_mobile_hint_shown', '1');
+        localStorage.setItem(FLAG_STORAGE_KEYS.mobileHintShown, '1');
       } catch {}
       set({ showMobileTouchHint: false });
     },
@@ -6,7 +6,7 @@
 
 import { useCallback, useEffect, useRef } from 'react';
 import { useGameStore } from './useGameStore.js';
-import { expandMove, namedMoveToRotation } from '../game/handsInput.js';
+import { expandMove } from '../game/handsInput.js';
 
 /**
  * Hook for Hands Mode management
@@ -41,20 +41,16 @@ export function useHandsMode() {
     const rotations = expandMove(moveName, size);
     if (rotations.length === 0) return;
 
-    // For double moves, queue the second rotation
-    if (rotations.length === 2) {
-      const { axis, dir, sliceIndex } = rotations[0];
-      setAnimState({ axis, dir, sliceIndex, t: 0 });
-      const move = { axis, dir, sliceIndex };
-      setPendingMove(move);
-      pendingMoveRef.current = move;
-      setHandsMoveQueue((prev) => [...prev, moveName.replace('2', '')]); // Queue second half
-    } else {
-      const { axis, dir, sliceIndex } = rotations[0];
-      setAnimState({ axis, dir, sliceIndex, t: 0 });
-      const move = { axis, dir, sliceIndex };
-      setPendingMove(move);
-      pendingMoveRef.current = move;
+    // Animate the first quarter-turn now; double and multi-layer moves
+    // (U2, Rw, x) queue their remaining rotations behind it.
+    const [first, ...rest] = rotations;
+    const { axis, dir, sliceIndex } = first;
+    setAnimState({ axis, dir, sliceIndex, t: 0 });
+    const move = { axis, dir, sliceIndex };
+    setPendingMove(move);
+    pendingMoveRef.current = move;
+    if (rest.length > 0) {
+      setHandsMoveQueue((prev) => [...rest, ...prev]);
     }
 
     // Track the named move for HUD display
@@ -73,10 +69,13 @@ export function useHandsMode() {
   useEffect(() => {
     if (!handsMode || animState || handsMoveQueue.length === 0) return;
     const [nextMove, ...rest] = handsMoveQueue;
-    setHandsMoveQueue(rest);
+    // Queue entries are either named moves typed during an animation or
+    // already-expanded rotations left over from a double/multi-layer move
+    const rotations = typeof nextMove === 'string' ? expandMove(nextMove, size) : [nextMove];
+    setHandsMoveQueue([...rotations.slice(1), ...rest]);
     // Execute via a microtask so state is settled
     const timer = setTimeout(() => {
-      const rot = namedMoveToRotation(nextMove, size);
+      const rot = rotations[0];
       if (rot) {
         setAnimState({ axis: rot.axis, dir: rot.dir, sliceIndex: rot.sliceIndex, t: 0 });
         const move = { axis: rot.axis, dir: rot.dir, sliceIndex: rot.sliceIndex };
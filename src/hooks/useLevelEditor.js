@@ -0,0 +1,157 @@
+/**
+ * useLevelEditor Hook
+ *
+ * Holds the level editor's draft pack and keeps the live cube in step with
+ * the selected level: the cube shows the level's starting state, and the
+ * author rotates and flips it, then captures it as the new start. Playtest
+ * runs the draft through the normal level flow without touching progress.
+ */
+
+import { useState, useMemo, useCallback } from 'react';
+import { useGameStore } from './useGameStore.js';
+import { useLevelSystem } from './useLevelSystem.js';
+import { makeCubies } from '../game/cubeState.js';
+import { clearRefractory } from '../game/refractoryMap.js';
+import { encodeCubeState } from '../engine/stateCodec.js';
+import { validateLevel, validateLevelPack } from '../levels/validation.js';
+import { buildLevelStart, validateLevelStart } from '../levels/startState.js';
+import { createDraftPack, createDraftLevel, renumberLevels } from '../levels/packFile.js';
+
+/**
+ * Hook for the in-app level editor
+ */
+export function useLevelEditor() {
+  const showLevelEditor = useGameStore((state) => state.showLevelEditor);
+  const setShowLevelEditor = useGameStore((state) => state.setShowLevelEditor);
+  const levelPlaytest = useGameStore((state) => state.levelPlaytest);
+  const setLevelPlaytest = useGameStore((state) => state.setLevelPlaytest);
+  const { handlePlayLevelData } = useLevelSystem();
+
+  const [pack, setPack] = useState(createDraftPack);
+  const [selected, setSelected] = useState(0);
+
+  const level = pack.levels[selected];
+  const levelResult = useMemo(() => validateLevel(level), [level]);
+  const packResult = useMemo(() => validateLevelPack(pack), [pack]);
+
+  // Put a level's starting cube (solved if it has none) on the live cube
+  const showStart = useCallback((target) => {
+    const store = useGameStore.getState();
+    const authored = target.start && validateLevelStart(target.start, target.cubeSize).length === 0;
+    if (store.size !== target.cubeSize) store.setSize(target.cubeSize);
+    store.setCubies(authored ? buildLevelStart(target).cubies : makeCubies(target.cubeSize));
+    store.resetGame();
+    store.clearHistory();
+    clearRefractory();
+  }, []);
+
+  const open = useCallback(() => {
+    const store = useGameStore.getState();
+    store.setShowMainMenu(false);
+    store.clearLevel();
+    store.setChaosLevel(0); // Chaos would scramble the start while it's being set up
+    showStart(level);
+    setShowLevelEditor(true);
+  }, [level, showStart, setShowLevelEditor]);
+
+  const close = useCallback(() => {
+    setShowLevelEditor(false);
+    useGameStore.getState().setShowMainMenu(true);
+  }, [setShowLevelEditor]);
+
+  const updatePack = useCallback((patch) => {
+    setPack((p) => ({ ...p, ...patch }));
+  }, []);
+
+  // Changing the cube size drops the start, which was set on the old size
+  const updateLevel = useCallback((patch) => {
+    const resized = patch.cubeSize !== undefined && patch.cubeSize !== level.cubeSize;
+    const next = { ...level, ...patch, ...(resized ? { start: null } : {}) };
+    setPack((p) => ({ ...p, levels: p.levels.map((l, i) => (i === selected ? next : l)) }));
+    if (resized) showStart(next);
+  }, [level, selected, showStart]);
+
+  const selectLevel = useCallback((i) => {
+    setSelected(i);
+    showStart(pack.levels[i]);
+  }, [pack, showStart]);
+
+  const addLevel = useCallback(() => {
+    const added = createDraftLevel(pack.levels);
+    setPack((p) => ({ ...p, levels: [...p.levels, added] }));
+    setSelected(pack.levels.length);
+    showStart(added);
+  }, [pack, showStart]);
+
+  const removeLevel = useCallback(() => {
+    if (pack.levels.length <= 1) return;
+    const levels = renumberLevels(pack.levels.filter((_, i) => i !== selected));
+    const next = Math.min(selected, levels.length - 1);
+    setPack((p) => ({ ...p, levels }));
+    setSelected(next);
+    showStart(levels[next]);
+  }, [pack, selected, showStart]);
+
+  // The live cube becomes the level's starting state
+  const captureStart = useCallback(() => {
+    const { cubies, size } = useGameStore.getState();
+    if (size !== level.cubeSize) return;
+    updateLevel({ start: { state: encodeCubeState(cubies, size) } });
+  }, [level, updateLevel]);
+
+  // Back to a random scramble per attempt
+  const clearStart = useCallback(() => {
+    updateLevel({ start: null });
+    showStart({ ...level, start: null });
+  }, [level, updateLevel, showStart]);
+
+  // Replace the draft with a loaded pack
+  const loadPack = useCallback((next) => {
+    setPack(next);
+    setSelected(0);
+    showStart(next.levels[0]);
+  }, [showStart]);
+
+  const playtest = useCallback(() => {
+    if (!levelResult.valid) return;
+    setShowLevelEditor(false);
+    setLevelPlaytest(true);
+    handlePlayLevelData(level);
+  }, [level, levelResult, setShowLevelEditor, setLevelPlaytest, handlePlayLevelData]);
+
+  const stopPlaytest = useCallback(() => {
+    const store = useGameStore.getState();
+    store.clearLevel();
+    store.setVictory(null);
+    store.setShowLevelTutorial(false);
+    store.setChaosLevel(0);
+    setLevelPlaytest(false);
+    showStart(level);
+    setShowLevelEditor(true);
+  }, [level, setLevelPlaytest, showStart, setShowLevelEditor]);
+
+  return {
+    // State
+    showLevelEditor,
+    levelPlaytest,
+    pack,
+    selected,
+    level,
+    levelResult,
+    packResult,
+
+    // Actions
+    open,
+    close,
+    updatePack,
+    updateLevel,
+    selectLevel,
+    addLevel,
+    removeLevel,
+    captureStart,
+    clearStart,
+    loadPack,
+    playtest,
+    stopPlaytest,
+  };
+}
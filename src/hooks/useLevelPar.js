@@ -0,0 +1,58 @@
+/**
+ * useLevelPar Hook
+ *
+ * Works out par for each level attempt (levels/par.js) in a Web Worker, so
+ * the solver never stalls the page, and stores it as levelPar. Only the
+ * latest attempt's par is kept; the worker is stopped when the game unmounts.
+ */
+
+import { useRef, useCallback, useEffect } from 'react';
+import { useGameStore } from './useGameStore.js';
+import { computeLevelPar } from '../levels/par.js';
+
+/**
+ * Hook for level par
+ * @returns {{ computePar: Function }}
+ *   computePar(start, level) - start from buildLevelStart; a null level just clears par
+ */
+export function useLevelPar() {
+  const setLevelPar = useGameStore((state) => state.setLevelPar);
+  const workerRef = useRef(null);
+  const latestRef = useRef({ id: 0, fallback: null });
+
+  const stop = useCallback(() => {
+    workerRef.current?.terminate();
+    workerRef.current = null;
+  }, []);
+
+  const computePar = useCallback((start, level) => {
+    const id = latestRef.current.id + 1;
+    const maxPar = start?.undoLength ?? null;
+    // Par from the scramble alone, should the worker fail
+    latestRef.current = { id, fallback: maxPar === null ? null : { par: maxPar, optimal: false } };
+    setLevelPar(null);
+    if (!level) return;
+
+    const size = start.cubies.length;
+    if (typeof Worker === 'undefined') {
+      setLevelPar(computeLevelPar(start.cubies, size, level, { maxPar }));
+      return;
+    }
+    if (!workerRef.current) {
+      const worker = new Worker(new URL('../levels/par.worker.js', import.meta.url), { type: 'module' });
+      worker.onmessage = ({ data }) => {
+        if (data.id === latestRef.current.id) setLevelPar(data.levelPar);
+      };
+      worker.onerror = () => {
+        setLevelPar(latestRef.current.fallback);
+        stop();
+      };
+      workerRef.current = worker;
+    }
+    workerRef.current.postMessage({ id, cubies: start.cubies, size, winCondition: level.winCondition, maxPar });
+  }, [setLevelPar, stop]);
+
+  useEffect(() => stop, [stop]);
+
+  return { computePar };
+}
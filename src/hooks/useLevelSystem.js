@@ -6,7 +6,7 @@
 
 import { useCallback } from 'react';
 import { useGameStore } from './useGameStore.js';
-import { getLevel, getNextLevel } from '../levels/index.js';
+import { getLevel, getNextLevel, levelsManager, progressManager } from '../levels/index.js';
 
 /**
  * Hook for level system management
@@ -19,6 +19,7 @@ export function useLevelSystem() {
   const completedLevels = useGameStore((state) => state.completedLevels);
   const completeCurrentLevel = useGameStore((state) => state.completeCurrentLevel);
   const clearLevel = useGameStore((state) => state.clearLevel);
+  const resetGame = useGameStore((state) => state.resetGame);
 
   // UI state
   const setShowMainMenu = useGameStore((state) => state.setShowMainMenu);
@@ -39,31 +40,35 @@ export function useLevelSystem() {
     setShowLevelSelect(true);
   }, [setShowMainMenu, setShowLevelSelect]);
 
+  // Apply a level's cube size, chaos, mode and features
+  const applyLevelSettings = useCallback((levelData) => {
+    setSize(levelData.cubeSize);
+    setChaosLevel(levelData.chaosLevel);
+
+    // Set visual mode based on level mode
+    if (levelData.mode === 'sudokube') {
+      setVisualMode('sudokube');
+    } else if (levelData.mode === 'ultimate') {
+      setVisualMode('grid');
+    } else {
+      setVisualMode('classic');
+    }
+
+    // Enable/disable features based on level
+    setFlipMode(levelData.features.flips);
+    setShowTunnels(levelData.features.tunnels);
+  }, [setSize, setChaosLevel, setVisualMode, setFlipMode, setShowTunnels]);
+
   // Handle level selection
   const handleLevelSelect = useCallback((levelId) => {
     const levelData = getLevel(levelId);
     setCurrentLevel(levelId);
     setCurrentLevelData(levelData);
     setShowLevelSelect(false);
+    resetGame(); // Fresh attempt: the clock and move limits start at the shuffle
 
     // Apply level settings
-    if (levelData) {
-      setSize(levelData.cubeSize);
-      setChaosLevel(levelData.chaosLevel);
-
-      // Set visual mode based on level mode
-      if (levelData.mode === 'sudokube') {
-        setVisualMode('sudokube');
-      } else if (levelData.mode === 'ultimate') {
-        setVisualMode('grid');
-      } else {
-        setVisualMode('classic');
-      }
-
-      // Enable/disable features based on level
-      setFlipMode(levelData.features.flips);
-      setShowTunnels(levelData.features.tunnels);
-    }
+    if (levelData) applyLevelSettings(levelData);
 
     // Level 10 has epic cutscene
     if (levelId === 10 && levelData?.hasCutscene) {
@@ -72,11 +77,28 @@ export function useLevelSystem() {
       setShowLevelTutorial(true);
     }
   }, [
-    setCurrentLevel, setCurrentLevelData, setShowLevelSelect,
-    setSize, setChaosLevel, setVisualMode, setFlipMode, setShowTunnels,
-    setShowCutscene, setShowLevelTutorial
+    setCurrentLevel, setCurrentLevelData, setShowLevelSelect, resetGame,
+    applyLevelSettings, setShowCutscene, setShowLevelTutorial
   ]);
 
+  // Play a level that isn't in the story campaign (an installed pack's level
+  // or a level editor playtest). It has no campaign level number; a pack
+  // level's win is recorded under its packId, a playtest's isn't recorded.
+  const handlePlayLevelData = useCallback((levelData) => {
+    setCurrentLevel(null);
+    setCurrentLevelData(levelData);
+    setShowLevelSelect(false);
+    resetGame();
+    applyLevelSettings(levelData);
+    setShowLevelTutorial(true);
+  }, [setCurrentLevel, setCurrentLevelData, setShowLevelSelect, resetGame, applyLevelSettings, setShowLevelTutorial]);
+
+  // Handle selecting a level from an installed pack
+  const handlePackLevelSelect = useCallback((packId, levelId) => {
+    const levelData = levelsManager.getLevelFromPack(packId, levelId);
+    if (levelData && progressManager.isLevelUnlocked(levelId, packId)) handlePlayLevelData(levelData);
+  }, [handlePlayLevelData]);
+
   // Handle cutscene completion
   const handleCutsceneComplete = useCallback(() => {
     setShowCutscene(false);
@@ -94,6 +116,13 @@ export function useLevelSystem() {
     setShowMainMenu(true);
   }, [setShowLevelSelect, setShowMainMenu]);
 
+  // Give up the current attempt (e.g. after a defeat) and pick another level.
+  // Clearing the level stops its limits from failing the attempt again.
+  const handleLeaveLevel = useCallback(() => {
+    clearLevel();
+    setShowLevelSelect(true);
+  }, [clearLevel, setShowLevelSelect]);
+
   // Handle next level
   const handleNextLevel = useCallback(() => {
     completeCurrentLevel();
@@ -133,9 +162,12 @@ export function useLevelSystem() {
     // Actions
     handleShowLevelSelect,
     handleLevelSelect,
+    handlePlayLevelData,
+    handlePackLevelSelect,
     handleCutsceneComplete,
     handleTutorialClose,
     handleBackToMainMenu,
+    handleLeaveLevel,
     handleNextLevel,
     exitToFreeplay,
     completeCurrentLevel,
@@ -0,0 +1,46 @@
+/**
+ * usePackLibrary Hook
+ *
+ * Installed community level packs: restores them from storage on startup,
+ * installs pack files picked or dropped by the player, and keeps the result
+ * of the last load so the UI can show its errors and warnings.
+ */
+
+import { useState, useCallback } from 'react';
+import { levelsManager } from '../levels/LevelsManager.js';
+import { installPackFile, restoreInstalledPacks, removeInstalledPack } from '../levels/packStorage.js';
+
+/**
+ * Hook for installed level packs
+ */
+export function usePackLibrary() {
+  const [packs, setPacks] = useState(() => restoreInstalledPacks());
+  const [report, setReport] = useState(null); // { fileName, result } of the last load
+
+  // Install a pack file; resolves to the parse result
+  const loadPackFile = useCallback(async (file) => {
+    const result = installPackFile(await file.text());
+    setReport({ fileName: file.name, result });
+    if (result.ok) setPacks(levelsManager.getAllPacks());
+    return result;
+  }, []);
+
+  const removePack = useCallback((packId) => {
+    removeInstalledPack(packId);
+    setPacks(levelsManager.getAllPacks());
+  }, []);
+
+  // Pick up packs installed elsewhere (e.g. from a save file)
+  const refresh = useCallback(() => setPacks(levelsManager.getAllPacks()), []);
+
+  const dismissReport = useCallback(() => setReport(null), []);
+
+  return {
+    packs,
+    report,
+    loadPackFile,
+    removePack,
+    refresh,
+    dismissReport,
+  };
+}
@@ -14,6 +14,7 @@ import { useGameStore } from './useGameStore.js';
 import { buildManifoldGridMap, flipStickerPair, findAntipodalStickerByGrid, getManifoldNeighbors } from '../game/manifoldLogic.js';
 import { isOnEdge } from '../game/cubeUtils.js';
 import { isInRefractory, markFlipped } from '../game/refractoryMap.js';
+import { rngFor } from '../game/seededRandom.js';
 
 // Tuning constants
 const TICK_MS = 2500;            // check interval
@@ -29,6 +30,7 @@ export function useParityDecay() {
   const showMainMenu = useGameStore((s) => s.showMainMenu);
   const showWelcome = useGameStore((s) => s.showWelcome);
   const chaosLevel = useGameStore((s) => s.chaosLevel);
+  const replayViewing = useGameStore((s) => s.replayViewing);
 
   const cubiesRef = useRef(cubies);
   cubiesRef.current = cubies;
@@ -37,7 +39,8 @@ export function useParityDecay() {
     // Don't run during menus/welcome/animations, or while chaos mode is active.
     // Chaos already drives sticker propagation at a much higher rate; running
     // parity decay on top adds a competing RAF loop and periodic clone3D spikes.
-    if (showMainMenu || showWelcome || chaosLevel > 0) return;
+    // Also paused while a replay is on the cube.
+    if (showMainMenu || showWelcome || chaosLevel > 0 || replayViewing) return;
 
     let raf = 0;
     let last = performance.now();
@@ -45,6 +48,7 @@ export function useParityDecay() {
     let cooldownAcc = 0;
     let inCooldown = false;
 
+    // Returns { next, flips } for a spontaneous event, or null
     const tick = () => {
       const state = cubiesRef.current;
       if (!state) return null;
@@ -56,6 +60,7 @@ export function useParityDecay() {
         for (let y = 0; y < S; y++)
           for (let z = 0; z < S; z++) {
             const c = state[x][y][z];
+            if (!c) continue;
             for (const dirKey of Object.keys(c.stickers)) {
               const st = c.stickers[dirKey];
               if (st.flips > 0 && isOnEdge(x, y, z, dirKey, S)) {
@@ -66,6 +71,7 @@ export function useParityDecay() {
 
       if (!candidates.length) return null;
 
+      const rng = rngFor('decay');
       // Each candidate independently rolls for a spontaneous flip
       // Higher flip count = higher probability
       for (const tile of candidates) {
@@ -73,7 +79,7 @@ export function useParityDecay() {
         if (isInRefractory(tile.x, tile.y, tile.z, tile.dirKey)) continue;
 
         const chance = Math.min(tile.flips * BASE_CHANCE, MAX_CHANCE);
-        if (Math.random() >= chance) continue;
+        if (rng() >= chance) continue;
 
         // This tile spontaneously flips!
         const manifoldMap = buildManifoldGridMap(state, S);
@@ -89,6 +95,7 @@ export function useParityDecay() {
         }
 
         let next = flipStickerPair(state, S, tile.x, tile.y, tile.z, tile.dirKey, manifoldMap);
+        const flips = [tile];
 
         // Propagation: check neighbors
         const neighbors = getManifoldNeighbors(tile.x, tile.y, tile.z, tile.dirKey, S);
@@ -102,7 +109,7 @@ export function useParityDecay() {
 
           // Propagation chance scales with source flip count
           const propChance = Math.min(tile.flips * PROPAGATE_CHANCE, MAX_PROPAGATE);
-          if (Math.random() < propChance) {
+          if (rng() < propChance) {
             const freshMap = buildManifoldGridMap(next, S);
             markFlipped(nb.x, nb.y, nb.z, nb.dirKey);
             const nbSticker = next[nb.x]?.[nb.y]?.[nb.z]?.stickers?.[nb.dirKey];
@@ -113,10 +120,11 @@ export function useParityDecay() {
               }
             }
             next = flipStickerPair(next, S, nb.x, nb.y, nb.z, nb.dirKey, freshMap);
+            flips.push(nb);
           }
         }
 
-        return next; // Only one spontaneous event per tick
+        return { next, flips }; // Only one spontaneous event per tick
       }
 
       return null;
@@ -140,7 +148,12 @@ export function useParityDecay() {
           if (!useGameStore.getState().animState) {
             const result = tick();
             if (result) {
-              setCubies(result);
+              setCubies(result.next);
+              // Record the flips so undo can reverse them
+              const { addToHistory } = useGameStore.getState();
+              for (const { x, y, z, dirKey } of result.flips) {
+                addToHistory({ type: 'flip', pos: { x, y, z }, dirKey, source: 'decay', timestamp: Date.now() });
+              }
               inCooldown = true;
               cooldownAcc = 0;
             }
@@ -153,5 +166,5 @@ export function useParityDecay() {
 
     raf = requestAnimationFrame(loop);
     return () => cancelAnimationFrame(raf);
-  }, [showMainMenu, showWelcome, chaosLevel, setCubies]);
+  }, [showMainMenu, showWelcome, chaosLevel, replayViewing, setCubies]);
 }
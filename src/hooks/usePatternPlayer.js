@@ -0,0 +1,75 @@
+/**
+ * usePatternPlayer Hook
+ *
+ * Builds a pattern on the cube from solved, one move at a time. Turns go
+ * through the normal animState/useAnimation pipeline (flagged fromPattern so
+ * nothing is recorded); flips are applied directly, with a short pause.
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { useGameStore } from './useGameStore.js';
+import { makeCubies } from '../game/cubeState.js';
+import { patternMoves, applyPatternMove, patternText } from '../game/patterns.js';
+
+// Pause before each move
+const STEP_DELAY_MS = 120;
+
+/**
+ * Hook for pattern demos
+ */
+export function usePatternPlayer() {
+  const size = useGameStore((state) => state.size);
+  const setCubies = useGameStore((state) => state.setCubies);
+  const setAnimState = useGameStore((state) => state.setAnimState);
+  const setPendingMove = useGameStore((state) => state.setPendingMove);
+  const animState = useGameStore((state) => state.animState);
+
+  const [demo, setDemo] = useState(null); // { pattern, moves, index }
+
+  // Reset to solved and start building `pattern`. Returns false if a move
+  // is still animating.
+  const play = useCallback((pattern) => {
+    const store = useGameStore.getState();
+    if (store.animState || store.replayViewing) return false;
+    store.clearLevel();
+    setCubies(makeCubies(store.size));
+    store.resetGame();
+    store.setScrambleText(patternText(pattern) || null);
+    setDemo({ pattern, moves: patternMoves(pattern, store.size), index: 0 });
+    return true;
+  }, [setCubies]);
+
+  const stop = useCallback(() => setDemo(null), []);
+
+  // One move at a time, each after the last one's animation
+  useEffect(() => {
+    if (!demo || animState) return;
+    if (demo.index >= demo.moves.length) {
+      setDemo(null);
+      return;
+    }
+    const timer = setTimeout(() => {
+      const move = demo.moves[demo.index];
+      if (move.type === 'rotation') {
+        const { axis, dir, sliceIndex } = move;
+        setAnimState({ axis, dir, sliceIndex, t: 0 });
+        setPendingMove({ axis, dir, sliceIndex, fromPattern: true });
+      } else {
+        setCubies((prev) => applyPatternMove(prev, size, move));
+      }
+      setDemo((d) => d && { ...d, index: d.index + 1 });
+    }, STEP_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [demo, animState, size, setAnimState, setPendingMove, setCubies]);
+
+  return {
+    // State
+    pattern: demo?.pattern ?? null,
+    index: demo?.index ?? 0,
+    total: demo?.moves.length ?? 0,
+
+    // Actions
+    play,
+    stop,
+  };
+}
@@ -0,0 +1,77 @@
+/**
+ * useRegimeExperiment Hook
+ *
+ * Runs the scramble-depth regime experiment (game/regimeExperiment.js) in a
+ * Web Worker, so thousands of walks don't freeze the page, and downloads the
+ * finished run as CSV or JSON. One run at a time: starting again or leaving
+ * the screen stops the one in progress.
+ */
+
+import { useState, useRef, useCallback, useEffect } from 'react';
+import { experimentToCsv, experimentToJson, experimentFileName } from '../game/regimeExperiment.js';
+import { downloadText } from '../utils/download.js';
+
+/**
+ * Hook for running and exporting the regime experiment
+ * @returns {{ status: 'idle'|'running'|'done'|'error', progress: number, experiment, error, run, cancel, exportCsv, exportJson }}
+ *   progress - share of walks finished, 0–1
+ */
+export function useRegimeExperiment() {
+  const [status, setStatus] = useState('idle');
+  const [progress, setProgress] = useState(0);
+  const [experiment, setExperiment] = useState(null);
+  const [error, setError] = useState(null);
+  const workerRef = useRef(null);
+
+  const stop = useCallback(() => {
+    workerRef.current?.terminate();
+    workerRef.current = null;
+  }, []);
+
+  const run = useCallback((config) => {
+    stop();
+    const worker = new Worker(new URL('../game/regimeExperiment.worker.js', import.meta.url), { type: 'module' });
+    workerRef.current = worker;
+    setStatus('running');
+    setProgress(0);
+    setError(null);
+
+    worker.onmessage = ({ data }) => {
+      if (data.type === 'progress') {
+        setProgress(data.done / data.total);
+        return;
+      }
+      if (data.type === 'result') {
+        setExperiment(data.experiment);
+        setStatus('done');
+      } else {
+        setError(data.message);
+        setStatus('error');
+      }
+      stop();
+    };
+    worker.onerror = (event) => {
+      setError(event.message || 'The experiment worker failed');
+      setStatus('error');
+      stop();
+    };
+    worker.postMessage({ config });
+  }, [stop]);
+
+  const cancel = useCallback(() => {
+    stop();
+    setStatus(experiment ? 'done' : 'idle');
+  }, [stop, experiment]);
+
+  useEffect(() => stop, [stop]);
+
+  const exportCsv = useCallback(() => {
+    if (experiment) downloadText(experimentToCsv(experiment), experimentFileName(experiment, 'csv'), 'text/csv');
+  }, [experiment]);
+
+  const exportJson = useCallback(() => {
+    if (experiment) downloadText(experimentToJson(experiment), experimentFileName(experiment, 'json'));
+  }, [experiment]);
+
+  return { status, progress, experiment, error, run, cancel, exportCsv, exportJson };
+}
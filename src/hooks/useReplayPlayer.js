@@ -0,0 +1,142 @@
+/**
+ * useReplayPlayer Hook
+ *
+ * Plays a recorded session back on the cube. Rotations go through the
+ * normal animState/useAnimation pipeline (flagged fromReplay so nothing is
+ * recorded); flips are applied directly. The live cube is put back when the
+ * viewer closes.
+ */
+
+import { useState, useRef, useEffect, useCallback } from 'react';
+import { useGameStore } from './useGameStore.js';
+import { applyMove } from '../engine/CubeEngine.js';
+import { buildCheckpoints, stateAt } from '../game/replay.js';
+
+export const REPLAY_SPEEDS = [0.5, 1, 2, 4, 8];
+
+// Normal turn animation length in seconds (see CubeAssembly)
+const TURN_SECONDS = 0.35;
+
+// Long pauses (thinking, menus) are shortened to this before scaling by speed
+const MAX_GAP_MS = 1500;
+
+/**
+ * Hook for replay playback
+ */
+export function useReplayPlayer() {
+  const setCubies = useGameStore((state) => state.setCubies);
+  const setSize = useGameStore((state) => state.setSize);
+  const setAnimState = useGameStore((state) => state.setAnimState);
+  const setPendingMove = useGameStore((state) => state.setPendingMove);
+  const clearAnimation = useGameStore((state) => state.clearAnimation);
+  const setReplayViewing = useGameStore((state) => state.setReplayViewing);
+  const animState = useGameStore((state) => state.animState);
+
+  const [replay, setReplay] = useState(null);
+  const [index, setIndex] = useState(0); // Events shown so far
+  const [playing, setPlaying] = useState(false);
+  const [speed, setSpeed] = useState(1);
+
+  const checkpointsRef = useRef(null);
+  const liveRef = useRef(null); // { size, cubies } to restore on close
+
+  // Show event `i` (the move after the first i events)
+  const playEvent = useCallback((i) => {
+    const { move } = replay.events[i];
+    if (move.type === 'rotation') {
+      const { axis, dir, sliceIndex } = move;
+      setAnimState({ axis, dir, sliceIndex, t: 0, duration: TURN_SECONDS / Math.max(1, speed) });
+      setPendingMove({ axis, dir, sliceIndex, fromReplay: true });
+    } else {
+      setCubies((prev) => applyMove(prev, replay.size, move));
+    }
+    setIndex(i + 1);
+  }, [replay, speed, setAnimState, setPendingMove, setCubies]);
+
+  // Jump straight to the state after `i` events
+  const seek = useCallback((i) => {
+    if (!replay) return;
+    const target = Math.max(0, Math.min(replay.events.length, i));
+    clearAnimation();
+    setCubies(stateAt(replay, target, checkpointsRef.current));
+    setIndex(target);
+  }, [replay, clearAnimation, setCubies]);
+
+  // Put a replay on the cube, paused at the start. Returns false if a live
+  // move is still animating.
+  const open = useCallback((next) => {
+    const store = useGameStore.getState();
+    if (!liveRef.current) {
+      if (store.animState) return false;
+      liveRef.current = { size: store.size, cubies: store.cubies };
+    }
+    checkpointsRef.current = buildCheckpoints(next);
+    clearAnimation();
+    if (next.size !== store.size) setSize(next.size);
+    setCubies(checkpointsRef.current[0]);
+    setReplay(next);
+    setIndex(0);
+    setPlaying(false);
+    setReplayViewing(true);
+    return true;
+  }, [clearAnimation, setSize, setCubies, setReplayViewing]);
+
+  // Back to the live game
+  const close = useCallback(() => {
+    setPlaying(false);
+    clearAnimation();
+    const live = liveRef.current;
+    if (live) {
+      if (live.size !== useGameStore.getState().size) setSize(live.size);
+      setCubies(live.cubies);
+    }
+    liveRef.current = null;
+    checkpointsRef.current = null;
+    setReplay(null);
+    setIndex(0);
+    setReplayViewing(false);
+  }, [clearAnimation, setSize, setCubies, setReplayViewing]);
+
+  const step = useCallback((delta) => {
+    if (!replay || animState) return;
+    setPlaying(false);
+    if (delta > 0 && index < replay.events.length) playEvent(index);
+    else if (delta < 0) seek(index - 1);
+  }, [replay, animState, index, playEvent, seek]);
+
+  const togglePlay = useCallback(() => {
+    if (!replay) return;
+    if (!playing && index >= replay.events.length) seek(0); // Play again from the start
+    setPlaying((p) => !p);
+  }, [replay, playing, index, seek]);
+
+  // Playback loop: wait out the recorded gap before each move, then wait for
+  // its animation to finish
+  useEffect(() => {
+    if (!replay || !playing || animState) return;
+    if (index >= replay.events.length) {
+      setPlaying(false);
+      return;
+    }
+    const prevT = index > 0 ? replay.events[index - 1].t : 0;
+    const gap = Math.min(replay.events[index].t - prevT, MAX_GAP_MS) / speed;
+    const timer = setTimeout(() => playEvent(index), gap);
+    return () => clearTimeout(timer);
+  }, [replay, playing, animState, index, speed, playEvent]);
+
+  return {
+    // State
+    replay,
+    index,
+    playing,
+    speed,
+
+    // Actions
+    open,
+    close,
+    seek,
+    step,
+    togglePlay,
+    setSpeed,
+  };
+}
@@ -0,0 +1,71 @@
+/**
+ * useSaveBackup Hook
+ *
+ * Exports everything the game keeps in the browser as one save file, and
+ * merges a save file back in (see levels/saveFile.js): progress through
+ * ProgressManager, settings and one-time flags through the store, and
+ * installed packs through packStorage. A file that doesn't pass its checks
+ * changes nothing.
+ */
+
+import { useCallback } from 'react';
+import { useGameStore, FLAG_STORAGE_KEYS } from './useGameStore.js';
+import { progressManager } from '../levels/ProgressManager.js';
+import { getInstalledPackFiles, installPackFiles } from '../levels/packStorage.js';
+import { exportSaveFile, parseSaveFile, saveFileName, SAVE_FLAGS } from '../levels/saveFile.js';
+import { downloadText } from '../utils/download.js';
+
+// One-time flags as stored now
+const readFlags = () => Object.fromEntries(SAVE_FLAGS.map(flag => {
+  try {
+    return [flag, localStorage.getItem(FLAG_STORAGE_KEYS[flag]) === '1'];
+  } catch {
+    return [flag, false];
+  }
+}));
+
+/**
+ * Hook for save file export and import
+ */
+export function useSaveBackup() {
+  // Download the save file
+  const exportSave = useCallback(() => {
+    const text = exportSaveFile({
+      progress: progressManager.exportProgress(),
+      settings: useGameStore.getState().settings,
+      flags: readFlags(),
+      packs: getInstalledPackFiles(),
+    });
+    downloadText(text, saveFileName());
+  }, []);
+
+  // Merge a save file in; resolves to the parse error, or what was added
+  const importSave = useCallback(async (file) => {
+    const parsed = parseSaveFile(await file.text());
+    if (!parsed.ok) return parsed;
+    const { progress, settings, flags, packs } = parsed.save;
+
+    // Packs first, so progress on their levels has levels to belong to
+    const packResult = installPackFiles(packs);
+    const added = progressManager.importProgress(progress);
+
+    const store = useGameStore.getState();
+    // A save may set tile styles for only some faces
+    store.setSettings((current) => ({
+      ...current,
+      ...settings,
+      manifoldStyles: { ...current.manifoldStyles, ...settings.manifoldStyles },
+    }));
+    if (flags.introSeen) store.markIntroSeen();
+    if (flags.tutorialDone) store.markTutorialDone();
+    if (flags.firstFlipDone) store.setHasFlippedOnce(true);
+    if (flags.mobileHintShown) store.markMobileHintShown();
+
+    return { ok: true, exportedAt: parsed.exportedAt, added, packs: packResult };
+  }, []);
+
+  return {
+    exportSave,
+    importSave,
+  };
+}
@@ -1,67 +1,81 @@
 /**
  * useUndo Hook
  *
- * Manages undo functionality for moves.
+ * Undo, redo and jump-to-point over the branching move history.
  */
 
-import { useCallback, useRef } from 'react';
+import { useCallback } from 'react';
 import { useGameStore } from './useGameStore.js';
-import { buildManifoldGridMap, flipStickerPair } from '../game/manifoldLogic.js';
+import { applyMove, invertMove } from '../engine/CubeEngine.js';
+import { undoTarget, redoTarget, pathBetween, isPlayerMove } from '../game/moveHistory.js';
 
 /**
- * Hook for undo functionality
+ * Hook for undo/redo functionality
  */
 export function useUndo() {
-  const cubies = useGameStore((state) => state.cubies);
   const setCubies = useGameStore((state) => state.setCubies);
   const setMoves = useGameStore((state) => state.setMoves);
   const animState = useGameStore((state) => state.animState);
   const setAnimState = useGameStore((state) => state.setAnimState);
   const setPendingMove = useGameStore((state) => state.setPendingMove);
   const moveHistory = useGameStore((state) => state.moveHistory);
-  const popFromHistory = useGameStore((state) => state.popFromHistory);
+  const historyTree = useGameStore((state) => state.historyTree);
+  const setHistoryCursor = useGameStore((state) => state.setHistoryCursor);
+  const recordReplayEvent = useGameStore((state) => state.recordReplayEvent);
+  const countUndo = useGameStore((state) => state.countUndo);
 
-  const cubiesRef = useRef(cubies);
-  cubiesRef.current = cubies;
-  const pendingMoveRef = useRef(null);
+  // Walk the cube from the current history point to node `target`
+  const travelTo = useCallback((target) => {
+    if (target === null || animState) return; // Don't move through history during animation
+    if (useGameStore.getState().replayViewing) return;
+    const tree = useGameStore.getState().historyTree;
+    if (target === tree.current) return;
 
-  // Undo last move (rotation or flip)
-  const undo = useCallback(() => {
-    if (moveHistory.length === 0) return;
-    if (animState) return; // Don't allow undo during animation
-
-    const lastMove = moveHistory[moveHistory.length - 1];
+    const steps = pathBetween(tree, tree.current, target)
+      .map(({ move, forward }) => ({ move: forward ? move : invertMove(move), forward, counted: isPlayerMove(move) }));
 
-    if (lastMove.type === 'rotation') {
-      // Apply inverse rotation (negate direction)
-      const { axis, dir, sliceIndex } = lastMove;
-      setAnimState({ axis, dir: -dir, sliceIndex, t: 0 });
-      const move = { axis, dir: -dir, sliceIndex };
-      setPendingMove(move);
-      pendingMoveRef.current = move;
-    } else if (lastMove.type === 'flip') {
-      // Flip is its own inverse - just flip again
-      const { pos, dirKey } = lastMove;
-      setCubies((prev) => {
-        const freshManifoldMap = buildManifoldGridMap(prev, prev.length);
-        return flipStickerPair(prev, prev.length, pos.x, pos.y, pos.z, dirKey, freshManifoldMap);
-      });
+    const only = steps.length === 1 ? steps[0].move : null;
+    if (only?.type === 'rotation') {
+      // Animate a single rotation; useAnimation applies it on completion
+      // without recording it again
+      const { axis, dir, sliceIndex } = only;
+      setAnimState({ axis, dir, sliceIndex, t: 0 });
+      setPendingMove({ axis, dir, sliceIndex, fromHistory: true });
+    } else {
+      setCubies((prev) => steps.reduce((state, { move }) => applyMove(state, state.length, move), prev));
     }
 
-    // Remove from history and decrement move counter
-    popFromHistory();
-    setMoves((m) => Math.max(0, m - 1));
-  }, [moveHistory, animState, setCubies, setMoves, setAnimState, setPendingMove, popFromHistory]);
+    // Only the player's own moves count towards the move counter
+    const delta = steps.reduce((sum, s) => sum + (s.counted ? (s.forward ? 1 : -1) : 0), 0);
+    if (delta) setMoves((m) => Math.max(0, m + delta));
+    setHistoryCursor(target);
+    steps.forEach(({ move, forward }) => recordReplayEvent(move, forward ? 'redo' : 'undo'));
+    if (steps.some(s => !s.forward)) countUndo();
+  }, [animState, setCubies, setMoves, setAnimState, setPendingMove, setHistoryCursor, recordReplayEvent, countUndo]);
+
+  // Undo the last player move (and any echo/chaos moves that followed it)
+  const undo = useCallback(() => {
+    travelTo(undoTarget(useGameStore.getState().historyTree));
+  }, [travelTo]);
+
+  // Redo along the branch that was last visited
+  const redo = useCallback(() => {
+    travelTo(redoTarget(useGameStore.getState().historyTree));
+  }, [travelTo]);
 
-  // Check if undo is available
   const canUndo = moveHistory.length > 0 && !animState;
+  const canRedo = redoTarget(historyTree) !== null && !animState;
 
   return {
     // State
     moveHistory,
+    historyTree,
     canUndo,
+    canRedo,
 
     // Actions
     undo,
+    redo,
+    jumpTo: travelTo,
   };
 }
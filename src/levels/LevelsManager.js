@@ -7,6 +7,12 @@
 
 import { STORY_LEVELS } from './data/index.js';
 import { FEATURE_NAMES, GAME_MODES } from './schema.js';
+import storyCampaign from './packs/story-campaign.js';
+
+/**
+ * Pack ID of the built-in story campaign
+ */
+export const STORY_PACK_ID = storyCampaign.id;
 
 /**
  * Levels Manager - Central API for level management
@@ -23,7 +29,7 @@ class LevelsManager {
     this.levelRegistry = new Map();
 
     // Register story campaign levels
-    this._registerLevels(this.storyCampaign, 'story');
+    this._registerLevels(this.storyCampaign, STORY_PACK_ID);
   }
 
   // ============================================================================
@@ -298,6 +304,15 @@ class LevelsManager {
     return this.customPacks.get(packId) || null;
   }
 
+  /**
+   * Get any pack by ID, including the built-in story campaign
+   * @param {string} packId - Pack ID
+   * @returns {LevelPack|null}
+   */
+  findPack(packId) {
+    return packId === STORY_PACK_ID ? storyCampaign : this.getPack(packId);
+  }
+
   /**
    * Get levels from a specific pack
    * @param {string} packId - Pack ID
@@ -2,19 +2,43 @@
  * WORM-3 Progress Manager
  *
  * Handles all progress-related operations: save/load, completion tracking,
- * star ratings, achievements, and unlock logic.
+ * star ratings, per-attempt logs, achievements, daily challenge results, and
+ * unlock logic.
+ *
+ * Progress is kept per pack. Story campaign levels are stored under their
+ * bare numeric IDs (as saves always have been); levels from other packs are
+ * stored as "packId:levelId", so pack levels never collide with each other
+ * or with the story campaign. Methods that take a level ID also take an
+ * optional pack ID, defaulting to the story campaign.
  */
 
-import { levelsManager } from './LevelsManager.js';
+import { levelsManager, STORY_PACK_ID } from './LevelsManager.js';
+import { ACHIEVEMENT_EVENTS, applyAchievementEvent, achievementStatus, getAchievement } from './achievements.js';
+import { parStars } from './par.js';
+import { dailyKey, dailyStreak } from './daily.js';
+import { mergeProgress } from './saveFile.js';
+import { MAX_ATTEMPTS_PER_LEVEL } from './attemptStats.js';
 
 // Storage keys
 const STORAGE_KEYS = {
   COMPLETED_LEVELS: 'worm3_completed_levels',
   LEVEL_STATS: 'worm3_level_stats',
+  ATTEMPTS: 'worm3_level_attempts',
   ACHIEVEMENTS: 'worm3_achievements',
+  ACHIEVEMENT_PROGRESS: 'worm3_achievement_progress',
+  DAILY: 'worm3_daily',
   SETTINGS: 'worm3_progress_settings',
 };
 
+/**
+ * Storage key for a level's progress
+ * @param {number} levelId
+ * @param {string} [packId=STORY_PACK_ID]
+ * @returns {number|string}
+ */
+export const progressKey = (levelId, packId = STORY_PACK_ID) =>
+  (packId === STORY_PACK_ID ? levelId : `${packId}:${levelId}`);
+
 /**
  * @typedef {Object} LevelStats
  * @property {number} bestTime - Best completion time in seconds
@@ -37,7 +61,10 @@ class ProgressManager {
     // In-memory cache
     this._completedLevels = null;
     this._levelStats = null;
+    this._attempts = null;
     this._achievements = null;
+    this._achievementProgress = null;
+    this._dailyHistory = null;
 
     // Event listeners
     this._listeners = new Map();
@@ -49,7 +76,7 @@ class ProgressManager {
 
   /**
    * Load completed levels from storage
-   * @returns {number[]} Array of completed level IDs
+   * @returns {Array<number|string>} Progress keys of completed levels (see progressKey)
    */
   loadProgress() {
     if (this._completedLevels !== null) {
@@ -85,6 +112,25 @@ class ProgressManager {
     return { ...this._levelStats };
   }
 
+  /**
+   * Load every level's attempt log
+   * @returns {Object.<string, Attempt[]>} Attempts by progress key, oldest first
+   */
+  loadAttempts() {
+    if (this._attempts !== null) {
+      return { ...this._attempts };
+    }
+
+    try {
+      const saved = localStorage.getItem(STORAGE_KEYS.ATTEMPTS);
+      this._attempts = saved ? JSON.parse(saved) : {};
+    } catch {
+      this._attempts = {};
+    }
+
+    return { ...this._attempts };
+  }
+
   /**
    * Load achievements
    * @returns {string[]}
@@ -104,13 +150,51 @@ class ProgressManager {
     return [...this._achievements];
   }
 
+  /**
+   * Load incremental achievement counters
+   * @returns {Object.<string, number>}
+   */
+  loadAchievementProgress() {
+    if (this._achievementProgress !== null) {
+      return { ...this._achievementProgress };
+    }
+
+    try {
+      const saved = localStorage.getItem(STORAGE_KEYS.ACHIEVEMENT_PROGRESS);
+      this._achievementProgress = saved ? JSON.parse(saved) : {};
+    } catch {
+      this._achievementProgress = {};
+    }
+
+    return { ...this._achievementProgress };
+  }
+
+  /**
+   * Load daily challenge results
+   * @returns {Object.<string, DailyResult>} First result of each day, by "YYYY-MM-DD"
+   */
+  loadDailyHistory() {
+    if (this._dailyHistory !== null) {
+      return { ...this._dailyHistory };
+    }
+
+    try {
+      const saved = localStorage.getItem(STORAGE_KEYS.DAILY);
+      this._dailyHistory = saved ? JSON.parse(saved) : {};
+    } catch {
+      this._dailyHistory = {};
+    }
+
+    return { ...this._dailyHistory };
+  }
+
   // ============================================================================
   // PROGRESS SAVING
   // ============================================================================
 
   /**
    * Save completed levels to storage
-   * @param {number[]} completedLevels
+   * @param {Array<number|string>} completedLevels - Progress keys
    */
   saveProgress(completedLevels) {
     this._completedLevels = [...completedLevels];
@@ -145,6 +229,22 @@ class ProgressManager {
     }
   }
 
+  /**
+   * Save attempt logs to storage
+   * @param {Object.<string, Attempt[]>} attempts
+   */
+  saveAttempts(attempts) {
+    this._attempts = { ...attempts };
+
+    if (this.autoSave) {
+      try {
+        localStorage.setItem(STORAGE_KEYS.ATTEMPTS, JSON.stringify(attempts));
+      } catch {
+        // Ignore storage errors
+      }
+    }
+  }
+
   /**
    * Save achievements to storage
    * @param {string[]} achievements
@@ -163,6 +263,38 @@ class ProgressManager {
     this._emit('achievements-updated', { achievements });
   }
 
+  /**
+   * Save incremental achievement counters to storage
+   * @param {Object.<string, number>} counters
+   */
+  saveAchievementProgress(counters) {
+    this._achievementProgress = { ...counters };
+
+    if (this.autoSave) {
+      try {
+        localStorage.setItem(STORAGE_KEYS.ACHIEVEMENT_PROGRESS, JSON.stringify(counters));
+      } catch {
+        // Ignore storage errors
+      }
+    }
+  }
+
+  /**
+   * Save daily challenge results to storage
+   * @param {Object.<string, DailyResult>} history
+   */
+  saveDailyHistory(history) {
+    this._dailyHistory = { ...history };
+
+    if (this.autoSave) {
+      try {
+        localStorage.setItem(STORAGE_KEYS.DAILY, JSON.stringify(history));
+      } catch {
+        // Ignore storage errors
+      }
+    }
+  }
+
   // ============================================================================
   // LEVEL COMPLETION
   // ============================================================================
@@ -170,28 +302,31 @@ class ProgressManager {
   /**
    * Mark a level as completed
    * @param {number} levelId - Level ID
-   * @param {Object} stats - Completion stats (time, moves, etc.)
+   * @param {Object} stats - Completion stats (time, moves, and par when the run has one)
+   * @param {string} [packId=STORY_PACK_ID] - Pack the level belongs to
    * @returns {Object} Result with new unlocks and achievements
    */
-  completeLevel(levelId, stats = {}) {
+  completeLevel(levelId, stats = {}, packId = STORY_PACK_ID) {
+    const key = progressKey(levelId, packId);
     const completed = this.loadProgress();
     const levelStats = this.loadLevelStats();
-    const isFirstCompletion = !completed.includes(levelId);
+    const isFirstCompletion = !completed.includes(key);
+    const lockedBefore = isFirstCompletion ? this._lockedLevels(packId) : [];
 
     // Add to completed if not already
     if (isFirstCompletion) {
-      completed.push(levelId);
+      completed.push(key);
       this.saveProgress(completed);
     }
 
     // Update level stats
-    const existingStats = levelStats[levelId] || {};
+    const existingStats = levelStats[key] || {};
     const now = new Date().toISOString();
 
-    levelStats[levelId] = {
+    levelStats[key] = {
       bestTime: Math.min(existingStats.bestTime ?? Infinity, stats.time ?? Infinity),
       bestMoves: Math.min(existingStats.bestMoves ?? Infinity, stats.moves ?? Infinity),
-      stars: Math.max(existingStats.stars ?? 0, this._calculateStars(levelId, stats)),
+      stars: Math.max(existingStats.stars ?? 0, this._calculateStars(levelId, stats, packId)),
       completionCount: (existingStats.completionCount ?? 0) + 1,
       firstCompleted: existingStats.firstCompleted ?? now,
       lastCompleted: now,
@@ -199,21 +334,17 @@ class ProgressManager {
 
     this.saveLevelStats(levelStats);
 
-    // Check for new unlocks
-    const nextLevel = levelsManager.getNextLevel(levelId);
-    const newUnlocks = [];
-
-    if (nextLevel && isFirstCompletion) {
-      newUnlocks.push(nextLevel);
-    }
-
     // Check for new achievements
-    const newAchievements = this._checkAchievements(levelId, stats, isFirstCompletion);
+    const newAchievements = this._checkAchievements(levelId, stats, packId);
+
+    // Levels in the pack that this completion unlocked
+    const newUnlocks = lockedBefore.filter(level => this.getLevelLockReasons(level.id, packId).length === 0);
 
     // Emit event
     this._emit('level-completed', {
       levelId,
-      stats: levelStats[levelId],
+      packId,
+      stats: levelStats[key],
       isFirstCompletion,
       newUnlocks,
       newAchievements,
@@ -223,16 +354,72 @@ class ProgressManager {
       isFirstCompletion,
       newUnlocks,
       newAchievements,
-      stats: levelStats[levelId],
+      stats: levelStats[key],
     };
   }
 
   /**
-   * Calculate star rating for level completion
+   * Log a finished attempt at a level, won or lost. Each level keeps its
+   * last MAX_ATTEMPTS_PER_LEVEL attempts.
+   * @param {number} levelId - Level ID
+   * @param {Omit<Attempt, 'at'>} attempt - What the attempt took (see attemptStats.js)
+   * @param {string} [packId=STORY_PACK_ID] - Pack the level belongs to
+   * @returns {Attempt} The logged attempt
+   */
+  recordAttempt(levelId, attempt, packId = STORY_PACK_ID) {
+    const key = progressKey(levelId, packId);
+    const attempts = this.loadAttempts();
+    const logged = { at: new Date().toISOString(), ...attempt };
+
+    attempts[key] = [...(attempts[key] || []), logged].slice(-MAX_ATTEMPTS_PER_LEVEL);
+    this.saveAttempts(attempts);
+
+    this._emit('attempt-recorded', { levelId, packId, attempt: logged });
+    return logged;
+  }
+
+  /**
+   * A level's attempt log
+   * @param {number} levelId - Level ID
+   * @param {string} [packId=STORY_PACK_ID] - Pack the level belongs to
+   * @returns {Attempt[]} Oldest first
+   */
+  getAttempts(levelId, packId = STORY_PACK_ID) {
+    return this.loadAttempts()[progressKey(levelId, packId)] || [];
+  }
+
+  /**
+   * Every logged attempt in a game mode, across all levels and packs
+   * @param {string} mode - GAME_MODES value
+   * @returns {Attempt[]} Oldest first
+   */
+  getAttemptsByMode(mode) {
+    return Object.values(this.loadAttempts())
+      .flat()
+      .filter(attempt => attempt.mode === mode)
+      .sort((a, b) => (a.at < b.at ? -1 : a.at > b.at ? 1 : 0));
+  }
+
+  /**
+   * Levels of a pack that are still locked
+   * @private
+   */
+  _lockedLevels(packId) {
+    const pack = levelsManager.findPack(packId);
+    return pack ? pack.levels.filter(level => this.getLevelLockReasons(level.id, packId).length > 0) : [];
+  }
+
+  /**
+   * Calculate star rating for level completion: against par when the run
+   * has one (see par.js), else against size-based time and move thresholds
    * @private
    */
-  _calculateStars(levelId, stats) {
-    const level = levelsManager.getLevel(levelId);
+  _calculateStars(levelId, stats, packId = STORY_PACK_ID) {
+    if (typeof stats.par === 'number' && typeof stats.moves === 'number') {
+      return parStars(stats.moves, stats.par);
+    }
+
+    const level = levelsManager.getLevelFromPack(packId, levelId);
     if (!level) return 1;
 
     let stars = 1; // Base star for completion
@@ -253,45 +440,100 @@ class ProgressManager {
   }
 
   /**
-   * Check for new achievements
+   * Check for new achievements after a level completion
    * @private
    */
-  _checkAchievements(levelId, stats, isFirstCompletion) {
-    const achievements = this.loadAchievements();
-    const newAchievements = [];
+  _checkAchievements(levelId, stats, packId = STORY_PACK_ID) {
+    const levels = levelsManager.findPack(packId)?.levels ?? [];
+    return this.recordEvent(ACHIEVEMENT_EVENTS.LEVEL_COMPLETED, {
+      levelId,
+      packId,
+      isStory: packId === STORY_PACK_ID,
+      isFirstInPack: levels[0]?.id === levelId,
+      isLastInPack: levels[levels.length - 1]?.id === levelId,
+      time: stats.time ?? null,
+      moves: stats.moves ?? null,
+      stars: this._calculateStars(levelId, stats, packId),
+      storyComplete: this.getCompletedLevels().length === levelsManager.getTotalLevels(),
+    });
+  }
 
-    // First level completed
-    if (levelId === 1 && isFirstCompletion && !achievements.includes('first_steps')) {
-      newAchievements.push('first_steps');
-    }
+  // ============================================================================
+  // ACHIEVEMENTS
+  // ============================================================================
 
-    // Final level completed
-    if (levelId === 10 && isFirstCompletion && !achievements.includes('topology_master')) {
-      newAchievements.push('topology_master');
-    }
+  /**
+   * Feed a game event to the achievements (see achievements.js)
+   * @param {string} event - ACHIEVEMENT_EVENTS value
+   * @param {Object} [payload={}] - The event's payload
+   * @returns {string[]} IDs of achievements this event unlocked
+   */
+  recordEvent(event, payload = {}) {
+    const unlocked = this.loadAchievements();
+    const counters = this.loadAchievementProgress();
+    const result = applyAchievementEvent(event, payload, { unlocked, counters });
 
-    // Speed demon (any level under 60 seconds)
-    if (stats.time && stats.time < 60 && !achievements.includes('speed_demon')) {
-      newAchievements.push('speed_demon');
+    if (result.counters !== counters) {
+      this.saveAchievementProgress(result.counters);
     }
-
-    // Perfectionist (3 stars on any level)
-    if (this._calculateStars(levelId, stats) === 3 && !achievements.includes('perfectionist')) {
-      newAchievements.push('perfectionist');
+    if (result.unlocked.length > 0) {
+      this.saveAchievements([...unlocked, ...result.unlocked]);
+      this._emit('achievements-unlocked', { achievements: result.unlocked });
     }
 
-    // All levels completed
-    const completed = this.loadProgress();
-    if (completed.length === levelsManager.getTotalLevels() && !achievements.includes('completionist')) {
-      newAchievements.push('completionist');
-    }
+    return result.unlocked;
+  }
+
+  /**
+   * Every achievement with its locked / in-progress / unlocked state
+   * @returns {ReturnType<typeof achievementStatus>}
+   */
+  getAchievementStatus() {
+    return achievementStatus(this.loadAchievements(), this.loadAchievementProgress());
+  }
+
+  // ============================================================================
+  // DAILY CHALLENGE
+  // ============================================================================
 
-    // Save new achievements
-    if (newAchievements.length > 0) {
-      this.saveAchievements([...achievements, ...newAchievements]);
+  /**
+   * Record a solved daily challenge. The first solve of a day is the one
+   * kept; replays of the same day don't replace it.
+   * @param {string} key - The day, "YYYY-MM-DD"
+   * @param {DailyResult} result
+   * @returns {{ result: DailyResult, isFirst: boolean, streak: { current: number, best: number } }}
+   *   The day's kept result and the streak after it
+   */
+  recordDailyResult(key, result) {
+    const history = this.loadDailyHistory();
+    const isFirst = !history[key];
+
+    if (isFirst) {
+      history[key] = { ...result, completedAt: new Date().toISOString() };
+      this.saveDailyHistory(history);
     }
 
-    return newAchievements;
+    const streak = dailyStreak(history, key);
+    if (isFirst) this._emit('daily-completed', { key, result: history[key], streak });
+    return { result: history[key], isFirst, streak };
+  }
+
+  /**
+   * A day's kept result
+   * @param {string} [key=dailyKey()] - "YYYY-MM-DD"
+   * @returns {DailyResult|null}
+   */
+  getDailyResult(key = dailyKey()) {
+    return this.loadDailyHistory()[key] || null;
+  }
+
+  /**
+   * Current and longest daily challenge streaks
+   * @param {string} [today=dailyKey()] - "YYYY-MM-DD"
+   * @returns {{ current: number, best: number }}
+   */
+  getDailyStreak(today = dailyKey()) {
+    return dailyStreak(this.loadDailyHistory(), today);
   }
 
   // ============================================================================
@@ -299,54 +541,125 @@ class ProgressManager {
   // ============================================================================
 
   /**
-   * Check if a level is unlocked
-   * @param {number} levelId - Level ID
+   * Why a pack is locked
+   * @param {string} packId - Pack ID
+   * @returns {string[]} Unmet requirements, empty when the pack is unlocked
+   */
+  getPackLockReasons(packId) {
+    const pack = levelsManager.findPack(packId);
+    if (!pack) return ['Pack is not installed'];
+
+    const reasons = [];
+    const { completedPacks = [], totalStars = 0 } = pack.requirements || {};
+
+    for (const requiredId of completedPacks) {
+      if (!this.isPackCompleted(requiredId)) {
+        const required = levelsManager.findPack(requiredId);
+        reasons.push(required ? `Complete the ${required.name} pack` : `Complete the "${requiredId}" pack (not installed)`);
+      }
+    }
+
+    const stars = this.getTotalStars();
+    if (totalStars > 0 && stars < totalStars) {
+      reasons.push(`Earn ${totalStars} ★ (you have ${stars})`);
+    }
+
+    return reasons;
+  }
+
+  /**
+   * Check if a pack is unlocked
+   * @param {string} packId - Pack ID
    * @returns {boolean}
    */
-  isLevelUnlocked(levelId) {
-    // Test mode: all levels unlocked
+  isPackUnlocked(packId) {
     if (this.testMode) return true;
+    return this.getPackLockReasons(packId).length === 0;
+  }
 
-    // Level 1 is always unlocked
-    if (levelId === 1) return true;
+  /**
+   * Check if every level in a pack is completed
+   * @param {string} packId - Pack ID
+   * @returns {boolean}
+   */
+  isPackCompleted(packId) {
+    const pack = levelsManager.findPack(packId);
+    if (!pack || pack.levels.length === 0) return false;
+    const completed = this.getCompletedLevels(packId);
+    return pack.levels.every(level => completed.includes(level.id));
+  }
 
-    // Check requirements
-    const level = levelsManager.getLevel(levelId);
-    if (!level) return false;
+  /**
+   * Why a level is locked
+   * @param {number} levelId - Level ID
+   * @param {string} [packId=STORY_PACK_ID] - Pack the level belongs to
+   * @returns {string[]} Unmet requirements, empty when the level is unlocked
+   */
+  getLevelLockReasons(levelId, packId = STORY_PACK_ID) {
+    const level = levelsManager.getLevelFromPack(packId, levelId);
+    if (!level) return ['Level not found'];
+
+    const reasons = [];
+    const pack = levelsManager.findPack(packId);
+    if (this.getPackLockReasons(packId).length > 0) {
+      reasons.push(`Unlock the ${pack?.name || packId} pack`);
+    }
 
-    const completed = this.loadProgress();
-    const { requirements } = level;
+    const { previousLevel, stars = 0, achievements = [] } = level.requirements || {};
 
     // Previous level must be completed
-    if (requirements.previousLevel && !completed.includes(requirements.previousLevel)) {
-      return false;
+    if (previousLevel && !this.isLevelCompleted(previousLevel, packId)) {
+      reasons.push(`Complete Level ${previousLevel}`);
     }
 
     // Star requirement
-    if (requirements.stars > 0) {
-      const totalStars = this.getTotalStars();
-      if (totalStars < requirements.stars) return false;
+    const totalStars = this.getTotalStars();
+    if (stars > 0 && totalStars < stars) {
+      reasons.push(`Earn ${stars} ★ (you have ${totalStars})`);
     }
 
     // Achievement requirements
-    if (requirements.achievements?.length > 0) {
-      const achievements = this.loadAchievements();
-      if (!requirements.achievements.every(a => achievements.includes(a))) {
-        return false;
-      }
+    const earned = this.loadAchievements();
+    for (const id of achievements) {
+      if (!earned.includes(id)) reasons.push(`Earn the ${getAchievement(id)?.name ?? id} achievement`);
     }
 
-    return true;
+    return reasons;
+  }
+
+  /**
+   * Check if a level is unlocked
+   * @param {number} levelId - Level ID
+   * @param {string} [packId=STORY_PACK_ID] - Pack the level belongs to
+   * @returns {boolean}
+   */
+  isLevelUnlocked(levelId, packId = STORY_PACK_ID) {
+    // Test mode: all levels unlocked
+    if (this.testMode) return true;
+
+    return this.getLevelLockReasons(levelId, packId).length === 0;
   }
 
   /**
    * Check if a level is completed
    * @param {number} levelId - Level ID
+   * @param {string} [packId=STORY_PACK_ID] - Pack the level belongs to
    * @returns {boolean}
    */
-  isLevelCompleted(levelId) {
+  isLevelCompleted(levelId, packId = STORY_PACK_ID) {
+    return this.loadProgress().includes(progressKey(levelId, packId));
+  }
+
+  /**
+   * Completed level IDs in one pack
+   * @param {string} [packId=STORY_PACK_ID]
+   * @returns {number[]}
+   */
+  getCompletedLevels(packId = STORY_PACK_ID) {
+    const pack = levelsManager.findPack(packId);
+    if (!pack) return [];
     const completed = this.loadProgress();
-    return completed.includes(levelId);
+    return pack.levels.map(level => level.id).filter(id => completed.includes(progressKey(id, packId)));
   }
 
   /**
@@ -376,15 +689,16 @@ class ProgressManager {
   /**
    * Get stats for a specific level
    * @param {number} levelId - Level ID
+   * @param {string} [packId=STORY_PACK_ID] - Pack the level belongs to
    * @returns {LevelStats|null}
    */
-  getLevelStats(levelId) {
+  getLevelStats(levelId, packId = STORY_PACK_ID) {
     const stats = this.loadLevelStats();
-    return stats[levelId] || null;
+    return stats[progressKey(levelId, packId)] || null;
   }
 
   /**
-   * Get total stars earned across all levels
+   * Get total stars earned across all levels, in every pack
    * @returns {number}
    */
   getTotalStars() {
@@ -401,11 +715,11 @@ class ProgressManager {
   }
 
   /**
-   * Get completion percentage
+   * Get story campaign completion percentage
    * @returns {number}
    */
   getCompletionPercentage() {
-    const completed = this.loadProgress();
+    const completed = this.getCompletedLevels();
     const total = levelsManager.getTotalLevels();
     return total > 0 ? Math.round((completed.length / total) * 100) : 0;
   }
@@ -415,7 +729,7 @@ class ProgressManager {
    * @returns {Object}
    */
   getProgressSummary() {
-    const completed = this.loadProgress();
+    const completed = this.getCompletedLevels();
     const stats = this.loadLevelStats();
     const achievements = this.loadAchievements();
     const total = levelsManager.getTotalLevels();
@@ -432,6 +746,52 @@ class ProgressManager {
     };
   }
 
+  // ============================================================================
+  // BACKUP
+  // ============================================================================
+
+  /**
+   * Everything this manager stores, for a save file (see saveFile.js)
+   * @returns {SavedProgress}
+   */
+  exportProgress() {
+    return {
+      completedLevels: this.loadProgress(),
+      levelStats: this.loadLevelStats(),
+      attempts: this.loadAttempts(),
+      achievements: this.loadAchievements(),
+      achievementProgress: this.loadAchievementProgress(),
+      daily: this.loadDailyHistory(),
+    };
+  }
+
+  /**
+   * Merge progress from a save file into the current progress. Nothing is
+   * removed; see mergeProgress for how each part is combined.
+   * @param {SavedProgress} progress - Checked progress (see parseSaveFile)
+   * @returns {{ levels: number, achievements: number, dailies: number }} How many
+   *   completed levels, achievements and daily results the import added
+   */
+  importProgress(progress) {
+    const before = this.exportProgress();
+    const merged = mergeProgress(before, progress);
+
+    this.saveProgress(merged.completedLevels);
+    this.saveLevelStats(merged.levelStats);
+    this.saveAttempts(merged.attempts);
+    this.saveAchievements(merged.achievements);
+    this.saveAchievementProgress(merged.achievementProgress);
+    this.saveDailyHistory(merged.daily);
+
+    const added = {
+      levels: merged.completedLevels.length - before.completedLevels.length,
+      achievements: merged.achievements.length - before.achievements.length,
+      dailies: Object.keys(merged.daily).length - Object.keys(before.daily).length,
+    };
+    this._emit('progress-imported', added);
+    return added;
+  }
+
   // ============================================================================
   // RESET
   // ============================================================================
@@ -448,12 +808,18 @@ class ProgressManager {
 
     this._completedLevels = [];
     this._levelStats = {};
+    this._attempts = {};
     this._achievements = [];
+    this._achievementProgress = {};
+    this._dailyHistory = {};
 
     try {
       localStorage.removeItem(STORAGE_KEYS.COMPLETED_LEVELS);
       localStorage.removeItem(STORAGE_KEYS.LEVEL_STATS);
+      localStorage.removeItem(STORAGE_KEYS.ATTEMPTS);
       localStorage.removeItem(STORAGE_KEYS.ACHIEVEMENTS);
+      localStorage.removeItem(STORAGE_KEYS.ACHIEVEMENT_PROGRESS);
+      localStorage.removeItem(STORAGE_KEYS.DAILY);
     } catch {
       // Ignore
     }
@@ -463,13 +829,18 @@ class ProgressManager {
   }
 
   /**
-   * Reset stats for a specific level
+   * Reset stats and the attempt log for a specific level
    * @param {number} levelId - Level ID
+   * @param {string} [packId=STORY_PACK_ID] - Pack the level belongs to
    */
-  resetLevelStats(levelId) {
+  resetLevelStats(levelId, packId = STORY_PACK_ID) {
     const stats = this.loadLevelStats();
-    delete stats[levelId];
+    delete stats[progressKey(levelId, packId)];
     this.saveLevelStats(stats);
+
+    const attempts = this.loadAttempts();
+    delete attempts[progressKey(levelId, packId)];
+    this.saveAttempts(attempts);
   }
 
   // ============================================================================
@@ -529,9 +900,10 @@ class ProgressManager {
   }
 }
 
-// Export singleton instance (with test mode for development)
+// Export singleton instance: everything unlocked in the dev server, unlock
+// requirements enforced in builds
 export const progressManager = new ProgressManager({
-  testMode: true,  // TODO: Set to false for production
+  testMode: import.meta.env?.DEV ?? false,
 });
 
 // Also export the class for testing or custom instances
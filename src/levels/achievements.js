@@ -0,0 +1,203 @@
+/**
+ * WORM-3 Achievements
+ *
+ * Achievements are plain data: each one names the event that can unlock it
+ * and a predicate over that event's payload. Incremental achievements keep a
+ * counter instead and unlock when it reaches their goal, either by adding up
+ * every event ("perform 500 flips") or by keeping the best value seen
+ * ("all 12 orbs in one worm run").
+ *
+ * Everything here is pure; ProgressManager stores the unlocked IDs and the
+ * counters, and feeds events through applyAchievementEvent.
+ */
+
+import { K_STAR } from '../game/antipodalIntegrity.js';
+
+/**
+ * Events that achievements react to, with their payloads
+ */
+export const ACHIEVEMENT_EVENTS = {
+  // { levelId, packId, isStory, isFirstInPack, isLastInPack, time, moves, stars, storyComplete }
+  LEVEL_COMPLETED: 'level-completed',
+  // A player flip: {}
+  FLIP: 'flip',
+  // A chaos cascade flipped a tile: {}
+  CASCADE: 'cascade',
+  // The cube changed: { integrity, size }
+  INTEGRITY: 'integrity',
+  // A co-op WORM run ended (see worm/PlatformerWormMode.jsx):
+  // { mode: 'crawler', orbs, health, time, result: 'gameover' | 'victory' }
+  WORM_RUN: 'worm-run',
+  // A teach-mode quiz question was answered: { correct }
+  QUIZ_ANSWER: 'quiz-answer',
+};
+
+/**
+ * @typedef {Object} AchievementDefinition
+ * @property {string} id - Stable ID, stored in saves and level requirements
+ * @property {string} name - Display name
+ * @property {string} description - What to do
+ * @property {string} icon - Emoji shown in the gallery
+ * @property {string} event - ACHIEVEMENT_EVENTS value that can unlock it
+ * @property {function(Object): boolean} [test] - Unlocks when true for an event's payload
+ * @property {number} [goal] - Counter value that unlocks an incremental achievement
+ * @property {function(Object): number} [count] - Added to the counter for each event
+ * @property {function(Object): number} [best] - Counter keeps the highest value seen
+ */
+
+/** @type {AchievementDefinition[]} */
+export const ACHIEVEMENTS = [
+  {
+    id: 'first_steps',
+    name: 'First Steps',
+    description: 'Complete the first level of the story campaign',
+    icon: '👣',
+    event: ACHIEVEMENT_EVENTS.LEVEL_COMPLETED,
+    test: ({ isStory, isFirstInPack }) => isStory && isFirstInPack,
+  },
+  {
+    id: 'topology_master',
+    name: 'Topology Master',
+    description: 'Complete the final level of the story campaign',
+    icon: '🌌',
+    event: ACHIEVEMENT_EVENTS.LEVEL_COMPLETED,
+    test: ({ isStory, isLastInPack }) => isStory && isLastInPack,
+  },
+  {
+    id: 'speed_demon',
+    name: 'Speed Demon',
+    description: 'Complete any level in under 60 seconds',
+    icon: '⚡',
+    event: ACHIEVEMENT_EVENTS.LEVEL_COMPLETED,
+    test: ({ time }) => time > 0 && time < 60,
+  },
+  {
+    id: 'perfectionist',
+    name: 'Perfectionist',
+    description: 'Earn 3 stars on any level',
+    icon: '⭐',
+    event: ACHIEVEMENT_EVENTS.LEVEL_COMPLETED,
+    test: ({ stars }) => stars === 3,
+  },
+  {
+    id: 'completionist',
+    name: 'Completionist',
+    description: 'Complete every level of the story campaign',
+    icon: '🏆',
+    event: ACHIEVEMENT_EVENTS.LEVEL_COMPLETED,
+    test: ({ storyComplete }) => storyComplete,
+  },
+  {
+    id: 'antipodal_adept',
+    name: 'Antipodal Adept',
+    description: 'Perform 500 antipodal flips',
+    icon: '⇄',
+    event: ACHIEVEMENT_EVENTS.FLIP,
+    goal: 500,
+    count: () => 1,
+  },
+  {
+    id: 'storm_chaser',
+    name: 'Storm Chaser',
+    description: 'Live through 100 chaos cascade flips',
+    icon: '🌊',
+    event: ACHIEVEMENT_EVENTS.CASCADE,
+    goal: 100,
+    count: () => 1,
+  },
+  {
+    id: 'entropy_regime',
+    name: 'Past the Threshold',
+    description: 'Drive antipodal integrity I(T) below k* ≈ 0.721',
+    icon: '🌀',
+    event: ACHIEVEMENT_EVENTS.INTEGRITY,
+    test: ({ integrity }) => integrity < K_STAR,
+  },
+  {
+    id: 'full_harvest',
+    name: 'Full Harvest',
+    description: 'Collect all 12 orbs in one co-op WORM run',
+    icon: '🐛',
+    event: ACHIEVEMENT_EVENTS.WORM_RUN,
+    goal: 12,
+    best: ({ orbs }) => orbs ?? 0,
+  },
+  {
+    id: 'orb_glutton',
+    name: 'Orb Glutton',
+    description: 'Collect 100 orbs across co-op WORM runs',
+    icon: '🔮',
+    event: ACHIEVEMENT_EVENTS.WORM_RUN,
+    goal: 100,
+    count: ({ orbs }) => orbs ?? 0,
+  },
+  {
+    id: 'star_pupil',
+    name: 'Star Pupil',
+    description: 'Answer 25 teach-mode quiz questions correctly',
+    icon: '🎓',
+    event: ACHIEVEMENT_EVENTS.QUIZ_ANSWER,
+    goal: 25,
+    count: ({ correct }) => (correct ? 1 : 0),
+  },
+];
+
+/**
+ * Look up an achievement definition
+ * @param {string} id
+ * @param {AchievementDefinition[]} [definitions=ACHIEVEMENTS]
+ * @returns {AchievementDefinition|null}
+ */
+export function getAchievement(id, definitions = ACHIEVEMENTS) {
+  return definitions.find(a => a.id === id) || null;
+}
+
+/**
+ * Run one event through the achievements that listen for it.
+ * @param {string} event - ACHIEVEMENT_EVENTS value
+ * @param {Object} payload - The event's payload
+ * @param {{ unlocked: string[], counters: Object.<string, number> }} progress - Current progress
+ * @param {AchievementDefinition[]} [definitions=ACHIEVEMENTS]
+ * @returns {{ unlocked: string[], counters: Object.<string, number> }} IDs unlocked by this
+ *   event, and the counters after it (the same object when no counter moved)
+ */
+export function applyAchievementEvent(event, payload, { unlocked, counters }, definitions = ACHIEVEMENTS) {
+  const newlyUnlocked = [];
+  let nextCounters = counters;
+
+  for (const achievement of definitions) {
+    if (achievement.event !== event || unlocked.includes(achievement.id)) continue;
+
+    if (achievement.goal !== undefined) {
+      const current = counters[achievement.id] ?? 0;
+      const next = achievement.best
+        ? Math.max(current, achievement.best(payload))
+        : current + achievement.count(payload);
+      if (next !== current) nextCounters = { ...nextCounters, [achievement.id]: next };
+      if (next >= achievement.goal) newlyUnlocked.push(achievement.id);
+    } else if (achievement.test(payload)) {
+      newlyUnlocked.push(achievement.id);
+    }
+  }
+
+  return { unlocked: newlyUnlocked, counters: nextCounters };
+}
+
+/**
+ * Every achievement with where the player stands on it, for the gallery.
+ * @param {string[]} unlocked - Unlocked achievement IDs
+ * @param {Object.<string, number>} counters - Incremental achievement counters
+ * @param {AchievementDefinition[]} [definitions=ACHIEVEMENTS]
+ * @returns {Array<AchievementDefinition & { state: 'locked'|'in-progress'|'unlocked', progress: number|null }>}
+ *   `progress` is the counter, capped at the goal, or null for one-off achievements
+ */
+export function achievementStatus(unlocked, counters, definitions = ACHIEVEMENTS) {
+  return definitions.map(achievement => {
+    const isUnlocked = unlocked.includes(achievement.id);
+    const progress = achievement.goal === undefined
+      ? null
+      : isUnlocked ? achievement.goal : Math.min(counters[achievement.id] ?? 0, achievement.goal);
+    const state = isUnlocked ? 'unlocked' : progress > 0 ? 'in-progress' : 'locked';
+    return { ...achievement, state, progress };
+  });
+}
@@ -0,0 +1,152 @@
+/**
+ * WORM-3 Attempt Statistics
+ *
+ * Every finished level attempt, won or lost, is logged by ProgressManager
+ * with what it took: time, moves, flips, undos, chaos cascades survived and
+ * the antipodal integrity I(T) it ended on. The helpers here turn a list of
+ * attempts into the numbers and series the stats screen shows.
+ *
+ * Averages follow the speedcubing convention: "ao5" is the average of the
+ * last 5 attempts with the best and worst dropped, and a lost attempt (DNF)
+ * counts as the worst. More than one DNF makes the whole average a DNF,
+ * returned as Infinity.
+ */
+
+/**
+ * @typedef {Object} Attempt
+ * @property {string} at - When it finished (ISO timestamp)
+ * @property {'win'|'defeat'} result
+ * @property {number} time - Seconds
+ * @property {number} moves
+ * @property {number} flips - Player flips
+ * @property {number} undos - Times the player undid
+ * @property {number} cascades - Chaos cascade flips during the attempt
+ * @property {number} integrity - Final antipodal integrity I(T)
+ * @property {string} mode - GAME_MODES value of the level
+ * @property {number} size - Cube size
+ */
+
+/**
+ * Attempts kept per level; older ones are dropped first
+ */
+export const MAX_ATTEMPTS_PER_LEVEL = 200;
+
+/**
+ * What can be charted, and which way is better
+ */
+export const ATTEMPT_METRICS = {
+  time: { label: 'Time', lowerIsBetter: true },
+  moves: { label: 'Moves', lowerIsBetter: true },
+  flips: { label: 'Flips', lowerIsBetter: true },
+  undos: { label: 'Undos', lowerIsBetter: true },
+  cascades: { label: 'Cascades survived', lowerIsBetter: false },
+  integrity: { label: 'Final I(T)', lowerIsBetter: false },
+};
+
+const metricInfo = (metric) => {
+  const info = ATTEMPT_METRICS[metric];
+  if (!info) throw new RangeError(`Unknown attempt metric: ${metric}`);
+  return info;
+};
+
+// Lower sorts first; DNFs sort last either way
+const rank = (metric, attempt) => {
+  if (attempt.result !== 'win') return Infinity;
+  return metricInfo(metric).lowerIsBetter ? attempt[metric] : -attempt[metric];
+};
+const unrank = (metric, value) => (metricInfo(metric).lowerIsBetter || !Number.isFinite(value) ? value : -value);
+
+/**
+ * Average of the last `n` attempts with the best and worst dropped
+ * @param {Attempt[]} attempts - Oldest first
+ * @param {number} n - e.g. 5 or 12
+ * @param {string} [metric='time'] - ATTEMPT_METRICS key
+ * @returns {number|null} null with fewer than `n` attempts, Infinity for a DNF
+ */
+export function averageOf(attempts, n, metric = 'time') {
+  if (attempts.length < n) return null;
+  const ranks = attempts.slice(-n).map(a => rank(metric, a)).sort((a, b) => a - b);
+  const counted = ranks.slice(1, -1);
+  if (counted.some(r => !Number.isFinite(r))) return Infinity;
+  return unrank(metric, counted.reduce((sum, r) => sum + r, 0) / counted.length);
+}
+
+/**
+ * Best value among won attempts
+ * @param {Attempt[]} attempts
+ * @param {string} [metric='time']
+ * @returns {number|null} null when nothing was won
+ */
+export function bestOf(attempts, metric = 'time') {
+  const best = Math.min(...attempts.map(a => rank(metric, a)));
+  return Number.isFinite(best) ? unrank(metric, best) : null;
+}
+
+/**
+ * Mean over won attempts
+ * @param {Attempt[]} attempts
+ * @param {string} [metric='time']
+ * @returns {number|null} null when nothing was won
+ */
+export function meanOf(attempts, metric = 'time') {
+  metricInfo(metric);
+  const wins = attempts.filter(a => a.result === 'win');
+  if (wins.length === 0) return null;
+  return wins.reduce((sum, a) => sum + a[metric], 0) / wins.length;
+}
+
+/**
+ * The attempts that set a new personal best, in order
+ * @param {Attempt[]} attempts - Oldest first
+ * @param {string} [metric='time']
+ * @returns {Array<{ index: number, at: string, value: number }>} `index` into `attempts`
+ */
+export function personalBests(attempts, metric = 'time') {
+  const pbs = [];
+  let best = Infinity;
+  attempts.forEach((attempt, index) => {
+    const r = rank(metric, attempt);
+    if (r < best) {
+      best = r;
+      pbs.push({ index, at: attempt.at, value: attempt[metric] });
+    }
+  });
+  return pbs;
+}
+
+/**
+ * How won attempts spread over equal-width bins
+ * @param {Attempt[]} attempts
+ * @param {string} [metric='time']
+ * @param {number} [bins=8]
+ * @returns {Array<{ from: number, to: number, count: number }>} Empty when nothing was won
+ */
+export function distribution(attempts, metric = 'time', bins = 8) {
+  metricInfo(metric);
+  const values = attempts.filter(a => a.result === 'win').map(a => a[metric]);
+  if (values.length === 0) return [];
+
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const width = (max - min) / bins || 1;
+  const counts = Array.from({ length: bins }, (_, i) => ({ from: min + i * width, to: min + (i + 1) * width, count: 0 }));
+  for (const v of values) counts[Math.min(bins - 1, Math.floor((v - min) / width))].count++;
+  return counts;
+}
+
+/**
+ * Headline numbers for a list of attempts
+ * @param {Attempt[]} attempts - Oldest first
+ * @param {string} [metric='time']
+ * @returns {{ attempts: number, solves: number, best: number|null, mean: number|null, ao5: number|null, ao12: number|null }}
+ */
+export function summarizeAttempts(attempts, metric = 'time') {
+  return {
+    attempts: attempts.length,
+    solves: attempts.filter(a => a.result === 'win').length,
+    best: bestOf(attempts, metric),
+    mean: meanOf(attempts, metric),
+    ao5: averageOf(attempts, 5, metric),
+    ao12: averageOf(attempts, 12, metric),
+  };
+}
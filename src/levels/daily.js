@@ -0,0 +1,183 @@
+/**
+ * WORM-3 Daily Challenge
+ *
+ * One puzzle per calendar day, the same for everyone: the date alone picks
+ * the cube size, mode, chaos level, enabled features and the scramble. The
+ * scramble is written into the level's `start` block, and the level carries
+ * a run seed, so chaos cascades during the attempt are seeded by the date
+ * too.
+ *
+ * Days are local calendar dates written "YYYY-MM-DD". Results and streaks
+ * are stored by ProgressManager; the helpers here are pure.
+ */
+
+import { createRng, pick } from '../game/seededRandom.js';
+import { generateScramble } from '../game/scrambler.js';
+import { createLevel, GAME_MODES, WIN_CONDITIONS, BACKGROUNDS, DIFFICULTY, FEATURE_NAMES } from './schema.js';
+
+/**
+ * What a day's puzzle is drawn from. Repeated entries are more likely.
+ */
+export const DAILY_RULES = {
+  sizes: [2, 3, 3, 3, 4, 4, 5],
+  modes: [GAME_MODES.CLASSIC, GAME_MODES.CLASSIC, GAME_MODES.CLASSIC, GAME_MODES.SUDOKUBE, GAME_MODES.ULTIMATE],
+  chaosLevels: [0, 0, 1, 1, 2],
+  // Chance that each optional feature is on (chaos follows the chaos level)
+  features: { flips: 0.75, tunnels: 0.5, explode: 0.5, parity: 0.5, net: 0.5 },
+  // Antipodal pair flips in the scramble, when flips are on
+  flipCounts: [1, 2, 3],
+  backgrounds: [BACKGROUNDS.SPACE, BACKGROUNDS.FOREST, BACKGROUNDS.OCEAN, BACKGROUNDS.CITY, BACKGROUNDS.ABSTRACT],
+};
+
+const WIN_CONDITION_FOR_MODE = {
+  [GAME_MODES.CLASSIC]: WIN_CONDITIONS.CLASSIC,
+  [GAME_MODES.SUDOKUBE]: WIN_CONDITIONS.SUDOKUBE,
+  [GAME_MODES.ULTIMATE]: WIN_CONDITIONS.ULTIMATE,
+};
+
+const DIFFICULTY_FOR_SIZE = { 2: DIFFICULTY.EASY, 3: DIFFICULTY.MEDIUM, 4: DIFFICULTY.HARD, 5: DIFFICULTY.EXPERT };
+
+const MODE_NAMES = { classic: 'Classic', sudokube: 'Sudokube', ultimate: 'Ultimate' };
+
+const KEY_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const pad2 = (n) => String(n).padStart(2, '0');
+
+/**
+ * The day a date falls on, in local time
+ * @param {Date} [date=new Date()]
+ * @returns {string} "YYYY-MM-DD"
+ */
+export const dailyKey = (date = new Date()) =>
+  `${date.getFullYear()}-${pad2(date.getMonth() + 1)}-${pad2(date.getDate())}`;
+
+/**
+ * The day before or after a day
+ * @param {string} key - "YYYY-MM-DD"
+ * @param {number} days - Days to move (negative for earlier)
+ * @returns {string}
+ * @throws {RangeError} If the key isn't a date
+ */
+export function shiftDailyKey(key, days) {
+  const match = KEY_PATTERN.exec(key);
+  if (!match) throw new RangeError(`Not a daily challenge date: ${key}`);
+  return dailyKey(new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]) + days));
+}
+
+/**
+ * Run seed for a day (see game/seededRandom.js)
+ * @param {string} key - "YYYY-MM-DD"
+ * @returns {string}
+ */
+export const dailySeed = (key) => `DAILY${key.replace(/-/g, '')}`;
+
+/**
+ * The day's puzzle as a level. It is an ordinary level definition with two
+ * extra fields: `daily` (the day) and `seed` (the run seed).
+ * @param {string} [key=dailyKey()] - "YYYY-MM-DD"
+ * @returns {LevelDefinition & { daily: string, seed: string }}
+ * @throws {RangeError} If the key isn't a date
+ */
+export function createDailyLevel(key = dailyKey()) {
+  if (!KEY_PATTERN.test(key)) throw new RangeError(`Not a daily challenge date: ${key}`);
+  const rng = createRng(`daily:${key}`);
+
+  const cubeSize = pick(rng, DAILY_RULES.sizes);
+  const mode = pick(rng, DAILY_RULES.modes);
+  const chaosLevel = pick(rng, DAILY_RULES.chaosLevels);
+  const features = { chaos: chaosLevel > 0 };
+  for (const [feature, chance] of Object.entries(DAILY_RULES.features)) features[feature] = rng() < chance;
+
+  // Flip scrambles only when the player can flip back
+  const flips = features.flips ? pick(rng, DAILY_RULES.flipCounts) : 0;
+  const scramble = generateScramble(cubeSize, { rng, length: 12 + cubeSize * 4, flips });
+  const start = {
+    scramble: scramble.moves.filter(label => !label.startsWith('⇅')).join(' '),
+    flips: scramble.steps.filter(step => step.type === 'flip').map(({ pos, dirKey }) => ({ pos, dirKey })),
+  };
+
+  const rules = `${cubeSize}×${cubeSize} ${MODE_NAMES[mode]}${chaosLevel ? ` · Chaos ${chaosLevel}` : ''}`;
+  const enabled = Object.keys(FEATURE_NAMES).filter(f => f !== 'rotations' && features[f]).map(f => FEATURE_NAMES[f]);
+
+  return {
+    ...createLevel({
+      id: Number(key.replace(/-/g, '')),
+      name: `Daily Challenge ${key}`,
+      description: rules,
+      cubeSize,
+      chaosLevel,
+      mode,
+      start,
+      background: pick(rng, DAILY_RULES.backgrounds),
+      features,
+      tutorial: {
+        title: `Daily Challenge · ${key}`,
+        text: `Today's puzzle: ${rules}. Everyone gets the same cube today.`,
+        tip: enabled.length ? `Enabled: ${enabled.join(', ')}` : 'Rotations only today.',
+      },
+      winCondition: WIN_CONDITION_FOR_MODE[mode],
+      winMessage: 'Daily Challenge Complete!',
+      difficulty: DIFFICULTY_FOR_SIZE[cubeSize],
+      tags: ['daily'],
+      requirements: { previousLevel: null, stars: 0, achievements: [] },
+    }),
+    daily: key,
+    seed: dailySeed(key),
+  };
+}
+
+/**
+ * @typedef {Object} DailyResult
+ * @property {number} time - Seconds
+ * @property {number} moves - Move count
+ * @property {number} flips - Player flips
+ * @property {number} integrity - Antipodal integrity I(T) of the solved cube
+ */
+
+/**
+ * Current and longest streaks of consecutive days with a result. The
+ * current streak is still alive on a day not yet played, as long as the day
+ * before was.
+ * @param {Object.<string, DailyResult>} history - Results by day
+ * @param {string} [today=dailyKey()]
+ * @returns {{ current: number, best: number }}
+ */
+export function dailyStreak(history, today = dailyKey()) {
+  let day = history[today] ? today : shiftDailyKey(today, -1);
+  let current = 0;
+  while (history[day]) {
+    current++;
+    day = shiftDailyKey(day, -1);
+  }
+
+  let best = 0;
+  let run = 0;
+  let previous = null;
+  for (const key of Object.keys(history).filter(k => KEY_PATTERN.test(k)).sort()) {
+    run = previous && shiftDailyKey(previous, 1) === key ? run + 1 : 1;
+    best = Math.max(best, run);
+    previous = key;
+  }
+
+  return { current, best };
+}
+
+/**
+ * The shareable text of a day's result
+ * @param {string} key - "YYYY-MM-DD"
+ * @param {DailyResult} result
+ * @param {{ current: number }} [streak]
+ * @returns {string}
+ */
+export function formatDailyResult(key, result, streak) {
+  const level = createDailyLevel(key);
+  const mins = Math.floor(result.time / 60);
+  const secs = String(result.time % 60).padStart(2, '0');
+  const lines = [
+    `WORM³ Daily ${key}`,
+    level.description,
+    `⏱ ${mins}:${secs} · ${result.moves} moves · ${result.flips} flips`,
+    `I(T) ${result.integrity.toFixed(3)}`,
+  ];
+  if (streak?.current) lines.push(`🔥 ${streak.current}-day streak`);
+  return lines.join('\n');
+}
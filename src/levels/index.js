@@ -27,7 +27,16 @@
  *   ├── schema.js             - Level schema, constants, types
  *   ├── LevelsManager.js      - Level queries and management
  *   ├── ProgressManager.js    - Save/load, completion tracking
+ *   ├── achievements.js       - Achievement definitions and counters
  *   ├── validation.js         - Level validation utilities
+ *   ├── rules.js              - Win condition, time and move limits
+ *   ├── startState.js         - Authored starting states and default scrambles
+ *   ├── par.js                - Solver par for a level attempt, par-based stars
+ *   ├── daily.js              - Date-seeded daily challenge, streaks, shareable results
+ *   ├── attemptStats.js       - Per-attempt log statistics: averages, PBs, distributions
+ *   ├── packFile.js           - Level pack JSON files, schema migrations, editor drafts
+ *   ├── packStorage.js        - Installed packs (localStorage)
+ *   ├── saveFile.js           - Versioned save-file backups, merging progress
  *   ├── data/                 - Individual level definitions
  *   │   ├── index.js
  *   │   └── level-XX-*.js
@@ -41,8 +50,8 @@
 // ============================================================================
 
 // Manager instances (use these for most operations)
-export { levelsManager, LevelsManager } from './LevelsManager.js';
-export { progressManager, ProgressManager } from './ProgressManager.js';
+export { levelsManager, LevelsManager, STORY_PACK_ID } from './LevelsManager.js';
+export { progressManager, ProgressManager, progressKey } from './ProgressManager.js';
 
 // ============================================================================
 // SCHEMA & CONSTANTS
@@ -66,6 +75,47 @@ export {
   createLevelPack,
 } from './schema.js';
 
+// ============================================================================
+// LEVEL RULES
+// ============================================================================
+
+export {
+  DEFEAT_REASONS,
+  WIN_CONDITION_VICTORY,
+  levelVictory,
+  levelBudget,
+  levelDefeat,
+} from './rules.js';
+
+export {
+  defaultScrambleLength,
+  validateLevelStart,
+  buildLevelStart,
+} from './startState.js';
+
+export { PAR_STAR_RATIOS, PAR_NODE_BUDGET, computeLevelPar, parStars } from './par.js';
+
+export {
+  DAILY_RULES,
+  dailyKey,
+  shiftDailyKey,
+  dailySeed,
+  createDailyLevel,
+  dailyStreak,
+  formatDailyResult,
+} from './daily.js';
+
+export {
+  MAX_ATTEMPTS_PER_LEVEL,
+  ATTEMPT_METRICS,
+  averageOf,
+  bestOf,
+  meanOf,
+  personalBests,
+  distribution,
+  summarizeAttempts,
+} from './attemptStats.js';
+
 // ============================================================================
 // LEVEL DATA
 // ============================================================================
@@ -78,6 +128,52 @@ export { STORY_LEVELS, getStoryLevel, getStoryLevelIds } from './data/index.js';
 
 export { OFFICIAL_PACKS, BUILT_IN_PACKS, getPack, getPackIds, storyCampaign } from './packs/index.js';
 
+export {
+  createDraftLevel,
+  createDraftPack,
+  renumberLevels,
+  exportLevelPack,
+  packFileName,
+  migrateLevelPack,
+  parseLevelPack,
+  PACK_FORMAT,
+  PACK_SCHEMA_VERSION,
+  PACK_MIGRATIONS,
+} from './packFile.js';
+
+export {
+  installPackFile,
+  restoreInstalledPacks,
+  removeInstalledPack,
+  getInstalledPackFiles,
+  installPackFiles,
+} from './packStorage.js';
+
+export {
+  SAVE_FORMAT,
+  SAVE_SCHEMA_VERSION,
+  SAVE_MIGRATIONS,
+  SAVE_FLAGS,
+  emptyProgress,
+  exportSaveFile,
+  saveFileName,
+  migrateSaveFile,
+  parseSaveFile,
+  mergeProgress,
+} from './saveFile.js';
+
+// ============================================================================
+// ACHIEVEMENTS
+// ============================================================================
+
+export {
+  ACHIEVEMENTS,
+  ACHIEVEMENT_EVENTS,
+  getAchievement,
+  applyAchievementEvent,
+  achievementStatus,
+} from './achievements.js';
+
 // ============================================================================
 // VALIDATION
 // ============================================================================
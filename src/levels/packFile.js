@@ -0,0 +1,158 @@
+/**
+ * WORM-3 Level Pack Files
+ *
+ * Community level packs travel as plain JSON: the same object createLevelPack
+ * builds, with every level written out in full, plus a declared format and
+ * schema version. Importing migrates older files up to the current schema,
+ * fills in defaults through createLevel/createLevelPack (so a hand-written
+ * file only needs the fields it cares about), and runs validateLevelPack
+ * before anything is loaded.
+ *
+ * Also holds the small helpers the in-app level editor uses to build drafts.
+ */
+
+import { createLevel, createLevelPack, DIFFICULTY, LEVEL_TAGS } from './schema.js';
+import { validateLevelPack } from './validation.js';
+
+export const PACK_FORMAT = 'worm3-level-pack';
+export const PACK_SCHEMA_VERSION = 1;
+
+/**
+ * Migrations from each schema version to the next: PACK_MIGRATIONS[v] takes
+ * a version-v file to version v + 1. Add one here whenever the level or pack
+ * schema changes in a way old files don't already satisfy.
+ */
+export const PACK_MIGRATIONS = [
+  // 0 → 1: files saved before packs declared a schema version. Their
+  // contents already match version 1.
+  (data) => ({ ...data, format: PACK_FORMAT }),
+];
+
+/**
+ * A fresh community level, numbered after the levels already in the pack.
+ * @param {LevelDefinition[]} [levels=[]] - Levels already in the draft pack
+ * @returns {LevelDefinition}
+ */
+export function createDraftLevel(levels = []) {
+  const id = levels.length + 1;
+  return createLevel({
+    id,
+    name: `Custom Level ${id}`,
+    tags: [LEVEL_TAGS.COMMUNITY],
+    difficulty: DIFFICULTY.EASY,
+    author: 'Anonymous',
+    tutorial: { text: 'Solve the cube.' },
+  });
+}
+
+/**
+ * A new draft pack holding one level.
+ * @returns {LevelPack}
+ */
+export function createDraftPack() {
+  return createLevelPack({
+    id: 'my-pack',
+    name: 'My Levels',
+    author: 'Anonymous',
+    tags: [LEVEL_TAGS.COMMUNITY],
+    levels: [createDraftLevel()],
+  });
+}
+
+/**
+ * Renumber levels 1..n in order and chain each level's unlock to the one
+ * before it, after levels were added or removed.
+ * @param {LevelDefinition[]} levels
+ * @returns {LevelDefinition[]}
+ */
+export function renumberLevels(levels) {
+  return levels.map((level, i) => ({
+    ...level,
+    id: i + 1,
+    requirements: { ...level.requirements, previousLevel: i > 0 ? i : null },
+  }));
+}
+
+/**
+ * Serialize a pack for download, stamped with the current schema version.
+ * @param {LevelPack} pack
+ * @returns {string}
+ */
+export function exportLevelPack(pack) {
+  return JSON.stringify({ format: PACK_FORMAT, schemaVersion: PACK_SCHEMA_VERSION, ...pack }, null, 2);
+}
+
+/**
+ * Download file name for a pack, e.g. "worm3-pack-my-pack.json"
+ * @param {LevelPack} pack
+ * @returns {string}
+ */
+export function packFileName(pack) {
+  const slug = String(pack.id || 'pack').toLowerCase().replace(/[^a-z0-9-]+/g, '-');
+  return `worm3-pack-${slug}.json`;
+}
+
+/**
+ * Bring a parsed pack file up to the current schema version.
+ * Files without a `schemaVersion` are version 0.
+ * @param {Object} data
+ * @returns {{ ok: true, data: Object, from: number } | { ok: false, error: string }}
+ */
+export function migrateLevelPack(data) {
+  if (data.format !== undefined && data.format !== PACK_FORMAT) {
+    return { ok: false, error: `Not a level pack (format "${data.format}")` };
+  }
+  const from = data.schemaVersion ?? 0;
+  if (!Number.isInteger(from) || from < 0) {
+    return { ok: false, error: `Unknown schema version ${JSON.stringify(data.schemaVersion)}` };
+  }
+  if (from > PACK_SCHEMA_VERSION) {
+    return { ok: false, error: `Pack uses schema version ${from}, this game reads up to ${PACK_SCHEMA_VERSION}. Update the game to load it.` };
+  }
+
+  let migrated = data;
+  for (let v = from; v < PACK_SCHEMA_VERSION; v++) {
+    migrated = { ...PACK_MIGRATIONS[v](migrated), schemaVersion: v + 1 };
+  }
+  return { ok: true, data: migrated, from };
+}
+
+/**
+ * Read a pack file: migrate it, fill in defaults and validate it.
+ * Errors and warnings come back as lists for the UI to show.
+ * @param {string} text - File contents
+ * @returns {{ ok: true, pack: LevelPack, warnings: string[], migratedFrom: number|null }
+ *   | { ok: false, error: string, errors: string[], warnings: string[] }}
+ */
+export function parseLevelPack(text) {
+  const fail = (errors, warnings = []) => ({ ok: false, error: errors.join('; '), errors, warnings });
+
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    return fail(['Not a JSON file']);
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return fail(['Not a level pack']);
+  }
+
+  const migration = migrateLevelPack(data);
+  if (!migration.ok) return fail([migration.error]);
+  // Version stamps belong to the file, not the pack
+  const { format: _format, schemaVersion: _version, ...fields } = migration.data;
+
+  if (!Array.isArray(fields.levels) || fields.levels.some(l => !l || typeof l !== 'object')) {
+    return fail(['Pack must have a list of levels']);
+  }
+
+  const pack = createLevelPack({ ...fields, levels: fields.levels.map(level => createLevel(level)) });
+  const result = validateLevelPack(pack);
+  if (!result.valid) return fail(result.errors, result.warnings);
+  return {
+    ok: true,
+    pack,
+    warnings: result.warnings,
+    migratedFrom: migration.from < PACK_SCHEMA_VERSION ? migration.from : null,
+  };
+}
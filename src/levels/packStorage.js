@@ -0,0 +1,106 @@
+/**
+ * WORM-3 Installed Level Packs
+ *
+ * Packs loaded from files are kept in localStorage as pack files (see
+ * packFile.js), so they go through the same migration and validation every
+ * time the game starts. A stored pack that no longer validates is skipped,
+ * not deleted, in case a later version can read it again.
+ */
+
+import { levelsManager } from './LevelsManager.js';
+import { BUILT_IN_PACKS } from './packs/index.js';
+import { exportLevelPack, parseLevelPack } from './packFile.js';
+
+const STORAGE_KEY = 'worm3_level_packs';
+
+// Stored pack files, keyed by pack id
+const readStored = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return saved && typeof saved === 'object' && !Array.isArray(saved) ? saved : {};
+  } catch {
+    return {};
+  }
+};
+
+const writeStored = (stored) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(stored));
+  } catch {
+    // Ignore storage errors (quota, private mode)
+  }
+};
+
+/**
+ * Read a pack file and install it: register it with the levels manager and
+ * store it for next time. Replaces an installed pack with the same id.
+ * @param {string} text - Pack file contents
+ * @param {LevelsManager} [manager=levelsManager]
+ * @returns {ReturnType<typeof parseLevelPack>} The parse result, with the checks to report
+ */
+export function installPackFile(text, manager = levelsManager) {
+  const result = parseLevelPack(text);
+  if (!result.ok) return result;
+  if (BUILT_IN_PACKS[result.pack.id]) {
+    const errors = [`Pack ID "${result.pack.id}" belongs to a built-in pack`];
+    return { ok: false, error: errors[0], errors, warnings: result.warnings };
+  }
+
+  manager.unregisterPack(result.pack.id);
+  manager.registerPack(result.pack);
+  writeStored({ ...readStored(), [result.pack.id]: exportLevelPack(result.pack) });
+  return result;
+}
+
+/**
+ * Register every stored pack that isn't registered yet.
+ * @param {LevelsManager} [manager=levelsManager]
+ * @returns {LevelPack[]} Packs now registered
+ */
+export function restoreInstalledPacks(manager = levelsManager) {
+  for (const text of Object.values(readStored())) {
+    const result = typeof text === 'string' ? parseLevelPack(text) : { ok: false };
+    if (result.ok && !manager.getPack(result.pack.id)) manager.registerPack(result.pack);
+  }
+  return manager.getAllPacks();
+}
+
+/**
+ * Uninstall a pack: unregister it and drop it from storage.
+ * @param {string} packId
+ * @param {LevelsManager} [manager=levelsManager]
+ */
+export function removeInstalledPack(packId, manager = levelsManager) {
+  manager.unregisterPack(packId);
+  const { [packId]: _removed, ...rest } = readStored();
+  writeStored(rest);
+}
+
+/**
+ * Every installed pack file, for a save file (see saveFile.js)
+ * @returns {Object.<string, string>} Pack files by pack id
+ */
+export function getInstalledPackFiles() {
+  return Object.fromEntries(Object.entries(readStored()).filter(([, text]) => typeof text === 'string'));
+}
+
+/**
+ * Install the packs from a save file that aren't installed yet. Packs
+ * already installed keep their installed version.
+ * @param {Object.<string, string>} files - Pack files by pack id
+ * @param {LevelsManager} [manager=levelsManager]
+ * @returns {{ installed: string[], failed: Array<{ id: string, error: string }> }}
+ */
+export function installPackFiles(files, manager = levelsManager) {
+  const stored = readStored();
+  const installed = [];
+  const failed = [];
+
+  for (const [id, text] of Object.entries(files)) {
+    if (stored[id] || manager.getPack(id)) continue;
+    const result = installPackFile(text, manager);
+    if (result.ok) installed.push(result.pack.id);
+    else failed.push({ id, error: result.error });
+  }
+  return { installed, failed };
+}
@@ -0,0 +1,72 @@
+/**
+ * WORM-3 Level Par
+ *
+ * Par is the length of the solver's answer (slice quarter turns plus
+ * antipodal flips, see game/flipSolver.js) for the cube a level attempt
+ * actually starts from, towards the level's own win condition. It counts
+ * moves the same way the move counter does, so the player's move count can
+ * be compared with it directly. Undoing the scramble is always an answer, so
+ * par is never more than that: where the solver's answer is longer (it is
+ * not always optimal) or it finds none (4×4 and up), the scramble's length
+ * is par.
+ *
+ * The solver's search is limited by a node budget, not by time, so the same
+ * start gets the same par on a slow machine as on a fast one. It can take a
+ * while, so the game works par out in a worker (par.worker.js, via
+ * hooks/useLevelPar.js).
+ *
+ * Stars for a completed level come from that comparison: one for finishing,
+ * one for staying within PAR_STAR_RATIOS.TWO × par and one more for staying
+ * within PAR_STAR_RATIOS.THREE × par.
+ */
+
+import { solveWithFlips } from '../game/flipSolver.js';
+import { WIN_CONDITIONS } from './schema.js';
+
+/**
+ * Move budgets, as multiples of par, for the second and third star
+ */
+export const PAR_STAR_RATIOS = {
+  TWO: 2,
+  THREE: 1.25,
+};
+
+/**
+ * Search-size limit for the par solver (see solveWithFlips's nodeBudget)
+ */
+export const PAR_NODE_BUDGET = 100000;
+
+/**
+ * Par for a level attempt's starting cube.
+ * @param {Array} cubies - The starting cube
+ * @param {number} size
+ * @param {LevelDefinition} level
+ * @param {Object} [options] - Passed on to solveWithFlips (e.g. timeBudgetMs)
+ * @param {number|null} [options.maxPar] - Moves that undo the scramble (buildLevelStart's undoLength)
+ * @returns {{ par: number, optimal: boolean } | null} null when there is no
+ *   maxPar and the solver finds no answer in its budget
+ */
+export function computeLevelPar(cubies, size, level, options = {}) {
+  const { maxPar = null, ...solverOptions } = options;
+  const solved = solveWithFlips(cubies, size, {
+    goal: level.winCondition || WIN_CONDITIONS.CLASSIC,
+    timeBudgetMs: Infinity,
+    nodeBudget: PAR_NODE_BUDGET,
+    ...solverOptions,
+  });
+  if (solved.ok && (maxPar === null || solved.length <= maxPar)) return { par: solved.length, optimal: solved.optimal };
+  return maxPar === null ? null : { par: maxPar, optimal: false };
+}
+
+/**
+ * Stars for finishing in `moves` moves against `par`.
+ * A par of 0 (the level started solved) gives three stars.
+ * @param {number} moves
+ * @param {number} par
+ * @returns {number} 1-3
+ */
+export function parStars(moves, par) {
+  if (moves <= Math.ceil(par * PAR_STAR_RATIOS.THREE)) return 3;
+  if (moves <= Math.ceil(par * PAR_STAR_RATIOS.TWO)) return 2;
+  return 1;
+}
@@ -0,0 +1,13 @@
+// src/levels/par.worker.js
+// Works out level par (par.js) off the main thread. The worker stays up
+// between attempts so the solver's tables are only built once.
+//
+// In:  { id, cubies, size, winCondition, maxPar }
+// Out: { id, levelPar } - see computeLevelPar
+
+import { computeLevelPar } from './par.js';
+
+self.onmessage = ({ data }) => {
+  const { id, cubies, size, winCondition, maxPar } = data;
+  self.postMessage({ id, levelPar: computeLevelPar(cubies, size, { winCondition }, { maxPar }) });
+};
@@ -0,0 +1,68 @@
+/**
+ * WORM-3 Level Rules
+ *
+ * Decides how a level attempt ends, from the level definition:
+ *   - winCondition: the only win that completes the level
+ *   - timeLimit / moveLimit: the attempt fails when either runs out
+ *
+ * Winning on the last allowed move still counts as a win. Only the player's
+ * own moves are counted (echoes and chaos flips are free), and undo gives
+ * moves back, matching the move counter.
+ */
+
+import { WIN_CONDITIONS } from './schema.js';
+
+/**
+ * Why a level attempt failed
+ */
+export const DEFEAT_REASONS = {
+  TIME: 'time',
+  MOVES: 'moves',
+};
+
+/**
+ * Victory screen type for each win condition (see detectWinConditions)
+ */
+export const WIN_CONDITION_VICTORY = {
+  [WIN_CONDITIONS.CLASSIC]: 'rubiks',
+  [WIN_CONDITIONS.SUDOKUBE]: 'sudokube',
+  [WIN_CONDITIONS.ULTIMATE]: 'ultimate',
+};
+
+/**
+ * Victory type if the level's own win condition is met, else null.
+ * @param {LevelDefinition} level
+ * @param {Object} wins - Result of detectWinConditions
+ * @returns {string|null}
+ */
+export function levelVictory(level, wins) {
+  const victory = WIN_CONDITION_VICTORY[level.winCondition] || WIN_CONDITION_VICTORY[WIN_CONDITIONS.CLASSIC];
+  return wins[victory] ? victory : null;
+}
+
+/**
+ * Time and moves left in an attempt; null where the level has no limit.
+ * @param {LevelDefinition} level
+ * @param {{ moves: number, elapsed: number }} progress - elapsed in seconds
+ * @returns {{ timeLeft: number|null, movesLeft: number|null }}
+ */
+export function levelBudget(level, { moves, elapsed }) {
+  return {
+    timeLeft: level.timeLimit ? Math.max(0, level.timeLimit - elapsed) : null,
+    movesLeft: level.moveLimit ? Math.max(0, level.moveLimit - moves) : null,
+  };
+}
+
+/**
+ * Whether the attempt has run out of time or moves.
+ * Check levelVictory first: a win on the last move is still a win.
+ * @param {LevelDefinition} level
+ * @param {{ moves: number, elapsed: number }} progress
+ * @returns {string|null} A DEFEAT_REASONS value, or null while the attempt goes on
+ */
+export function levelDefeat(level, progress) {
+  const { timeLeft, movesLeft } = levelBudget(level, progress);
+  if (timeLeft === 0) return DEFEAT_REASONS.TIME;
+  if (movesLeft === 0) return DEFEAT_REASONS.MOVES;
+  return null;
+}
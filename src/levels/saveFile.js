@@ -0,0 +1,304 @@
+/**
+ * WORM-3 Save Files
+ *
+ * A save file is a backup of everything the game keeps in the browser:
+ * level progress, stats and attempt logs, achievements and their counters, daily
+ * challenge history, settings, the one-time tutorial flags, and installed
+ * level packs. Like pack files it declares a format and schema version, and
+ * older files are migrated up before they are read.
+ *
+ * Importing merges instead of replacing, so progress from two devices adds
+ * up: completed levels and achievements are combined, each stat keeps the
+ * better value, and importing the same file twice changes nothing. A file is
+ * checked in full before anything is written, so a corrupt file never
+ * touches the current save.
+ */
+
+import { MAX_ATTEMPTS_PER_LEVEL } from './attemptStats.js';
+import { DEFAULT_SETTINGS, TILE_STYLES } from '../utils/colorSchemes.js';
+
+export const SAVE_FORMAT = 'worm3-save';
+export const SAVE_SCHEMA_VERSION = 1;
+
+/**
+ * Migrations from each schema version to the next: SAVE_MIGRATIONS[v] takes
+ * a version-v file to version v + 1. Version 1 is the first, so there are
+ * none yet.
+ */
+export const SAVE_MIGRATIONS = [];
+
+/**
+ * One-time flags kept in a save file
+ */
+export const SAVE_FLAGS = ['introSeen', 'tutorialDone', 'firstFlipDone', 'mobileHintShown'];
+
+/**
+ * @typedef {Object} SavedProgress
+ * @property {Array<number|string>} completedLevels - Progress keys (see ProgressManager.progressKey)
+ * @property {Object.<string, LevelStats>} levelStats
+ * @property {Object.<string, Attempt[]>} attempts - Attempt logs by progress key (see attemptStats.js)
+ * @property {string[]} achievements - Unlocked achievement IDs
+ * @property {Object.<string, number>} achievementProgress - Incremental achievement counters
+ * @property {Object.<string, DailyResult>} daily - Daily challenge results by day
+ */
+
+/**
+ * @typedef {Object} SaveData
+ * @property {SavedProgress} progress
+ * @property {Object} settings - Player settings (see utils/colorSchemes.js DEFAULT_SETTINGS); only keys
+ *   this version knows
+ * @property {Object.<string, boolean>} flags - SAVE_FLAGS values
+ * @property {Object.<string, string>} packs - Installed pack files by pack ID
+ */
+
+/**
+ * Progress with nothing in it
+ * @returns {SavedProgress}
+ */
+export const emptyProgress = () => ({
+  completedLevels: [],
+  levelStats: {},
+  attempts: {},
+  achievements: [],
+  achievementProgress: {},
+  daily: {},
+});
+
+/**
+ * Serialize everything for download, stamped with the current schema version.
+ * @param {SaveData} data
+ * @param {Date} [exportedAt=new Date()]
+ * @returns {string}
+ */
+export function exportSaveFile({ progress, settings, flags, packs }, exportedAt = new Date()) {
+  return JSON.stringify({
+    format: SAVE_FORMAT,
+    schemaVersion: SAVE_SCHEMA_VERSION,
+    exportedAt: exportedAt.toISOString(),
+    progress,
+    settings,
+    flags,
+    packs,
+  }, null, 2);
+}
+
+/**
+ * Download file name for a save, e.g. "worm3-save-2026-10-19.json"
+ * @param {Date} [date=new Date()]
+ * @returns {string}
+ */
+export function saveFileName(date = new Date()) {
+  return `worm3-save-${date.toISOString().slice(0, 10)}.json`;
+}
+
+/**
+ * Bring a parsed save file up to the current schema version.
+ * @param {Object} data
+ * @returns {{ ok: true, data: Object, from: number } | { ok: false, error: string }}
+ */
+export function migrateSaveFile(data) {
+  if (data.format !== SAVE_FORMAT) {
+    return { ok: false, error: data.format === undefined ? 'Not a WORM-3 save file' : `Not a save file (format "${data.format}")` };
+  }
+  const from = data.schemaVersion;
+  if (!Number.isInteger(from) || from < 1) {
+    return { ok: false, error: `Unknown schema version ${JSON.stringify(from)}` };
+  }
+  if (from > SAVE_SCHEMA_VERSION) {
+    return { ok: false, error: `Save uses schema version ${from}, this game reads up to ${SAVE_SCHEMA_VERSION}. Update the game to load it.` };
+  }
+
+  let migrated = data;
+  for (let v = from; v < SAVE_SCHEMA_VERSION; v++) {
+    migrated = { ...SAVE_MIGRATIONS[v](migrated), schemaVersion: v + 1 };
+  }
+  return { ok: true, data: migrated, from };
+}
+
+const isPlainObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+const isCount = (n) => Number.isInteger(n) && n >= 0;
+const isNumberOrNull = (n) => n === null || (typeof n === 'number' && n >= 0);
+const isDateString = (s) => s === undefined || (typeof s === 'string' && !Number.isNaN(Date.parse(s)));
+
+// Errors in a save file's progress section
+function checkProgress(progress) {
+  if (!isPlainObject(progress)) return ['Progress is missing'];
+  const errors = [];
+  // Attempt logs came after the first save files; those files have none
+  const { completedLevels, levelStats, attempts = {}, achievements, achievementProgress, daily } = progress;
+
+  if (!Array.isArray(completedLevels) || completedLevels.some(k => typeof k !== 'number' && typeof k !== 'string')) {
+    errors.push('Completed levels must be a list of level keys');
+  }
+
+  if (!isPlainObject(levelStats)) {
+    errors.push('Level stats must be an object');
+  } else {
+    for (const [key, s] of Object.entries(levelStats)) {
+      const valid = isPlainObject(s) && isNumberOrNull(s.bestTime) && isNumberOrNull(s.bestMoves)
+        && Number.isInteger(s.stars) && s.stars >= 0 && s.stars <= 3 && isCount(s.completionCount)
+        && isDateString(s.firstCompleted) && isDateString(s.lastCompleted);
+      if (!valid) errors.push(`Level stats for ${key} are invalid`);
+    }
+  }
+
+  if (!isPlainObject(attempts)) {
+    errors.push('Attempt logs must be an object');
+  } else {
+    for (const [key, log] of Object.entries(attempts)) {
+      const valid = Array.isArray(log) && log.every(a => isPlainObject(a)
+        && typeof a.at === 'string' && !Number.isNaN(Date.parse(a.at)) && (a.result === 'win' || a.result === 'defeat')
+        && ['time', 'moves', 'flips', 'undos', 'cascades'].every(field => isCount(a[field]))
+        && typeof a.integrity === 'number' && a.integrity >= 0 && a.integrity <= 1);
+      if (!valid) errors.push(`Attempt log for ${key} is invalid`);
+    }
+  }
+
+  if (!Array.isArray(achievements) || achievements.some(a => typeof a !== 'string')) {
+    errors.push('Achievements must be a list of achievement IDs');
+  }
+
+  if (!isPlainObject(achievementProgress) || Object.values(achievementProgress).some(n => typeof n !== 'number' || !(n >= 0))) {
+    errors.push('Achievement counters must be non-negative numbers');
+  }
+
+  if (!isPlainObject(daily)) {
+    errors.push('Daily challenge history must be an object');
+  } else {
+    for (const [key, r] of Object.entries(daily)) {
+      const valid = /^\d{4}-\d{2}-\d{2}$/.test(key) && isPlainObject(r)
+        && isCount(r.time) && isCount(r.moves) && isCount(r.flips)
+        && typeof r.integrity === 'number' && r.integrity >= 0 && r.integrity <= 1
+        && isDateString(r.completedAt);
+      if (!valid) errors.push(`Daily challenge result for ${key} is invalid`);
+    }
+  }
+
+  return errors;
+}
+
+// Face ID → value maps, as in customColors and manifoldStyles
+const isFaceMap = (value, isValue) => isPlainObject(value)
+  && Object.entries(value).every(([face, v]) => Object.hasOwn(DEFAULT_SETTINGS.manifoldStyles, face) && isValue(v));
+
+// Whether a known setting has a value the game can use
+function isSetting(key, value) {
+  switch (key) {
+    case 'customColors': return value === null || isFaceMap(value, c => typeof c === 'string');
+    case 'manifoldStyles': return isFaceMap(value, style => Object.hasOwn(TILE_STYLES, style));
+    default: return typeof value === typeof DEFAULT_SETTINGS[key];
+  }
+}
+
+// Errors in a save file's settings section. Settings this version doesn't
+// know (a newer game's) are left out of the import, not errors.
+function checkSettings(settings) {
+  if (!isPlainObject(settings)) return ['Settings must be an object'];
+  return Object.entries(settings)
+    .filter(([key, value]) => Object.hasOwn(DEFAULT_SETTINGS, key) && !isSetting(key, value))
+    .map(([key]) => `Setting ${key} is invalid`);
+}
+
+/**
+ * Read a save file: check its format and version, migrate it, and check
+ * every section. Nothing is applied here.
+ * @param {string} text - File contents
+ * @returns {{ ok: true, save: SaveData, exportedAt: string|null, migratedFrom: number|null }
+ *   | { ok: false, error: string, errors: string[] }}
+ */
+export function parseSaveFile(text) {
+  const fail = (errors) => ({ ok: false, error: errors.join('; '), errors });
+
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    return fail(['Not a JSON file']);
+  }
+  if (!isPlainObject(data)) return fail(['Not a WORM-3 save file']);
+
+  const migration = migrateSaveFile(data);
+  if (!migration.ok) return fail([migration.error]);
+  const { progress, settings = {}, flags = {}, packs = {}, exportedAt } = migration.data;
+
+  const errors = [...checkProgress(progress), ...checkSettings(settings)];
+  if (!isPlainObject(flags) || Object.values(flags).some(f => typeof f !== 'boolean')) {
+    errors.push('Flags must be true or false');
+  }
+  if (!isPlainObject(packs) || Object.values(packs).some(p => typeof p !== 'string')) {
+    errors.push('Level packs must be pack files');
+  }
+  if (errors.length) return fail(errors);
+
+  return {
+    ok: true,
+    save: {
+      progress: { ...progress, attempts: progress.attempts ?? {} },
+      settings: Object.fromEntries(Object.entries(settings).filter(([key]) => Object.hasOwn(DEFAULT_SETTINGS, key))),
+      flags: Object.fromEntries(SAVE_FLAGS.map(flag => [flag, flags[flag] === true])),
+      packs,
+    },
+    exportedAt: typeof exportedAt === 'string' ? exportedAt : null,
+    migratedFrom: migration.from < SAVE_SCHEMA_VERSION ? migration.from : null,
+  };
+}
+
+// Smaller of two bests, where null means "no best yet"
+const minBest = (a, b) => (a === null || a === undefined ? b ?? null : b === null || b === undefined ? a : Math.min(a, b));
+const earlier = (a, b) => (!a ? b : !b ? a : a < b ? a : b);
+const later = (a, b) => (!a ? b : !b ? a : a > b ? a : b);
+const union = (a, b) => [...a, ...b.filter(x => !a.includes(x))];
+
+/**
+ * Combine two players' progress. Completed levels and achievements are
+ * combined; each level keeps its best time, fewest moves and most stars;
+ * attempt logs are combined in time order; counters keep the higher value;
+ * each day keeps the result solved first.
+ * Merging is idempotent: merging the same progress twice changes nothing.
+ * @param {SavedProgress} local
+ * @param {SavedProgress} incoming
+ * @returns {SavedProgress}
+ */
+export function mergeProgress(local, incoming) {
+  const levelStats = { ...local.levelStats };
+  for (const [key, theirs] of Object.entries(incoming.levelStats)) {
+    const ours = levelStats[key];
+    levelStats[key] = !ours ? { ...theirs } : {
+      bestTime: minBest(ours.bestTime, theirs.bestTime),
+      bestMoves: minBest(ours.bestMoves, theirs.bestMoves),
+      stars: Math.max(ours.stars ?? 0, theirs.stars ?? 0),
+      completionCount: Math.max(ours.completionCount ?? 0, theirs.completionCount ?? 0),
+      firstCompleted: earlier(ours.firstCompleted, theirs.firstCompleted),
+      lastCompleted: later(ours.lastCompleted, theirs.lastCompleted),
+    };
+  }
+
+  const attempts = { ...local.attempts };
+  for (const [key, theirs] of Object.entries(incoming.attempts)) {
+    const ours = attempts[key] || [];
+    const seen = new Set(ours.map(a => a.at));
+    attempts[key] = [...ours, ...theirs.filter(a => !seen.has(a.at))]
+      .sort((a, b) => (a.at < b.at ? -1 : a.at > b.at ? 1 : 0))
+      .slice(-MAX_ATTEMPTS_PER_LEVEL);
+  }
+
+  const achievementProgress = { ...local.achievementProgress };
+  for (const [id, n] of Object.entries(incoming.achievementProgress)) {
+    achievementProgress[id] = Math.max(achievementProgress[id] ?? 0, n);
+  }
+
+  const daily = { ...local.daily };
+  for (const [key, theirs] of Object.entries(incoming.daily)) {
+    const ours = daily[key];
+    if (!ours || (theirs.completedAt && ours.completedAt && theirs.completedAt < ours.completedAt)) daily[key] = { ...theirs };
+  }
+
+  return {
+    completedLevels: union(local.completedLevels, incoming.completedLevels),
+    levelStats,
+    attempts,
+    achievements: union(local.achievements, incoming.achievements),
+    achievementProgress,
+    daily,
+  };
+}
@@ -138,6 +138,9 @@ export function createLevel(overrides) {
     chaosLevel: overrides.chaosLevel || 0,
     mode: overrides.mode || GAME_MODES.CLASSIC,
 
+    // Authored starting state, null = random scramble (see startState.js)
+    start: overrides.start || null,
+
     // Visual settings
     background: overrides.background || BACKGROUNDS.ABSTRACT,
 
@@ -235,14 +238,30 @@ export function createLevelPack(overrides) {
  * @property {string[]} achievements - Required achievement IDs
  */
 
+/**
+ * @typedef {Object} StickerRef
+ * @property {{x: number, y: number, z: number}} pos - Cubie position
+ * @property {string} dirKey - Face the sticker is on ('PX', 'NY', ...)
+ */
+
+/**
+ * @typedef {Object} LevelStart
+ * @property {string} [state] - Cube code (engine/stateCodec.js), default solved
+ * @property {string} [scramble] - Notation applied after `state`
+ * @property {StickerRef[]} [flips] - Antipodal pairs flipped after the scramble
+ * @property {Array<StickerRef & {flips: number}>} [flipCounts] - Preset flip counters
+ * @property {StickerRef[]} [refractory] - Tiles that start in their flip cooldown
+ */
+
 /**
  * @typedef {Object} LevelDefinition
  * @property {number} id - Unique level ID
  * @property {string} name - Display name
  * @property {string} description - Short description
- * @property {number} cubeSize - Cube dimension (2-5)
+ * @property {number} cubeSize - Cube dimension (2-10)
  * @property {number} chaosLevel - Chaos intensity (0-4)
  * @property {string} mode - Game mode
+ * @property {LevelStart|null} start - Authored starting state, null for a random scramble
  * @property {string} background - Background environment
  * @property {Features} features - Enabled features
  * @property {Tutorial} tutorial - Tutorial content
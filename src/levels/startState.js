@@ -0,0 +1,144 @@
+/**
+ * WORM-3 Level Starting States
+ *
+ * A level's optional `start` block says exactly which puzzle the player
+ * gets, so an authored level is the same for everyone. Each part is
+ * optional and applied in this order:
+ *
+ *   state       - a cube code from the state codec (default: solved)
+ *   scramble    - notation turned on top of it, e.g. "R U R' U'"
+ *   flips       - antipodal pair flips, [{ pos: {x, y, z}, dirKey }]
+ *   flipCounts  - flip counters to preset, [{ pos, dirKey, flips }]
+ *   refractory  - tiles that start in their flip cooldown, [{ pos, dirKey }]
+ *
+ * Levels without a `start` get a seeded random-move scramble that grows
+ * with the level number.
+ */
+
+import { makeCubies } from '../game/cubeState.js';
+import { notationToRotations } from '../game/notation.js';
+import { getManifoldGridId } from '../game/coordinates.js';
+import { generateScramble } from '../game/scrambler.js';
+import { applyMove, isValidMove } from '../engine/CubeEngine.js';
+import { tryDecodeCubeState } from '../engine/stateCodec.js';
+
+/**
+ * Random-move scramble length for a level without an authored start
+ * @param {LevelDefinition} level
+ * @returns {number}
+ */
+export const defaultScrambleLength = (level) => Math.min(25, 10 + level.id * 2);
+
+// Which coordinate has to sit on the outer layer for each face
+const FACE_AXIS = { PX: ['x', 1], NX: ['x', 0], PY: ['y', 1], NY: ['y', 0], PZ: ['z', 1], NZ: ['z', 0] };
+
+// A sticker reference is a flip move without the type, on an outer face
+const isStickerRef = (ref, size) => {
+  if (!isValidMove({ ...ref, type: 'flip' }, size)) return false;
+  const [coord, positive] = FACE_AXIS[ref.dirKey];
+  return ref.pos[coord] === (positive ? size - 1 : 0);
+};
+const refLabel = ({ pos, dirKey }) => `${dirKey} ${pos?.x},${pos?.y},${pos?.z}`;
+
+/**
+ * Check a level's `start` block against its cube size.
+ * @param {LevelStart|null} start
+ * @param {number} size
+ * @returns {string[]} Error messages (empty when valid)
+ */
+export function validateLevelStart(start, size) {
+  if (start === null || start === undefined) return [];
+  if (typeof start !== 'object') return ['Start must be an object'];
+  const errors = [];
+
+  if (start.state !== undefined) {
+    const decoded = typeof start.state === 'string'
+      ? tryDecodeCubeState(start.state)
+      : { ok: false, error: 'not a string' };
+    if (!decoded.ok) errors.push(`Start state is invalid: ${decoded.error}`);
+    else if (decoded.size !== size) errors.push(`Start state is ${decoded.size}×${decoded.size} but the level is ${size}×${size}`);
+  }
+
+  if (start.scramble !== undefined) {
+    if (typeof start.scramble !== 'string') {
+      errors.push('Start scramble must be a notation string');
+    } else {
+      for (const { message } of notationToRotations(start.scramble, size).errors) {
+        errors.push(`Start scramble: ${message}`);
+      }
+    }
+  }
+
+  for (const key of ['flips', 'flipCounts', 'refractory']) {
+    if (start[key] === undefined) continue;
+    if (!Array.isArray(start[key])) {
+      errors.push(`Start ${key} must be an array`);
+      continue;
+    }
+    for (const ref of start[key]) {
+      if (!ref || !isStickerRef(ref, size)) errors.push(`Start ${key}: ${ref ? refLabel(ref) : ref} is not a sticker`);
+      else if (key === 'flipCounts' && !(Number.isInteger(ref.flips) && ref.flips >= 0)) {
+        errors.push(`Start flipCounts: ${refLabel(ref)} needs a non-negative whole flips count`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Build the cube a level starts from.
+ * @param {LevelDefinition} level
+ * @param {Object} [options]
+ * @param {Function} [options.rng=Math.random] - Random source for levels without a `start`
+ * @returns {{ cubies: Array, scrambleText: string|null, refractory: Array<{ pos, dirKey }>, undoLength: number|null }}
+ *   undoLength - quarter turns plus flips that undo the scramble (the most
+ *   par can be); null when the start is an authored state, which may not be
+ *   that close to solved
+ * @throws {TypeError} If the level's `start` block is invalid
+ */
+export function buildLevelStart(level, { rng = Math.random } = {}) {
+  const size = level.cubeSize;
+  const { start } = level;
+
+  if (!start) {
+    const scramble = generateScramble(size, { rng, length: defaultScrambleLength(level) });
+    return { cubies: scramble.cubies, scrambleText: scramble.text, refractory: [], undoLength: scramble.steps.length };
+  }
+
+  const errors = validateLevelStart(start, size);
+  if (errors.length) throw new TypeError(`Level ${level.id} start: ${errors[0]}`);
+
+  let cubies = start.state ? tryDecodeCubeState(start.state).cubies : makeCubies(size);
+  const labels = [];
+  let turns = 0;
+
+  if (start.scramble) {
+    for (const { axis, dir, sliceIndex } of notationToRotations(start.scramble, size).rotations) {
+      cubies = applyMove(cubies, size, { type: 'rotation', axis, dir, sliceIndex });
+      turns++;
+    }
+    labels.push(start.scramble.trim());
+  }
+
+  for (const { pos, dirKey } of start.flips || []) {
+    const sticker = cubies[pos.x][pos.y][pos.z].stickers[dirKey];
+    labels.push(`⇅${getManifoldGridId(sticker, size)}`);
+    cubies = applyMove(cubies, size, { type: 'flip', pos, dirKey });
+  }
+
+  if (start.flipCounts?.length) {
+    cubies = cubies.map(plane => plane.map(row => row.map(c => (c ? { ...c, stickers: { ...c.stickers } } : c))));
+    for (const { pos, dirKey, flips } of start.flipCounts) {
+      const cubie = cubies[pos.x][pos.y][pos.z];
+      cubie.stickers[dirKey] = { ...cubie.stickers[dirKey], flips };
+    }
+  }
+
+  return {
+    cubies,
+    scrambleText: labels.length ? labels.join(' ') : null,
+    refractory: (start.refractory || []).map(({ pos, dirKey }) => ({ pos, dirKey })),
+    undoLength: start.state ? null : turns + (start.flips?.length ?? 0),
+  };
+}
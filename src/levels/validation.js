@@ -6,6 +6,7 @@
  */
 
 import { GAME_MODES, WIN_CONDITIONS, BACKGROUNDS, DIFFICULTY, LEVEL_TAGS } from './schema.js';
+import { validateLevelStart } from './startState.js';
 
 /**
  * @typedef {Object} ValidationResult
@@ -127,6 +128,11 @@ export function validateLevel(level) {
     }
   }
 
+  // Authored starting state
+  if (typeof level.cubeSize === 'number') {
+    errors.push(...validateLevelStart(level.start, level.cubeSize));
+  }
+
   return {
     valid: errors.length === 0,
     errors,
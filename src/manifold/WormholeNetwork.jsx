@@ -18,6 +18,7 @@ const WormholeNetwork = ({ cubies, size, showTunnels, manifoldMap, cubieRefs, fa
       for (let y = 0; y < size; y++) {
         for (let z = 0; z < size; z++) {
           const cubie = cubies[x][y][z];
+          if (!cubie) continue;
 
           Object.entries(cubie.stickers).forEach(([dirKey, sticker]) => {
             if (sticker.flips === 0) return;
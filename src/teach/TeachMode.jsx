@@ -533,6 +533,8 @@ const TeachMode = ({
   onResetAlgorithm,
   onAnswerQuiz,
   onRetryQuiz,
+  solver,
+  onFindSolution,
   onClose,
 }) => {
   const [expandedStage, setExpandedStage] = useState(null);
@@ -725,6 +727,62 @@ const TeachMode = ({
           </div>
         )}
 
+        {/* ── Full solution (two-phase solver) ── */}
+        {!isSolved && subMode !== 'quiz' && solver && (
+          <div style={{ padding: '0 16px 12px' }}>
+            <div style={{ fontSize: '10px', color: 'rgba(255,255,255,0.4)', marginBottom: '8px' }}>
+              FULL SOLUTION
+            </div>
+            {solver.result?.ok && solver.step >= 0 ? (
+              <AlgorithmCard
+                algo={{
+                  name: `${solver.movesLeft} move${solver.movesLeft === 1 ? '' : 's'} to solved`,
+                  notation: solver.result.solution,
+                  when: 'Near-optimal two-phase solution from the current state',
+                }}
+                isSelected={!!selectedAlgo?.solver}
+                onSelect={() => { if (!selectedAlgo?.solver) onFindSolution(); }}
+                algoMoves={selectedAlgo?.solver ? algoMoves : []}
+                currentStep={selectedAlgo?.solver ? currentStep : 0}
+                isPlaying={selectedAlgo?.solver ? isPlaying : false}
+                canExecute={selectedAlgo?.solver ? canExecute : false}
+                isAlgoComplete={selectedAlgo?.solver ? isAlgoComplete : false}
+                onExecuteStep={onExecuteStep}
+                onToggleAutoPlay={onToggleAutoPlay}
+                onResetAlgorithm={onResetAlgorithm}
+                whyOpen={false}
+                onToggleWhy={onToggleWhy}
+                subMode={subMode}
+              />
+            ) : (
+              <button
+                onClick={onFindSolution}
+                disabled={solver.computing}
+                style={{
+                  width: '100%',
+                  padding: '8px',
+                  borderRadius: '6px',
+                  border: '1px solid rgba(251, 191, 36, 0.4)',
+                  background: 'rgba(251, 191, 36, 0.1)',
+                  color: '#fbbf24',
+                  fontSize: '12px',
+                  fontWeight: 'bold',
+                  fontFamily: "'Courier New', monospace",
+                  cursor: solver.computing ? 'default' : 'pointer',
+                  touchAction: 'manipulation',
+                }}
+              >
+                {solver.computing ? 'Searching…' : solver.result?.ok ? 'Cube changed — solve again' : 'Find shortest solution'}
+              </button>
+            )}
+            {solver.result && !solver.result.ok && (
+              <div style={{ fontSize: '11px', color: '#f87171', marginTop: '6px' }}>
+                {solver.result.error}
+              </div>
+            )}
+          </div>
+        )}
+
         {/* ── All Stages Reference ── */}
         <div style={{
           padding: '12px 16px',
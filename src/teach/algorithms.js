@@ -4,30 +4,15 @@
 // Notation reference (Home Grip orientation):
 //   F=PZ(Red)  B=NZ(Orange)  R=PX(Blue)  L=NX(Green)  U=PY(White)  D=NY(Yellow)
 
-import { namedMoveToRotation, expandMove } from '../game/handsInput.js';
+import { notationToRotations } from '../game/notation.js';
 
 // ---------------------------------------------------------------------------
 // Parse a notation string like "R U R' U'" into engine moves
 // ---------------------------------------------------------------------------
+// Accepts the full notation set (wide moves, slices, cube rotations, groups,
+// commutators — see src/game/notation.js). Unknown tokens are skipped.
 export function parseAlgorithm(notation, size = 3) {
-  const tokens = notation.trim().split(/\s+/);
-  const moves = [];
-
-  for (const token of tokens) {
-    if (token.endsWith('2')) {
-      const expanded = expandMove(token, size);
-      for (const rot of expanded) {
-        moves.push({ ...rot, notation: token });
-      }
-    } else {
-      const rot = namedMoveToRotation(token, size);
-      if (rot) {
-        moves.push({ ...rot, notation: token });
-      }
-    }
-  }
-
-  return moves;
+  return notationToRotations(notation, size).rotations;
 }
 
 // ---------------------------------------------------------------------------
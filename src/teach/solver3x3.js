@@ -129,7 +129,9 @@ function isSolved(cubies) {
   for (let x = 0; x < 3; x++) {
     for (let y = 0; y < 3; y++) {
       for (let z = 0; z < 3; z++) {
-        for (const [dir, st] of Object.entries(cubies[x][y][z].stickers)) {
+        const cubie = cubies[x][y][z];
+        if (!cubie) continue;
+        for (const [dir, st] of Object.entries(cubie.stickers)) {
           if (st.curr !== DIR_TO_COLOR[dir]) return false;
         }
       }
@@ -233,7 +235,9 @@ function getHighlightsForStage(stageIndex, cubies) {
       for (let x = 0; x < 3; x++) {
         for (let y = 0; y < 3; y++) {
           for (let z = 0; z < 3; z++) {
-            const stickers = cubies[x][y][z].stickers;
+            const cubie = cubies[x][y][z];
+            if (!cubie) continue;
+            const stickers = cubie.stickers;
             const isEdge = Object.keys(stickers).length === 2;
             if (!isEdge) continue;
             const hasWhite = Object.values(stickers).some(s => s.curr === 3);
@@ -264,7 +268,9 @@ function getHighlightsForStage(stageIndex, cubies) {
       for (let x = 0; x < 3; x++) {
         for (let y = 0; y < 3; y++) {
           for (let z = 0; z < 3; z++) {
-            const stickers = cubies[x][y][z].stickers;
+            const cubie = cubies[x][y][z];
+            if (!cubie) continue;
+            const stickers = cubie.stickers;
             const isCorner = Object.keys(stickers).length === 3;
             if (!isCorner) continue;
             const hasWhite = Object.values(stickers).some(s => s.curr === 3);
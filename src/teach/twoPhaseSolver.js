@@ -0,0 +1,599 @@
+// src/teach/twoPhaseSolver.js
+// Two-phase (Kociemba-style) solver for the standard 3x3
+//
+// Unlike solver3x3.js, which only analyzes which beginner stage the player
+// is at, this produces an actual move sequence from any legal state.
+//
+// Face turns are not hand-coded: each quarter turn is taken from the
+// tiling-graph move cycles (src/utils/tilingGraph.js) for the engine rotation
+// our notation maps it to, so solutions always agree with the game's moves.
+//
+// Phase 1: reach G1 = <U, D, R2, L2, F2, B2>
+//          (all corners/edges oriented, E-slice edges in the E slice)
+// Phase 2: solve within G1
+//
+// Tables (~6 MB, a second or two to build) are created lazily on first use,
+// or built in a worker and loaded with loadTwoPhaseTables (see
+// twoPhaseWarmup.js).
+
+import { buildTilingGraph, applyTwist, stickerVertex, FACE_DIRS } from '../utils/tilingGraph.js';
+import { DIR_TO_VEC } from '../utils/constants.js';
+import { notationToRotations } from '../game/notation.js';
+
+// ============================================================================
+// MOVES
+// ============================================================================
+
+// Move index m = face * 3 + k, k: 0 = quarter, 1 = half, 2 = prime
+const FACES = ['U', 'R', 'F', 'D', 'L', 'B'];
+const SUFFIXES = ['', '2', "'"];
+const N_MOVES = 18;
+
+// Moves that keep the cube inside G1
+const PHASE2_MOVES = [0, 1, 2, 4, 7, 9, 10, 11, 13, 16];
+const N_MOVES2 = PHASE2_MOVES.length;
+
+export const moveName = (m) => FACES[Math.floor(m / 3)] + SUFFIXES[m % 3];
+
+// Center-fixing slice moves (M/E/S move centers; face turns never do)
+const SLICE_NAMES = ['M', "M'", 'E', "E'", 'S', "S'"];
+
+// Sticker colors by face (solved cube): color = FACE_DIRS index + 1
+const U_COLOR = FACE_DIRS.indexOf('PY') + 1;
+const D_COLOR = FACE_DIRS.indexOf('NY') + 1;
+const CENTER_VERTICES = FACE_DIRS.map((_, f) => f * 9 + 4);
+
+// ============================================================================
+// CUBIE LAYOUT
+// ============================================================================
+
+const det3 = (a, b, c) =>
+  a[0] * (b[1] * c[2] - b[2] * c[1]) -
+  a[1] * (b[0] * c[2] - b[2] * c[0]) +
+  a[2] * (b[0] * c[1] - b[1] * c[0]);
+
+const dirsAt = (x, y, z) => {
+  const dirs = [];
+  if (x === 2) dirs.push('PX');
+  if (x === 0) dirs.push('NX');
+  if (y === 2) dirs.push('PY');
+  if (y === 0) dirs.push('NY');
+  if (z === 2) dirs.push('PZ');
+  if (z === 0) dirs.push('NZ');
+  return dirs;
+};
+
+// Facelet vertices for each corner / edge position.
+// Corners: U/D facet first, then the other two in a fixed handedness.
+// Edges: U/D facet first, else the F/B facet (E-slice edges).
+// Edge positions 8-11 are the E-slice edges.
+function buildLayout() {
+  const corners = [];
+  const udEdges = [];
+  const sliceEdges = [];
+
+  for (let x = 0; x <= 2; x++) {
+    for (let y = 0; y <= 2; y++) {
+      for (let z = 0; z <= 2; z++) {
+        const dirs = dirsAt(x, y, z);
+        const primary = dirs.find(d => d === 'PY' || d === 'NY') || dirs.find(d => d === 'PZ' || d === 'NZ');
+        const rest = dirs.filter(d => d !== primary);
+        if (dirs.length === 3) {
+          if (det3(DIR_TO_VEC[primary], DIR_TO_VEC[rest[0]], DIR_TO_VEC[rest[1]]) < 0) rest.reverse();
+          corners.push([primary, ...rest].map(d => stickerVertex(d, x, y, z, 3)));
+        } else if (dirs.length === 2) {
+          const facelets = [primary, rest[0]].map(d => stickerVertex(d, x, y, z, 3));
+          (y === 1 ? sliceEdges : udEdges).push(facelets);
+        }
+      }
+    }
+  }
+
+  return { corners, edges: [...udEdges, ...sliceEdges] };
+}
+
+// ============================================================================
+// CUBIE CUBE
+// ============================================================================
+
+// cp[i] = corner piece at position i, co[i] = its twist (0-2)
+// ep[i] = edge piece at position i,   eo[i] = its flip (0-1)
+const identityCube = () => ({
+  cp: [0, 1, 2, 3, 4, 5, 6, 7],
+  co: [0, 0, 0, 0, 0, 0, 0, 0],
+  ep: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11],
+  eo: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
+});
+
+// a * b: apply move/state b after a
+const multiply = (a, b) => ({
+  cp: b.cp.map(p => a.cp[p]),
+  co: b.cp.map((p, i) => (a.co[p] + b.co[i]) % 3),
+  ep: b.ep.map(p => a.ep[p]),
+  eo: b.ep.map((p, i) => (a.eo[p] + b.eo[i]) % 2),
+});
+
+const permParity = (p) => {
+  let parity = 0;
+  for (let i = 0; i < p.length; i++) {
+    for (let j = i + 1; j < p.length; j++) if (p[j] < p[i]) parity ^= 1;
+  }
+  return parity;
+};
+
+// Read a cubie cube from a 54-entry facelet color array.
+// Returns { cube } or { error }.
+function faceletsToCube(colors, layout) {
+  const cube = identityCube();
+  const solvedCorner = layout.corners.map(f => f.map(v => Math.floor(v / 9) + 1));
+  const solvedEdge = layout.edges.map(f => f.map(v => Math.floor(v / 9) + 1));
+
+  for (let i = 0; i < 8; i++) {
+    const f = layout.corners[i];
+    const ori = f.findIndex(v => colors[v] === U_COLOR || colors[v] === D_COLOR);
+    if (ori < 0) return { error: 'corner without a top/bottom color' };
+    const c1 = colors[f[(ori + 1) % 3]];
+    const c2 = colors[f[(ori + 2) % 3]];
+    const j = solvedCorner.findIndex(s => s[0] === colors[f[ori]] && s[1] === c1 && s[2] === c2);
+    if (j < 0) return { error: 'corner colors do not match any piece' };
+    cube.cp[i] = j;
+    cube.co[i] = ori;
+  }
+
+  for (let i = 0; i < 12; i++) {
+    const [a, b] = layout.edges[i].map(v => colors[v]);
+    let j = solvedEdge.findIndex(s => s[0] === a && s[1] === b);
+    cube.eo[i] = 0;
+    if (j < 0) {
+      j = solvedEdge.findIndex(s => s[0] === b && s[1] === a);
+      cube.eo[i] = 1;
+    }
+    if (j < 0) return { error: 'edge colors do not match any piece' };
+    cube.ep[i] = j;
+  }
+
+  if (new Set(cube.cp).size !== 8 || new Set(cube.ep).size !== 12) {
+    return { error: 'a piece appears twice' };
+  }
+  if (cube.co.reduce((s, v) => s + v, 0) % 3 !== 0) return { error: 'a corner is twisted' };
+  if (cube.eo.reduce((s, v) => s + v, 0) % 2 !== 0) return { error: 'an edge is flipped' };
+  if (permParity(cube.cp) !== permParity(cube.ep)) return { error: 'two pieces are swapped' };
+
+  return { cube };
+}
+
+// ============================================================================
+// COORDINATES
+// ============================================================================
+
+const getTwist = (co) => co.slice(0, 7).reduce((t, v) => t * 3 + v, 0);
+const setTwist = (t) => {
+  const co = new Array(8);
+  let sum = 0;
+  for (let i = 6; i >= 0; i--) { co[i] = t % 3; sum += co[i]; t = Math.floor(t / 3); }
+  co[7] = (3 - (sum % 3)) % 3;
+  return co;
+};
+
+const getFlip = (eo) => eo.slice(0, 11).reduce((f, v) => f * 2 + v, 0);
+const setFlip = (f) => {
+  const eo = new Array(12);
+  let sum = 0;
+  for (let i = 10; i >= 0; i--) { eo[i] = f & 1; sum += eo[i]; f >>= 1; }
+  eo[11] = sum % 2;
+  return eo;
+};
+
+// Which 4 of the 12 edge positions hold E-slice pieces (C(12,4) = 495)
+const SLICE_MASKS = [];
+const MASK_TO_SLICE = new Int16Array(1 << 12).fill(-1);
+for (let mask = 0; mask < (1 << 12); mask++) {
+  let bits = 0;
+  for (let b = mask; b; b &= b - 1) bits++;
+  if (bits === 4) {
+    MASK_TO_SLICE[mask] = SLICE_MASKS.length;
+    SLICE_MASKS.push(mask);
+  }
+}
+const N_SLICE = SLICE_MASKS.length;
+
+const getSlice = (ep) => {
+  let mask = 0;
+  for (let i = 0; i < 12; i++) if (ep[i] >= 8) mask |= 1 << i;
+  return MASK_TO_SLICE[mask];
+};
+const setSlice = (s) => {
+  const mask = SLICE_MASKS[s];
+  const ep = new Array(12);
+  let slice = 8, other = 0;
+  for (let i = 0; i < 12; i++) ep[i] = mask & (1 << i) ? slice++ : other++;
+  return ep;
+};
+
+// Lehmer rank of a permutation (only the relative order of entries matters)
+const rankPerm = (p) => {
+  let idx = 0;
+  for (let i = 0; i < p.length; i++) {
+    let smaller = 0;
+    for (let j = i + 1; j < p.length; j++) if (p[j] < p[i]) smaller++;
+    idx = idx * (p.length - i) + smaller;
+  }
+  return idx;
+};
+const unrankPerm = (idx, n, offset = 0) => {
+  const digits = new Array(n);
+  for (let i = n - 1; i >= 0; i--) { digits[i] = idx % (n - i); idx = Math.floor(idx / (n - i)); }
+  const avail = Array.from({ length: n }, (_, i) => i + offset);
+  return digits.map(d => avail.splice(d, 1)[0]);
+};
+
+const N_TWIST = 2187;
+const N_FLIP = 2048;
+const N_PERM8 = 40320;
+const N_PERM4 = 24;
+
+// ============================================================================
+// TABLES
+// ============================================================================
+
+let tables = null;
+
+// The tables that take time to build; everything else comes from buildBase
+const TABLE_KEYS = [
+  'twistMove', 'flipMove', 'sliceMove', 'cpMove', 'udMove', 'spMove',
+  'twistSlicePrune', 'flipSlicePrune', 'cpSpPrune', 'udSpPrune',
+];
+
+// Piece layout, move cubes and slice cycles: quick to build
+function buildBase() {
+  const layout = buildLayout();
+  const { moveCubes, sliceCycles } = buildMoveCubes(layout);
+  return { layout, moveCubes, sliceCycles, sliceSolved: getSlice(identityCube().ep) };
+}
+
+function buildMoveCubes(layout) {
+  const graph = buildTilingGraph(3);
+  const solved = Array.from({ length: 54 }, (_, v) => Math.floor(v / 9) + 1);
+  const cyclesFor = (notation) => {
+    const { rotations } = notationToRotations(notation, 3);
+    const { axis, sliceIndex, dir } = rotations[0];
+    return graph.cycles[`${axis}-${sliceIndex}-${dir}`];
+  };
+
+  const moveCubes = [];
+  for (const face of FACES) {
+    const quarter = faceletsToCube(applyTwist(solved, cyclesFor(face)), layout).cube;
+    let c = quarter;
+    for (let k = 0; k < 3; k++) {
+      moveCubes.push(c);
+      c = multiply(c, quarter);
+    }
+  }
+
+  const sliceCycles = SLICE_NAMES.map(cyclesFor);
+  return { moveCubes, sliceCycles };
+}
+
+function buildMoveTable(n, moves, encode, decode, apply) {
+  const table = new Uint16Array(n * moves.length);
+  for (let i = 0; i < n; i++) {
+    const cube = decode(i);
+    moves.forEach((m, k) => { table[i * moves.length + k] = encode(apply(cube, m)); });
+  }
+  return table;
+}
+
+// Breadth-first distance table over (a, b) pairs
+function buildPruneTable(nA, nB, moveA, moveB, nMoves, startA, startB) {
+  const table = new Int8Array(nA * nB).fill(-1);
+  table[startA * nB + startB] = 0;
+  let filled = 1, depth = 0;
+  while (filled < table.length) {
+    let found = 0;
+    for (let idx = 0; idx < table.length; idx++) {
+      if (table[idx] !== depth) continue;
+      const a = Math.floor(idx / nB), b = idx % nB;
+      for (let m = 0; m < nMoves; m++) {
+        const next = moveA[a * nMoves + m] * nB + moveB[b * nMoves + m];
+        if (table[next] === -1) { table[next] = depth + 1; found++; }
+      }
+    }
+    if (!found) break;
+    filled += found;
+    depth++;
+  }
+  return table;
+}
+
+/**
+ * Build the move and pruning tables. Called automatically by solveTwoPhase;
+ * call it early (e.g. when a hint panel opens) to keep the first solve fast.
+ */
+export function initTwoPhaseSolver() {
+  if (tables) return tables;
+
+  const { layout, moveCubes, sliceCycles, sliceSolved } = buildBase();
+  const all = [...Array(N_MOVES).keys()];
+  const p2 = PHASE2_MOVES;
+  const id = identityCube();
+
+  const twistMove = buildMoveTable(N_TWIST, all, c => getTwist(c.co), t => ({ ...id, co: setTwist(t) }),
+    (c, m) => multiply(c, moveCubes[m]));
+  const flipMove = buildMoveTable(N_FLIP, all, c => getFlip(c.eo), f => ({ ...id, eo: setFlip(f) }),
+    (c, m) => multiply(c, moveCubes[m]));
+  const sliceMove = buildMoveTable(N_SLICE, all, c => getSlice(c.ep), s => ({ ...id, ep: setSlice(s) }),
+    (c, m) => multiply(c, moveCubes[m]));
+  const cpMove = buildMoveTable(N_PERM8, p2, c => rankPerm(c.cp), i => ({ ...id, cp: unrankPerm(i, 8) }),
+    (c, m) => multiply(c, moveCubes[m]));
+  const udMove = buildMoveTable(N_PERM8, p2, c => rankPerm(c.ep.slice(0, 8)),
+    i => ({ ...id, ep: [...unrankPerm(i, 8), 8, 9, 10, 11] }), (c, m) => multiply(c, moveCubes[m]));
+  const spMove = buildMoveTable(N_PERM4, p2, c => rankPerm(c.ep.slice(8)),
+    i => ({ ...id, ep: [0, 1, 2, 3, 4, 5, 6, 7, ...unrankPerm(i, 4, 8)] }), (c, m) => multiply(c, moveCubes[m]));
+
+  tables = {
+    layout, moveCubes, sliceCycles, sliceSolved,
+    twistMove, flipMove, sliceMove, cpMove, udMove, spMove,
+    twistSlicePrune: buildPruneTable(N_TWIST, N_SLICE, twistMove, sliceMove, N_MOVES, 0, sliceSolved),
+    flipSlicePrune: buildPruneTable(N_FLIP, N_SLICE, flipMove, sliceMove, N_MOVES, 0, sliceSolved),
+    cpSpPrune: buildPruneTable(N_PERM8, N_PERM4, cpMove, spMove, N_MOVES2, 0, 0),
+    udSpPrune: buildPruneTable(N_PERM8, N_PERM4, udMove, spMove, N_MOVES2, 0, 0),
+  };
+  return tables;
+}
+
+export const isTwoPhaseSolverReady = () => tables !== null;
+
+/**
+ * The move and pruning tables as typed arrays, built if need be. A worker
+ * posts these back to the page for loadTwoPhaseTables.
+ * @returns {Object<string, Uint16Array|Int8Array>}
+ */
+export function twoPhaseTableData() {
+  const t = initTwoPhaseSolver();
+  return Object.fromEntries(TABLE_KEYS.map(key => [key, t[key]]));
+}
+
+/**
+ * Install tables from twoPhaseTableData (built elsewhere, e.g. in a worker)
+ * instead of building them here.
+ * @param {Object} data
+ * @returns {boolean} false if the solver was already ready or `data` is incomplete
+ */
+export function loadTwoPhaseTables(data) {
+  if (tables || !TABLE_KEYS.every(key => ArrayBuffer.isView(data?.[key]))) return false;
+  tables = { ...buildBase(), ...Object.fromEntries(TABLE_KEYS.map(key => [key, data[key]])) };
+  return true;
+}
+
+// ============================================================================
+// CENTERS
+// ============================================================================
+
+// Slice moves (M/E/S) carry centers around; find the shortest slice sequence
+// that puts every center back home so the face-turn search can assume fixed
+// centers. At most 24 center arrangements exist.
+function fixCenters(colors, sliceCycles) {
+  const key = (c) => CENTER_VERTICES.map(v => c[v]).join('');
+  const home = CENTER_VERTICES.map(v => Math.floor(v / 9) + 1).join('');
+  const seen = new Set([key(colors)]);
+  let frontier = [{ colors, path: [] }];
+
+  while (frontier.length) {
+    const nextFrontier = [];
+    for (const node of frontier) {
+      if (key(node.colors) === home) return node;
+      sliceCycles.forEach((cycles, i) => {
+        const next = applyTwist(node.colors, cycles);
+        const k = key(next);
+        if (seen.has(k)) return;
+        seen.add(k);
+        nextFrontier.push({ colors: next, path: [...node.path, SLICE_NAMES[i]] });
+      });
+    }
+    frontier = nextFrontier;
+  }
+  return null;
+}
+
+// ['M', 'M'] → ['M2']
+const mergeSliceMoves = (path) => {
+  const out = [];
+  for (const m of path) {
+    if (out[out.length - 1] === m) out[out.length - 1] = `${m[0]}2`;
+    else out.push(m);
+  }
+  return out;
+};
+
+// ============================================================================
+// SEARCH
+// ============================================================================
+
+const faceOf = (m) => Math.floor(m / 3);
+
+// Skip same-face repeats and the redundant order of commuting opposite faces
+const allowedAfter = (m, lastFace) => {
+  const f = faceOf(m);
+  return lastFace < 0 || (f !== lastFace && f !== lastFace - 3);
+};
+
+function search(cube, t, { timeBudgetMs, targetLength, maxLength, nodeBudget }) {
+  const deadline = Date.now() + timeBudgetMs;
+  const path1 = [];
+  const path2 = [];
+  let best = null;
+  let nodes = 0;
+  let stop = false;
+
+  const timeUp = () => ((++nodes & 1023) === 0 && best !== null && (nodes > nodeBudget || Date.now() > deadline));
+
+  const phase2 = (cp, ud, sp, depth, lastFace) => {
+    if (depth === 0) return cp === 0 && ud === 0 && sp === 0;
+    if (timeUp()) { stop = true; return false; }
+    for (let k = 0; k < N_MOVES2; k++) {
+      const m = PHASE2_MOVES[k];
+      if (!allowedAfter(m, lastFace)) continue;
+      const ncp = t.cpMove[cp * N_MOVES2 + k];
+      const nud = t.udMove[ud * N_MOVES2 + k];
+      const nsp = t.spMove[sp * N_MOVES2 + k];
+      const h = Math.max(t.cpSpPrune[ncp * N_PERM4 + nsp], t.udSpPrune[nud * N_PERM4 + nsp]);
+      if (h >= depth) continue;
+      path2.push(m);
+      if (phase2(ncp, nud, nsp, depth - 1, faceOf(m))) return true;
+      path2.pop();
+      if (stop) return false;
+    }
+    return false;
+  };
+
+  const startPhase2 = () => {
+    const last = path1[path1.length - 1];
+    // A phase-1 path ending in a G1 move was already found one level shallower
+    if (path1.length > 0 && PHASE2_MOVES.includes(last)) return;
+
+    let c = cube;
+    for (const m of path1) c = multiply(c, t.moveCubes[m]);
+    const cp = rankPerm(c.cp);
+    const ud = rankPerm(c.ep.slice(0, 8));
+    const sp = rankPerm(c.ep.slice(8));
+
+    const limit = (best ? best.length - 1 : maxLength) - path1.length;
+    const h = Math.max(t.cpSpPrune[cp * N_PERM4 + sp], t.udSpPrune[ud * N_PERM4 + sp]);
+    for (let depth = h; depth <= limit && !stop; depth++) {
+      path2.length = 0;
+      if (phase2(cp, ud, sp, depth, path1.length ? faceOf(last) : -1)) {
+        best = [...path1, ...path2];
+        if (best.length <= targetLength) stop = true;
+        return;
+      }
+    }
+  };
+
+  const phase1 = (twist, flip, slice, depth, lastFace) => {
+    if (depth === 0) {
+      if (twist === 0 && flip === 0 && slice === t.sliceSolved) startPhase2();
+      return;
+    }
+    if (timeUp()) { stop = true; return; }
+    for (let m = 0; m < N_MOVES; m++) {
+      if (!allowedAfter(m, lastFace)) continue;
+      const nt = t.twistMove[twist * N_MOVES + m];
+      const nf = t.flipMove[flip * N_MOVES + m];
+      const ns = t.sliceMove[slice * N_MOVES + m];
+      const h = Math.max(t.twistSlicePrune[nt * N_SLICE + ns], t.flipSlicePrune[nf * N_SLICE + ns]);
+      if (h >= depth) continue;
+      path1.push(m);
+      phase1(nt, nf, ns, depth - 1, faceOf(m));
+      path1.pop();
+      if (stop) return;
+    }
+  };
+
+  const twist = getTwist(cube.co), flip = getFlip(cube.eo), slice = getSlice(cube.ep);
+  const h1 = Math.max(t.twistSlicePrune[twist * N_SLICE + slice], t.flipSlicePrune[flip * N_SLICE + slice]);
+  for (let depth = h1; depth <= maxLength && !stop; depth++) {
+    if (best && depth >= best.length) break;
+    phase1(twist, flip, slice, depth, -1);
+  }
+
+  return best;
+}
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+// Current sticker colors in tiling-graph vertex order
+const cubiesToColors = (cubies) => {
+  const colors = new Array(54);
+  for (let x = 0; x <= 2; x++) {
+    for (let y = 0; y <= 2; y++) {
+      for (let z = 0; z <= 2; z++) {
+        const cubie = cubies[x]?.[y]?.[z];
+        if (!cubie) continue;
+        for (const [dirKey, st] of Object.entries(cubie.stickers)) {
+          colors[stickerVertex(dirKey, x, y, z, 3)] = st.curr;
+        }
+      }
+    }
+  }
+  return colors;
+};
+
+/**
+ * Solve a 3x3 state with the two-phase algorithm.
+ *
+ * The search keeps improving its answer until it runs out of `timeBudgetMs`,
+ * finds one of at most `targetLength` moves, or proves nothing shorter exists
+ * (the first solution is always returned, even if it takes longer than the
+ * budget).
+ *
+ * @param {Array} cubies - 3×3×3 cubie array
+ * @param {Object} [options]
+ * @param {number} [options.timeBudgetMs=300]
+ * @param {number} [options.targetLength=0] - Stop as soon as a solution this short is found
+ * @param {number} [options.maxLength=30]
+ * @returns {{ ok: true, solution: string, moves: string[], length: number }
+ *          | { ok: false, error: string }}
+ */
+export function solveTwoPhase(cubies, options = {}) {
+  if (cubies?.length !== 3) return { ok: false, error: 'The solver only handles 3×3 cubes' };
+  const t = initTwoPhaseSolver();
+
+  const colors = cubiesToColors(cubies);
+  const centered = fixCenters(colors, t.sliceCycles);
+  if (!centered) return { ok: false, error: 'Centers are in an impossible arrangement' };
+
+  const { cube, error } = faceletsToCube(centered.colors, t.layout);
+  if (error) return { ok: false, error: `Not a solvable 3×3 state: ${error}` };
+
+  const solved = solveCubieCube(cube, options);
+  if (!solved.ok) return solved;
+
+  const moves = [...mergeSliceMoves(centered.path), ...solved.moves];
+  return { ok: true, solution: moves.join(' '), moves, length: moves.length };
+}
+
+/**
+ * Solve a state given as a cubie cube ({ cp, co, ep, eo }, centers fixed).
+ * Takes the same options as solveTwoPhase, plus `nodeBudget`: a search-size
+ * limit that, unlike the time budget, gives the same answer on every machine.
+ *
+ * @returns {{ ok: true, solution: string, moves: string[], length: number }
+ *          | { ok: false, error: string }}
+ */
+export function solveCubieCube(cube, options = {}) {
+  const { timeBudgetMs = 300, targetLength = 0, maxLength = 30, nodeBudget = Infinity } = options;
+  const faceMoves = search(cube, initTwoPhaseSolver(), { timeBudgetMs, targetLength, maxLength, nodeBudget });
+  if (!faceMoves) return { ok: false, error: `No solution within ${maxLength} moves` };
+
+  const moves = faceMoves.map(moveName);
+  return { ok: true, solution: moves.join(' '), moves, length: moves.length };
+}
+
+/**
+ * A uniformly random solvable 3x3 state as a cubie cube, for random-state
+ * scrambles. `rng` works like Math.random.
+ */
+export function randomCubieCube(rng = Math.random) {
+  const randomPerm = (n) => {
+    const p = Array.from({ length: n }, (_, i) => i);
+    for (let i = n - 1; i > 0; i--) {
+      const j = Math.floor(rng() * (i + 1));
+      [p[i], p[j]] = [p[j], p[i]];
+    }
+    return p;
+  };
+
+  const cp = randomPerm(8);
+  const ep = randomPerm(12);
+  // Corner and edge permutations must share parity
+  if (permParity(cp) !== permParity(ep)) [ep[0], ep[1]] = [ep[1], ep[0]];
+
+  return {
+    cp,
+    co: setTwist(Math.floor(rng() * N_TWIST)),
+    ep,
+    eo: setFlip(Math.floor(rng() * N_FLIP)),
+  };
+}
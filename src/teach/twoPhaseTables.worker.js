@@ -0,0 +1,12 @@
+// src/teach/twoPhaseTables.worker.js
+// Builds the two-phase solver's tables off the main thread.
+//
+// In:  anything
+// Out: { tables } - see twoPhaseTableData; the buffers are transferred
+
+import { twoPhaseTableData } from './twoPhaseSolver.js';
+
+self.onmessage = () => {
+  const tables = twoPhaseTableData();
+  self.postMessage({ tables }, Object.values(tables).map(table => table.buffer));
+};
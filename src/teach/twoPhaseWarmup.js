@@ -0,0 +1,41 @@
+// src/teach/twoPhaseWarmup.js
+// Gets the two-phase solver ready without stalling the page: its tables are
+// built in a worker and loaded here when they arrive. 3×3 random-state
+// scrambles, hints and par all need them, and building them in place takes
+// over a second.
+
+import { isTwoPhaseSolverReady, loadTwoPhaseTables, initTwoPhaseSolver } from './twoPhaseSolver.js';
+
+let pending = null;
+
+/**
+ * Start building the two-phase tables in a worker. Safe to call repeatedly;
+ * every call shares one build. Where workers are missing (tests) the tables
+ * are built in place. If the worker fails, the solver still builds them
+ * itself on first use.
+ * @returns {Promise<void>} Resolves once the solver is ready (or the worker gave up)
+ */
+export function warmTwoPhaseSolver() {
+  if (isTwoPhaseSolverReady()) return Promise.resolve();
+  if (pending) return pending;
+  if (typeof Worker === 'undefined') {
+    initTwoPhaseSolver();
+    return Promise.resolve();
+  }
+
+  pending = new Promise((resolve) => {
+    const worker = new Worker(new URL('./twoPhaseTables.worker.js', import.meta.url), { type: 'module' });
+    const finish = () => {
+      worker.terminate();
+      pending = null;
+      resolve();
+    };
+    worker.onmessage = ({ data }) => {
+      loadTwoPhaseTables(data.tables);
+      finish();
+    };
+    worker.onerror = finish;
+    worker.postMessage(null);
+  });
+  return pending;
+}
@@ -0,0 +1,81 @@
+// src/teach/useSolver.js
+// Hook that runs a solver on demand and tracks progress through its
+// solution as the player (or autoplay) applies the moves.
+//
+// By default this is the two-phase 3×3 solver (rotations only). With
+// `withFlips` it uses the flip-aware solver instead, whose steps mix
+// rotations and antipodal pair flips. It solves any 2×2 or 3×3; on bigger
+// cubes it only reaches positions a few turns from solved and says so.
+
+import { useState, useCallback, useMemo } from 'react';
+import { solveTwoPhase } from './twoPhaseSolver.js';
+import { solveWithFlips } from '../game/flipSolver.js';
+import { isInRefractory } from '../game/refractoryMap.js';
+import { notationToRotations } from '../game/notation.js';
+import { applyMove } from '../engine/CubeEngine.js';
+import { encodeCubeState } from '../engine/stateCodec.js';
+
+// Two-phase answer as engine steps; U2 counts as two quarter turns
+const twoPhaseSteps = (cubies) => {
+  const solved = solveTwoPhase(cubies);
+  if (!solved.ok) return solved;
+  const steps = notationToRotations(solved.solution, 3).rotations.map(r => ({ type: 'rotation', ...r }));
+  let turns = 0;
+  const moveEnds = solved.moves.map(m => (turns += notationToRotations(m, 3).rotations.length));
+  return { ...solved, steps, moveEnds };
+};
+
+// Flip-aware answer: every step is its own move
+const flipAwareSteps = (cubies, size) => {
+  const solved = solveWithFlips(cubies, size, { isBlocked: isInRefractory });
+  if (!solved.ok) return solved;
+  return { ...solved, moveEnds: solved.steps.map((_, i) => i + 1) };
+};
+
+export function useSolver(cubies, size, { withFlips = false } = {}) {
+  // { ok, solution, moves, length, steps, rotations, moveEnds, states } | { ok: false, error }
+  const [result, setResult] = useState(null);
+  const [computing, setComputing] = useState(false);
+
+  const solve = useCallback(() => {
+    if (size !== 3 && !withFlips) {
+      setResult({ ok: false, error: 'The solver only handles 3×3 cubes' });
+      return;
+    }
+    setComputing(true);
+    // Defer so the "computing" state paints before the (synchronous) search;
+    // the first 3×3 call also builds the two-phase tables.
+    setTimeout(() => {
+      const solved = withFlips ? flipAwareSteps(cubies, size) : twoPhaseSteps(cubies);
+      if (solved.ok) {
+        // Expected state after each step, to follow the player's progress
+        const states = [encodeCubeState(cubies, size)];
+        let state = cubies;
+        for (const move of solved.steps) {
+          state = applyMove(state, size, move);
+          states.push(encodeCubeState(state, size));
+        }
+        const rotations = solved.steps.filter(s => s.type === 'rotation');
+        setResult({ ...solved, rotations, states });
+      } else {
+        setResult(solved);
+      }
+      setComputing(false);
+    }, 30);
+  }, [cubies, size, withFlips]);
+
+  const clear = useCallback(() => setResult(null), []);
+
+  // How many steps of the solution have been applied so far;
+  // -1 when the cube has left the solution path.
+  const step = useMemo(() => {
+    if (!result?.ok || cubies.length !== size) return -1;
+    return result.states.indexOf(encodeCubeState(cubies, size));
+  }, [result, cubies, size]);
+
+  // Notation moves fully applied / still to go
+  const movesDone = step < 0 ? 0 : result.moveEnds.filter(end => end <= step).length;
+  const movesLeft = result?.ok ? result.moveEnds.length - movesDone : null;
+
+  return { result, computing, step, movesDone, movesLeft, solve, clear };
+}
@@ -10,6 +10,8 @@ import { useState, useCallback, useRef, useEffect } from 'react';
 import { useGameStore } from '../hooks/useGameStore.js';
 import { BEGINNER_METHOD_3x3, parseAlgorithm } from './algorithms.js';
 import { analyzeState } from './solver3x3.js';
+import { useSolver } from './useSolver.js';
+import { progressManager, ACHIEVEMENT_EVENTS } from '../levels/index.js';
 
 // ---------------------------------------------------------------------------
 // Build quiz options for the current stage
@@ -84,6 +86,10 @@ export function useTeachMode() {
   const isPlayingRef = useRef(false);
   const pendingNextRef = useRef(false);
 
+  // Full solution from the two-phase solver
+  const solver = useSolver(cubies, size);
+  const clearSolver = solver.clear;
+
   // Analyze cube state whenever cubies change and teach mode is active
   useEffect(() => {
     if (!active || size !== 3) return;
@@ -147,7 +153,8 @@ export function useTeachMode() {
     setWhyOpen(false);
     setQuizAnswered(null);
     setQuizHintShown(false);
-  }, [setSolveHighlights]);
+    clearSolver();
+  }, [setSolveHighlights, clearSolver]);
 
   // ---------------------------------------------------------------------------
   // Sub-mode switching
@@ -200,6 +207,19 @@ export function useTeachMode() {
     }
   }, []);
 
+  // Load a fresh solver result into the step-through controls
+  useEffect(() => {
+    if (!solver.result?.ok) return;
+    const moves = solver.result.rotations;
+    setSelectedAlgo({ solver: true });
+    setAlgoMoves(moves);
+    setCurrentStep(0);
+    setIsPlaying(false);
+    isPlayingRef.current = false;
+    setWhyOpen(false);
+    setLayerHighlight(moves.length > 0 ? { axis: moves[0].axis, sliceIndex: moves[0].sliceIndex, dir: moves[0].dir } : null);
+  }, [solver.result]);
+
   // ---------------------------------------------------------------------------
   // Execute the current step (one move)
   // ---------------------------------------------------------------------------
@@ -262,6 +282,7 @@ export function useTeachMode() {
   const answerQuiz = useCallback((optionIndex) => {
     const opt = quizOptions[optionIndex];
     if (!opt) return;
+    progressManager.recordEvent(ACHIEVEMENT_EVENTS.QUIZ_ANSWER, { correct: opt.isCorrect });
     if (opt.isCorrect) {
       setQuizAnswered('correct');
     } else {
@@ -288,10 +309,11 @@ export function useTeachMode() {
 
   const getSelectedAlgoInfo = useCallback(() => {
     if (!selectedAlgo) return null;
+    if (selectedAlgo.solver) return solver.result?.ok ? { name: 'Solver', notation: solver.result.solution } : null;
     const stage = BEGINNER_METHOD_3x3.stages[selectedAlgo.stageIndex];
     if (!stage) return null;
     return stage.algorithms[selectedAlgo.algoIndex] || null;
-  }, [selectedAlgo]);
+  }, [selectedAlgo, solver.result]);
 
   return {
     // Core state
@@ -320,6 +342,10 @@ export function useTeachMode() {
     answerQuiz,
     retryQuiz,
 
+    // Solver
+    solver,
+    findSolution: solver.solve,
+
     // Actions
     enterTeachMode,
     exitTeachMode,
@@ -0,0 +1,19 @@
+// src/utils/download.js
+// Save text the game made (replays, packs, save files, experiment runs)
+// to the player's downloads.
+
+/**
+ * Download text as a file.
+ * @param {string} text - File contents
+ * @param {string} fileName - Suggested file name, e.g. "worm3-save-2026-10-19.json"
+ * @param {string} [type='application/json'] - MIME type
+ */
+export function downloadText(text, fileName, type = 'application/json') {
+  const blob = new Blob([text], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+}
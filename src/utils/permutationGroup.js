@@ -0,0 +1,258 @@
+// src/utils/permutationGroup.js
+// Permutation groups on the tiling graph's sticker vertices.
+//
+// A permutation is an array p where p[i] is the point i is sent to. Tiling
+// states (see tilingGraph.js) are permutations in this sense: applying a
+// move with applyTwist is the same as compose(state, movePermutation).
+//
+// Single permutations get their cycles, order, commutators and conjugates.
+// Groups are given by generators and stored as a stabilizer chain built with
+// the deterministic Schreier–Sims algorithm. The chain gives the group order
+// (a BigInt; the 3×3 group is far beyond 2^53), membership tests, and the
+// levels the centralizer backtrack searches.
+
+export const identityPermutation = (n) => Array.from({ length: n }, (_, i) => i);
+
+/** p after q: compose(p, q)[i] = p[q[i]] */
+export const compose = (p, q) => q.map(i => p[i]);
+
+export function invert(p) {
+  const inverse = new Array(p.length);
+  p.forEach((image, i) => { inverse[image] = i; });
+  return inverse;
+}
+
+export const isIdentity = (p) => p.every((image, i) => image === i);
+
+/** Number of points p moves */
+export const support = (p) => p.reduce((n, image, i) => n + (image !== i ? 1 : 0), 0);
+
+/** The cycles of p longer than one point, each starting at its smallest point */
+export function cycles(p) {
+  const seen = new Uint8Array(p.length);
+  const result = [];
+  for (let start = 0; start < p.length; start++) {
+    if (seen[start]) continue;
+    const cycle = [];
+    for (let i = start; !seen[i]; i = p[i]) {
+      seen[i] = 1;
+      cycle.push(i);
+    }
+    if (cycle.length > 1) result.push(cycle);
+  }
+  return result;
+}
+
+/**
+ * Cycle type of p: how many cycles of each length (fixed points left out),
+ * e.g. { 3: 2, 4: 1 } for two 3-cycles and a 4-cycle
+ */
+export const cycleType = (p) => cycles(p).reduce((type, { length }) => {
+  type[length] = (type[length] ?? 0) + 1;
+  return type;
+}, {});
+
+const gcd = (a, b) => (b === 0 ? a : gcd(b, a % b));
+
+/** Order of p: the least k with p^k the identity (lcm of its cycle lengths) */
+export const permutationOrder = (p) => cycles(p).reduce((order, { length }) => order / gcd(order, length) * length, 1);
+
+/**
+ * Commutator [p, q]: p, then q, then p⁻¹, then q⁻¹, in the order tiling
+ * states compose (compose(a, b) is a followed by b)
+ */
+export const commutator = (p, q) => compose(compose(compose(p, q), invert(p)), invert(q));
+
+/** Conjugate [p: q]: p, then q, then p⁻¹ */
+export const conjugate = (p, q) => compose(compose(p, q), invert(p));
+
+// Close a level's orbit under its generators, extending the transversal
+// (transversal.get(x) maps the level's base point to x)
+function extendOrbit(level) {
+  const queue = [...level.transversal.keys()];
+  for (let q = 0; q < queue.length; q++) {
+    const x = queue[q];
+    const u = level.transversal.get(x);
+    for (const s of level.generators) {
+      const y = s[x];
+      if (!level.transversal.has(y)) {
+        level.transversal.set(y, compose(s, u));
+        queue.push(y);
+      }
+    }
+  }
+}
+
+// Strip p through the chain from level `from`: returns what is left and the
+// level it stopped at (chain.length when p reached the bottom)
+function sift(chain, p, from = 0) {
+  let residue = p;
+  for (let i = from; i < chain.length; i++) {
+    const u = chain[i].transversal.get(residue[chain[i].point]);
+    if (!u) return { residue, level: i };
+    residue = compose(invert(u), residue);
+  }
+  return { residue, level: chain.length };
+}
+
+/**
+ * Stabilizer chain of the group generated by `generators`.
+ *
+ * Level i holds the base point b_i, the generators that fix b_0 … b_{i-1},
+ * and a transversal for the orbit of b_i under them. Every point is in the
+ * base, in the order given, so levels the group can't move have an orbit of
+ * one; callers that need a particular base order (the centralizer search)
+ * rely on this.
+ *
+ * @param {number[][]} generators - Permutations of the same degree
+ * @param {number[]} [base] - Every point once; defaults to 0 … n-1
+ * @returns {Array<{ point: number, generators: number[][], transversal: Map<number, number[]> }>}
+ */
+export function stabilizerChain(generators, base) {
+  const n = generators[0]?.length ?? base?.length ?? 0;
+  const points = base ?? identityPermutation(n);
+  if (points.length !== n || new Set(points).size !== n) {
+    throw new RangeError('The base must list every point exactly once');
+  }
+  const id = identityPermutation(n);
+  const chain = points.map(point => ({ point, generators: [], transversal: new Map([[point, id]]) }));
+
+  const addGenerator = (p, from, to) => {
+    for (let l = from; l <= to && l < chain.length; l++) {
+      chain[l].generators.push(p);
+      extendOrbit(chain[l]);
+    }
+  };
+
+  for (const g of generators) {
+    const { residue, level } = sift(chain, g);
+    if (!isIdentity(residue)) addGenerator(residue, 0, level);
+  }
+
+  // Every Schreier generator of level i must sift through the levels below;
+  // one that doesn't becomes a new strong generator, and the levels it was
+  // added to are checked again
+  let i = chain.length - 1;
+  while (i >= 0) {
+    const level = chain[i];
+    let added = -1;
+    search: for (const [x, u] of level.transversal) {
+      for (const s of level.generators) {
+        const schreier = compose(invert(level.transversal.get(s[x])), compose(s, u));
+        const { residue, level: stop } = sift(chain, schreier, i + 1);
+        if (!isIdentity(residue)) {
+          addGenerator(residue, i + 1, stop);
+          added = Math.min(stop, chain.length - 1);
+          break search;
+        }
+      }
+    }
+    i = added >= 0 ? added : i - 1;
+  }
+
+  return chain;
+}
+
+/** Order of the group a chain describes */
+export const chainOrder = (chain) => chain.reduce((order, level) => order * BigInt(level.transversal.size), 1n);
+
+/** Whether p is in the group a chain describes */
+export function chainContains(chain, p) {
+  const { residue, level } = sift(chain, p);
+  return level === chain.length && isIdentity(residue);
+}
+
+/** Order of the group generated by `generators` */
+export const groupOrder = (generators, base) => chainOrder(stabilizerChain(generators, base));
+
+/**
+ * The centralizer of x in the group generated by `generators`: every group
+ * element g with g∘x = x∘g.
+ *
+ * Sims' subgroup backtrack over a stabilizer chain whose base walks the
+ * cycles of x in order, so once g(b) is chosen, g(x(b)) = x(g(b)) is forced
+ * and most of the search tree is never entered. Levels are filled from the
+ * bottom up, and an orbit point the partial centralizer already reaches is
+ * never searched again.
+ *
+ * @param {number[][]} generators
+ * @param {number[]} x - The permutation to centralize
+ * @returns {{ generators: number[][], order: bigint }}
+ */
+export function centralizer(generators, x) {
+  const n = x.length;
+  const base = [];
+  const seen = new Uint8Array(n);
+  for (let start = 0; start < n; start++) {
+    for (let p = start; !seen[p]; p = x[p]) {
+      seen[p] = 1;
+      base.push(p);
+    }
+  }
+
+  const chain = stabilizerChain(generators, base);
+  const levelOf = new Map(chain.map((level, i) => [level.point, i]));
+  const xInverse = invert(x);
+  // Level whose image determines this level's image, if it comes earlier
+  const forcedBy = chain.map((level, i) => {
+    const from = levelOf.get(xInverse[level.point]);
+    return from < i ? from : -1;
+  });
+  const commutes = (g) => g.every((image, i) => g[x[i]] === x[image]);
+
+  // An element of the level-i stabilizer sending b_i to gamma, commuting with x
+  const search = (i, gamma) => {
+    const images = chain.map(level => level.point);
+    const descend = (l, g) => {
+      if (l === chain.length) return commutes(g) ? g : null;
+      const level = chain[l];
+      if (forcedBy[l] >= 0) {
+        const target = x[images[forcedBy[l]]];
+        const u = level.transversal.get(g.indexOf(target));
+        if (!u) return null;
+        images[l] = target;
+        return descend(l + 1, compose(g, u));
+      }
+      for (const point of l === i ? [gamma] : level.transversal.keys()) {
+        images[l] = g[point];
+        const found = descend(l + 1, compose(g, level.transversal.get(point)));
+        if (found) return found;
+      }
+      return null;
+    };
+    return descend(i, identityPermutation(n));
+  };
+
+  const found = [];
+  let order = 1n;
+  for (let i = chain.length - 1; i >= 0; i--) {
+    const { point, transversal } = chain[i];
+    const orbit = () => {
+      const reached = new Set([point]);
+      const queue = [point];
+      for (let q = 0; q < queue.length; q++) {
+        for (const g of found) {
+          const y = g[queue[q]];
+          if (!reached.has(y)) {
+            reached.add(y);
+            queue.push(y);
+          }
+        }
+      }
+      return reached;
+    };
+
+    let reached = orbit();
+    for (const gamma of transversal.keys()) {
+      if (reached.has(gamma)) continue;
+      const g = search(i, gamma);
+      if (g) {
+        found.push(g);
+        reached = orbit();
+      }
+    }
+    order *= BigInt(reached.size);
+  }
+
+  return { generators: found, order };
+}
@@ -0,0 +1,62 @@
+// src/utils/shareLink.js
+// Share links: put an encoded cube state in the URL and read it back.
+//
+// Links use the hash (#state=<code>) so the state never hits the server;
+// a ?state=<code> query string is also accepted for pasted links.
+// A seed link (#seed=<seed>) starts a fresh run from that seed instead.
+
+import { encodeCubeState, tryDecodeCubeState } from '../engine/stateCodec.js';
+
+export const SHARE_PARAM = 'state';
+export const SEED_PARAM = 'seed';
+
+// Build a shareable URL for the given cube state.
+export function buildShareUrl(cubies, size, baseUrl = window.location.href) {
+  const url = new URL(baseUrl);
+  url.searchParams.delete(SHARE_PARAM);
+  url.hash = `${SHARE_PARAM}=${encodeCubeState(cubies, size)}`;
+  return url.toString();
+}
+
+// Extract the raw state code from a location-like object ({ hash, search }).
+// Returns null when the URL carries no state.
+export function readStateCode(location = window.location) {
+  const hash = (location.hash || '').replace(/^#/, '');
+  const fromHash = new URLSearchParams(hash).get(SHARE_PARAM);
+  if (fromHash) return fromHash;
+  return new URLSearchParams(location.search || '').get(SHARE_PARAM);
+}
+
+// Read and decode a state from the URL.
+// Returns null (no state), { ok: true, size, cubies } or { ok: false, error }.
+export function readSharedState(location = window.location) {
+  const code = readStateCode(location);
+  return code ? tryDecodeCubeState(code) : null;
+}
+
+// Build a URL that starts a run from the given seed.
+export function buildSeedUrl(seed, baseUrl = window.location.href) {
+  const url = new URL(baseUrl);
+  url.searchParams.delete(SEED_PARAM);
+  url.hash = `${SEED_PARAM}=${encodeURIComponent(seed)}`;
+  return url.toString();
+}
+
+// Read a run seed from the URL (hash or query). Returns null when absent.
+export function readSeedParam(location = window.location) {
+  const hash = (location.hash || '').replace(/^#/, '');
+  return new URLSearchParams(hash).get(SEED_PARAM)
+    || new URLSearchParams(location.search || '').get(SEED_PARAM);
+}
+
+// Remove the state from the address bar once it has been loaded, so a
+// refresh doesn't reload the shared scramble over the player's progress.
+export function clearSharedStateFromUrl() {
+  try {
+    const url = new URL(window.location.href);
+    url.searchParams.delete(SHARE_PARAM);
+    url.searchParams.delete(SEED_PARAM);
+    url.hash = '';
+    window.history.replaceState(null, '', url.toString());
+  } catch {}
+}
@@ -9,7 +9,7 @@
 // This enables O(1) twist application, compact state (array of ints), and
 // instant parity/invariant computation for the RP² quotient structure.
 
-import { makeCubies } from '../game/cubeState.js';
+import { makeCubies, forEachCubie, surfacePositions } from '../game/cubeState.js';
 import { ANTIPODAL_FACE } from './constants.js';
 
 // Face order (index 0–5 used internally)
@@ -79,6 +79,14 @@ export function vertexToFaceRC(v, size) {
   return { faceIdx, r: Math.floor(rem / size), c: rem % size };
 }
 
+// Decode vertex index → sticker location { dirKey, x, y, z }.
+// Inverse of stickerVertex.
+export function vertexToPosition(v, size) {
+  const { faceIdx, r, c } = vertexToFaceRC(v, size);
+  const [x, y, z] = faceRCTo3D(faceIdx, r, c, size);
+  return { dirKey: FACE_DIRS[faceIdx], x, y, z };
+}
+
 // Compute the RP² antipodal vertex for vertex v.
 // Antipodal identification: point (dir, x, y, z) ↔ (ANTIPODAL_FACE[dir], s-x, s-y, s-z).
 export function antipodalVertex(v, size) {
@@ -123,22 +131,17 @@ function buildAdjacency(size, cubies) {
   // 2. Cross-face adjacency: every pair of stickers on the same cubie shares a
   //    surface edge (whether the cubie is an edge piece with 2 stickers or a
   //    corner piece with 3).
-  for (let x = 0; x < size; x++) {
-    for (let y = 0; y < size; y++) {
-      for (let z = 0; z < size; z++) {
-        const dirs = Object.keys(cubies[x][y][z].stickers);
-        if (dirs.length < 2) continue;
-        for (let i = 0; i < dirs.length; i++) {
-          for (let j = i + 1; j < dirs.length; j++) {
-            const vi = stickerVertex(dirs[i], x, y, z, size);
-            const vj = stickerVertex(dirs[j], x, y, z, size);
-            adj[vi].add(vj);
-            adj[vj].add(vi);
-          }
-        }
+  forEachCubie(cubies, (cubie, x, y, z) => {
+    const dirs = Object.keys(cubie.stickers);
+    for (let i = 0; i < dirs.length; i++) {
+      for (let j = i + 1; j < dirs.length; j++) {
+        const vi = stickerVertex(dirs[i], x, y, z, size);
+        const vj = stickerVertex(dirs[j], x, y, z, size);
+        adj[vi].add(vj);
+        adj[vj].add(vi);
       }
     }
-  }
+  });
 
   // 3. RP² antipodal edges
   for (let v = 0; v < numVerts; v++) {
@@ -170,78 +173,74 @@ function computeRotationPermutation(size, axis, sliceIndex, dir) {
   const perm = Array.from({ length: numVerts }, (_, i) => i); // identity
   const k = (size - 1) / 2;
 
-  for (let x = 0; x < size; x++) {
-    for (let y = 0; y < size; y++) {
-      for (let z = 0; z < size; z++) {
-        const inSlice =
-          (axis === 'col' && x === sliceIndex) ||
-          (axis === 'row' && y === sliceIndex) ||
-          (axis === 'depth' && z === sliceIndex);
-        if (!inSlice) continue;
-
-        // Rotate the cubie's centre position.
-        let cx = x - k, cy = y - k, cz = z - k;
-        let ncx, ncy, ncz;
-        if (axis === 'col') {
-          ncx = cx;
-          ncy = -dir * cz;
-          ncz = dir * cy;
-        } else if (axis === 'row') {
-          ncx = dir * cz;
-          ncy = cy;
-          ncz = -dir * cx;
-        } else {
-          ncx = -dir * cy;
-          ncy = dir * cx;
-          ncz = cz;
-        }
-        const nx = Math.round(ncx + k);
-        const ny = Math.round(ncy + k);
-        const nz = Math.round(ncz + k);
-
-        // For each face direction, rotate the direction vector and compute new vertex.
-        const FACE_VECS = [
-          ['PX', 1, 0, 0],
-          ['NX', -1, 0, 0],
-          ['PY', 0, 1, 0],
-          ['NY', 0, -1, 0],
-          ['PZ', 0, 0, 1],
-          ['NZ', 0, 0, -1],
-        ];
-
-        for (const [dirKey, vx, vy, vz] of FACE_VECS) {
-          // Only process faces that are on the outer boundary of this cubie.
-          const onBoundary =
-            (vx === 1 && x === size - 1) ||
-            (vx === -1 && x === 0) ||
-            (vy === 1 && y === size - 1) ||
-            (vy === -1 && y === 0) ||
-            (vz === 1 && z === size - 1) ||
-            (vz === -1 && z === 0);
-          if (!onBoundary) continue;
-
-          // Rotate the direction vector.
-          let rvx, rvy, rvz;
-          if (axis === 'col') {
-            rvx = vx;
-            rvy = -dir * vz;
-            rvz = dir * vy;
-          } else if (axis === 'row') {
-            rvx = dir * vz;
-            rvy = vy;
-            rvz = -dir * vx;
-          } else {
-            rvx = -dir * vy;
-            rvy = dir * vx;
-            rvz = vz;
-          }
-
-          const newDirKey = vecToDir(rvx, rvy, rvz);
-          const oldV = stickerVertex(dirKey, x, y, z, size);
-          const newV = stickerVertex(newDirKey, nx, ny, nz, size);
-          perm[newV] = oldV;
-        }
+  for (const [x, y, z] of surfacePositions(size)) {
+    const inSlice =
+      (axis === 'col' && x === sliceIndex) ||
+      (axis === 'row' && y === sliceIndex) ||
+      (axis === 'depth' && z === sliceIndex);
+    if (!inSlice) continue;
+
+    // Rotate the cubie's centre position.
+    let cx = x - k, cy = y - k, cz = z - k;
+    let ncx, ncy, ncz;
+    if (axis === 'col') {
+      ncx = cx;
+      ncy = -dir * cz;
+      ncz = dir * cy;
+    } else if (axis === 'row') {
+      ncx = dir * cz;
+      ncy = cy;
+      ncz = -dir * cx;
+    } else {
+      ncx = -dir * cy;
+      ncy = dir * cx;
+      ncz = cz;
+    }
+    const nx = Math.round(ncx + k);
+    const ny = Math.round(ncy + k);
+    const nz = Math.round(ncz + k);
+
+    // For each face direction, rotate the direction vector and compute new vertex.
+    const FACE_VECS = [
+      ['PX', 1, 0, 0],
+      ['NX', -1, 0, 0],
+      ['PY', 0, 1, 0],
+      ['NY', 0, -1, 0],
+      ['PZ', 0, 0, 1],
+      ['NZ', 0, 0, -1],
+    ];
+
+    for (const [dirKey, vx, vy, vz] of FACE_VECS) {
+      // Only process faces that are on the outer boundary of this cubie.
+      const onBoundary =
+        (vx === 1 && x === size - 1) ||
+        (vx === -1 && x === 0) ||
+        (vy === 1 && y === size - 1) ||
+        (vy === -1 && y === 0) ||
+        (vz === 1 && z === size - 1) ||
+        (vz === -1 && z === 0);
+      if (!onBoundary) continue;
+
+      // Rotate the direction vector.
+      let rvx, rvy, rvz;
+      if (axis === 'col') {
+        rvx = vx;
+        rvy = -dir * vz;
+        rvz = dir * vy;
+      } else if (axis === 'row') {
+        rvx = dir * vz;
+        rvy = vy;
+        rvz = -dir * vx;
+      } else {
+        rvx = -dir * vy;
+        rvy = dir * vx;
+        rvz = vz;
       }
+
+      const newDirKey = vecToDir(rvx, rvy, rvz);
+      const oldV = stickerVertex(dirKey, x, y, z, size);
+      const newV = stickerVertex(newDirKey, nx, ny, nz, size);
+      perm[newV] = oldV;
     }
   }
 
@@ -275,6 +274,7 @@ function permToCycles(perm) {
 // Keys: 'U', "U'", 'D', "D'", 'R', "R'", 'L', "L'", 'F', "F'", 'B', "B'"
 // Also keyed by 'axis-sliceIndex-dir' for programmatic access.
 // Middle-slice keys: 'M'/'S'/'E' (and primes) for odd sizes.
+// Every other inner slice is available under its axis-based key only.
 function precomputeCycles(size) {
   const cycles = {};
 
@@ -305,6 +305,16 @@ function precomputeCycles(size) {
     }
   }
 
+  // Remaining inner slices (4×4 and up), keyed by axis only
+  for (const axis of ['row', 'col', 'depth']) {
+    for (let sliceIndex = 1; sliceIndex < size - 1; sliceIndex++) {
+      for (const dir of [1, -1]) {
+        const key = `${axis}-${sliceIndex}-${dir}`;
+        if (!cycles[key]) cycles[key] = permToCycles(computeRotationPermutation(size, axis, sliceIndex, dir));
+      }
+    }
+  }
+
   return cycles;
 }
 
@@ -347,17 +357,13 @@ export function cubiesToTilingState(cubies, size) {
   const numVerts = 6 * size * size;
   const state = new Array(numVerts).fill(-1);
 
-  for (let x = 0; x < size; x++) {
-    for (let y = 0; y < size; y++) {
-      for (let z = 0; z < size; z++) {
-        for (const [dirKey, st] of Object.entries(cubies[x][y][z].stickers)) {
-          const v = stickerVertex(dirKey, x, y, z, size);
-          const origV = stickerVertex(st.origDir, st.origPos.x, st.origPos.y, st.origPos.z, size);
-          state[v] = origV;
-        }
-      }
+  forEachCubie(cubies, (cubie, x, y, z) => {
+    for (const [dirKey, st] of Object.entries(cubie.stickers)) {
+      const v = stickerVertex(dirKey, x, y, z, size);
+      const origV = stickerVertex(st.origDir, st.origPos.x, st.origPos.y, st.origPos.z, size);
+      state[v] = origV;
     }
-  }
+  });
 
   return state;
 }
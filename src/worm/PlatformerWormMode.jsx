@@ -24,6 +24,8 @@ import {
 } from './crawlerPhysics.js';
 import { rotateSliceCubies } from '../game/cubeRotation.js';
 import { play } from '../utils/audio.js';
+import { rngFor } from '../game/seededRandom.js';
+import { progressManager, ACHIEVEMENT_EVENTS } from '../levels/index.js';
 
 // ============================================================================
 // GAME CONFIG
@@ -242,7 +244,7 @@ export default function PlatformerWormMode({ cubies: initialCubies, size, faceCo
       alive: true,
     };
 
-    const orbs = spawnCrawlerOrbs(CONFIG.orbCount, size, startPos);
+    const orbs = spawnCrawlerOrbs(CONFIG.orbCount, size, startPos, rngFor('worm'));
     orbsRef.current = orbs;
     setOrbsDisplay(orbs);
     setOrbsCollected(0);
@@ -301,6 +303,15 @@ export default function PlatformerWormMode({ cubies: initialCubies, size, faceCo
     });
   }, []);
 
+  // --- Report each finished run (game over or victory) to the achievements ---
+  const runRef = useRef(null);
+  runRef.current = { orbs: orbsCollected, health, time: Math.floor(timer) };
+  useEffect(() => {
+    if (gameState === 'gameover' || gameState === 'victory') {
+      progressManager.recordEvent(ACHIEVEMENT_EVENTS.WORM_RUN, { mode: 'crawler', ...runRef.current, result: gameState });
+    }
+  }, [gameState]);
+
   // --- Manifolder rotation ---
   const performRotation = useCallback((axis, dir) => {
     if (rotationAnim) return; // Already animating
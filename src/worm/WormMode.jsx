@@ -25,6 +25,7 @@ import {
   updateTunnelWormAfterRotation
 } from './wormLogic.js';
 import { play } from '../utils/audio.js';
+import { rngFor, randomInt } from '../game/seededRandom.js';
 
 // Game configuration for surface mode
 const CONFIG = {
@@ -78,7 +79,7 @@ export function useWormGame(cubies, size, animState, onRotate) {
   // Initialize orbs on mount only (intentionally empty deps)
   // Orbs should only spawn once when the game starts, not on every cubies/size change
   useEffect(() => {
-    const initialOrbs = spawnOrbs(cubies, size, CONFIG.initialOrbs, worm, []);
+    const initialOrbs = spawnOrbs(cubies, size, CONFIG.initialOrbs, worm, [], rngFor('worm'));
     setOrbs(initialOrbs);
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []);
@@ -88,7 +89,7 @@ export function useWormGame(cubies, size, animState, onRotate) {
     const newWorm = createInitialWorm(size);
     setWorm(newWorm);
     setMoveDir('up');
-    setOrbs(spawnOrbs(cubies, size, CONFIG.initialOrbs, newWorm, []));
+    setOrbs(spawnOrbs(cubies, size, CONFIG.initialOrbs, newWorm, [], rngFor('worm')));
     setScore(0);
     setWarps(0);
     setPendingGrowth(0);
@@ -427,10 +428,10 @@ export function useTunnelWormGame(cubies, size, animState, onRotate) {
     setTunnels(activeTunnels);
 
     if (activeTunnels.length >= 1) {
-      const initialWorm = createInitialTunnelWorm(activeTunnels, 3);
+      const initialWorm = createInitialTunnelWorm(activeTunnels, 3, rngFor('worm'));
       setWorm(initialWorm);
 
-      const initialOrbs = spawnTunnelOrbs(activeTunnels, TUNNEL_CONFIG.initialOrbs, initialWorm);
+      const initialOrbs = spawnTunnelOrbs(activeTunnels, TUNNEL_CONFIG.initialOrbs, initialWorm, rngFor('worm'));
       setOrbs(initialOrbs);
 
       // Set initial target
@@ -449,7 +450,7 @@ export function useTunnelWormGame(cubies, size, animState, onRotate) {
     setTunnels(newTunnels);
 
     // Update worm positions for new tunnel configuration
-    setWorm(prev => updateTunnelWormAfterRotation(prev, newTunnels, oldTunnels));
+    setWorm(prev => updateTunnelWormAfterRotation(prev, newTunnels, oldTunnels, rngFor('worm')));
 
     // Update orb positions
     setOrbs(prev => prev.map(orb => {
@@ -459,7 +460,7 @@ export function useTunnelWormGame(cubies, size, animState, onRotate) {
       }
       // Orb's tunnel disappeared - respawn in random tunnel
       if (newTunnels.length > 0) {
-        const randomTunnel = newTunnels[Math.floor(Math.random() * newTunnels.length)];
+        const randomTunnel = newTunnels[randomInt(rngFor('worm'), newTunnels.length)];
         return {
           tunnelId: randomTunnel.id,
           t: 0.5,
@@ -476,9 +477,9 @@ export function useTunnelWormGame(cubies, size, animState, onRotate) {
     setTunnels(activeTunnels);
 
     if (activeTunnels.length >= 1) {
-      const newWorm = createInitialTunnelWorm(activeTunnels, 3);
+      const newWorm = createInitialTunnelWorm(activeTunnels, 3, rngFor('worm'));
       setWorm(newWorm);
-      setOrbs(spawnTunnelOrbs(activeTunnels, TUNNEL_CONFIG.initialOrbs, newWorm));
+      setOrbs(spawnTunnelOrbs(activeTunnels, TUNNEL_CONFIG.initialOrbs, newWorm, rngFor('worm')));
     } else {
       setWorm([]);
       setOrbs([]);
@@ -4,6 +4,7 @@
 // handled automatically via projection.
 
 import * as THREE from 'three';
+import { randomInt } from '../game/seededRandom.js';
 
 // Face normals (outward)
 const FACE_NORMALS = {
@@ -243,17 +244,18 @@ export function rotateCrawlerWithSlice(state, axis, sliceIndex, dir, size) {
 
 /**
  * Spawn orb positions on cube surface (world coordinates).
+ * `rng` is the random source: Math.random or a seeded stream.
  */
-export function spawnCrawlerOrbs(count, size, crawlerPos) {
+export function spawnCrawlerOrbs(count, size, crawlerPos, rng = Math.random) {
   const k = (size - 1) / 2;
   const s = k + SURFACE_OFFSET;
   const orbs = [];
   const faces = ['PX', 'NX', 'PY', 'NY', 'PZ', 'NZ'];
 
   for (let i = 0; i < count; i++) {
-    const face = faces[Math.floor(Math.random() * faces.length)];
-    const u = (Math.random() * (size - 1)) - k;
-    const v = (Math.random() * (size - 1)) - k;
+    const face = faces[randomInt(rng, faces.length)];
+    const u = (rng() * (size - 1)) - k;
+    const v = (rng() * (size - 1)) - k;
 
     let pos;
     switch (face) {
@@ -6,6 +6,7 @@ import { getManifoldNeighbors, findAntipodalStickerByGrid, buildManifoldGridMap
 import { getStickerWorldPos } from '../game/coordinates.js';
 import * as THREE from 'three';
 import { calculateSmartControlPoint } from '../utils/smartRouting.js';
+import { randomInt, pick, shuffled } from '../game/seededRandom.js';
 
 // ============================================================================
 // TUNNEL MODE - Worm travels INSIDE the cube through antipodal wormhole tunnels
@@ -129,16 +130,17 @@ export const getTunnelWorldPos = (tunnel, t, size, explosionFactor = 0) => {
  * Create initial worm inside a random tunnel
  * @param {Array} tunnels - Available tunnels
  * @param {number} initialLength - Initial worm length (segments)
+ * @param {Function} rng - Random source (Math.random or a seeded stream)
  * @returns {Array} Initial worm segments with tunnel positions
  */
-export const createInitialTunnelWorm = (tunnels, initialLength = 3) => {
+export const createInitialTunnelWorm = (tunnels, initialLength = 3, rng = Math.random) => {
   if (tunnels.length === 0) {
     // No tunnels yet - return empty (game will need to create tunnels first)
     return [];
   }
 
   // Pick a random tunnel to start in
-  const startTunnel = tunnels[Math.floor(Math.random() * tunnels.length)];
+  const startTunnel = pick(rng, tunnels);
 
   const segments = [];
   const spacing = 0.15; // Space between segments along tunnel
@@ -235,9 +237,10 @@ export const checkTunnelSelfCollision = (newHead, segments) => {
  * @param {Array} tunnels - Available tunnels
  * @param {number} count - Number of orbs to spawn
  * @param {Array} wormSegments - Current worm positions to avoid
+ * @param {Function} rng - Random source (Math.random or a seeded stream)
  * @returns {Array} Array of orb positions {tunnelId, t, tunnel}
  */
-export const spawnTunnelOrbs = (tunnels, count, wormSegments = []) => {
+export const spawnTunnelOrbs = (tunnels, count, wormSegments = [], rng = Math.random) => {
   if (tunnels.length === 0) return [];
 
   const orbs = [];
@@ -253,7 +256,7 @@ export const spawnTunnelOrbs = (tunnels, count, wormSegments = []) => {
   }
 
   // Shuffle tunnels for random placement
-  const shuffledTunnels = [...tunnels].sort(() => Math.random() - 0.5);
+  const shuffledTunnels = shuffled(rng, tunnels);
 
   for (const tunnel of shuffledTunnels) {
     if (orbs.length >= count) break;
@@ -281,7 +284,7 @@ export const spawnTunnelOrbs = (tunnels, count, wormSegments = []) => {
   // If we need more orbs, allow multiple per tunnel
   while (orbs.length < count && shuffledTunnels.length > 0) {
     const tunnel = shuffledTunnels[orbs.length % shuffledTunnels.length];
-    const t = 0.3 + Math.random() * 0.4; // Random position in middle section
+    const t = 0.3 + rng() * 0.4; // Random position in middle section
     orbs.push({
       tunnelId: tunnel.id,
       t,
@@ -298,9 +301,10 @@ export const spawnTunnelOrbs = (tunnels, count, wormSegments = []) => {
  * @param {Array} segments - Current worm segments
  * @param {Array} newTunnels - New tunnel configuration after rotation
  * @param {Array} oldTunnels - Old tunnel configuration before rotation
+ * @param {Function} rng - Random source (Math.random or a seeded stream)
  * @returns {Array} Updated worm segments
  */
-export const updateTunnelWormAfterRotation = (segments, newTunnels, oldTunnels) => {
+export const updateTunnelWormAfterRotation = (segments, newTunnels, oldTunnels, rng = Math.random) => {
   // Create lookup for old tunnels
   const oldTunnelMap = new Map();
   for (const t of oldTunnels) {
@@ -326,7 +330,7 @@ export const updateTunnelWormAfterRotation = (segments, newTunnels, oldTunnels)
 
     // Tunnel disappeared - find nearest new tunnel
     if (newTunnels.length > 0) {
-      const randomTunnel = newTunnels[Math.floor(Math.random() * newTunnels.length)];
+      const randomTunnel = newTunnels[randomInt(rng, newTunnels.length)];
       return {
         tunnelId: randomTunnel.id,
         t: seg.t,
@@ -648,9 +652,10 @@ export const createInitialWorm = (size) => {
  * @param {number} count - Number of orbs to spawn
  * @param {Array} wormSegments - Current worm positions to avoid
  * @param {Array} existingOrbs - Existing orb positions to avoid
+ * @param {Function} rng - Random source (Math.random or a seeded stream)
  * @returns {Array} Array of orb positions {x, y, z, dirKey}
  */
-export const spawnOrbs = (cubies, size, count, wormSegments = [], existingOrbs = []) => {
+export const spawnOrbs = (cubies, size, count, wormSegments = [], existingOrbs = [], rng = Math.random) => {
   const occupied = new Set();
 
   // Mark worm positions as occupied
@@ -695,8 +700,7 @@ export const spawnOrbs = (cubies, size, count, wormSegments = [], existingOrbs =
   }
 
   // Randomly select positions for orbs
-  const shuffled = validPositions.sort(() => Math.random() - 0.5);
-  const selected = shuffled.slice(0, Math.min(count, shuffled.length));
+  const selected = shuffled(rng, validPositions).slice(0, count);
 
   return selected;
 };